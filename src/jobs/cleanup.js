@@ -1,5 +1,7 @@
 const cron = require('node-cron');
 const User = require('../models/User');
+const DataExport = require('../models/DataExport');
+const SecurityEvent = require('../models/SecurityEvent');
 
 /**
  * 만료된 계정 삭제 크론잡
@@ -24,16 +26,23 @@ cron.schedule('0 3 * * *', async () => {
     console.log(`${'='.repeat(60)}\n`);
 
     // 삭제 작업 실행
-    const deletedCount = await User.deleteExpiredAccounts();
+    const report = await User.deleteExpiredAccounts();
 
-    if (deletedCount > 0) {
-      console.log(`✅ [크론잡] ${deletedCount}개의 만료된 계정 삭제 완료`);
-      console.log(`   - 탈퇴 요청일로부터 30일이 경과한 계정`);
-      console.log(`   - 관련 데이터 (리뷰, 즐겨찾기 등) 모두 삭제됨`);
+    if (report.purged > 0) {
+      console.log(`✅ [크론잡] ${report.purged}개의 만료된 계정 삭제 완료`);
+      console.log(`   - 탈퇴 요청일로부터 ${User.DELETION_GRACE_DAYS}일이 경과한 계정`);
+      Object.entries(report.deleted)
+        .filter(([, count]) => count > 0)
+        .forEach(([table, count]) => console.log(`   - ${table}: ${count}행 삭제`));
+      console.log(`   - 집계 재계산: 맛집 ${report.recalculated.restaurants || 0}개, 리뷰 ${report.recalculated.reviews || 0}개, 컬렉션 ${report.recalculated.collections || 0}개`);
     } else {
       console.log(`ℹ️  [크론잡] 삭제할 만료된 계정이 없습니다`);
     }
 
+    if (report.failed.length > 0) {
+      console.error(`⚠️ [크론잡] ${report.failed.length}개 계정 삭제 실패:`, report.failed.map(item => item.user_id).join(', '));
+    }
+
     console.log(`\n${'='.repeat(60)}\n`);
 
   } catch (error) {
@@ -48,8 +57,42 @@ cron.schedule('0 3 * * *', async () => {
   timezone: "Asia/Seoul" // 한국 시간대 설정
 });
 
+// 매시 정각: 다운로드 기간이 지난 개인정보 내보내기 파일 삭제
+cron.schedule('0 * * * *', async () => {
+  try {
+    const expired = await DataExport.expireOldExports();
+
+    if (expired > 0) {
+      console.log(`🗑️  [크론잡] 만료된 데이터 내보내기 파일 ${expired}개 삭제`);
+    }
+  } catch (error) {
+    console.error('❌ [크론잡] 데이터 내보내기 파일 정리 실패:', error.message);
+  }
+}, {
+  scheduled: true,
+  timezone: "Asia/Seoul"
+});
+
+// 매일 새벽 4시: 보관 기간이 지난 보안 이벤트 삭제
+cron.schedule('0 4 * * *', async () => {
+  try {
+    const deleted = await SecurityEvent.deleteExpired();
+
+    if (deleted > 0) {
+      console.log(`🗑️  [크론잡] 보관 기간(${SecurityEvent.RETENTION_DAYS}일)이 지난 보안 이벤트 ${deleted}개 삭제`);
+    }
+  } catch (error) {
+    console.error('❌ [크론잡] 보안 이벤트 정리 실패:', error.message);
+  }
+}, {
+  scheduled: true,
+  timezone: "Asia/Seoul"
+});
+
 console.log('⏰ 계정 삭제 크론잡 등록 완료');
 console.log('   - 실행 주기: 매일 새벽 3시 (한국 시간)');
-console.log('   - 작업 내용: 탈퇴 요청 후 30일 경과 계정 자동 삭제\n');
+console.log('   - 작업 내용: 탈퇴 요청 후 30일 경과 계정 자동 삭제');
+console.log('   - 매시 정각: 만료된 데이터 내보내기 파일 삭제');
+console.log('   - 매일 새벽 4시: 보관 기간이 지난 보안 이벤트 삭제\n');
 
 module.exports = { /* 크론잡은 자동 실행됨 */ };
@@ -0,0 +1,68 @@
+const cron = require('node-cron');
+const RestaurantSearch = require('../models/RestaurantSearch');
+
+/**
+ * 맛집 검색 인덱스 동기화 크론잡
+ *
+ * API로 바뀐 맛집은 바로 검색 문서가 갱신되지만, 관리 도구에서 직접 수정한 맛집/메뉴는
+ * 10분마다 증분으로 반영합니다. 태그 연결 해제처럼 수정 시각이 남지 않는 변경은
+ * 매일 새벽 5시 전체 재생성으로 반영합니다.
+ * 배포 직후처럼 인덱스가 비어 있거나 맛집보다 문서가 적으면 서버 시작 시 바로 전체 재생성합니다.
+ */
+
+// 마지막 증분 동기화 시작 시각 (서버 시작 전 변경은 새벽 전체 재생성에서 반영)
+let lastSyncedAt = new Date();
+
+// 10분마다: 마지막 동기화 이후 바뀐 맛집/메뉴 반영
+cron.schedule('*/10 * * * *', async () => {
+  const startedAt = new Date();
+
+  try {
+    const indexed = await RestaurantSearch.reindexChangedSince(lastSyncedAt);
+    lastSyncedAt = startedAt;
+
+    if (indexed > 0) {
+      console.log(`🔎 [크론잡] 검색 문서 ${indexed}개 갱신`);
+    }
+  } catch (error) {
+    console.error('❌ [크론잡] 검색 문서 증분 갱신 실패:', error.message);
+  }
+}, {
+  scheduled: true,
+  timezone: "Asia/Seoul"
+});
+
+// 매일 새벽 5시: 검색 문서 전체 재생성
+cron.schedule('0 5 * * *', async () => {
+  try {
+    const indexed = await RestaurantSearch.rebuildAll();
+    console.log(`🔎 [크론잡] 검색 문서 전체 재생성 완료: ${indexed}개`);
+  } catch (error) {
+    console.error('❌ [크론잡] 검색 문서 전체 재생성 실패:', error.message);
+  }
+}, {
+  scheduled: true,
+  timezone: "Asia/Seoul"
+});
+
+// 서버 시작 시: 인덱스가 준비되지 않았으면 전체 재생성 (그동안 목록은 restaurants에서 직접 조회)
+const buildIndexIfEmpty = async () => {
+  try {
+    if (await RestaurantSearch.isIndexReady()) return;
+
+    console.log('🔎 검색 인덱스가 비어 있어 전체 재생성을 시작합니다');
+    const indexed = await RestaurantSearch.rebuildAll();
+    console.log(`🔎 검색 문서 전체 재생성 완료: ${indexed}개`);
+  } catch (error) {
+    console.error('❌ 서버 시작 시 검색 인덱스 생성 실패:', error.message);
+  }
+};
+
+buildIndexIfEmpty();
+
+console.log('⏰ 검색 인덱스 크론잡 등록 완료');
+console.log('   - 10분마다: 바뀐 맛집/메뉴 검색 문서 갱신');
+console.log('   - 매일 새벽 5시: 검색 문서 전체 재생성');
+console.log('   - 서버 시작 시: 인덱스가 비어 있으면 전체 재생성\n');
+
+module.exports = { /* 크론잡은 자동 실행됨 */ };
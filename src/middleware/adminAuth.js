@@ -0,0 +1,53 @@
+const authMiddleware = require('./auth');
+
+// 사용자 역할 (users.role)
+const ROLES = Object.freeze({
+  USER: 'user',
+  MODERATOR: 'moderator',
+  OWNER: 'owner',
+  ADMIN: 'admin'
+});
+
+const ROLE_VALUES = Object.values(ROLES);
+
+// 역할 컬럼이 비어 있는 기존 사용자는 일반 사용자로 취급
+const getUserRole = (user) => {
+  return ROLE_VALUES.includes(user?.role) ? user.role : ROLES.USER;
+};
+
+/**
+ * 역할 확인 미들웨어 (authMiddleware로 로그인 확인 후 역할 검사)
+ * admin은 모든 역할 제한을 통과합니다.
+ *
+ * @example router.get('/stats', requireRole(ROLES.MODERATOR), handler)
+ * @param {...string} roles - 허용할 역할
+ */
+const requireRole = (...roles) => {
+  const checkRole = (req, res, next) => {
+    const role = getUserRole(req.user);
+
+    if (role !== ROLES.ADMIN && !roles.includes(role)) {
+      console.warn('⛔ 권한 없는 접근 시도:', req.user.id, role, req.method, req.originalUrl);
+      return res.status(403).json({
+        success: false,
+        message: '접근 권한이 없습니다.',
+        error_code: 'FORBIDDEN_ROLE'
+      });
+    }
+
+    req.userRole = role;
+    next();
+  };
+
+  return [authMiddleware, checkRole];
+};
+
+const requireAdmin = requireRole(ROLES.ADMIN);
+
+module.exports = {
+  ROLES,
+  ROLE_VALUES,
+  getUserRole,
+  requireRole,
+  requireAdmin
+};
@@ -1,5 +1,23 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const Session = require('../models/Session');
+
+/**
+ * 토큰의 세션과 사용자 조회
+ *
+ * sid 클레임의 세션과 사용자를 한 번에 조회합니다.
+ * sid가 없는 토큰(세션 도입 전 발급)은 로그아웃/세션 종료로 폐기할 수 없으므로 받지 않습니다.
+ * 2단계 인증 대기 토큰, 잠금 해제 토큰처럼 purpose 클레임이 있는 토큰은 인증에 쓸 수 없습니다.
+ * @returns {Promise<{session: Object, user: Object|null}|null>} 사용할 수 없는 토큰이거나 폐기/만료된 세션이면 null
+ */
+const resolveToken = async (decoded) => {
+  if (decoded.purpose || !decoded.userId || !decoded.sid) return null;
+  return Session.findActiveWithUser(decoded.sid, decoded.userId);
+};
+
+// 마지막 접속 시각 갱신 (응답을 지연시키지 않도록 기다리지 않음)
+const touchSession = (session) => {
+  Session.touch(session).catch(error => console.warn('세션 접속 시각 갱신 실패:', error.message));
+};
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -13,7 +31,18 @@ const authMiddleware = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+
+    // 로그아웃 등으로 폐기된 세션 차단
+    const resolved = await resolveToken(decoded);
+    if (!resolved) {
+      return res.status(401).json({
+        success: false,
+        message: '만료되었거나 로그아웃된 세션입니다. 다시 로그인해주세요.',
+        error_code: 'SESSION_REVOKED'
+      });
+    }
+
+    const { session, user } = resolved;
 
     // 사용자 존재 확인
     if (!user) {
@@ -32,9 +61,22 @@ const authMiddleware = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
+    // 로그인 시각 (민감한 작업의 재인증 확인용, 토큰을 갱신해도 바뀌지 않음)
+    req.sessionCreatedAt = session.created_at;
+    touchSession(session);
     next();
 
   } catch (error) {
+    // 액세스 토큰 만료 시 클라이언트가 리프레시할 수 있도록 구분
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: '토큰이 만료되었습니다.',
+        error_code: 'TOKEN_EXPIRED'
+      });
+    }
+
     console.error('인증 오류:', error);
     res.status(401).json({
       success: false,
@@ -55,10 +97,20 @@ const optionalAuthMiddleware = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+
+    // 폐기된 세션은 비로그인으로 취급
+    const resolved = await resolveToken(decoded);
+    if (!resolved) {
+      req.user = null;
+      return next();
+    }
+
+    const { session, user } = resolved;
 
     if (user) {
       req.user = user;
+      req.sessionId = decoded.sid;
+      touchSession(session);
     } else {
       req.user = null;
     }
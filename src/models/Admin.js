@@ -0,0 +1,236 @@
+const supabase = require('../config/supabase');
+
+// 관리자 화면에서 관리하는 콘텐츠 (URL 이름 → 테이블, 목록 정렬 기준)
+const CONTENT_RESOURCES = Object.freeze({
+  'banners': { table: 'banners', orderBy: 'display_order' },
+  'events': { table: 'events', orderBy: 'display_order' },
+  'notices': { table: 'notices', orderBy: 'created_at', ascending: false },
+  'featured-restaurants': { table: 'featured_restaurants', orderBy: 'display_order' },
+  'categories': { table: 'categories', orderBy: 'display_order' }
+});
+
+// 관리자 입력으로 변경할 수 없는 컬럼
+const PROTECTED_COLUMNS = ['id', 'created_at', 'updated_at', 'view_count'];
+
+const USER_LIST_COLUMNS = 'id, email, name, role, auth_provider, email_verified, is_active, deleted_at, created_at';
+
+/**
+ * 관리자 기능 (통계, 사용자/역할 관리, 콘텐츠 관리, 감사 로그)
+ *
+ * 관리자 작업은 실행 전에 admin_audit_logs에 기록하고(status: pending), 끝나면 결과를 같은 항목에 남깁니다.
+ */
+class Admin {
+  // ============================================
+  // 감사 로그
+  // ============================================
+
+  /**
+   * 관리자 작업 기록 (작업 실행 전, status: pending)
+   * @param {Object} entry - { actorId, actorRole, action, targetType, targetId, metadata, ipAddress, userAgent }
+   */
+  static async logAction({ actorId, actorRole, action, targetType = null, targetId = null, metadata = {}, ipAddress = null, userAgent = null }) {
+    const { data, error } = await supabase
+      .from('admin_audit_logs')
+      .insert([{
+        actor_id: actorId,
+        actor_role: actorRole,
+        action,
+        target_type: targetType,
+        target_id: targetId !== null ? String(targetId) : null,
+        metadata,
+        status: 'pending',
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * 작업 결과 기록
+   * @param {Object} log - logAction이 돌려준 항목
+   * @param {Object} outcome - { status: succeeded | not_found | failed, targetId, metadata } (metadata는 기존 값에 덧붙임)
+   */
+  static async completeAction(log, { status, targetId, metadata = {} }) {
+    const values = {
+      status,
+      metadata: { ...log.metadata, ...metadata },
+      completed_at: new Date().toISOString()
+    };
+    if (targetId !== undefined && targetId !== null) values.target_id = String(targetId);
+
+    const { error } = await supabase
+      .from('admin_audit_logs')
+      .update(values)
+      .eq('id', log.id);
+
+    if (error) throw error;
+  }
+
+  static async getAuditLogs({ page = 1, limit = 50, actorId, action, targetType, targetId } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('admin_audit_logs')
+      .select('*', { count: 'exact' });
+
+    if (actorId) query = query.eq('actor_id', actorId);
+    if (action) query = query.eq('action', action);
+    if (targetType) query = query.eq('target_type', targetType);
+    if (targetId) query = query.eq('target_id', String(targetId));
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { logs: data || [], total: count || 0 };
+  }
+
+  // ============================================
+  // 통계
+  // ============================================
+
+  static async getStats() {
+    const countRows = (table, apply = query => query) => apply(
+      supabase.from(table).select('id', { count: 'exact', head: true })
+    );
+
+    const [users, activeUsers, restaurants, reviews, collections] = await Promise.all([
+      countRows('users'),
+      countRows('users', query => query.eq('is_active', true)),
+      countRows('restaurants'),
+      countRows('restaurant_reviews'),
+      countRows('collections')
+    ]);
+
+    const error = users.error || activeUsers.error || restaurants.error || reviews.error || collections.error;
+    if (error) throw error;
+
+    return {
+      total_users: users.count || 0,
+      active_users: activeUsers.count || 0,
+      total_restaurants: restaurants.count || 0,
+      total_reviews: reviews.count || 0,
+      total_collections: collections.count || 0
+    };
+  }
+
+  // ============================================
+  // 사용자 / 역할
+  // ============================================
+
+  static async listUsers({ page = 1, limit = 20, search, role } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('users')
+      .select(USER_LIST_COLUMNS, { count: 'exact' });
+
+    if (role) query = query.eq('role', role);
+    if (search) {
+      const escaped = search.replace(/[%_,()]/g, '');
+      query = query.or(`email.ilike.%${escaped}%,name.ilike.%${escaped}%`);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { users: data || [], total: count || 0 };
+  }
+
+  static async updateUserRole(userId, role) {
+    const { data, error } = await supabase
+      .from('users')
+      .update({ role, updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .select(USER_LIST_COLUMNS)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  // ============================================
+  // 콘텐츠 (배너, 이벤트, 공지, 추천 맛집, 카테고리)
+  // ============================================
+
+  static getContentResource(name) {
+    return Object.prototype.hasOwnProperty.call(CONTENT_RESOURCES, name) ? CONTENT_RESOURCES[name] : null;
+  }
+
+  static sanitizeContent(values) {
+    const sanitized = { ...values };
+    PROTECTED_COLUMNS.forEach(column => delete sanitized[column]);
+    return sanitized;
+  }
+
+  static async listContent({ table, orderBy, ascending = true }, { page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const { data, error, count } = await supabase
+      .from(table)
+      .select('*', { count: 'exact' })
+      .order(orderBy, { ascending })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { items: data || [], total: count || 0 };
+  }
+
+  static async findContent(table, id) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  static async createContent(table, values) {
+    const { data, error } = await supabase
+      .from(table)
+      .insert([this.sanitizeContent(values)])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async updateContent(table, id, values) {
+    const { data, error } = await supabase
+      .from(table)
+      .update(this.sanitizeContent(values))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  static async deleteContent(table, id) {
+    const { data, error } = await supabase
+      .from(table)
+      .delete()
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+Admin.CONTENT_RESOURCES = CONTENT_RESOURCES;
+
+module.exports = Admin;
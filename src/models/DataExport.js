@@ -0,0 +1,220 @@
+const supabase = require('../config/supabase');
+
+// 내보내기 파일을 보관하는 Supabase Storage 버킷 (비공개)
+const STORAGE_BUCKET = process.env.DATA_EXPORT_BUCKET || 'data-exports';
+// 완료 후 다운로드 가능한 기간
+const DOWNLOAD_TTL_HOURS = 24;
+// 이 시간 안에 끝나지 않은 작업은 중단된 것으로 간주 (서버 재시작 등)
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+const STATUS = Object.freeze({
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+});
+
+const FORMATS = ['json', 'zip'];
+
+/**
+ * 개인정보 내보내기 요청 (data_exports)
+ *
+ * 요청 → 백그라운드에서 파일 생성 후 비공개 Storage 버킷에 업로드 → 기간 제한 서명 URL로 다운로드.
+ * 다운로드 기간이 지나면 정리 작업이 파일을 지우고 expired로 표시합니다.
+ */
+class DataExport {
+  static async create(userId, format) {
+    const { data, error } = await supabase
+      .from('data_exports')
+      .insert([{
+        user_id: userId,
+        status: STATUS.PENDING,
+        format,
+        file_path: null,
+        file_size: null,
+        error_message: null,
+        created_at: new Date().toISOString(),
+        started_at: null,
+        completed_at: null,
+        expires_at: null
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // 본인 요청만 조회 (다른 사용자의 요청이면 null)
+  static async findById(id, userId) {
+    const { data, error } = await supabase
+      .from('data_exports')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  static async findByUserId(userId, limit = 10) {
+    const { data, error } = await supabase
+      .from('data_exports')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // 진행 중인 요청 (오래 멈춘 요청은 실패 처리 후 무시)
+  static async findInProgress(userId) {
+    const { data, error } = await supabase
+      .from('data_exports')
+      .select('*')
+      .eq('user_id', userId)
+      .in('status', [STATUS.PENDING, STATUS.PROCESSING])
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    const staleBefore = Date.now() - STALE_AFTER_MS;
+    const isStale = item => new Date(item.created_at).getTime() <= staleBefore;
+
+    for (const item of (data || []).filter(isStale)) {
+      await this.markFailed(item.id, '처리 시간이 초과되었습니다');
+    }
+
+    return (data || []).find(item => !isStale(item)) || null;
+  }
+
+  static async update(id, values) {
+    const { data, error } = await supabase
+      .from('data_exports')
+      .update(values)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async markProcessing(id) {
+    return this.update(id, {
+      status: STATUS.PROCESSING,
+      started_at: new Date().toISOString()
+    });
+  }
+
+  static async markCompleted(id, { filePath, fileSize }) {
+    const completedAt = new Date();
+
+    return this.update(id, {
+      status: STATUS.COMPLETED,
+      file_path: filePath,
+      file_size: fileSize,
+      completed_at: completedAt.toISOString(),
+      expires_at: new Date(completedAt.getTime() + DOWNLOAD_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    });
+  }
+
+  static async markFailed(id, message) {
+    return this.update(id, {
+      status: STATUS.FAILED,
+      error_message: message
+    });
+  }
+
+  static isDownloadable(item) {
+    return item.status === STATUS.COMPLETED && !!item.file_path && new Date(item.expires_at) > new Date();
+  }
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  static async uploadFile(filePath, content, contentType) {
+    const { error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .upload(filePath, content, { contentType, upsert: true });
+
+    if (error) throw error;
+  }
+
+  // 다운로드 기간이 끝나는 시점까지만 유효한 서명 URL
+  static async createDownloadUrl(item) {
+    if (!this.isDownloadable(item)) return null;
+
+    const expiresIn = Math.max(1, Math.floor((new Date(item.expires_at).getTime() - Date.now()) / 1000));
+    const { data, error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .createSignedUrl(item.file_path, expiresIn, { download: true });
+
+    if (error) throw error;
+    return data?.signedUrl || null;
+  }
+
+  static async removeFiles(filePaths) {
+    if (filePaths.length === 0) return;
+
+    const { error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .remove(filePaths);
+
+    if (error) throw error;
+  }
+
+  // 다운로드 기간이 지난 파일 삭제 후 expired로 표시
+  static async expireOldExports() {
+    const { data, error } = await supabase
+      .from('data_exports')
+      .select('id, file_path')
+      .eq('status', STATUS.COMPLETED)
+      .lte('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+    if (!data || data.length === 0) return 0;
+
+    await this.removeFiles(data.map(item => item.file_path).filter(Boolean));
+
+    const { error: updateError } = await supabase
+      .from('data_exports')
+      .update({ status: STATUS.EXPIRED, file_path: null })
+      .in('id', data.map(item => item.id));
+
+    if (updateError) throw updateError;
+    return data.length;
+  }
+
+  // 계정 영구 삭제 시 내보내기 파일과 기록 모두 삭제
+  static async deleteAllForUser(userId) {
+    const { data, error } = await supabase
+      .from('data_exports')
+      .select('id, file_path')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return 0;
+
+    await this.removeFiles(data.map(item => item.file_path).filter(Boolean));
+
+    const { error: deleteError } = await supabase
+      .from('data_exports')
+      .delete()
+      .eq('user_id', userId);
+
+    if (deleteError) throw deleteError;
+    return data.length;
+  }
+}
+
+DataExport.STATUS = STATUS;
+DataExport.FORMATS = FORMATS;
+DataExport.DOWNLOAD_TTL_HOURS = DOWNLOAD_TTL_HOURS;
+
+module.exports = DataExport;
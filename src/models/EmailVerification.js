@@ -1,18 +1,53 @@
 const supabase = require('../config/supabase');
 const crypto = require('crypto');
 const { sendVerificationEmail, sendVerificationSuccessEmail } = require('../utils/emailService');
+const { hashCode, consumeCode, verifyHashedCode } = require('../utils/verificationCode');
 
+// 인증 코드 용도 (purpose 컬럼이 없는 기존 코드는 회원가입 인증으로 취급)
+const PURPOSES = Object.freeze({
+  SIGNUP: 'signup',
+  EMAIL_CHANGE: 'email_change',
+  LOGIN: 'login'
+});
+
+// 회원가입/이메일 변경 인증 코드 유효 시간
+const CODE_TTL_MINUTES = 5;
+// 코드 하나당 허용하는 오답 횟수 (넘으면 코드 만료)
+const MAX_CODE_ATTEMPTS = 5;
+
+// 비밀번호 없는 로그인 코드/링크
+const LOGIN_CODE_TTL_MINUTES = 10;
+
+const SIGNUP_PURPOSE_FILTER = `purpose.is.null,purpose.eq.${PURPOSES.SIGNUP}`;
+
+// 용도별 조회 조건 (purpose가 비어 있는 기존 코드는 회원가입 인증)
+const applyPurposeFilter = (query, purpose) => {
+  return purpose === PURPOSES.SIGNUP ? query.or(SIGNUP_PURPOSE_FILTER) : query.eq('purpose', purpose);
+};
+
+/**
+ * 이메일 인증 코드 (email_verifications)
+ *
+ * 코드 원본은 메일로만 전달하고 DB에는 SHA-256 해시만 저장합니다.
+ * 새 코드를 발급하면 같은 용도의 이전 코드는 만료되고, 코드마다 오답 횟수를 세어
+ * MAX_CODE_ATTEMPTS회 틀리면 코드를 만료시킵니다.
+ */
 class EmailVerification {
-  static async create(userId, email) {
+  static async create(userId, email, purpose = PURPOSES.SIGNUP) {
+    await this.expireActiveCodes({ email, purpose });
+
     const code = this.generateVerificationCode();
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5분 후 만료
+    const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
 
     const { data, error } = await supabase
       .from('email_verifications')
       .insert([{
         user_id: userId,
         email,
-        code,
+        code: null,
+        code_hash: this.hashSecret(code),
+        purpose,
+        attempts: 0,
         expires_at: expiresAt.toISOString(),
         is_verified: false,
         created_at: new Date().toISOString()
@@ -33,43 +68,77 @@ class EmailVerification {
       if (userData) userName = userData.name;
     }
 
-    // 이메일 발송
-    try {
-      await sendVerificationEmail(email, code, userName);
-      console.log(`✅ 인증 메일 발송 완료: ${email}`);
-    } catch (emailError) {
-      console.error('❌ 이메일 발송 실패:', emailError);
-      // 이메일 발송 실패해도 인증 코드는 생성됨 (개발 모드에서 테스트용)
-    }
+    // 응답 시간으로 계정 존재 여부가 드러나지 않도록 메일은 기다리지 않음
+    // (발송에 실패해도 인증 코드는 생성됨 - 개발 모드에서 테스트용)
+    sendVerificationEmail(email, code, userName, purpose, { validMinutes: CODE_TTL_MINUTES })
+      .then(() => console.log(`✅ 인증 메일 발송 완료: ${email}`))
+      .catch(emailError => console.error('❌ 이메일 발송 실패:', emailError));
 
     return { ...data, code }; // 개발 모드에서만 code 반환
   }
 
-  static async verify(email, code) {
-    const { data, error } = await supabase
+  // 같은 이메일/용도로 발급된 미사용 코드 만료 (재발송 시 이전 코드 무효화)
+  static async expireActiveCodes({ email, purpose }) {
+    const query = supabase
+      .from('email_verifications')
+      .update({ expires_at: new Date().toISOString() })
+      .eq('email', email)
+      .eq('is_verified', false)
+      .gt('expires_at', new Date().toISOString());
+
+    const { error } = await applyPurposeFilter(query, purpose);
+    if (error) throw error;
+  }
+
+  /**
+   * 인증 코드 확인 (모든 용도 공통, utils/verificationCode)
+   * 틀릴 때마다 시도 횟수를 늘리고, MAX_CODE_ATTEMPTS회 틀리면 코드를 만료시킵니다.
+   * @param {Object} target - { email, purpose, userId } 확인할 코드의 조건 (userId는 선택)
+   * @param {string} code - 사용자가 입력한 코드
+   * @returns {Promise<{status: 'verified'|'invalid'|'attempts_exceeded', verification?: Object, remainingAttempts?: number}>}
+   */
+  static async verifyCode({ email, purpose, userId = null }, code) {
+    let query = supabase
       .from('email_verifications')
       .select('*')
       .eq('email', email)
-      .eq('code', code)
       .eq('is_verified', false)
-      .gt('expires_at', new Date().toISOString())
+      .gt('expires_at', new Date().toISOString());
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await applyPurposeFilter(query, purpose)
       .order('created_at', { ascending: false })
       .limit(1)
-      .single();
+      .maybeSingle();
 
-    if (error && error.code !== 'PGRST116') throw error;
-    if (!data) return null;
+    if (error) throw error;
+    if (!data) return { status: 'invalid' };
 
-    // 인증 완료 처리
-    const { error: updateError } = await supabase
-      .from('email_verifications')
-      .update({
-        is_verified: true,
-        verified_at: new Date().toISOString()
-      })
-      .eq('id', data.id);
+    // 해시 저장 이전에 발급된 코드는 원본과 비교
+    return verifyHashedCode({
+      table: 'email_verifications',
+      row: data,
+      code,
+      maxAttempts: MAX_CODE_ATTEMPTS,
+      storedHash: data.code_hash || (data.code ? this.hashSecret(data.code) : '')
+    });
+  }
 
-    if (updateError) throw updateError;
+  // 사용 처리 (이미 사용된 코드면 null)
+  static async consumeCode(id) {
+    return consumeCode('email_verifications', id);
+  }
+
+  /**
+   * 회원가입 이메일 인증
+   * @returns {Promise<Object>} verifyCode 결과 (verified이면 사용자 이메일 인증 완료 처리됨)
+   */
+  static async verify(email, code) {
+    const result = await this.verifyCode({ email, purpose: PURPOSES.SIGNUP }, code);
+    if (result.status !== 'verified') return result;
+
+    const { verification } = result;
 
     // 사용자 이메일 인증 상태 업데이트
     const { data: userData, error: userUpdateError } = await supabase
@@ -78,7 +147,7 @@ class EmailVerification {
         email_verified: true,
         email_verified_at: new Date().toISOString()
       })
-      .eq('id', data.user_id)
+      .eq('id', verification.user_id)
       .select('name')
       .single();
 
@@ -92,27 +161,129 @@ class EmailVerification {
       console.error('인증 완료 메일 발송 실패 (무시됨):', emailError);
     }
 
-    return data;
+    return result;
   }
 
+  /**
+   * 회원가입 인증 코드 (재)발송
+   * 인증이 필요한 활성 계정이 있을 때만 새 코드를 발급합니다. (이전 코드는 만료)
+   * @returns {Promise<Object|null>} 발급된 인증 기록 (대상 계정이 없으면 null)
+   */
   static async resend(email) {
-    // 기존 미인증 코드들을 모두 만료 처리
-    await supabase
-      .from('email_verifications')
-      .update({ is_verified: true }) // 만료된 것으로 처리
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email_verified, is_active')
       .eq('email', email)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user || user.email_verified || user.is_active === false) return null;
+
+    return this.create(user.id, email);
+  }
+
+  /**
+   * 이메일 변경 인증 코드 발송 (새 이메일 주소로)
+   * 같은 사용자의 이전 변경 요청 코드는 만료 처리합니다.
+   */
+  static async createEmailChange(userId, newEmail) {
+    const { error } = await supabase
+      .from('email_verifications')
+      .update({ expires_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('purpose', PURPOSES.EMAIL_CHANGE)
       .eq('is_verified', false);
 
-    // 새 인증 코드 생성
-    const user = await supabase
-      .from('users')
-      .select('id')
-      .eq('email', email)
+    if (error) throw error;
+
+    return this.create(userId, newEmail, PURPOSES.EMAIL_CHANGE);
+  }
+
+  /**
+   * 이메일 변경 인증 코드 확인
+   * 사용자 정보는 변경하지 않으며, 코드가 유효하면 인증 처리된 기록을 verification으로 반환합니다.
+   * @returns {Promise<Object>} verifyCode 결과
+   */
+  static async verifyEmailChange(userId, newEmail, code) {
+    return this.verifyCode({ email: newEmail, purpose: PURPOSES.EMAIL_CHANGE, userId }, code);
+  }
+
+  // ============================================
+  // 비밀번호 없는 로그인 (이메일 코드 / 매직 링크)
+  // ============================================
+
+  /**
+   * 로그인 코드 + 매직 링크 토큰 발급
+   * 원본 값은 메일로만 전달하고 DB에는 SHA-256 해시만 저장합니다.
+   * 같은 사용자의 이전 로그인 코드는 만료 처리합니다.
+   * @returns {Promise<{verification: Object, code: string, token: string}>}
+   */
+  static async createLoginCode(user) {
+    const now = new Date();
+
+    const { error: expireError } = await supabase
+      .from('email_verifications')
+      .update({ expires_at: now.toISOString() })
+      .eq('user_id', user.id)
+      .eq('purpose', PURPOSES.LOGIN)
+      .eq('is_verified', false);
+
+    if (expireError) throw expireError;
+
+    const code = this.generateVerificationCode();
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const { data, error } = await supabase
+      .from('email_verifications')
+      .insert([{
+        user_id: user.id,
+        email: user.email,
+        code: null,
+        code_hash: this.hashSecret(code),
+        token_hash: this.hashSecret(token),
+        purpose: PURPOSES.LOGIN,
+        attempts: 0,
+        expires_at: new Date(now.getTime() + LOGIN_CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+        is_verified: false,
+        created_at: now.toISOString()
+      }])
+      .select()
       .single();
 
-    if (!user.data) throw new Error('User not found');
+    if (error) throw error;
+    return { verification: data, code, token };
+  }
 
-    return this.create(user.data.id, email);
+  /**
+   * 이메일 + 로그인 코드 확인
+   * @returns {Promise<Object>} verifyCode 결과
+   */
+  static async verifyLoginCode(email, code) {
+    return this.verifyCode({ email, purpose: PURPOSES.LOGIN }, code);
+  }
+
+  /**
+   * 매직 링크 토큰 확인
+   * @returns {Promise<Object|null>} 사용 처리된 인증 기록 (유효하지 않으면 null)
+   */
+  static async verifyLoginToken(token) {
+    const { data, error } = await supabase
+      .from('email_verifications')
+      .select('*')
+      .eq('token_hash', this.hashSecret(token))
+      .eq('purpose', PURPOSES.LOGIN)
+      .eq('is_verified', false)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    return this.consumeCode(data.id);
+  }
+
+  static hashSecret(value) {
+    return hashCode(value);
   }
 
   static generateVerificationCode() {
@@ -132,4 +303,9 @@ class EmailVerification {
   }
 }
 
+EmailVerification.PURPOSES = PURPOSES;
+EmailVerification.CODE_TTL_MINUTES = CODE_TTL_MINUTES;
+EmailVerification.MAX_CODE_ATTEMPTS = MAX_CODE_ATTEMPTS;
+EmailVerification.LOGIN_CODE_TTL_MINUTES = LOGIN_CODE_TTL_MINUTES;
+
 module.exports = EmailVerification;
\ No newline at end of file
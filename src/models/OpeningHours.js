@@ -0,0 +1,100 @@
+const supabase = require('../config/supabase');
+const { parseOpeningHours, getOpenStatus } = require('../utils/openingHours');
+
+const OPERATIONS_SELECT = 'restaurant_id, business_hours, break_time, last_order, regular_holidays, holiday_notice, special_days';
+
+// 전체 영업 일정 캐시 유지 시간 (영업 여부는 요청마다 현재 시각으로 다시 판단)
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const PAGE_SIZE = 1000;
+
+let cache = null;
+
+/**
+ * 맛집 영업시간 (restaurant_operations)
+ *
+ * 형식과 판단 규칙은 src/utils/openingHours.js 참고.
+ * "지금 영업 중" 필터는 전체 맛집의 영업 일정을 캐시해 두고 요청 시각 기준으로 골라냅니다.
+ */
+class OpeningHours {
+  static async findByRestaurantId(restaurantId) {
+    const { data, error } = await supabase
+      .from('restaurant_operations')
+      .select(OPERATIONS_SELECT)
+      .eq('restaurant_id', restaurantId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * 영업 정보 저장 (값 검증은 라우트에서 validateOpeningHours로)
+   * @param {string} restaurantId
+   * @param {Object} values - business_hours, break_time, last_order, regular_holidays, holiday_notice, special_days 중 바꿀 값
+   * @returns {Promise<Object|null>} 저장된 행 (맛집이 없으면 null)
+   */
+  static async upsert(restaurantId, values) {
+    const { data, error } = await supabase
+      .from('restaurant_operations')
+      .upsert({ restaurant_id: restaurantId, ...values }, { onConflict: 'restaurant_id' })
+      .select(OPERATIONS_SELECT)
+      .single();
+
+    // 없는 맛집 (외래 키 위반)
+    if (error && error.code === '23503') return null;
+    if (error) throw error;
+    this.clearCache();
+    return data;
+  }
+
+  static clearCache() {
+    cache = null;
+  }
+
+  /**
+   * 영업 정보 행 → 영업 상태 (is_open_now, closes_at, next_open_at, last_order_at)
+   */
+  static statusFor(operations, at = new Date()) {
+    return getOpenStatus(operations ? parseOpeningHours(operations).schedule : null, at);
+  }
+
+  // 맛집 ID → 영업 일정 (영업시간을 알 수 없는 맛집은 제외)
+  static async getSchedules() {
+    if (cache && cache.expiresAt > Date.now()) return cache.schedules;
+
+    const schedules = new Map();
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('restaurant_operations')
+        .select(OPERATIONS_SELECT)
+        .not('business_hours', 'is', null)
+        .order('restaurant_id', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      (data || []).forEach(operations => {
+        const { schedule } = parseOpeningHours(operations);
+        if (schedule) schedules.set(operations.restaurant_id, schedule);
+      });
+
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    cache = { schedules, expiresAt: Date.now() + CACHE_TTL_MS };
+    return schedules;
+  }
+
+  /**
+   * at 시각에 영업 중인 맛집 ID 목록
+   * @returns {Promise<string[]>}
+   */
+  static async findOpenRestaurantIds(at = new Date()) {
+    const schedules = await this.getSchedules();
+    return [...schedules]
+      .filter(([, schedule]) => getOpenStatus(schedule, at).is_open_now === true)
+      .map(([restaurantId]) => restaurantId);
+  }
+}
+
+module.exports = OpeningHours;
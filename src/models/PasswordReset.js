@@ -0,0 +1,88 @@
+const supabase = require('../config/supabase');
+const crypto = require('crypto');
+
+const RESET_TOKEN_TTL_MINUTES = 30;
+
+/**
+ * 비밀번호 재설정 토큰
+ *
+ * 원본 토큰은 메일 링크로만 전달되고 DB에는 SHA-256 해시만 저장합니다.
+ * 토큰은 1회용이며 30분 후 만료됩니다.
+ */
+class PasswordReset {
+  static hashToken(rawToken) {
+    return crypto.createHash('sha256').update(rawToken).digest('hex');
+  }
+
+  static async create(userId) {
+    // 이전에 발급된 미사용 토큰은 모두 무효화
+    await this.invalidateForUser(userId);
+
+    const rawToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+    const { data, error } = await supabase
+      .from('password_resets')
+      .insert([{
+        user_id: userId,
+        token_hash: this.hashToken(rawToken),
+        expires_at: expiresAt.toISOString(),
+        used_at: null,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { ...data, token: rawToken };
+  }
+
+  // 사용자의 미사용 토큰 모두 무효화 (새 토큰 발급, 이메일 변경 시)
+  static async invalidateForUser(userId) {
+    const { error } = await supabase
+      .from('password_resets')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('used_at', null);
+
+    if (error) throw error;
+  }
+
+  /**
+   * 사용 가능한 토큰과 그 사용자를 한 번에 조회
+   * @returns {Promise<{reset: Object, user: Object|null}|null>} 사용/만료된 토큰이면 null, 삭제된 계정이면 user가 null
+   */
+  static async findValidWithUser(rawToken) {
+    const { data, error } = await supabase
+      .from('password_resets')
+      .select('*, user:users!user_id (*)')
+      .eq('token_hash', this.hashToken(rawToken))
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    const { user, ...reset } = data;
+    return { reset, user: user || null };
+  }
+
+  // 사용 처리 (이미 사용된 토큰이면 null 반환)
+  static async markUsed(id) {
+    const { data, error } = await supabase
+      .from('password_resets')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('used_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+PasswordReset.RESET_TOKEN_TTL_MINUTES = RESET_TOKEN_TTL_MINUTES;
+
+module.exports = PasswordReset;
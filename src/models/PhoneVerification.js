@@ -0,0 +1,107 @@
+const supabase = require('../config/supabase');
+const crypto = require('crypto');
+const { hashCode, verifyHashedCode } = require('../utils/verificationCode');
+
+const CODE_TTL_MINUTES = 5;
+// 코드 하나당 허용하는 오답 횟수 (넘으면 코드 만료)
+const MAX_CODE_ATTEMPTS = 5;
+// 번호 하나에 하루 동안 보낼 수 있는 인증 문자 수
+const MAX_CODES_PER_DAY = 5;
+
+/**
+ * 휴대폰 인증 코드 (phone_verifications)
+ *
+ * 이메일 인증 코드와 같은 규칙(utils/verificationCode)을 따릅니다: 코드는 SHA-256 해시로만 저장하고,
+ * 새 코드를 발급하면 이전 코드는 만료되며, MAX_CODE_ATTEMPTS회 틀리면 코드를 만료시킵니다.
+ * 번호는 E.164 형식(+821012345678)으로 저장합니다.
+ */
+class PhoneVerification {
+  /**
+   * 인증 코드 발급 (같은 사용자의 이전 코드는 만료)
+   * @returns {Promise<{verification: Object, code: string}>}
+   */
+  static async create(userId, phone) {
+    const now = new Date();
+
+    const { error: expireError } = await supabase
+      .from('phone_verifications')
+      .update({ expires_at: now.toISOString() })
+      .eq('user_id', userId)
+      .eq('is_verified', false)
+      .gt('expires_at', now.toISOString());
+
+    if (expireError) throw expireError;
+
+    const code = crypto.randomInt(100000, 1000000).toString();
+
+    const { data, error } = await supabase
+      .from('phone_verifications')
+      .insert([{
+        user_id: userId,
+        phone,
+        code_hash: hashCode(code),
+        attempts: 0,
+        is_verified: false,
+        verified_at: null,
+        expires_at: new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+        created_at: now.toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { verification: data, code };
+  }
+
+  // 발송 실패 등으로 쓸 수 없게 된 코드 만료
+  static async expire(id) {
+    const { error } = await supabase
+      .from('phone_verifications')
+      .update({ expires_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+
+  // 최근 24시간 동안 번호로 보낸 인증 문자 수 (사용자와 관계없이)
+  static async countSentToday(phone) {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+    const { count, error } = await supabase
+      .from('phone_verifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('phone', phone)
+      .gte('created_at', since);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * 인증 코드 확인
+   * @returns {Promise<{status: 'verified'|'invalid'|'attempts_exceeded', verification?: Object, remainingAttempts?: number}>}
+   */
+  static async verify(userId, phone, code) {
+    const { data, error } = await supabase
+      .from('phone_verifications')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('phone', phone)
+      .eq('is_verified', false)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return { status: 'invalid' };
+
+    return verifyHashedCode({ table: 'phone_verifications', row: data, code, maxAttempts: MAX_CODE_ATTEMPTS });
+  }
+}
+
+PhoneVerification.CODE_TTL_MINUTES = CODE_TTL_MINUTES;
+PhoneVerification.MAX_CODE_ATTEMPTS = MAX_CODE_ATTEMPTS;
+PhoneVerification.MAX_CODES_PER_DAY = MAX_CODES_PER_DAY;
+
+module.exports = PhoneVerification;
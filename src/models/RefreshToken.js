@@ -0,0 +1,65 @@
+const supabase = require('../config/supabase');
+const crypto = require('crypto');
+
+/**
+ * 리프레시 토큰
+ *
+ * 원본 토큰은 클라이언트에게만 전달되고 DB에는 SHA-256 해시만 저장합니다.
+ * 각 토큰은 한 번만 사용할 수 있으며, 사용 시 같은 세션에 새 토큰이 발급됩니다.
+ */
+class RefreshToken {
+  static hashToken(rawToken) {
+    return crypto.createHash('sha256').update(rawToken).digest('hex');
+  }
+
+  static generateToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  static async create(sessionId, userId, expiresAt) {
+    const rawToken = this.generateToken();
+
+    const { data, error } = await supabase
+      .from('refresh_tokens')
+      .insert([{
+        session_id: sessionId,
+        user_id: userId,
+        token_hash: this.hashToken(rawToken),
+        expires_at: expiresAt.toISOString(),
+        used_at: null,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { ...data, token: rawToken };
+  }
+
+  static async findByToken(rawToken) {
+    const { data, error } = await supabase
+      .from('refresh_tokens')
+      .select('*')
+      .eq('token_hash', this.hashToken(rawToken))
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  // 사용 처리 (이미 사용된 토큰이면 null 반환 - 동시 사용 경합 방지)
+  static async markUsed(id) {
+    const { data, error } = await supabase
+      .from('refresh_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('used_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+module.exports = RefreshToken;
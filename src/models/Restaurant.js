@@ -1,4 +1,15 @@
 const supabase = require('../config/supabase');
+const RestaurantSearch = require('./RestaurantSearch');
+const OpeningHours = require('./OpeningHours');
+
+// 검색 문서 갱신 (실패해도 저장은 유지, 크론잡이 다음 동기화 때 다시 반영)
+const syncSearchDocument = async (restaurantId) => {
+  try {
+    await RestaurantSearch.reindex(restaurantId);
+  } catch (error) {
+    console.warn('⚠️ 검색 문서 갱신 실패:', restaurantId, error.message);
+  }
+};
 
 class Restaurant {
   /**
@@ -56,6 +67,7 @@ class Restaurant {
             restaurant_id: restaurant.id,
             business_hours
           }]);
+        OpeningHours.clearCache();
       }
 
       // 4. 시설 정보 추가
@@ -118,6 +130,8 @@ class Restaurant {
           .insert(tagInserts);
       }
 
+      await syncSearchDocument(restaurant.id);
+
       return restaurant;
     } catch (error) {
       console.error('레스토랑 생성 실패:', error);
@@ -483,8 +497,26 @@ class Restaurant {
 
   /**
    * 주변 레스토랑 검색 (PostGIS 사용)
+   * @param {Object} [options] - { restaurantIds: 이 맛집들 중에서만 찾음 (영업 중 필터) }
    */
-  static async findNearby(latitude, longitude, radiusKm = 5, limit = 50) {
+  static async findNearby(latitude, longitude, radiusKm = 5, limit = 50, { restaurantIds = null } = {}) {
+    // 영업 중 필터: 반경 안에서 restaurantIds로 먼저 거른 뒤 limit개
+    if (restaurantIds) {
+      if (restaurantIds.length === 0) return [];
+
+      const { data, error } = await supabase
+        .rpc('nearby_restaurants_filtered', {
+          p_lat: latitude,
+          p_lng: longitude,
+          p_radius_km: radiusKm,
+          p_limit: limit,
+          p_restaurant_ids: restaurantIds
+        });
+
+      if (error) throw error;
+      return data;
+    }
+
     const { data, error } = await supabase
       .rpc('nearby_restaurants', {
         lat: latitude,
@@ -543,6 +575,7 @@ class Restaurant {
             restaurant_id: id,
             business_hours
           });
+        OpeningHours.clearCache();
       }
 
       // 4. 시설 정보 업데이트
@@ -567,6 +600,8 @@ class Restaurant {
           });
       }
 
+      await syncSearchDocument(id);
+
       return data;
     } catch (error) {
       console.error('레스토랑 업데이트 실패:', error);
@@ -584,6 +619,8 @@ class Restaurant {
       .eq('id', id);
 
     if (error) throw error;
+
+    await syncSearchDocument(id);
     return true;
   }
 
@@ -0,0 +1,101 @@
+const supabase = require('../config/supabase');
+
+// 이 줌 레벨까지는 클러스터, 더 확대하면 개별 마커
+const CLUSTER_MAX_ZOOM = 15;
+// 지도 타일(256px) 한 변을 나누는 격자 수 (셀 하나가 화면에서 약 64px)
+const CELLS_PER_TILE = 4;
+// 한 번에 돌려주는 최대 마커/클러스터 수
+const MAX_MARKERS = 300;
+const MAX_CLUSTERS = 500;
+
+// 좌표 자릿수 정리 (약 1m)
+const roundCoordinate = (value) => Math.round(Number(value) * 1e5) / 1e5;
+
+/**
+ * 지도 화면(bounding box) 맛집 조회
+ *
+ * 줌 레벨에 따라 격자 셀 크기를 정하고 DB에서 셀별로 묶어 셀마다 맛집 수, 좌표 평균(centroid),
+ * 대표 맛집(평점 → 리뷰 수 순)을 돌려받습니다. 격자는 경도/위도 0에서 시작하는 고정 격자라
+ * 지도를 옮겨도 같은 줌에서는 클러스터가 흔들리지 않습니다.
+ * 필터(p_category_ids, p_filters)는 search_restaurants와 같은 형식입니다.
+ */
+class RestaurantMap {
+  static isClusterZoom(zoom) {
+    return zoom <= CLUSTER_MAX_ZOOM;
+  }
+
+  // 줌 레벨 → 격자 셀 한 변 (도)
+  static cellSize(zoom) {
+    return 360 / (2 ** zoom) / CELLS_PER_TILE;
+  }
+
+  static boundsParams({ swLat, swLng, neLat, neLng }) {
+    return {
+      p_sw_lat: swLat,
+      p_sw_lng: swLng,
+      p_ne_lat: neLat,
+      p_ne_lng: neLng
+    };
+  }
+
+  /**
+   * 화면 안 맛집 (평점 → 리뷰 수 순, 최대 MAX_MARKERS개)
+   * @returns {Promise<{restaurantIds: string[], total: number}>}
+   */
+  static async findMarkers({ bounds, categoryIds = [], filters = null }) {
+    const { data, error } = await supabase
+      .rpc('map_restaurant_markers', {
+        ...this.boundsParams(bounds),
+        p_category_ids: categoryIds.length > 0 ? categoryIds : null,
+        p_filters: filters,
+        p_limit: MAX_MARKERS
+      });
+
+    if (error) throw error;
+
+    const rows = data || [];
+    return {
+      restaurantIds: rows.map(row => row.restaurant_id),
+      total: rows.length > 0 ? Number(rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * 화면 안 격자 클러스터 (맛집이 많은 셀 순, 최대 MAX_CLUSTERS개)
+   * @returns {Promise<Array<{id: string, count: number, latitude: number, longitude: number, bounds: Object, top_restaurant_id: string}>>}
+   */
+  static async findClusters({ bounds, zoom, categoryIds = [], filters = null }) {
+    const cellSize = this.cellSize(zoom);
+
+    const { data, error } = await supabase
+      .rpc('map_restaurant_clusters', {
+        ...this.boundsParams(bounds),
+        p_cell_size: cellSize,
+        p_category_ids: categoryIds.length > 0 ? categoryIds : null,
+        p_filters: filters,
+        p_limit: MAX_CLUSTERS
+      });
+
+    if (error) throw error;
+
+    return (data || []).map(row => ({
+      id: `${zoom}:${row.cell_x}:${row.cell_y}`,
+      count: Number(row.restaurant_count) || 0,
+      latitude: roundCoordinate(row.latitude),
+      longitude: roundCoordinate(row.longitude),
+      // 셀 영역 (클러스터를 누르면 이 영역으로 확대)
+      bounds: {
+        sw_lat: roundCoordinate(row.cell_y * cellSize),
+        sw_lng: roundCoordinate(row.cell_x * cellSize),
+        ne_lat: roundCoordinate((row.cell_y + 1) * cellSize),
+        ne_lng: roundCoordinate((row.cell_x + 1) * cellSize)
+      },
+      top_restaurant_id: row.top_restaurant_id
+    }));
+  }
+}
+
+RestaurantMap.CLUSTER_MAX_ZOOM = CLUSTER_MAX_ZOOM;
+RestaurantMap.MAX_MARKERS = MAX_MARKERS;
+
+module.exports = RestaurantMap;
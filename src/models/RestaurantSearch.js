@@ -0,0 +1,386 @@
+const supabase = require('../config/supabase');
+const { buildSearchDocument, toJamo } = require('../utils/searchText');
+const { fuzzyMatch, MIN_FUZZY_QUERY_LENGTH } = require('../utils/fuzzyMatch');
+const {
+  FACILITY_FLAGS,
+  SERVICE_FLAGS,
+  RATING_STEPS,
+  REVIEW_COUNT_STEPS,
+  extractFilterAttributes
+} = require('../utils/restaurantFilters');
+
+// 검색 문서를 만드는 데 필요한 맛집 정보
+const SOURCE_SELECT = `
+  id,
+  name,
+  description,
+  address,
+  road_address,
+  category_id,
+  price_range,
+  created_at,
+  updated_at,
+  categories (
+    name,
+    category_translations (
+      language_code,
+      name
+    )
+  ),
+  restaurant_tags (
+    tag_id,
+    tags (
+      name
+    )
+  ),
+  restaurant_facilities (
+    ${FACILITY_FLAGS.join(',\n    ')}
+  ),
+  restaurant_services (
+    ${SERVICE_FLAGS.join(',\n    ')}
+  ),
+  menus (
+    name,
+    name_en
+  )
+`;
+
+const REBUILD_BATCH_SIZE = 200;
+// 오타 허용 검색에서 DB가 trigram 유사도로 골라 주는 후보 수
+const FUZZY_CANDIDATE_LIMIT = 100;
+// 태그 패싯은 맛집 수가 많은 순으로 이 개수까지만 반환
+const TAG_FACET_LIMIT = 30;
+// .in() 필터 한 번에 넣을 ID 수 (URL 길이 제한)
+const ID_CHUNK_SIZE = 100;
+
+// 인덱스가 아직 준비되지 않았을 때 다시 확인하는 간격
+const READY_CHECK_INTERVAL_MS = 30 * 1000;
+
+// 인덱스 준비 상태 (한 번 준비되면 다시 확인하지 않음)
+let indexReady = false;
+let readyCheckedAt = 0;
+
+// distance는 가까운 순 (위치가 있을 때만)
+const SORT_COLUMNS = ['relevance', 'view_count', 'review_count', 'rating', 'favorite_count', 'created_at', 'distance'];
+
+// RPC의 distance_m (미터, 위치가 없으면 null) → 정수
+const toDistance = (value) => (value === null || value === undefined ? null : Math.round(Number(value)));
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * 맛집 검색 인덱스 (restaurant_search_documents)
+ *
+ * 맛집마다 이름, 주소, 카테고리, 태그, 메뉴 이름과 각각의 초성/로마자 표기를 정규화해 담은 검색 문서를 미리 만들어 두고,
+ * 검색은 search_restaurants RPC가 trigram 인덱스로 찾아 관련도 점수와 함께 페이지 단위로 돌려줍니다.
+ * 맛집이 바뀌면 reindex로 해당 문서만 다시 만들고, 크론잡이 API 밖에서 바뀐 맛집/메뉴를 주기적으로 반영합니다.
+ */
+class RestaurantSearch {
+  /**
+   * 검색 인덱스 준비 여부 (맛집 수만큼 검색 문서가 있는지)
+   *
+   * 배포 직후처럼 인덱스가 비어 있거나 만드는 중이면 false이며, 그동안 목록은 restaurants에서 직접 조회합니다.
+   * 준비되지 않았으면 READY_CHECK_INTERVAL_MS마다 다시 확인합니다.
+   */
+  static async isIndexReady() {
+    if (indexReady) return true;
+    if (Date.now() - readyCheckedAt < READY_CHECK_INTERVAL_MS) return false;
+    readyCheckedAt = Date.now();
+
+    const [documents, restaurants] = await Promise.all([
+      supabase.from('restaurant_search_documents').select('restaurant_id', { count: 'exact', head: true }),
+      supabase.from('restaurants').select('id', { count: 'exact', head: true })
+    ]);
+
+    if (documents.error) throw documents.error;
+    if (restaurants.error) throw restaurants.error;
+
+    indexReady = (documents.count || 0) >= (restaurants.count || 0);
+    return indexReady;
+  }
+
+  // 맛집 원본 조회 후 검색 문서 저장 (없어진 맛집은 문서 삭제)
+  static async reindex(restaurantIds) {
+    const ids = [...new Set([].concat(restaurantIds).filter(Boolean))];
+    let indexed = 0;
+
+    for (const idChunk of chunk(ids, ID_CHUNK_SIZE)) {
+      const { data, error } = await supabase
+        .from('restaurants')
+        .select(SOURCE_SELECT)
+        .in('id', idChunk);
+
+      if (error) throw error;
+
+      indexed += await this.saveDocuments(data || []);
+
+      const foundIds = new Set((data || []).map(restaurant => restaurant.id));
+      const missingIds = idChunk.filter(id => !foundIds.has(id));
+      if (missingIds.length > 0) {
+        await this.remove(missingIds);
+      }
+    }
+
+    return indexed;
+  }
+
+  static async saveDocuments(restaurants) {
+    if (restaurants.length === 0) return 0;
+
+    const { error } = await supabase
+      .from('restaurant_search_documents')
+      .upsert(restaurants.map(restaurant => ({
+        ...buildSearchDocument(restaurant),
+        ...extractFilterAttributes(restaurant)
+      })), { onConflict: 'restaurant_id' });
+
+    if (error) throw error;
+    return restaurants.length;
+  }
+
+  static async remove(restaurantIds) {
+    const { error } = await supabase
+      .from('restaurant_search_documents')
+      .delete()
+      .in('restaurant_id', [].concat(restaurantIds));
+
+    if (error) throw error;
+  }
+
+  // 카테고리 이름이 바뀌었을 때 해당 카테고리 맛집 문서 갱신
+  static async reindexCategory(categoryId) {
+    const { data, error } = await supabase
+      .from('restaurants')
+      .select('id')
+      .eq('category_id', categoryId);
+
+    if (error) throw error;
+    return this.reindex((data || []).map(restaurant => restaurant.id));
+  }
+
+  /**
+   * since 이후 바뀐 맛집/메뉴의 문서만 갱신 (증분 반영)
+   * @returns {Promise<number>} 갱신한 문서 수
+   */
+  static async reindexChangedSince(since) {
+    const sinceIso = new Date(since).toISOString();
+
+    const [restaurants, menus] = await Promise.all([
+      supabase.from('restaurants').select('id').gt('updated_at', sinceIso),
+      supabase.from('menus').select('restaurant_id').gt('updated_at', sinceIso)
+    ]);
+
+    if (restaurants.error) throw restaurants.error;
+    if (menus.error) throw menus.error;
+
+    const ids = [
+      ...(restaurants.data || []).map(row => row.id),
+      ...(menus.data || []).map(row => row.restaurant_id)
+    ];
+
+    return ids.length > 0 ? this.reindex(ids) : 0;
+  }
+
+  /**
+   * 전체 재생성 (태그 연결 해제처럼 증분으로 잡히지 않는 변경 반영용)
+   * @returns {Promise<number>} 생성한 문서 수
+   */
+  static async rebuildAll({ batchSize = REBUILD_BATCH_SIZE } = {}) {
+    let offset = 0;
+    let indexed = 0;
+
+    for (;;) {
+      const { data, error } = await supabase
+        .from('restaurants')
+        .select(SOURCE_SELECT)
+        .order('id', { ascending: true })
+        .range(offset, offset + batchSize - 1);
+
+      if (error) throw error;
+
+      indexed += await this.saveDocuments(data || []);
+      if (!data || data.length < batchSize) break;
+      offset += batchSize;
+    }
+
+    indexReady = true;
+    return indexed;
+  }
+
+  // RPC 공통 검색 조건 (검색어가 없으면 필터만 적용)
+  static buildConditions({ query, termGroups, categoryIds = [], filters = null, location = null }) {
+    return {
+      p_mode: query ? query.type : null,
+      p_term_groups: termGroups || (query ? query.terms.map(term => [term]) : []),
+      p_category_ids: categoryIds.length > 0 ? categoryIds : null,
+      p_filters: filters,
+      ...this.locationParams(location)
+    };
+  }
+
+  // 사용자 위치 (있으면 RPC가 distance_m 계산, 거리 필터/정렬에 사용)
+  static locationParams(location) {
+    return {
+      p_lat: location ? location.latitude : null,
+      p_lng: location ? location.longitude : null
+    };
+  }
+
+  /**
+   * 검색 (관련도 점수 계산, 필터, 정렬, 페이지네이션은 DB에서)
+   * @param {Object} options
+   * @param {{type: 'chosung'|'latin'|'text', terms: string[]}|null} options.query - parseSearchQuery 결과 (없으면 필터만 적용)
+   * @param {string[][]} [options.termGroups] - 단어마다 [원래 단어, ...동의어] (SearchSynonym.expandQuery 결과, 생략 시 확장 없음)
+   * @param {string[]} [options.categoryIds]
+   * @param {Object} [options.filters] - parseRestaurantFilters 결과
+   * @param {{latitude: number, longitude: number}} [options.location] - 사용자 위치 (distance 정렬, max_distance_m 필터에 필요)
+   * @param {string} [options.sort] - SORT_COLUMNS 중 하나 (기본 relevance)
+   * @param {Array} [options.after] - 커서 페이지네이션: 이전 페이지 마지막 결과의 sort_key (있으면 offset 무시)
+   * @returns {Promise<{results: Array<{restaurant_id: string, search_score: number, match_type: 'exact', sort_key: Array, distance_m: number|null}>, total: number}>}
+   *   커서 페이지네이션에서 total은 after 이후 남은 결과 수
+   */
+  static async search({ sort = 'relevance', limit = 20, offset = 0, after = null, ...conditions }) {
+    const { data, error } = await supabase
+      .rpc('search_restaurants', {
+        ...this.buildConditions(conditions),
+        p_sort: SORT_COLUMNS.includes(sort) ? sort : 'relevance',
+        p_after: after,
+        p_limit: limit,
+        p_offset: after ? 0 : offset
+      });
+
+    if (error) throw error;
+
+    const rows = data || [];
+    return {
+      results: rows.map(row => ({
+        restaurant_id: row.restaurant_id,
+        search_score: Number(row.search_score) || 0,
+        match_type: 'exact',
+        sort_key: row.sort_key,
+        distance_m: toDistance(row.distance_m)
+      })),
+      total: rows.length > 0 ? Number(rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * 오타 허용 검색 (이름 기준)
+   *
+   * DB가 name_jamo trigram 유사도로 후보를 고르면, 자모 편집 거리로 다시 걸러 점수순으로 정렬합니다.
+   * 후보 수가 제한되어 있으므로 정확히 일치하는 결과가 없을 때의 대안으로만 사용합니다.
+   * sort가 distance면 점수 대신 가까운 순으로 정렬합니다.
+   * @returns {Promise<{results: Array<{restaurant_id: string, search_score: number, match_type: 'fuzzy', distance_m: number|null}>, total: number}>}
+   */
+  static async fuzzySearch({ query, categoryIds = [], filters = null, location = null, sort = 'relevance', limit = 20, offset = 0 }) {
+    if (!query || query.type !== 'text') return { results: [], total: 0 };
+
+    const queryJamo = toJamo(query.text);
+    if (queryJamo.length < MIN_FUZZY_QUERY_LENGTH) return { results: [], total: 0 };
+
+    const { data, error } = await supabase
+      .rpc('search_restaurants_fuzzy', {
+        p_jamo: queryJamo,
+        p_category_ids: categoryIds.length > 0 ? categoryIds : null,
+        p_filters: filters,
+        ...this.locationParams(location),
+        p_limit: FUZZY_CANDIDATE_LIMIT
+      });
+
+    if (error) throw error;
+
+    const byDistance = sort === 'distance' && location;
+    const matches = (data || [])
+      .map(row => ({ row, match: fuzzyMatch(queryJamo, row.name_jamo) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => (byDistance ? toDistance(a.row.distance_m) - toDistance(b.row.distance_m) : 0) ||
+        a.match.distance - b.match.distance ||
+        a.row.name_jamo.length - b.row.name_jamo.length)
+      .map(({ row, match }) => ({
+        restaurant_id: row.restaurant_id,
+        search_score: match.score,
+        match_type: 'fuzzy',
+        distance_m: toDistance(row.distance_m)
+      }));
+
+    return {
+      results: matches.slice(offset, offset + limit),
+      total: matches.length
+    };
+  }
+
+  /**
+   * 패싯 집계 (search와 같은 조건의 결과에서 값별 맛집 수)
+   *
+   * price_range는 여러 값 중 하나를 고르는 필터라 자기 필터를 빼고 세며,
+   * 나머지 항목은 현재 결과 중 해당 값을 가진 맛집 수입니다.
+   * @returns {Promise<Object>} { price_range, facilities, services, tags, min_rating, min_review_count } 각각 [{ value, count }]
+   */
+  static async facetCounts(conditions) {
+    const { data, error } = await supabase
+      .rpc('restaurant_facet_counts', {
+        ...this.buildConditions(conditions),
+        p_rating_steps: RATING_STEPS,
+        p_review_count_steps: REVIEW_COUNT_STEPS
+      });
+
+    if (error) throw error;
+
+    const countsOf = (facet) => new Map((data || [])
+      .filter(row => row.facet === facet)
+      .map(row => [String(row.value), Number(row.count) || 0]));
+
+    const byCountDesc = (a, b) => b.count - a.count;
+
+    const priceCounts = countsOf('price_range');
+    const facilityCounts = countsOf('facility');
+    const serviceCounts = countsOf('service');
+    const ratingCounts = countsOf('min_rating');
+    const reviewCounts = countsOf('min_review_count');
+    const tagCounts = [...countsOf('tag')]
+      .map(([value, count]) => ({ value, count }))
+      .filter(tag => tag.count > 0)
+      .sort(byCountDesc)
+      .slice(0, TAG_FACET_LIMIT);
+
+    return {
+      price_range: [...priceCounts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => a.value.localeCompare(b.value)),
+      facilities: FACILITY_FLAGS.map(value => ({ value, count: facilityCounts.get(value) || 0 })),
+      services: SERVICE_FLAGS.map(value => ({ value, count: serviceCounts.get(value) || 0 })),
+      tags: await this.attachTagNames(tagCounts),
+      min_rating: RATING_STEPS.map(value => ({ value, count: ratingCounts.get(String(value)) || 0 })),
+      min_review_count: REVIEW_COUNT_STEPS.map(value => ({ value, count: reviewCounts.get(String(value)) || 0 }))
+    };
+  }
+
+  static async attachTagNames(tagCounts) {
+    if (tagCounts.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('tags')
+      .select('id, name, icon, color')
+      .in('id', tagCounts.map(tag => tag.value));
+
+    if (error) throw error;
+
+    const tagsById = new Map((data || []).map(tag => [tag.id, tag]));
+    return tagCounts
+      .filter(tag => tagsById.has(tag.value))
+      .map(tag => {
+        const { name, icon, color } = tagsById.get(tag.value);
+        return { ...tag, name, icon, color };
+      });
+  }
+}
+
+RestaurantSearch.SORT_COLUMNS = SORT_COLUMNS;
+
+module.exports = RestaurantSearch;
@@ -0,0 +1,186 @@
+const supabase = require('../config/supabase');
+const defaultSynonyms = require('../data/search-synonyms.json');
+const { normalizeSearchText } = require('../utils/searchText');
+
+// 사전 캐시 유지 시간 (관리자 수정 시에는 바로 비움)
+const CACHE_TTL_MS = 5 * 60 * 1000;
+// 검색어 한 단어에 붙이는 확장어 최대 개수
+const MAX_EXPANSIONS_PER_TERM = 10;
+
+let cache = null;
+
+const normalizeEntry = (entry) => ({
+  term: normalizeSearchText(entry.term),
+  expansions: [...new Set((entry.expansions || []).map(normalizeSearchText).filter(Boolean))],
+  bidirectional: Boolean(entry.bidirectional),
+  is_active: entry.is_active !== false
+});
+
+/**
+ * 검색 동의어/확장어 사전 (search_synonyms)
+ *
+ * 기본 사전(src/data/search-synonyms.json)에 관리자가 등록한 항목을 더해 씁니다.
+ * 같은 단어가 둘 다 있으면 관리자 항목이 우선하며, 비활성(is_active=false) 항목으로 기본 항목을 끌 수 있습니다.
+ * - 단방향: "고기집" → 삼겹살, 갈비 (삼겹살 검색에는 고기집이 붙지 않음)
+ * - 양방향(bidirectional): "치킨" ↔ "통닭"
+ */
+class SearchSynonym {
+  static async findAll() {
+    const { data, error } = await supabase
+      .from('search_synonyms')
+      .select('*')
+      .order('term', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabase
+      .from('search_synonyms')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async findByTerm(term) {
+    const { data, error } = await supabase
+      .from('search_synonyms')
+      .select('*')
+      .eq('term', normalizeSearchText(term))
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async create(entry) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('search_synonyms')
+      .insert([{
+        ...normalizeEntry(entry),
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    this.clearCache();
+    return data;
+  }
+
+  static async update(id, changes) {
+    const values = {};
+    if (changes.term !== undefined) values.term = normalizeSearchText(changes.term);
+    if (changes.expansions !== undefined) values.expansions = normalizeEntry(changes).expansions;
+    if (changes.bidirectional !== undefined) values.bidirectional = Boolean(changes.bidirectional);
+    if (changes.is_active !== undefined) values.is_active = Boolean(changes.is_active);
+
+    const { data, error } = await supabase
+      .from('search_synonyms')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    this.clearCache();
+    return data;
+  }
+
+  static async delete(id) {
+    const { data, error } = await supabase
+      .from('search_synonyms')
+      .delete()
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    this.clearCache();
+    return data;
+  }
+
+  static clearCache() {
+    cache = null;
+  }
+
+  static getDefaultEntries() {
+    return defaultSynonyms.map(normalizeEntry);
+  }
+
+  /**
+   * 단어 → 확장어 목록 (기본 사전 + 관리자 항목, 양방향 항목은 역방향도 포함)
+   * @returns {Promise<Map<string, string[]>>}
+   */
+  static async getDictionary() {
+    if (cache && cache.expiresAt > Date.now()) return cache.dictionary;
+
+    let customEntries = [];
+    try {
+      customEntries = (await this.findAll()).map(normalizeEntry);
+    } catch (error) {
+      // 사전 조회 실패로 검색이 멈추지 않도록 기본 사전만 사용
+      console.warn('⚠️ 검색 동의어 사전 조회 실패, 기본 사전 사용:', error.message);
+    }
+
+    const entriesByTerm = new Map(this.getDefaultEntries().map(entry => [entry.term, entry]));
+    customEntries.forEach(entry => entriesByTerm.set(entry.term, entry));
+
+    const dictionary = new Map();
+    const add = (term, expansion) => {
+      if (term === expansion) return;
+      if (!dictionary.has(term)) dictionary.set(term, new Set());
+      dictionary.get(term).add(expansion);
+    };
+
+    for (const entry of entriesByTerm.values()) {
+      if (!entry.is_active || !entry.term) continue;
+
+      entry.expansions.forEach(expansion => {
+        add(entry.term, expansion);
+        if (entry.bidirectional) add(expansion, entry.term);
+      });
+    }
+
+    const result = new Map([...dictionary].map(([term, expansions]) => [
+      term,
+      [...expansions].slice(0, MAX_EXPANSIONS_PER_TERM)
+    ]));
+
+    cache = { dictionary: result, expiresAt: Date.now() + CACHE_TTL_MS };
+    return result;
+  }
+
+  /**
+   * 검색어 확장
+   * @param {{type: string, terms: string[]}} query - parseSearchQuery 결과 (초성 검색은 확장하지 않음)
+   * @returns {Promise<{termGroups: string[][], applied: Array<{term: string, expansions: string[]}>}>}
+   *   termGroups는 단어마다 [원래 단어, ...확장어], applied는 실제로 확장된 단어
+   */
+  static async expandQuery(query) {
+    if (query.type === 'chosung') {
+      return { termGroups: query.terms.map(term => [term]), applied: [] };
+    }
+
+    const dictionary = await this.getDictionary();
+    const applied = [];
+
+    const termGroups = query.terms.map(term => {
+      const expansions = dictionary.get(term) || [];
+      if (expansions.length > 0) applied.push({ term, expansions });
+      return [term, ...expansions];
+    });
+
+    return { termGroups, applied };
+  }
+}
+
+SearchSynonym.MAX_EXPANSIONS_PER_TERM = MAX_EXPANSIONS_PER_TERM;
+
+module.exports = SearchSynonym;
@@ -0,0 +1,157 @@
+const supabase = require('../config/supabase');
+
+// 보관 기간이 지난 기록은 정리 작업이 삭제
+const RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 365;
+
+const EVENT_TYPES = Object.freeze({
+  ACCOUNT_CREATED: 'account.created',
+  LOGIN_SUCCEEDED: 'login.succeeded',
+  LOGIN_FAILED: 'login.failed',
+  LOGIN_CODE_REQUESTED: 'login.code_requested',
+  ACCOUNT_LOCKED: 'account.locked',
+  ACCOUNT_UNLOCKED: 'account.unlocked',
+  LOGOUT: 'session.logout',
+  LOGOUT_ALL: 'session.logout_all',
+  SESSION_REVOKED: 'session.revoked',
+  REFRESH_TOKEN_REUSED: 'session.refresh_token_reused',
+  PASSWORD_CHANGED: 'password.changed',
+  PASSWORD_RESET_REQUESTED: 'password.reset_requested',
+  PASSWORD_RESET: 'password.reset',
+  EMAIL_CHANGE_REQUESTED: 'email.change_requested',
+  EMAIL_CHANGED: 'email.changed',
+  PHONE_VERIFIED: 'phone.verified',
+  TWO_FACTOR_ENABLED: 'two_factor.enabled',
+  TWO_FACTOR_DISABLED: 'two_factor.disabled',
+  TWO_FACTOR_BACKUP_CODES_REGENERATED: 'two_factor.backup_codes_regenerated',
+  IDENTITY_LINKED: 'identity.linked',
+  IDENTITY_UNLINKED: 'identity.unlinked',
+  DELETION_REQUESTED: 'account.deletion_requested',
+  ACCOUNT_RECOVERED: 'account.recovered',
+  DATA_EXPORT_REQUESTED: 'account.data_export_requested'
+});
+
+const EVENT_TYPE_VALUES = Object.values(EVENT_TYPES);
+
+// 이름에 이 단어가 들어간 메타데이터 항목은 값과 관계없이 저장하지 않음
+const SENSITIVE_KEY_PATTERN = /pass(word)?|secret|token|code|otp|hash|salt|cookie|authorization|api[_-]?key/i;
+const MAX_STRING_LENGTH = 512;
+const MAX_DEPTH = 3;
+
+/**
+ * 메타데이터에서 민감한 항목 제거
+ * 비밀번호, 토큰, 인증 코드, 해시 등은 키 이름으로 걸러내고 긴 문자열은 자릅니다.
+ */
+const sanitizeMetadata = (value, depth = 0) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') return value.slice(0, MAX_STRING_LENGTH);
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return null;
+
+  if (Array.isArray(value)) {
+    return value.map(item => sanitizeMetadata(item, depth + 1));
+  }
+
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (SENSITIVE_KEY_PATTERN.test(key) || item === undefined) continue;
+      result[key] = sanitizeMetadata(item, depth + 1);
+    }
+    return result;
+  }
+
+  return null;
+};
+
+/**
+ * 계정 보안 이벤트 (security_events)
+ *
+ * 로그인 성공/실패, 비밀번호/이메일 변경, 2단계 인증, 소셜 계정 연결, 세션 종료, 탈퇴/복구 등
+ * 계정 보안과 관련된 사건을 사용자, IP, User-Agent와 함께 기록합니다.
+ */
+class SecurityEvent {
+  /**
+   * 이벤트 기록
+   * @param {Object} entry - { userId, eventType, ipAddress, userAgent, metadata }
+   */
+  static async record({ userId = null, eventType, ipAddress = null, userAgent = null, metadata = {} }) {
+    const { data, error } = await supabase
+      .from('security_events')
+      .insert([{
+        user_id: userId,
+        event_type: eventType,
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        metadata: sanitizeMetadata(metadata) || {},
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // 사용자 본인의 최근 이벤트
+  static async findByUserId(userId, { page = 1, limit = 20, eventType } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('security_events')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (eventType) query = query.eq('event_type', eventType);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { events: data || [], total: count || 0 };
+  }
+
+  // 관리자 조회 (전체 사용자)
+  static async search({ page = 1, limit = 50, userId, eventType, ipAddress, from, to } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('security_events')
+      .select('*', { count: 'exact' });
+
+    if (userId) query = query.eq('user_id', userId);
+    if (eventType) query = query.eq('event_type', eventType);
+    if (ipAddress) query = query.eq('ip_address', ipAddress);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { events: data || [], total: count || 0 };
+  }
+
+  // 보관 기간이 지난 기록 삭제
+  static async deleteExpired() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('security_events')
+      .delete()
+      .lt('created_at', cutoff)
+      .select('id');
+
+    if (error) throw error;
+    return data?.length || 0;
+  }
+}
+
+SecurityEvent.EVENT_TYPES = EVENT_TYPES;
+SecurityEvent.EVENT_TYPE_VALUES = EVENT_TYPE_VALUES;
+SecurityEvent.RETENTION_DAYS = RETENTION_DAYS;
+SecurityEvent.sanitizeMetadata = sanitizeMetadata;
+
+module.exports = SecurityEvent;
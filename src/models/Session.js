@@ -0,0 +1,167 @@
+const supabase = require('../config/supabase');
+
+// 마지막 접속 시각은 이 간격보다 자주 갱신하지 않음 (요청마다 쓰기 방지)
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * 로그인 세션 (리프레시 토큰 패밀리)
+ *
+ * 로그인 1회당 세션 1개가 생성되고, 해당 로그인에서 발급된 모든 리프레시 토큰은
+ * 같은 세션에 속합니다. 액세스 토큰의 sid 클레임이 세션 ID를 가리키므로
+ * 세션을 폐기하면 그 세션의 액세스/리프레시 토큰이 모두 무효화됩니다.
+ * 기기 관리 화면을 위해 로그인 당시의 User-Agent와 IP, 마지막 접속 시각을 함께 저장합니다.
+ */
+class Session {
+  static async create(userId, expiresAt, { userAgent = null, ipAddress = null } = {}) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .insert([{
+        user_id: userId,
+        user_agent: userAgent,
+        ip_address: ipAddress,
+        expires_at: expiresAt.toISOString(),
+        revoked_at: null,
+        revoked_reason: null,
+        created_at: now,
+        last_seen_at: now
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  // 사용 중인 세션 조회 (폐기/만료되었거나 다른 사용자의 세션이면 null)
+  static async findActive(id, userId) {
+    const session = await this.findById(id);
+
+    if (!session || session.user_id !== userId) return null;
+    if (session.revoked_at) return null;
+    if (new Date(session.expires_at) <= new Date()) return null;
+
+    return session;
+  }
+
+  /**
+   * 사용 중인 세션과 그 사용자를 한 번에 조회 (인증 미들웨어에서 요청마다 사용)
+   * @returns {Promise<{session: Object, user: Object|null}|null>} 폐기/만료되었거나 다른 사용자의 세션이면 null
+   */
+  static async findActiveWithUser(id, userId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('*, user:users!user_id (*)')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    const { user, ...session } = data;
+    return { session, user: user || null };
+  }
+
+  // 사용자의 사용 중인 세션 목록 (최근 접속 순)
+  static async findActiveByUserId(userId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('*')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_seen_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // 이전에 같은 기기(User-Agent)로 로그인한 적이 있는지 확인
+  static async hasDeviceHistory(userId, userAgent) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('user_agent', userAgent)
+      .limit(1);
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  static async hasAnySession(userId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('id')
+      .eq('user_id', userId)
+      .limit(1);
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  // 마지막 접속 시각 갱신 (일정 간격 이내면 건너뜀)
+  static async touch(session) {
+    const lastSeen = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+    if (Date.now() - lastSeen < LAST_SEEN_UPDATE_INTERVAL_MS) return;
+
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({ last_seen_at: new Date().toISOString() })
+      .eq('id', session.id);
+
+    if (error) throw error;
+  }
+
+  static async revoke(id, reason = 'logout') {
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: reason
+      })
+      .eq('id', id)
+      .is('revoked_at', null);
+
+    if (error) throw error;
+    return true;
+  }
+
+  // 사용자의 모든 세션 폐기 (exceptId가 주어지면 해당 세션은 유지)
+  static async revokeAllForUser(userId, { reason = 'logout_all', exceptId = null } = {}) {
+    let query = supabase
+      .from('user_sessions')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: reason
+      })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (exceptId) {
+      query = query.neq('id', exceptId);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) throw error;
+    return data?.length || 0;
+  }
+}
+
+module.exports = Session;
@@ -0,0 +1,220 @@
+const supabase = require('../config/supabase');
+const crypto = require('crypto');
+const { generateSecret, verifyTotp } = require('../utils/totp');
+
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * TOTP 2단계 인증
+ *
+ * user_two_factor: 사용자별 TOTP 비밀키 (AES-256-GCM 암호화 저장)
+ * two_factor_backup_codes: 1회용 백업 코드 (SHA-256 해시만 저장)
+ */
+class TwoFactor {
+  // 암호화 키: TWO_FACTOR_ENCRYPTION_KEY (없으면 JWT_SECRET에서 파생)
+  static getEncryptionKey() {
+    const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+    if (!secret) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY environment variable is required');
+    }
+
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  static decryptSecret(payload) {
+    const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  static hashBackupCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  static async findByUserId(userId) {
+    const { data, error } = await supabase
+      .from('user_two_factor')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  static async isEnabled(userId) {
+    const record = await this.findByUserId(userId);
+    return !!record?.enabled;
+  }
+
+  // 등록 시작: 새 비밀키 발급 (확인 전까지는 비활성 상태)
+  static async createPending(userId) {
+    const secret = generateSecret();
+
+    const { error } = await supabase
+      .from('user_two_factor')
+      .upsert([{
+        user_id: userId,
+        secret_encrypted: this.encryptSecret(secret),
+        enabled: false,
+        enabled_at: null,
+        last_used_step: null,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'user_id' });
+
+    if (error) throw error;
+    return secret;
+  }
+
+  /**
+   * TOTP 코드 확인 (같은 코드는 한 번만 사용 가능)
+   * @returns {Promise<boolean>}
+   */
+  static async verifyTotpCode(record, code) {
+    const step = verifyTotp(this.decryptSecret(record.secret_encrypted), code);
+    if (step === null) return false;
+
+    // 이미 사용한 주기(또는 그 이전)의 코드는 재사용으로 거부
+    if (record.last_used_step !== null && record.last_used_step !== undefined && step <= record.last_used_step) {
+      return false;
+    }
+
+    const { data, error } = await supabase
+      .from('user_two_factor')
+      .update({ last_used_step: step, updated_at: new Date().toISOString() })
+      .eq('user_id', record.user_id)
+      .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return !!data;
+  }
+
+  // 등록 확인: 첫 코드가 맞으면 활성화하고 백업 코드 발급
+  static async confirm(userId, code) {
+    const record = await this.findByUserId(userId);
+    if (!record || record.enabled) return null;
+
+    const valid = await this.verifyTotpCode(record, code);
+    if (!valid) return null;
+
+    const { error } = await supabase
+      .from('user_two_factor')
+      .update({
+        enabled: true,
+        enabled_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    return this.regenerateBackupCodes(userId);
+  }
+
+  // 기존 백업 코드를 모두 폐기하고 새로 발급 (원본은 이때 한 번만 반환)
+  static async regenerateBackupCodes(userId) {
+    const { error: deleteError } = await supabase
+      .from('two_factor_backup_codes')
+      .delete()
+      .eq('user_id', userId);
+
+    if (deleteError) throw deleteError;
+
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    const { error } = await supabase
+      .from('two_factor_backup_codes')
+      .insert(codes.map(code => ({
+        user_id: userId,
+        code_hash: this.hashBackupCode(code),
+        used_at: null,
+        created_at: new Date().toISOString()
+      })));
+
+    if (error) throw error;
+    return codes;
+  }
+
+  static async countRemainingBackupCodes(userId) {
+    const { count, error } = await supabase
+      .from('two_factor_backup_codes')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('used_at', null);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  // 백업 코드 사용 (1회용)
+  static async useBackupCode(userId, code) {
+    const { data, error } = await supabase
+      .from('two_factor_backup_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('code_hash', this.hashBackupCode(code))
+      .is('used_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return !!data;
+  }
+
+  /**
+   * 로그인/해제 시 코드 확인 (TOTP 또는 백업 코드)
+   * @returns {Promise<{valid: boolean, method?: string}>}
+   */
+  static async verify(userId, code) {
+    const record = await this.findByUserId(userId);
+    if (!record || !record.enabled) return { valid: false };
+
+    const normalized = String(code || '').trim();
+
+    if (/^\d{6}$/.test(normalized.replace(/\s/g, ''))) {
+      const valid = await this.verifyTotpCode(record, normalized);
+      return valid ? { valid: true, method: 'totp' } : { valid: false };
+    }
+
+    const valid = await this.useBackupCode(userId, normalized);
+    return valid ? { valid: true, method: 'backup_code' } : { valid: false };
+  }
+
+  static async disable(userId) {
+    const { error: codesError } = await supabase
+      .from('two_factor_backup_codes')
+      .delete()
+      .eq('user_id', userId);
+
+    if (codesError) throw codesError;
+
+    const { error } = await supabase
+      .from('user_two_factor')
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return true;
+  }
+}
+
+TwoFactor.BACKUP_CODE_COUNT = BACKUP_CODE_COUNT;
+
+module.exports = TwoFactor;
@@ -1,17 +1,164 @@
 const supabase = require('../config/supabase');
 const bcrypt = require('bcryptjs');
+const UserIdentity = require('./UserIdentity');
+const DataExport = require('./DataExport');
+
+// 탈퇴 요청 후 계정 복구가 가능한 기간 (이후 영구 삭제)
+const DELETION_GRACE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// .in() 필터 한 번에 넣을 최대 ID 수 (URL 길이 제한)
+const IN_FILTER_CHUNK_SIZE = 100;
+
+const unique = (values) => [...new Set(values.filter(value => value !== null && value !== undefined))];
+
+const chunk = (values, size = IN_FILTER_CHUNK_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const getDeletionDeadline = (deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + DELETION_GRACE_DAYS * DAY_MS);
+};
+
+// 조건에 맞는 행의 특정 컬럼 값 목록
+const selectColumn = async (table, column, filterColumn, value) => {
+  const { data, error } = await supabase
+    .from(table)
+    .select(column)
+    .eq(filterColumn, value);
+
+  if (error) throw error;
+  return (data || []).map(row => row[column]);
+};
+
+// 조건에 맞는 행 삭제 후 삭제된 행 수 반환 (값 목록이면 나눠서 삭제)
+const deleteRows = async (table, filterColumn, value) => {
+  const values = Array.isArray(value) ? value : null;
+  if (values && values.length === 0) return 0;
+
+  let deleted = 0;
+  for (const part of values ? chunk(values) : [value]) {
+    let query = supabase.from(table).delete();
+    query = values ? query.in(filterColumn, part) : query.eq(filterColumn, part);
+
+    const { data, error } = await query.select();
+    if (error) throw error;
+    deleted += data?.length || 0;
+  }
+
+  return deleted;
+};
+
+const countRows = async (table, apply) => {
+  const { count, error } = await apply(
+    supabase.from(table).select('*', { count: 'exact', head: true })
+  );
+
+  if (error) throw error;
+  return count || 0;
+};
+
+// 맛집 리뷰 수/평점/즐겨찾기 수 재계산
+const recalculateRestaurantCounters = async (restaurantId) => {
+  const { data: reviews, error } = await supabase
+    .from('restaurant_reviews')
+    .select('rating')
+    .eq('restaurant_id', restaurantId)
+    .is('deleted_at', null);
+
+  if (error) throw error;
+
+  const reviewCount = reviews?.length || 0;
+  const rating = reviewCount > 0
+    ? Math.round((reviews.reduce((sum, review) => sum + Number(review.rating), 0) / reviewCount) * 10) / 10
+    : 0;
+  const favoriteCount = await countRows('user_favorites', query => query.eq('restaurant_id', restaurantId));
+
+  const { error: updateError } = await supabase
+    .from('restaurants')
+    .update({ review_count: reviewCount, rating, favorite_count: favoriteCount })
+    .eq('id', restaurantId);
+
+  if (updateError) throw updateError;
+};
+
+const recalculateReviewHelpfulCount = async (reviewId) => {
+  const helpfulCount = await countRows('review_helpful', query => query.eq('review_id', reviewId));
+
+  const { error } = await supabase
+    .from('restaurant_reviews')
+    .update({ helpful_count: helpfulCount })
+    .eq('id', reviewId);
+
+  if (error) throw error;
+};
+
+const recalculateCollectionCounters = async (collectionId) => {
+  const [likeCount, saveCount] = await Promise.all([
+    countRows('collection_likes', query => query.eq('collection_id', collectionId)),
+    countRows('collection_saves', query => query.eq('collection_id', collectionId))
+  ]);
+
+  const { error } = await supabase
+    .from('collections')
+    .update({ like_count: likeCount, save_count: saveCount })
+    .eq('id', collectionId);
+
+  if (error) throw error;
+};
+
+// 사용자 팔로워 수 재계산 (users에는 팔로잉 수 컬럼이 없음)
+const recalculateFollowerCount = async (userId) => {
+  const followerCount = await countRows('user_follows', query => query.eq('following_id', userId));
+
+  const { error } = await supabase
+    .from('users')
+    .update({ follower_count: followerCount })
+    .eq('id', userId);
+
+  if (error) throw error;
+};
+
+const PURGE_TARGET_KEYS = ['restaurants', 'reviews', 'collections', 'users'];
+
+/**
+ * 집계를 다시 계산할 대상을 users.purge_targets에 합쳐 저장
+ *
+ * 이전 실행이 중간에 실패했다면 이미 지워진 행에서는 대상을 다시 찾을 수 없으므로,
+ * 저장해 둔 대상과 이번에 찾은 대상을 합쳐 다음 실행에서도 재계산되도록 합니다.
+ */
+const savePurgeTargets = async (userId, found) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('purge_targets')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+
+  const saved = data.purge_targets || {};
+  const targets = Object.fromEntries(
+    PURGE_TARGET_KEYS.map(key => [key, unique([...(saved[key] || []), ...found[key]])])
+  );
+
+  const { error: updateError } = await supabase
+    .from('users')
+    .update({ purge_targets: targets })
+    .eq('id', userId);
+
+  if (updateError) throw updateError;
+  return targets;
+};
 
 class User {
   static async create(userData) {
     const { email, password, name, phone, avatar_url } = userData;
 
     // 비밀번호 해시화 (12 라운드 - 보안 강화)
-    console.log('🔐 회원가입 비밀번호 해싱');
-    console.log('  원본 비밀번호:', password);
-    console.log('  원본 비밀번호 길이:', password.length);
     const hashedPassword = await bcrypt.hash(password, 12);
-    console.log('  생성된 해시 전체:', hashedPassword);
-    console.log('  생성된 해시 길이:', hashedPassword.length);
 
     const { data, error } = await supabase
       .from('users')
@@ -21,6 +168,7 @@ class User {
         auth_provider: 'email',
         name,
         phone: phone || null,
+        phone_verified: false,
         avatar_url: avatar_url || null,
         email_verified: false,
         email_verified_at: null,
@@ -68,6 +216,32 @@ class User {
     return data;
   }
 
+  // 휴대폰 인증을 마친 계정 (E.164 번호)
+  static async findByVerifiedPhone(phone) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('phone', phone)
+      .eq('phone_verified', true)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // 인증한 번호로 교체하고 휴대폰 인증 완료 처리
+  static async markPhoneVerified(id, phone) {
+    const now = new Date().toISOString();
+
+    return this.update(id, {
+      phone,
+      phone_verified: true,
+      phone_verified_at: now,
+      updated_at: now
+    });
+  }
+
   static async delete(id) {
     const { error } = await supabase
       .from('users')
@@ -82,8 +256,21 @@ class User {
     return bcrypt.compare(plainPassword, hashedPassword);
   }
 
-  // 소셜 로그인 사용자 찾기
+  // 소셜 로그인 사용자 찾기 (user_identities 기준)
   static async findBySocialId(authProvider, socialId) {
+    const identity = await UserIdentity.findByProvider(authProvider, socialId);
+    if (identity) {
+      const { data, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', identity.user_id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data;
+    }
+
+    // 연결 테이블 도입 전 가입자: users.social_id로 조회 후 연결 정보 생성 (마이그레이션에서 옮기지 못한 경우)
     const { data, error } = await supabase
       .from('users')
       .select('*')
@@ -92,6 +279,16 @@ class User {
       .single();
 
     if (error && error.code !== 'PGRST116') throw error;
+
+    if (data) {
+      await UserIdentity.createIfMissing({
+        userId: data.id,
+        provider: authProvider,
+        providerUserId: socialId,
+        email: data.email
+      });
+    }
+
     return data;
   }
 
@@ -105,6 +302,7 @@ class User {
         email,
         name,
         phone: phone || null,
+        phone_verified: false,
         avatar_url: avatar_url || null,
         auth_provider,
         social_id,
@@ -118,9 +316,70 @@ class User {
       .single();
 
     if (error) throw error;
+
+    await UserIdentity.create({
+      userId: data.id,
+      provider: auth_provider,
+      providerUserId: social_id,
+      email
+    });
+
     return data;
   }
 
+  /**
+   * 계정 이메일 변경 (새 이메일 인증 완료 후 호출)
+   * 소셜 연결 정보(user_identities.email)는 제공자가 알려준 이메일이므로 그대로 둡니다.
+   * @returns {Promise<Object|null>} 변경된 사용자 (다른 계정이 먼저 사용 중이면 null)
+   */
+  static async changeEmail(user, newEmail) {
+    // 연결 테이블 도입 전 소셜 가입자는 변경 전(제공자) 이메일로 연결 정보를 먼저 만들어 둠
+    // (이후 조회 시 users.email로 생성되면 새 이메일이 제공자 이메일로 잘못 기록됨)
+    if (user.auth_provider && user.auth_provider !== 'email' && user.social_id) {
+      const identity = await UserIdentity.findByProvider(user.auth_provider, user.social_id);
+      if (!identity) {
+        await UserIdentity.createIfMissing({
+          userId: user.id,
+          provider: user.auth_provider,
+          providerUserId: user.social_id,
+          email: user.email
+        });
+      }
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('users')
+      .update({
+        email: newEmail,
+        email_verified: true,
+        email_verified_at: now,
+        updated_at: now
+      })
+      .eq('id', user.id)
+      .select()
+      .single();
+
+    // users.email 유니크 제약 위반
+    if (error && error.code === '23505') return null;
+    if (error) throw error;
+    return data;
+  }
+
+  // 사용 가능한 로그인 수단 (비밀번호 + 연결된 소셜 계정)
+  static async getLoginMethods(user) {
+    const identities = await UserIdentity.findByUserId(user.id);
+
+    return {
+      has_password: !!user.password_hash,
+      identities,
+      providers: [
+        ...(user.password_hash ? ['email'] : []),
+        ...new Set(identities.map(identity => identity.provider))
+      ]
+    };
+  }
+
   // 회원 탈퇴 요청 (간소화 버전 - 새 DB 스키마에 맞춤)
   static async requestDeletion(userId, reason = null) {
     // deleted_at을 현재 시각으로 설정
@@ -139,13 +398,23 @@ class User {
     return {
       message: '회원 탈퇴가 완료되었습니다.',
       deletion_scheduled_at: data.deleted_at,
-      deletion_deadline: data.deleted_at
+      deletion_deadline: getDeletionDeadline(data.deleted_at).toISOString()
     };
   }
 
-  // 계정 복구
+  // 계정 복구 (탈퇴 요청 후 30일 이내)
   static async recoverAccount(userId) {
-    const { data, error } = await supabase
+    const current = await this.findById(userId);
+
+    if (!current.deleted_at) {
+      throw new Error('탈퇴 요청되지 않은 계정입니다.');
+    }
+
+    if (getDeletionDeadline(current.deleted_at) <= new Date()) {
+      throw new Error('복구 가능 기간이 지났습니다.');
+    }
+
+    const { error } = await supabase
       .from('users')
       .update({
         deleted_at: null,
@@ -170,23 +439,200 @@ class User {
     if (error) throw error;
 
     const isDeletionScheduled = !!data.deleted_at;
+    const deadline = isDeletionScheduled ? getDeletionDeadline(data.deleted_at) : null;
+    const daysRemaining = deadline
+      ? Math.max(0, Math.ceil((deadline.getTime() - Date.now()) / DAY_MS))
+      : null;
+    const canRecover = isDeletionScheduled && deadline > new Date();
 
     return {
       is_deletion_scheduled: isDeletionScheduled,
       is_active: data.is_active,
       deletion_scheduled_at: data.deleted_at,
-      deletion_deadline: data.deleted_at,
-      days_remaining: 0,
-      can_recover: isDeletionScheduled,
-      message: isDeletionScheduled ? '탈퇴 요청된 계정입니다.' : '정상 계정입니다.'
+      deletion_deadline: deadline ? deadline.toISOString() : null,
+      days_remaining: daysRemaining,
+      can_recover: canRecover,
+      message: isDeletionScheduled
+        ? (canRecover ? `탈퇴 요청된 계정입니다. ${daysRemaining}일 후 영구 삭제됩니다.` : '복구 가능 기간이 지나 삭제 대기 중인 계정입니다.')
+        : '정상 계정입니다.'
     };
   }
 
-  // 만료된 계정 삭제 (비활성화)
+  /**
+   * 계정 영구 삭제
+   *
+   * 사용자가 작성/소유한 데이터를 모두 삭제하고, 삭제로 인해 틀어지는 다른 데이터의
+   * 집계 컬럼(리뷰 수, 평점, 즐겨찾기 수, 도움이 돼요 수, 좋아요/저장 수, 팔로워 수)을 다시 계산합니다.
+   * 업로드한 미디어 파일은 다른 콘텐츠에서 참조할 수 있으므로 작성자 정보만 지웁니다.
+   *
+   * 중간에 실패해도 다시 실행하면 이어서 처리됩니다. 삭제는 이미 지워진 행을 건너뛰고,
+   * 재계산 대상은 users.purge_targets에 남겨 두며, 사용자 행은 모든 단계가 끝난 뒤 마지막에 지웁니다.
+   * @returns {Promise<Object>} { deleted: {테이블: 행 수}, anonymized: {...}, recalculated: {...} }
+   */
+  static async purgeAccount(userId) {
+    const deleted = {};
+    const remove = async (table, filterColumn, value) => {
+      const count = await deleteRows(table, filterColumn, value);
+      deleted[table] = (deleted[table] || 0) + count;
+    };
+
+    // 1. 삭제 후 집계를 다시 계산해야 하는 대상 수집
+    const { data: reviews, error: reviewsError } = await supabase
+      .from('restaurant_reviews')
+      .select('id, restaurant_id')
+      .eq('user_id', userId);
+
+    if (reviewsError) throw reviewsError;
+
+    const reviewIds = (reviews || []).map(review => review.id);
+    const favoriteRestaurantIds = await selectColumn('user_favorites', 'restaurant_id', 'user_id', userId);
+    const restaurantIds = unique([...(reviews || []).map(review => review.restaurant_id), ...favoriteRestaurantIds]);
+
+    const helpfulReviewIds = unique(await selectColumn('review_helpful', 'review_id', 'user_id', userId))
+      .filter(id => !reviewIds.includes(id));
+
+    const ownCollectionIds = await selectColumn('collections', 'id', 'user_id', userId);
+    const collectionIds = unique([
+      ...await selectColumn('collection_likes', 'collection_id', 'user_id', userId),
+      ...await selectColumn('collection_saves', 'collection_id', 'user_id', userId)
+    ]).filter(id => !ownCollectionIds.includes(id));
+
+    // 이 사용자가 팔로우하던 사용자 (팔로워 수)
+    const followedUserIds = unique(await selectColumn('user_follows', 'following_id', 'follower_id', userId))
+      .filter(id => id !== userId);
+
+    const targets = await savePurgeTargets(userId, {
+      restaurants: restaurantIds,
+      reviews: helpfulReviewIds,
+      collections: collectionIds,
+      users: followedUserIds
+    });
+
+    // 2. 리뷰 관련 (도움이 돼요, 신고, 댓글, 이미지 연결, 리뷰)
+    await remove('review_helpful', 'user_id', userId);
+    await remove('review_helpful', 'review_id', reviewIds);
+    await remove('review_reports', 'reporter_id', userId);
+    await remove('review_reports', 'review_id', reviewIds);
+
+    const commentIds = unique([
+      ...await selectColumn('review_comments', 'id', 'user_id', userId),
+      ...(await Promise.all(reviewIds.map(id => selectColumn('review_comments', 'id', 'review_id', id)))).flat()
+    ]);
+    await remove('review_comments', 'parent_comment_id', commentIds);
+    await remove('review_comments', 'id', commentIds);
+
+    await remove('review_media', 'review_id', reviewIds);
+    await remove('restaurant_reviews', 'user_id', userId);
+
+    // 3. 즐겨찾기
+    await remove('user_favorites', 'user_id', userId);
+    await remove('favorite_folders', 'user_id', userId);
+
+    // 4. 컬렉션 (본인 컬렉션의 항목/좋아요/저장 포함)
+    await remove('collection_items', 'collection_id', ownCollectionIds);
+    await remove('collection_likes', 'collection_id', ownCollectionIds);
+    await remove('collection_saves', 'collection_id', ownCollectionIds);
+    await remove('collection_likes', 'user_id', userId);
+    await remove('collection_saves', 'user_id', userId);
+    await remove('collections', 'user_id', userId);
+    await remove('user_follows', 'follower_id', userId);
+    await remove('user_follows', 'following_id', userId);
+
+    // 5. 설정, 인증, 데이터 내보내기 관련
+    await remove('user_preferences', 'user_id', userId);
+    await remove('email_verifications', 'user_id', userId);
+    await remove('phone_verifications', 'user_id', userId);
+    await remove('password_resets', 'user_id', userId);
+    await remove('refresh_tokens', 'user_id', userId);
+    await remove('user_sessions', 'user_id', userId);
+    await remove('user_identities', 'user_id', userId);
+    await remove('two_factor_backup_codes', 'user_id', userId);
+    await remove('user_two_factor', 'user_id', userId);
+    await remove('security_events', 'user_id', userId);
+    deleted.data_exports = await DataExport.deleteAllForUser(userId);
+
+    // 6. 업로드한 미디어는 작성자 정보만 제거
+    const { data: anonymizedMedia, error: mediaError } = await supabase
+      .from('media_files')
+      .update({ uploaded_by: null })
+      .eq('uploaded_by', userId)
+      .select('id');
+
+    if (mediaError) throw mediaError;
+
+    // 7. 집계 재계산 (이전 실행에서 저장한 대상 포함)
+    for (const restaurantId of targets.restaurants) {
+      await recalculateRestaurantCounters(restaurantId);
+    }
+    for (const reviewId of targets.reviews) {
+      await recalculateReviewHelpfulCount(reviewId);
+    }
+    for (const collectionId of targets.collections) {
+      await recalculateCollectionCounters(collectionId);
+    }
+    for (const followedUserId of targets.users) {
+      await recalculateFollowerCount(followedUserId);
+    }
+
+    // 8. 사용자 삭제 (실패한 계정은 다음 실행 때 다시 대상이 됨)
+    await remove('users', 'id', userId);
+
+    return {
+      deleted,
+      anonymized: {
+        media_files: anonymizedMedia?.length || 0
+      },
+      recalculated: Object.fromEntries(PURGE_TARGET_KEYS.map(key => [key, targets[key].length]))
+    };
+  }
+
+  /**
+   * 복구 기간(30일)이 지난 탈퇴 계정 영구 삭제
+   * @returns {Promise<Object>} 처리 결과 (삭제된 계정 수, 실패 목록, 테이블별 삭제 행 수, 재계산 수)
+   */
   static async deleteExpiredAccounts() {
-    // 새 DB에서는 soft delete만 지원
-    return 0;
+    const cutoff = new Date(Date.now() - DELETION_GRACE_DAYS * DAY_MS).toISOString();
+
+    const { data: expiredUsers, error } = await supabase
+      .from('users')
+      .select('id')
+      .eq('is_active', false)
+      .not('deleted_at', 'is', null)
+      .lte('deleted_at', cutoff);
+
+    if (error) throw error;
+
+    const report = {
+      cutoff,
+      candidates: expiredUsers?.length || 0,
+      purged: 0,
+      failed: [],
+      deleted: {},
+      anonymized: {},
+      recalculated: {}
+    };
+
+    // 한 계정이 실패해도 나머지는 계속 처리
+    for (const { id } of expiredUsers || []) {
+      try {
+        const result = await this.purgeAccount(id);
+        report.purged += 1;
+
+        for (const key of ['deleted', 'anonymized', 'recalculated']) {
+          for (const [name, count] of Object.entries(result[key])) {
+            report[key][name] = (report[key][name] || 0) + count;
+          }
+        }
+      } catch (purgeError) {
+        console.error('❌ 계정 영구 삭제 실패:', id, purgeError.message);
+        report.failed.push({ user_id: id, error: purgeError.message });
+      }
+    }
+
+    return report;
   }
 }
 
+User.DELETION_GRACE_DAYS = DELETION_GRACE_DAYS;
+
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,98 @@
+const supabase = require('../config/supabase');
+
+/**
+ * 소셜 로그인 연결 정보
+ *
+ * 한 사용자가 이메일/비밀번호와 함께 여러 개의 Google, Kakao, Naver 계정을
+ * 로그인 수단으로 연결할 수 있습니다. (provider, provider_user_id)는 전체에서 유일합니다.
+ */
+class UserIdentity {
+  static async findByProvider(provider, providerUserId) {
+    const { data, error } = await supabase
+      .from('user_identities')
+      .select('*')
+      .eq('provider', provider)
+      .eq('provider_user_id', providerUserId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabase
+      .from('user_identities')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  static async findByUserId(userId) {
+    const { data, error } = await supabase
+      .from('user_identities')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  static async create({ userId, provider, providerUserId, email }) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('user_identities')
+      .insert([{
+        user_id: userId,
+        provider,
+        provider_user_id: providerUserId,
+        email: email || null,
+        created_at: now,
+        last_used_at: now
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // 연결 테이블 도입 전 소셜 가입자의 연결 정보 생성 (동시에 들어온 요청이 먼저 만들었으면 그 행을 사용)
+  static async createIfMissing(values) {
+    try {
+      return await this.create(values);
+    } catch (error) {
+      // (provider, provider_user_id) 유니크 제약 위반
+      if (error.code === '23505') return this.findByProvider(values.provider, values.providerUserId);
+      throw error;
+    }
+  }
+
+  // 마지막 로그인 시각 기록
+  static async touch(provider, providerUserId) {
+    const { error } = await supabase
+      .from('user_identities')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('provider', provider)
+      .eq('provider_user_id', providerUserId);
+
+    if (error) throw error;
+  }
+
+  static async delete(id, userId) {
+    const { error } = await supabase
+      .from('user_identities')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return true;
+  }
+}
+
+module.exports = UserIdentity;
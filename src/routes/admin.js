@@ -0,0 +1,785 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Admin = require('../models/Admin');
+const SecurityEvent = require('../models/SecurityEvent');
+const RestaurantSearch = require('../models/RestaurantSearch');
+const SearchSynonym = require('../models/SearchSynonym');
+const OpeningHours = require('../models/OpeningHours');
+const { validateOpeningHours } = require('../utils/openingHours');
+const { ROLES, ROLE_VALUES, requireRole, requireAdmin } = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// 에러 응답 헬퍼 함수
+const errorResponse = (res, status, message, error = null, errorCode = undefined) => {
+  console.error(`Error ${status}: ${message}`, error);
+  return res.status(status).json({
+    success: false,
+    message,
+    error_code: errorCode,
+    error: process.env.NODE_ENV === 'development' ? error : undefined
+  });
+};
+
+// 성공 응답 헬퍼 함수
+const successResponse = (res, data, message = 'Success', status = 200) => {
+  return res.status(status).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+// 결과 기록에 실패해도 이미 끝난 작업은 되돌릴 수 없으므로 경고만 남김 (항목은 pending으로 남음)
+const finishAudit = async (log, outcome) => {
+  try {
+    await Admin.completeAction(log, outcome);
+  } catch (error) {
+    console.warn('⚠️ 감사 로그 결과 기록 실패:', log.id, error.message);
+  }
+};
+
+/**
+ * 감사 로그를 먼저 남기고 관리자 작업 실행
+ *
+ * 기록에 실패하면 작업을 실행하지 않으므로 기록 없이 바뀐 데이터가 생기지 않습니다.
+ * 작업이 끝나면 같은 항목에 결과(succeeded | not_found | failed)와 작업 후에 알 수 있는 값(생성된 ID 등)을 덧붙입니다.
+ * 변경 작업은 모두, 조회는 개인정보가 담긴 목록(사용자, 보안 이벤트, 감사 로그)만 기록합니다.
+ * @param {Object} req - Express 요청
+ * @param {string} action - 작업 이름
+ * @param {Object} entry - { targetType, targetId, metadata }
+ * @param {Function} perform - 작업 (결과가 null이면 not_found로 기록)
+ * @param {Function} describeResult - 작업 결과 → 덧붙일 { targetId, metadata } (선택)
+ * @returns {Promise<*>} 작업 결과
+ */
+const audited = async (req, action, { targetType = null, targetId = null, metadata = {} }, perform, describeResult = () => ({})) => {
+  const log = await Admin.logAction({
+    actorId: req.user.id,
+    actorRole: req.userRole,
+    action,
+    targetType,
+    targetId,
+    metadata,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null
+  });
+
+  let result;
+  try {
+    result = await perform();
+  } catch (error) {
+    await finishAudit(log, { status: 'failed', metadata: { error: error.message } });
+    throw error;
+  }
+
+  if (result === null || result === undefined) {
+    await finishAudit(log, { status: 'not_found' });
+  } else {
+    await finishAudit(log, { status: 'succeeded', ...describeResult(result) });
+  }
+
+  return result;
+};
+
+const paginationRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('페이지는 1 이상이어야 합니다'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit는 1-100 사이여야 합니다')
+];
+
+const getPagination = (req, defaultLimit) => ({
+  page: parseInt(req.query.page) || 1,
+  limit: parseInt(req.query.limit) || defaultLimit
+});
+
+const buildPagination = ({ page, limit }, total) => {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNext: page < totalPages,
+    hasPrev: page > 1
+  };
+};
+
+// ============================================
+// 통계
+// ============================================
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: 서비스 통계 조회
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/stats', requireRole(ROLES.MODERATOR), async (req, res) => {
+  try {
+    const stats = await Admin.getStats();
+
+    return successResponse(res, stats, '통계 조회 성공');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+// ============================================
+// 사용자 / 역할
+// ============================================
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: 사용자 목록 조회 (검색, 역할 필터)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/users', requireAdmin, [
+  ...paginationRules,
+  query('search').optional().isString().trim(),
+  query('role').optional().isIn(ROLE_VALUES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const pagination = getPagination(req, 20);
+    const { users, total } = await audited(req, 'users.list', {
+      targetType: 'user',
+      metadata: { search: req.query.search || null, role: req.query.role || null, page: pagination.page }
+    }, () => Admin.listUsers({
+      ...pagination,
+      search: req.query.search,
+      role: req.query.role
+    }));
+
+    return successResponse(res, {
+      users,
+      pagination: buildPagination(pagination, total)
+    }, '사용자 목록 조회 성공');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   patch:
+ *     summary: 사용자 역할 변경 (user, moderator, owner, admin)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch('/users/:id/role', requireAdmin, [
+  param('id').isUUID(),
+  body('role').isIn(ROLE_VALUES).withMessage(`역할은 ${ROLE_VALUES.join(', ')} 중 하나여야 합니다`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const { id } = req.params;
+    const { role } = req.body;
+
+    // 실수로 관리자 권한을 잃지 않도록 자기 자신의 역할은 변경 불가
+    if (id === req.user.id) {
+      return errorResponse(res, 400, '자신의 역할은 변경할 수 없습니다', null, 'CANNOT_CHANGE_OWN_ROLE');
+    }
+
+    const user = await audited(req, 'user.role_change', {
+      targetType: 'user',
+      targetId: id,
+      metadata: { role }
+    }, () => Admin.updateUserRole(id, role));
+
+    if (!user) {
+      return errorResponse(res, 404, '사용자를 찾을 수 없습니다');
+    }
+
+    console.log('👮 사용자 역할 변경:', id, role, 'by', req.user.id);
+
+    return successResponse(res, { user }, '사용자 역할이 변경되었습니다');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+// ============================================
+// 감사 로그
+// ============================================
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: 관리자 작업 기록 조회
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/audit-logs', requireAdmin, [
+  ...paginationRules,
+  query('actor_id').optional().isUUID(),
+  query('action').optional().isString().trim(),
+  query('target_type').optional().isString().trim(),
+  query('target_id').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const pagination = getPagination(req, 50);
+    const filters = {
+      actorId: req.query.actor_id,
+      action: req.query.action,
+      targetType: req.query.target_type,
+      targetId: req.query.target_id
+    };
+    const { logs, total } = await audited(req, 'audit_logs.list', {
+      targetType: 'admin_audit_logs',
+      metadata: {
+        actor_id: filters.actorId || null,
+        action: filters.action || null,
+        target_type: filters.targetType || null,
+        target_id: filters.targetId || null,
+        page: pagination.page
+      }
+    }, () => Admin.getAuditLogs({ ...pagination, ...filters }));
+
+    return successResponse(res, {
+      logs,
+      pagination: buildPagination(pagination, total)
+    }, '감사 로그 조회 성공');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+// ============================================
+// 계정 보안 이벤트
+// ============================================
+
+/**
+ * @swagger
+ * /api/admin/security-events:
+ *   get:
+ *     summary: 계정 보안 이벤트 조회 (사용자, 이벤트 유형, IP, 기간 필터)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/security-events', requireAdmin, [
+  ...paginationRules,
+  query('user_id').optional().isUUID(),
+  query('event_type').optional().isIn(SecurityEvent.EVENT_TYPE_VALUES),
+  query('ip_address').optional().isIP(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const pagination = getPagination(req, 50);
+    const filters = {
+      userId: req.query.user_id,
+      eventType: req.query.event_type,
+      ipAddress: req.query.ip_address,
+      from: req.query.from,
+      to: req.query.to
+    };
+    const { events, total } = await audited(req, 'security_events.list', {
+      targetType: 'user',
+      targetId: req.query.user_id || null,
+      metadata: {
+        event_type: req.query.event_type || null,
+        ip_address: req.query.ip_address || null,
+        from: req.query.from || null,
+        to: req.query.to || null,
+        page: pagination.page
+      }
+    }, () => SecurityEvent.search({ ...pagination, ...filters }));
+
+    return successResponse(res, {
+      events,
+      pagination: buildPagination(pagination, total)
+    }, '보안 이벤트 조회 성공');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+// ============================================
+// 맛집 검색 인덱스
+// ============================================
+
+/**
+ * @swagger
+ * /api/admin/search/reindex:
+ *   post:
+ *     summary: 맛집 검색 문서 재생성 (restaurant_ids를 생략하면 전체)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/search/reindex', requireAdmin, [
+  body('restaurant_ids').optional().isArray({ min: 1, max: 500 }).withMessage('restaurant_ids는 1-500개의 배열이어야 합니다'),
+  body('restaurant_ids.*').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const restaurantIds = req.body.restaurant_ids;
+    const indexed = await audited(req, 'search.reindex', {
+      targetType: 'restaurants',
+      metadata: { scope: restaurantIds ? 'partial' : 'all', requested: restaurantIds?.length || null }
+    }, () => (restaurantIds ? RestaurantSearch.reindex(restaurantIds) : RestaurantSearch.rebuildAll()),
+    count => ({ metadata: { indexed: count } }));
+
+    return successResponse(res, { indexed }, '검색 문서를 다시 만들었습니다');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+// 동의어 사전 항목 검증 (단어는 공백 없는 한 단어)
+const synonymRules = (isUpdate) => {
+  const optionalIfUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    optionalIfUpdate(body('term'))
+      .isString().trim()
+      .isLength({ min: 1, max: 50 }).withMessage('단어는 1-50자여야 합니다')
+      .not().matches(/\s/).withMessage('단어에는 공백을 넣을 수 없습니다'),
+    optionalIfUpdate(body('expansions'))
+      .isArray({ min: 1, max: SearchSynonym.MAX_EXPANSIONS_PER_TERM })
+      .withMessage(`확장어는 1-${SearchSynonym.MAX_EXPANSIONS_PER_TERM}개의 배열이어야 합니다`),
+    body('expansions.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('확장어는 1-50자여야 합니다'),
+    body('bidirectional').optional().isBoolean(),
+    body('is_active').optional().isBoolean()
+  ];
+};
+
+/**
+ * @swagger
+ * /api/admin/search/synonyms:
+ *   get:
+ *     summary: 검색 동의어 사전 조회 (관리자 항목 + 기본 사전)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/search/synonyms', requireAdmin, async (req, res) => {
+  try {
+    const synonyms = await SearchSynonym.findAll();
+
+    return successResponse(res, {
+      synonyms,
+      defaults: SearchSynonym.getDefaultEntries()
+    }, '검색 동의어 사전 조회 성공');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/synonyms:
+ *   post:
+ *     summary: 검색 동의어 추가 (같은 단어의 기본 사전 항목을 대체)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/search/synonyms', requireAdmin, synonymRules(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    if (await SearchSynonym.findByTerm(req.body.term)) {
+      return errorResponse(res, 409, '이미 등록된 단어입니다', null, 'SYNONYM_TERM_EXISTS');
+    }
+
+    const synonym = await audited(req, 'search_synonyms.create', {
+      targetType: 'search_synonyms',
+      metadata: { values: req.body }
+    }, () => SearchSynonym.create(req.body),
+    created => ({
+      targetId: created.id,
+      metadata: { term: created.term, expansions: created.expansions, bidirectional: created.bidirectional }
+    }));
+
+    return successResponse(res, { synonym }, '검색 동의어가 추가되었습니다', 201);
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/synonyms/{id}:
+ *   patch:
+ *     summary: 검색 동의어 수정
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch('/search/synonyms/:id', requireAdmin, [
+  param('id').isUUID(),
+  ...synonymRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const before = await SearchSynonym.findById(req.params.id);
+    if (!before) {
+      return errorResponse(res, 404, '항목을 찾을 수 없습니다');
+    }
+
+    if (req.body.term !== undefined) {
+      const existing = await SearchSynonym.findByTerm(req.body.term);
+      if (existing && existing.id !== before.id) {
+        return errorResponse(res, 409, '이미 등록된 단어입니다', null, 'SYNONYM_TERM_EXISTS');
+      }
+    }
+
+    const synonym = await audited(req, 'search_synonyms.update', {
+      targetType: 'search_synonyms',
+      targetId: before.id,
+      metadata: {
+        previous: { term: before.term, expansions: before.expansions, bidirectional: before.bidirectional, is_active: before.is_active }
+      }
+    }, () => SearchSynonym.update(req.params.id, req.body),
+    updated => ({
+      metadata: {
+        current: { term: updated.term, expansions: updated.expansions, bidirectional: updated.bidirectional, is_active: updated.is_active }
+      }
+    }));
+
+    if (!synonym) {
+      return errorResponse(res, 404, '항목을 찾을 수 없습니다');
+    }
+
+    return successResponse(res, { synonym }, '검색 동의어가 수정되었습니다');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/synonyms/{id}:
+ *   delete:
+ *     summary: 검색 동의어 삭제 (같은 단어의 기본 사전 항목이 다시 적용됨)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/search/synonyms/:id', requireAdmin, [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const deleted = await audited(req, 'search_synonyms.delete', {
+      targetType: 'search_synonyms',
+      targetId: req.params.id
+    }, () => SearchSynonym.delete(req.params.id),
+    row => ({ metadata: { term: row.term, expansions: row.expansions } }));
+
+    if (!deleted) {
+      return errorResponse(res, 404, '항목을 찾을 수 없습니다');
+    }
+
+    return successResponse(res, null, '검색 동의어가 삭제되었습니다');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+// ============================================
+// 맛집 영업시간
+// ============================================
+
+const OPERATION_FIELDS = ['business_hours', 'break_time', 'last_order', 'regular_holidays', 'holiday_notice', 'special_days'];
+
+/**
+ * @swagger
+ * /api/admin/restaurants/{id}/operations:
+ *   get:
+ *     summary: 맛집 영업시간 조회 (현재 영업 상태 포함)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/restaurants/:id/operations', requireAdmin, [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const operations = await OpeningHours.findByRestaurantId(req.params.id);
+
+    return successResponse(res, {
+      operations,
+      status: OpeningHours.statusFor(operations)
+    }, '영업시간 조회 성공');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/restaurants/{id}/operations:
+ *   put:
+ *     summary: 맛집 영업시간 수정 (보낸 항목만 변경, 저장 전 형식 검증)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/restaurants/:id/operations', requireAdmin, [
+  param('id').isUUID(),
+  body().custom(value => OPERATION_FIELDS.some(field => value?.[field] !== undefined)).withMessage(`변경할 값을 입력해주세요 (${OPERATION_FIELDS.join(', ')})`),
+  body('holiday_notice').optional({ values: 'null' }).isString().isLength({ max: 500 }),
+  body('special_days').optional({ values: 'null' }).isArray({ max: 366 }).withMessage('special_days는 366개 이하의 배열이어야 합니다')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const before = await OpeningHours.findByRestaurantId(req.params.id);
+    const changes = Object.fromEntries(OPERATION_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+
+    // 기존 값과 합친 결과로 검증 (예: 라스트 오더만 바꿔도 영업시간 안인지 확인)
+    const hoursErrors = validateOpeningHours({ ...before, ...changes });
+    if (hoursErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: '영업시간 형식이 올바르지 않습니다',
+        error_code: 'INVALID_OPENING_HOURS',
+        errors: hoursErrors
+      });
+    }
+
+    const operations = await audited(req, 'restaurant_operations.update', {
+      targetType: 'restaurants',
+      targetId: req.params.id,
+      metadata: {
+        changes,
+        previous: Object.fromEntries(Object.keys(changes).map(key => [key, before?.[key] ?? null]))
+      }
+    }, () => OpeningHours.upsert(req.params.id, changes));
+
+    if (!operations) {
+      return errorResponse(res, 404, '맛집을 찾을 수 없습니다', null, 'RESTAURANT_NOT_FOUND');
+    }
+
+    return successResponse(res, {
+      operations,
+      status: OpeningHours.statusFor(operations)
+    }, '영업시간이 수정되었습니다');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+// ============================================
+// 콘텐츠 관리 (banners, events, notices, featured-restaurants, categories)
+// ============================================
+
+// 카테고리 이름은 맛집 검색 문서에 들어가므로 바뀌면 해당 맛집 문서 갱신
+const syncCategorySearch = async (table, categoryId) => {
+  if (table !== 'categories') return;
+
+  try {
+    await RestaurantSearch.reindexCategory(categoryId);
+  } catch (error) {
+    console.warn('⚠️ 카테고리 검색 문서 갱신 실패:', categoryId, error.message);
+  }
+};
+
+// :resource 파라미터를 관리 대상 테이블로 변환
+const resolveContentResource = (req, res, next) => {
+  const resource = Admin.getContentResource(req.params.resource);
+
+  if (!resource) {
+    return errorResponse(res, 404, '관리할 수 없는 항목입니다', null, 'UNKNOWN_RESOURCE');
+  }
+
+  req.contentResource = resource;
+  next();
+};
+
+const contentBodyRules = [
+  body().isObject().withMessage('요청 본문은 객체여야 합니다'),
+  body().custom(value => Object.keys(value || {}).length > 0).withMessage('변경할 값을 입력해주세요')
+];
+
+/**
+ * @swagger
+ * /api/admin/content/{resource}:
+ *   get:
+ *     summary: 콘텐츠 목록 조회 (비활성 항목 포함)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/content/:resource', requireAdmin, resolveContentResource, paginationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const pagination = getPagination(req, 50);
+    const { items, total } = await Admin.listContent(req.contentResource, pagination);
+
+    return successResponse(res, {
+      items,
+      pagination: buildPagination(pagination, total)
+    }, '콘텐츠 목록 조회 성공');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/{resource}:
+ *   post:
+ *     summary: 콘텐츠 생성
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/content/:resource', requireAdmin, resolveContentResource, contentBodyRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const { table } = req.contentResource;
+    const item = await audited(req, `${table}.create`, {
+      targetType: table,
+      metadata: { values: Admin.sanitizeContent(req.body) }
+    }, () => Admin.createContent(table, req.body),
+    created => ({ targetId: created.id }));
+
+    return successResponse(res, { item }, '콘텐츠가 생성되었습니다', 201);
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/{resource}/{id}:
+ *   patch:
+ *     summary: 콘텐츠 수정
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch('/content/:resource/:id', requireAdmin, resolveContentResource, contentBodyRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 400, '입력값이 올바르지 않습니다', errors.array());
+    }
+
+    const { table } = req.contentResource;
+    const { id } = req.params;
+
+    const before = await Admin.findContent(table, id);
+    if (!before) {
+      return errorResponse(res, 404, '항목을 찾을 수 없습니다');
+    }
+
+    const changes = Admin.sanitizeContent(req.body);
+    const item = await audited(req, `${table}.update`, {
+      targetType: table,
+      targetId: id,
+      metadata: {
+        changes,
+        previous: Object.fromEntries(Object.keys(changes).map(key => [key, before[key]]))
+      }
+    }, () => Admin.updateContent(table, id, req.body));
+
+    if (!item) {
+      return errorResponse(res, 404, '항목을 찾을 수 없습니다');
+    }
+    await syncCategorySearch(table, id);
+
+    return successResponse(res, { item }, '콘텐츠가 수정되었습니다');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/{resource}/{id}:
+ *   delete:
+ *     summary: 콘텐츠 삭제
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/content/:resource/:id', requireAdmin, resolveContentResource, async (req, res) => {
+  try {
+    const { table } = req.contentResource;
+    const { id } = req.params;
+
+    const deleted = await audited(req, `${table}.delete`, {
+      targetType: table,
+      targetId: id
+    }, () => Admin.deleteContent(table, id),
+    row => ({ metadata: { deleted: row } }));
+
+    if (!deleted) {
+      return errorResponse(res, 404, '항목을 찾을 수 없습니다');
+    }
+    await syncCategorySearch(table, id);
+
+    return successResponse(res, null, '콘텐츠가 삭제되었습니다');
+  } catch (error) {
+    return errorResponse(res, 500, '서버 오류가 발생했습니다', error.message);
+  }
+});
+
+module.exports = router;
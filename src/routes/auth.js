@@ -1,10 +1,36 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const EmailVerification = require('../models/EmailVerification');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const UserIdentity = require('../models/UserIdentity');
+const TwoFactor = require('../models/TwoFactor');
+const SecurityEvent = require('../models/SecurityEvent');
 const authMiddleware = require('../middleware/auth');
+const { getUserRole } = require('../middleware/adminAuth');
+const { issueLoginTokens, rotateRefreshToken, createTwoFactorChallenge } = require('../utils/authTokens');
+const { sendPasswordResetEmail, sendEmailChangeNoticeEmail } = require('../utils/emailService');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  resetLoginFailures,
+  verifyUnlockToken
+} = require('../utils/loginThrottle');
+const { describeDevice } = require('../utils/userAgent');
+const { getPasswordPolicy, checkPassword, toValidationErrors } = require('../utils/passwordPolicy');
+const { EVENT_TYPES, recordSecurityEvent, recordAccountLocked } = require('../utils/securityEvents');
+const { checkResendCooldown, recordCodeSent } = require('../utils/verificationThrottle');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const {
+  SUPPORTED_PROVIDERS,
+  SocialAuthError,
+  exchangeKakaoCode,
+  fetchKakaoProfile,
+  fetchNaverProfile,
+  verifySocialIdentity
+} = require('../utils/socialAuth');
 const cloudinary = require('../config/cloudinary');
 
 const router = express.Router();
@@ -18,27 +44,95 @@ const ensureHttps = (url) => {
   return url;
 };
 
-// JWT 토큰 생성
-const generateToken = (userId) => {
-  const jwtSecret = process.env.JWT_SECRET;
+const providerNames = {
+  'email': '이메일',
+  'google': 'Google',
+  'kakao': 'Kakao',
+  'naver': 'Naver'
+};
+
+const describeProviders = (providers) => {
+  return providers.map(provider => providerNames[provider] || provider).join(', ');
+};
+
+// 비밀번호가 없는 계정이 이메일을 바꾸려면 이 시간 안에 로그인했어야 함
+const EMAIL_CHANGE_REAUTH_MINUTES = 10;
 
-  if (!jwtSecret) {
-    throw new Error('JWT_SECRET environment variable is required');
+const isRecentLogin = (req, minutes) => {
+  const loggedInAt = new Date(req.sessionCreatedAt).getTime();
+  return Number.isFinite(loggedInAt) && Date.now() - loggedInAt <= minutes * 60 * 1000;
+};
+
+// 이미 사용 중인 이메일 응답 (회원가입, 이메일 변경 공통)
+const emailConflictResponse = async (res, existingUser) => {
+  // 비밀번호 없이 소셜 로그인만 연결된 계정인지 확인
+  if (!existingUser.password_hash) {
+    const { providers } = await User.getLoginMethods(existingUser);
+    const provider = describeProviders(providers) || providerNames[existingUser.auth_provider] || existingUser.auth_provider;
+
+    // 소셜 로그인으로 가입된 계정
+    return res.status(409).json({
+      success: false,
+      message: `이미 ${provider}로 가입된 계정입니다. ${provider} 로그인을 이용해주세요.`,
+      error_code: 'EMAIL_ALREADY_EXISTS_WITH_SOCIAL',
+      existing_provider: existingUser.auth_provider,
+      linked_providers: providers
+    });
   }
 
-  return jwt.sign({ userId }, jwtSecret, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+  // 일반 이메일로 가입된 계정
+  return res.status(409).json({
+    success: false,
+    message: '이미 등록된 이메일입니다.',
+    error_code: 'EMAIL_ALREADY_EXISTS'
+  });
+};
+
+// 비밀번호 정책 위반 응답 (회원가입, 비밀번호 변경/재설정 공통)
+const passwordPolicyResponse = (res, violations, field) => {
+  return res.status(400).json({
+    success: false,
+    message: '비밀번호가 보안 정책을 만족하지 않습니다.',
+    error_code: 'PASSWORD_POLICY_VIOLATION',
+    errors: toValidationErrors(violations, field)
   });
 };
 
+// 소셜 로그인/계정 연결 공통 입력 (제공자 자격 증명)
+const socialCredentialRules = [
+  body('auth_provider').isIn(SUPPORTED_PROVIDERS),
+  body('access_token').optional().isString(),
+  body('code').optional().isString(),
+  body('redirect_uri').optional().isString(),
+  body('id_token').optional().isString()
+];
+
+// 전화번호 검증 + E.164 변환 (빈 값은 그대로 두어 번호 삭제로 처리)
+const phoneValidator = () => body('phone')
+  .optional({ values: 'falsy' })
+  .custom(value => normalizePhoneNumber(value) !== null)
+  .withMessage('올바른 전화번호 형식이 아닙니다')
+  .customSanitizer(normalizePhoneNumber);
+
+// 비밀번호 정책 조회 (가입/변경 화면 안내용)
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      policy: getPasswordPolicy()
+    }
+  });
+});
+
 // 회원가입
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
-  body('name').notEmpty().trim()
+  body('password').isString().notEmpty(),
+  body('name').notEmpty().trim(),
+  phoneValidator()
 ], async (req, res) => {
   try {
-    console.log('📝 회원가입 요청 시작:', req.body);
+    console.log('📝 회원가입 요청 시작:', req.body.email);
 
     // 환경 변수 확인
     if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
@@ -65,6 +159,12 @@ router.post('/register', [
     }
 
     const { email, password, name, phone, avatar_url } = req.body;
+
+    const passwordViolations = checkPassword(password, { email, name });
+    if (passwordViolations.length > 0) {
+      console.log('❌ 비밀번호 정책 위반:', passwordViolations.map(violation => violation.code));
+      return passwordPolicyResponse(res, passwordViolations, 'password');
+    }
     console.log('✅ 입력 검증 통과');
 
     // 이메일 중복 체크
@@ -72,33 +172,7 @@ router.post('/register', [
     const existingUser = await User.findByEmail(email);
     if (existingUser) {
       console.log('❌ 이메일 중복:', email);
-
-      // 소셜 로그인 계정인지 확인
-      const providerNames = {
-        'email': '이메일',
-        'google': 'Google',
-        'kakao': 'Kakao',
-        'naver': 'Naver'
-      };
-
-      const provider = providerNames[existingUser.auth_provider] || existingUser.auth_provider;
-
-      if (existingUser.auth_provider !== 'email') {
-        // 소셜 로그인으로 가입된 계정
-        return res.status(409).json({
-          success: false,
-          message: `이미 ${provider}로 가입된 계정입니다. ${provider} 로그인을 이용해주세요.`,
-          error_code: 'EMAIL_ALREADY_EXISTS_WITH_SOCIAL',
-          existing_provider: existingUser.auth_provider
-        });
-      } else {
-        // 일반 이메일로 가입된 계정
-        return res.status(409).json({
-          success: false,
-          message: '이미 등록된 이메일입니다.',
-          error_code: 'EMAIL_ALREADY_EXISTS'
-        });
-      }
+      return emailConflictResponse(res, existingUser);
     }
     console.log('✅ 이메일 중복 체크 통과');
 
@@ -113,9 +187,14 @@ router.post('/register', [
     });
     console.log('✅ 사용자 생성 완료:', user.id);
 
+    await recordSecurityEvent(req, EVENT_TYPES.ACCOUNT_CREATED, {
+      userId: user.id,
+      metadata: { method: 'email' }
+    });
+
     // JWT 토큰 생성
     console.log('🔐 JWT 토큰 생성 시작');
-    const token = generateToken(user.id);
+    const tokens = await issueLoginTokens(user, req);
     console.log('✅ JWT 토큰 생성 완료');
 
     // 이메일 인증 코드 생성 (개발 모드에서만 반환)
@@ -123,6 +202,7 @@ router.post('/register', [
     try {
       console.log('📧 이메일 인증 코드 생성 시작');
       const verification = await EmailVerification.create(user.id, user.email);
+      await recordCodeSent(EmailVerification.PURPOSES.SIGNUP, user.email);
       verificationData = process.env.NODE_ENV === 'development'
         ? { verification_code: verification.code }
         : { email_verification_required: true };
@@ -144,7 +224,7 @@ router.post('/register', [
           avatar_url: user.avatar_url,
           email_verified: user.email_verified || false
         },
-        token,
+        ...tokens,
         ...verificationData
       }
     });
@@ -160,6 +240,33 @@ router.post('/register', [
   }
 });
 
+// 로그인 실패 처리: 계정별 실패 횟수 기록, 잠금 시 잠금 해제 메일 발송
+const handleLoginFailure = async (req, res, { email, user, reason }) => {
+  const result = await recordLoginFailure(email);
+
+  // 입력한 이메일은 남기지 않음 (계정이 있으면 user_id로 충분하고, 없으면 남길 이유가 없음)
+  await recordSecurityEvent(req, EVENT_TYPES.LOGIN_FAILED, {
+    userId: user?.id || null,
+    metadata: { method: 'password', reason, failures: result.failures }
+  });
+
+  if (result.locked) {
+    await recordAccountLocked(req, user, { lockedUntil: result.lockedUntil });
+
+    return res.status(423).json({
+      success: false,
+      message: '로그인 시도가 너무 많아 계정이 일시적으로 잠겼습니다. 이메일로 발송된 안내를 확인해주세요.',
+      error_code: 'ACCOUNT_LOCKED',
+      locked_until: result.lockedUntil
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: '이메일 또는 비밀번호가 올바르지 않습니다.'
+  });
+};
+
 // 로그인
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
@@ -178,20 +285,45 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // 계정별 실패 제한 확인 (잠금 / 지수 대기)
+    const attempt = await checkLoginAllowed(email);
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfterSeconds));
+
+      if (attempt.reason === 'locked') {
+        return res.status(423).json({
+          success: false,
+          message: '로그인 시도가 너무 많아 계정이 일시적으로 잠겼습니다. 이메일로 발송된 안내를 확인해주세요.',
+          error_code: 'ACCOUNT_LOCKED',
+          locked_until: attempt.lockedUntil,
+          retry_after: attempt.retryAfterSeconds
+        });
+      }
+
+      return res.status(429).json({
+        success: false,
+        message: `로그인 시도가 너무 많습니다. ${attempt.retryAfterSeconds}초 후 다시 시도해주세요.`,
+        error_code: 'LOGIN_THROTTLED',
+        retry_after: attempt.retryAfterSeconds
+      });
+    }
+
     // 사용자 찾기
     const user = await User.findByEmail(email);
     if (!user) {
       console.log('❌ 로그인 실패: 사용자를 찾을 수 없음 -', email);
-      return res.status(401).json({
-        success: false,
-        message: '이메일 또는 비밀번호가 올바르지 않습니다.'
-      });
+      return handleLoginFailure(req, res, { email, user: null, reason: 'unknown_account' });
     }
 
     console.log('✅ 사용자 찾음:', email, 'auth_provider:', user.auth_provider, 'has_password_hash:', !!user.password_hash);
 
     // 탈퇴 대기 중인 계정 확인
     if (user.is_active === false) {
+      await recordSecurityEvent(req, EVENT_TYPES.LOGIN_FAILED, {
+        userId: user.id,
+        metadata: { method: 'password', reason: 'deletion_pending' }
+      });
+
       return res.status(403).json({
         success: false,
         message: '탈퇴 대기 중인 계정입니다. 계정 복구를 원하시면 고객센터에 문의해주세요.',
@@ -200,45 +332,52 @@ router.post('/login', [
       });
     }
 
-    // 소셜 로그인 계정 확인
-    if (user.auth_provider !== 'email' || !user.password_hash) {
-      const providerNames = {
-        'email': '이메일',
-        'google': 'Google',
-        'kakao': 'Kakao',
-        'naver': 'Naver'
-      };
-
-      const provider = providerNames[user.auth_provider] || user.auth_provider;
+    // 비밀번호가 없는 계정 (소셜 로그인만 연결됨)
+    if (!user.password_hash) {
+      const { providers } = await User.getLoginMethods(user);
+      const provider = describeProviders(providers) || providerNames[user.auth_provider] || user.auth_provider;
 
       return res.status(400).json({
         success: false,
         message: `이 계정은 ${provider} 로그인으로 가입되었습니다. ${provider} 로그인을 이용해주세요.`,
         error_code: 'SOCIAL_LOGIN_REQUIRED',
-        auth_provider: user.auth_provider
+        auth_provider: user.auth_provider,
+        linked_providers: providers
       });
     }
 
     // 비밀번호 확인
-    console.log('🔐 비밀번호 검증 시작');
-    console.log('  입력된 비밀번호:', password);
-    console.log('  입력된 비밀번호 길이:', password.length);
-    console.log('  저장된 해시 전체:', user.password_hash);
-    console.log('  저장된 해시 길이:', user.password_hash?.length);
-
     const isPasswordValid = await User.verifyPassword(password, user.password_hash);
     if (!isPasswordValid) {
       console.log('❌ 로그인 실패: 비밀번호 불일치 -', email);
-      return res.status(401).json({
-        success: false,
-        message: '이메일 또는 비밀번호가 올바르지 않습니다.'
+      return handleLoginFailure(req, res, { email, user, reason: 'invalid_password' });
+    }
+
+    // 2단계 인증이 켜진 계정은 코드 확인 후 토큰 발급 (POST /api/auth/2fa/verify)
+    // 실패 기록은 2단계 인증까지 끝난 뒤에 초기화
+    if (await TwoFactor.isEnabled(user.id)) {
+      console.log('🔐 2단계 인증 필요:', email);
+
+      return res.json({
+        success: true,
+        message: '2단계 인증 코드를 입력해주세요.',
+        data: {
+          two_factor_required: true,
+          ...await createTwoFactorChallenge(user.id)
+        }
       });
     }
 
     console.log('✅ 로그인 성공:', email);
 
     // JWT 토큰 생성
-    const token = generateToken(user.id);
+    const tokens = await issueLoginTokens(user, req);
+    await resetLoginFailures(email);
+
+    await recordSecurityEvent(req, EVENT_TYPES.LOGIN_SUCCEEDED, {
+      userId: user.id,
+      metadata: { method: 'password', session_id: tokens.session_id }
+    });
 
     res.json({
       success: true,
@@ -252,7 +391,7 @@ router.post('/login', [
           avatar_url: user.avatar_url,
           email_verified: user.email_verified || false
         },
-        token
+        ...tokens
       }
     });
 
@@ -266,14 +405,11 @@ router.post('/login', [
 });
 
 // 소셜 로그인 (Google, Kakao, Naver)
-router.post('/social-login', [
-  body('social_id').notEmpty(),
-  body('auth_provider').isIn(['google', 'kakao', 'naver']),
-  body('email').isEmail().normalizeEmail(),
-  body('name').notEmpty().trim()
-], async (req, res) => {
+// 클라이언트가 보낸 social_id/email 대신 제공자 자격 증명(access_token, code, id_token)으로
+// 서버에서 직접 신원을 확인
+router.post('/social-login', socialCredentialRules, async (req, res) => {
   try {
-    console.log('🔐 소셜 로그인 요청 시작:', req.body);
+    console.log('🔐 소셜 로그인 요청 시작:', req.body.auth_provider);
 
     // 입력 검증
     const errors = validationResult(req);
@@ -286,13 +422,41 @@ router.post('/social-login', [
       });
     }
 
-    const { social_id, auth_provider, email, name, phone, avatar_url, social_data } = req.body;
-    console.log('✅ 입력 검증 통과');
+    const { auth_provider } = req.body;
+
+    // 제공자에게 사용자 정보 조회/검증
+    const profile = await verifySocialIdentity(auth_provider, req.body);
+    console.log('✅ 소셜 신원 확인 완료:', auth_provider, profile.social_id);
+
+    if (!profile.email || !profile.email_verified) {
+      return res.status(400).json({
+        success: false,
+        message: '인증된 이메일 정보를 제공받지 못했습니다. 이메일 제공에 동의한 후 다시 시도해주세요.',
+        error_code: 'SOCIAL_EMAIL_REQUIRED'
+      });
+    }
+
+    // 기존 가입 데이터와 같은 규칙으로 이메일 정규화
+    const normalized = { body: { email: profile.email } };
+    const emailCheck = await body('email').isEmail().normalizeEmail().run(normalized);
+    if (!emailCheck.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '제공받은 이메일 형식이 올바르지 않습니다.',
+        error_code: 'SOCIAL_EMAIL_REQUIRED'
+      });
+    }
+
+    const social_id = profile.social_id;
+    const email = normalized.body.email;
+    const name = profile.name || req.body.name?.trim() || '사용자';
+    // 제공자가 준 번호는 형식이 올바를 때만 저장
+    const phone = normalizePhoneNumber(profile.phone);
 
     // avatar_url을 HTTPS로 변환
-    const secureAvatarUrl = ensureHttps(avatar_url);
+    const secureAvatarUrl = ensureHttps(profile.avatar_url);
 
-    // 1단계: 기존 소셜 로그인 사용자 찾기 (social_id로 조회)
+    // 1단계: 기존 소셜 로그인 사용자 찾기 (연결된 소셜 계정으로 조회)
     console.log('🔍 소셜 계정 조회 시작:', auth_provider, social_id);
     let user = await User.findBySocialId(auth_provider, social_id);
 
@@ -301,6 +465,11 @@ router.post('/social-login', [
 
       // 탈퇴 대기 중인 계정 확인
       if (user.is_active === false) {
+        await recordSecurityEvent(req, EVENT_TYPES.LOGIN_FAILED, {
+          userId: user.id,
+          metadata: { method: 'social', provider: auth_provider, reason: 'deletion_pending' }
+        });
+
         return res.status(403).json({
           success: false,
           message: '탈퇴 대기 중인 계정입니다. 계정 복구를 원하시면 고객센터에 문의해주세요.',
@@ -308,30 +477,27 @@ router.post('/social-login', [
           deletion_scheduled_at: user.deletion_scheduled_at
         });
       }
+
+      await UserIdentity.touch(auth_provider, social_id);
     } else {
       // 2단계: 같은 이메일로 가입된 계정이 있는지 확인
       console.log('🔍 이메일 중복 체크:', email);
       const existingUser = await User.findByEmail(email);
 
       if (existingUser) {
-        // 같은 이메일이 이미 존재하는 경우
-        const providerNames = {
-          'email': '이메일',
-          'google': 'Google',
-          'kakao': 'Kakao',
-          'naver': 'Naver'
-        };
-
-        const existingProvider = providerNames[existingUser.auth_provider] || existingUser.auth_provider;
+        // 같은 이메일이 이미 존재하는 경우: 자동으로 합치지 않고, 기존 수단으로 로그인한 뒤 직접 연결하도록 안내
+        const { providers } = await User.getLoginMethods(existingUser);
+        const existingProvider = describeProviders(providers) || providerNames[existingUser.auth_provider] || existingUser.auth_provider;
         const currentProvider = providerNames[auth_provider] || auth_provider;
 
-        console.log('❌ 이메일 충돌:', email, '기존:', existingUser.auth_provider, '시도:', auth_provider);
+        console.log('❌ 이메일 충돌:', email, '기존:', providers, '시도:', auth_provider);
 
         return res.status(409).json({
           success: false,
-          message: `이미 ${existingProvider}로 가입된 계정입니다. ${existingProvider} 로그인을 이용해주세요.`,
+          message: `이미 ${existingProvider}로 가입된 계정입니다. ${existingProvider} 로그인 후 설정에서 ${currentProvider} 계정을 연결해주세요.`,
           error_code: 'EMAIL_ALREADY_EXISTS',
-          existing_provider: existingUser.auth_provider
+          existing_provider: existingUser.auth_provider,
+          linked_providers: providers
         });
       }
 
@@ -346,13 +512,23 @@ router.post('/social-login', [
         social_id
       });
       console.log('✅ 새 소셜 사용자 생성 완료:', user.id);
+
+      await recordSecurityEvent(req, EVENT_TYPES.ACCOUNT_CREATED, {
+        userId: user.id,
+        metadata: { method: 'social', provider: auth_provider }
+      });
     }
 
     // JWT 토큰 생성
     console.log('🔐 JWT 토큰 생성 시작');
-    const token = generateToken(user.id);
+    const tokens = await issueLoginTokens(user, req);
     console.log('✅ JWT 토큰 생성 완료');
 
+    await recordSecurityEvent(req, EVENT_TYPES.LOGIN_SUCCEEDED, {
+      userId: user.id,
+      metadata: { method: 'social', provider: auth_provider, session_id: tokens.session_id }
+    });
+
     console.log('🎉 소셜 로그인 성공');
     res.json({
       success: true,
@@ -367,11 +543,20 @@ router.post('/social-login', [
           email_verified: user.email_verified || true,
           created_at: user.created_at
         },
-        token
+        ...tokens
       }
     });
 
   } catch (error) {
+    if (error instanceof SocialAuthError) {
+      console.warn('❌ 소셜 신원 확인 실패:', error.code, error.message);
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        error_code: error.code
+      });
+    }
+
     console.error('❌ 소셜 로그인 오류:', error);
     console.error('❌ 스택 트레이스:', error.stack);
     res.status(500).json({
@@ -394,71 +579,34 @@ router.post('/kakao/user-info', async (req, res) => {
       });
     }
 
-    const clientId = process.env.KAKAO_CLIENT_ID;
-
-    if (!clientId) {
-      console.error('KAKAO_CLIENT_ID environment variable is not configured');
-      return res.status(500).json({
-        success: false,
-        message: '소셜 로그인 설정 오류가 발생했습니다.'
-      });
-    }
-
-    // 1. 카카오 토큰 가져오기
-    const tokenResponse = await fetch('https://kauth.kakao.com/oauth/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      body: new URLSearchParams({
-        grant_type: 'authorization_code',
-        client_id: clientId,
-        redirect_uri: redirect_uri,
-        code: code
-      })
-    });
-
-    const tokenData = await tokenResponse.json();
-
-    if (!tokenData.access_token) {
-      return res.status(400).json({
-        success: false,
-        message: '카카오 토큰을 가져올 수 없습니다.',
-        error: tokenData
-      });
-    }
+    // 1. 카카오 토큰 가져오기 (인가 코드는 1회용이므로 액세스 토큰을 함께 반환)
+    const accessToken = await exchangeKakaoCode(code, redirect_uri);
 
     // 2. 카카오 사용자 정보 가져오기
-    const userResponse = await fetch('https://kapi.kakao.com/v2/user/me', {
-      headers: {
-        'Authorization': `Bearer ${tokenData.access_token}`
+    const profile = await fetchKakaoProfile(accessToken);
+    console.log('✅ Kakao user info:', profile.social_id);
+
+    res.json({
+      success: true,
+      data: {
+        social_id: profile.social_id,
+        email: profile.email,
+        name: profile.name || '사용자',
+        avatar_url: ensureHttps(profile.avatar_url),
+        auth_provider: 'kakao',
+        access_token: accessToken,
+        social_data: profile.social_data
       }
     });
-
-    const userData = await userResponse.json();
-    console.log('✅ Kakao user info:', userData);
-
-    if (userData.id) {
-      const avatarUrl = userData.properties?.profile_image || userData.kakao_account?.profile?.profile_image_url || undefined;
-
-      res.json({
-        success: true,
-        data: {
-          social_id: userData.id.toString(),
-          email: userData.kakao_account?.email || '',
-          name: userData.properties?.nickname || userData.kakao_account?.profile?.nickname || '사용자',
-          avatar_url: ensureHttps(avatarUrl),
-          auth_provider: 'kakao',
-          social_data: userData
-        }
-      });
-    } else {
-      res.status(400).json({
+  } catch (error) {
+    if (error instanceof SocialAuthError) {
+      return res.status(error.status === 401 ? 400 : error.status).json({
         success: false,
-        message: '카카오 사용자 정보를 가져올 수 없습니다.'
+        message: error.message,
+        error_code: error.code
       });
     }
-  } catch (error) {
+
     console.error('카카오 사용자 정보 조회 오류:', error);
     res.status(500).json({
       success: false,
@@ -479,36 +627,29 @@ router.post('/naver/user-info', async (req, res) => {
       });
     }
 
-    // 네이버 API 호출 (Node.js 내장 fetch 사용)
-    const response = await fetch('https://openapi.naver.com/v1/nid/me', {
-      headers: {
-        'Authorization': `Bearer ${access_token}`
+    const profile = await fetchNaverProfile(access_token);
+
+    res.json({
+      success: true,
+      data: {
+        social_id: profile.social_id,
+        email: profile.email,
+        name: profile.name || '사용자',
+        phone: profile.phone,
+        avatar_url: ensureHttps(profile.avatar_url),
+        auth_provider: 'naver',
+        social_data: profile.social_data
       }
     });
-
-    const data = await response.json();
-
-    if (data.resultcode === '00' && data.response) {
-      const user = data.response;
-      res.json({
-        success: true,
-        data: {
-          social_id: user.id,
-          email: user.email || '',
-          name: user.name || user.nickname || '사용자',
-          phone: user.mobile || user.mobile_e164 || undefined,
-          avatar_url: ensureHttps(user.profile_image),
-          auth_provider: 'naver',
-          social_data: user
-        }
-      });
-    } else {
-      res.status(400).json({
+  } catch (error) {
+    if (error instanceof SocialAuthError) {
+      return res.status(error.status === 401 ? 400 : error.status).json({
         success: false,
-        message: '네이버 사용자 정보를 가져올 수 없습니다.'
+        message: error.message,
+        error_code: error.code
       });
     }
-  } catch (error) {
+
     console.error('네이버 사용자 정보 조회 오류:', error);
     res.status(500).json({
       success: false,
@@ -517,99 +658,675 @@ router.post('/naver/user-info', async (req, res) => {
   }
 });
 
-// 프로필 이미지 업로드
-router.post('/upload-profile-image',
-  authMiddleware,
-  [
-    body('image')
-      .isString()
-      .withMessage('이미지 데이터는 문자열이어야 합니다')
-      .matches(/^data:image\/(jpeg|jpg|png|gif|webp);base64,/)
-      .withMessage('지원하지 않는 이미지 형식입니다 (jpeg, png, gif, webp만 가능)'),
-    body('image').custom((value) => {
-      // Base64 데이터 크기 검증
-      const base64Data = value.split(',')[1];
-      const sizeInBytes = Buffer.from(base64Data, 'base64').length;
-      const maxSize = 5 * 1024 * 1024; // 5MB
-
-      if (sizeInBytes > maxSize) {
-        throw new Error('이미지 크기는 5MB 이하여야 합니다');
-      }
-      return true;
-    })
-  ],
-  async (req, res) => {
+// 액세스 토큰 재발급 (리프레시 토큰 교체)
+router.post('/refresh', [
+  body('refresh_token').isString().notEmpty()
+], async (req, res) => {
   try {
-    // 검증 결과 확인
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: '이미지 검증 실패',
+        message: '리프레시 토큰이 필요합니다.',
         errors: errors.array()
       });
     }
 
-    const { image } = req.body;
+    const result = await rotateRefreshToken(req.body.refresh_token);
 
-    // Cloudinary에 업로드 (추가 보안 옵션)
-    const result = await cloudinary.uploader.upload(image, {
-      folder: 'foodiemap/profiles',
-      allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-      max_bytes: 5 * 1024 * 1024,
-      resource_type: 'image',
-      transformation: [
-        { width: 400, height: 400, crop: 'fill', gravity: 'face' },
-        { quality: 'auto:good' }
-      ]
+    if (result.status === 'reused') {
+      console.warn('⚠️ 리프레시 토큰 재사용 감지 - 세션 폐기:', result.userId);
+
+      await recordSecurityEvent(req, EVENT_TYPES.REFRESH_TOKEN_REUSED, { userId: result.userId });
+
+      return res.status(401).json({
+        success: false,
+        message: '보안을 위해 세션이 종료되었습니다. 다시 로그인해주세요.',
+        error_code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    if (result.status !== 'ok') {
+      const errorCodes = {
+        invalid: 'INVALID_REFRESH_TOKEN',
+        expired: 'REFRESH_TOKEN_EXPIRED',
+        revoked: 'SESSION_REVOKED'
+      };
+
+      return res.status(401).json({
+        success: false,
+        message: '유효하지 않거나 만료된 리프레시 토큰입니다. 다시 로그인해주세요.',
+        error_code: errorCodes[result.status]
+      });
+    }
+
+    // 비활성화된 계정은 재발급 불가
+    const user = await User.findById(result.userId);
+    if (!user || user.is_active === false) {
+      await Session.revoke(result.tokens.session_id, 'account_inactive');
+      return res.status(403).json({
+        success: false,
+        message: '비활성화된 계정입니다.',
+        error_code: 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '토큰이 재발급되었습니다.',
+      data: result.tokens
+    });
+
+  } catch (error) {
+    console.error('토큰 재발급 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 로그아웃 (현재 세션 폐기)
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await Session.revoke(req.sessionId, 'logout');
+
+    await recordSecurityEvent(req, EVENT_TYPES.LOGOUT, {
+      metadata: { session_id: req.sessionId }
     });
 
     res.json({
       success: true,
-      message: '이미지 업로드 완료',
+      message: '로그아웃되었습니다.'
+    });
+
+  } catch (error) {
+    console.error('로그아웃 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 모든 기기에서 로그아웃 (사용자의 모든 세션 폐기)
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const revokedCount = await Session.revokeAllForUser(req.user.id, { reason: 'logout_all' });
+
+    await recordSecurityEvent(req, EVENT_TYPES.LOGOUT_ALL, {
+      metadata: { revoked_sessions: revokedCount }
+    });
+
+    res.json({
+      success: true,
+      message: '모든 기기에서 로그아웃되었습니다.',
       data: {
-        url: result.secure_url,
-        public_id: result.public_id
+        revoked_sessions: revokedCount
       }
     });
 
   } catch (error) {
-    console.error('이미지 업로드 오류:', error);
-    res.status(400).json({
+    console.error('전체 로그아웃 오류:', error);
+    res.status(500).json({
       success: false,
-      message: '이미지 업로드에 실패했습니다.'
+      message: '서버 오류가 발생했습니다.'
     });
   }
 });
 
-// 프로필 정보 수정
-router.put('/profile',
-  authMiddleware,
-  [
-    body('name').optional().notEmpty().trim().withMessage('이름을 입력해주세요'),
-    body('phone').optional().trim(),
-    body('avatar_url').optional().isURL().withMessage('올바른 URL 형식이 아닙니다'),
-    body('current_password').optional(),
-    body('new_password').optional().isLength({ min: 6 }).withMessage('비밀번호는 최소 6자 이상이어야 합니다')
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: '입력값이 올바르지 않습니다',
-          errors: errors.array()
-        });
+// 로그인된 기기(세션) 목록
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session.id,
+          device: describeDevice(session.user_agent),
+          user_agent: session.user_agent,
+          ip_address: session.ip_address,
+          created_at: session.created_at,
+          last_seen_at: session.last_seen_at,
+          current: session.id === req.sessionId
+        }))
       }
+    });
 
-      const userId = req.user.id;
+  } catch (error) {
+    console.error('세션 목록 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 특정 기기 로그아웃 (세션 폐기)
+router.delete('/sessions/:id', authMiddleware, [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '올바르지 않은 세션 ID입니다.',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findActive(req.params.id, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: '세션을 찾을 수 없습니다.',
+        error_code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    await Session.revoke(session.id, 'user_revoked');
+
+    await recordSecurityEvent(req, EVENT_TYPES.SESSION_REVOKED, {
+      metadata: {
+        session_id: session.id,
+        device: describeDevice(session.user_agent),
+        current: session.id === req.sessionId
+      }
+    });
+
+    res.json({
+      success: true,
+      message: '해당 기기에서 로그아웃되었습니다.',
+      data: {
+        current: session.id === req.sessionId
+      }
+    });
+
+  } catch (error) {
+    console.error('세션 폐기 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 내 계정 보안 이벤트 (로그인, 비밀번호 변경 등 최근 기록)
+router.get('/security-events', authMiddleware, [
+  query('page').optional().isInt({ min: 1 }).withMessage('페이지는 1 이상이어야 합니다'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit는 1-100 사이여야 합니다'),
+  query('event_type').optional().isIn(SecurityEvent.EVENT_TYPE_VALUES).withMessage('지원하지 않는 이벤트 유형입니다')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '입력값이 올바르지 않습니다',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { events, total } = await SecurityEvent.findByUserId(req.user.id, {
+      page,
+      limit,
+      eventType: req.query.event_type
+    });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(event => ({
+          id: event.id,
+          event_type: event.event_type,
+          device: describeDevice(event.user_agent),
+          user_agent: event.user_agent,
+          ip_address: event.ip_address,
+          metadata: event.metadata || {},
+          created_at: event.created_at
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('보안 이벤트 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 비밀번호 찾기 (재설정 링크 발송)
+// 이메일 존재 여부를 노출하지 않도록 항상 같은 응답을 반환
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '올바른 이메일을 입력해주세요.',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const user = await User.findByEmail(email);
+
+    // 비밀번호로 로그인하는 활성 계정에만 발송
+    if (user && user.password_hash && user.is_active !== false) {
+      const reset = await PasswordReset.create(user.id);
+      const frontendUrl = process.env.FRONTEND_URL || 'https://www.mzcube.com';
+      const resetUrl = `${frontendUrl}/reset-password?token=${encodeURIComponent(reset.token)}`;
+
+      // 응답 시간으로 계정 존재 여부가 드러나지 않도록 메일은 기다리지 않음
+      sendPasswordResetEmail(user.email, resetUrl, user.name, PasswordReset.RESET_TOKEN_TTL_MINUTES)
+        .catch(emailError => console.error('❌ 비밀번호 재설정 메일 발송 실패:', emailError.message));
+
+      await recordSecurityEvent(req, EVENT_TYPES.PASSWORD_RESET_REQUESTED, { userId: user.id });
+    }
+
+    res.json({
+      success: true,
+      message: '입력하신 이메일로 가입된 계정이 있다면 비밀번호 재설정 링크가 발송됩니다.'
+    });
+
+  } catch (error) {
+    console.error('비밀번호 찾기 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 비밀번호 재설정
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('new_password').isString().notEmpty().withMessage('새 비밀번호를 입력해주세요')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '입력 정보가 올바르지 않습니다.',
+        errors: errors.array()
+      });
+    }
+
+    const { token, new_password } = req.body;
+
+    const invalidTokenResponse = () => res.status(400).json({
+      success: false,
+      message: '유효하지 않거나 만료된 링크입니다. 비밀번호 찾기를 다시 진행해주세요.',
+      error_code: 'INVALID_RESET_TOKEN'
+    });
+
+    // 링크 발급 후 삭제되었거나 비활성화된 계정의 토큰도 받지 않음
+    const found = await PasswordReset.findValidWithUser(token);
+    if (!found || !found.user || found.user.is_active === false) {
+      return invalidTokenResponse();
+    }
+
+    const { reset, user: resetUser } = found;
+
+    // 정책 위반이면 토큰을 사용 처리하지 않고 다시 입력받음
+
+    const passwordViolations = checkPassword(new_password, { email: resetUser.email, name: resetUser.name });
+    if (passwordViolations.length > 0) {
+      return passwordPolicyResponse(res, passwordViolations, 'new_password');
+    }
+
+    const claimed = await PasswordReset.markUsed(reset.id);
+    if (!claimed) {
+      return invalidTokenResponse();
+    }
+
+    // 새 비밀번호 해싱 (12 라운드 - 보안 강화)
+    const hashedPassword = await bcrypt.hash(new_password, 12);
+    await User.update(reset.user_id, {
+      password_hash: hashedPassword,
+      updated_at: new Date().toISOString()
+    });
+
+    // 기존 세션은 모두 종료하고 로그인 잠금도 해제
+    await Session.revokeAllForUser(reset.user_id, { reason: 'password_reset' });
+    await resetLoginFailures(resetUser.email);
+
+    console.log('✅ 비밀번호 재설정 완료:', reset.user_id);
+
+    await recordSecurityEvent(req, EVENT_TYPES.PASSWORD_RESET, { userId: reset.user_id });
+
+    res.json({
+      success: true,
+      message: '비밀번호가 재설정되었습니다. 새 비밀번호로 로그인해주세요.'
+    });
+
+  } catch (error) {
+    console.error('비밀번호 재설정 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+const formatIdentity = (identity) => ({
+  id: identity.id,
+  provider: identity.provider,
+  email: identity.email,
+  created_at: identity.created_at,
+  last_used_at: identity.last_used_at
+});
+
+// 연결된 로그인 수단 조회
+router.get('/identities', authMiddleware, async (req, res) => {
+  try {
+    const { has_password, identities } = await User.getLoginMethods(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        has_password,
+        identities: identities.map(formatIdentity)
+      }
+    });
+
+  } catch (error) {
+    console.error('연결된 계정 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 소셜 계정 연결 (로그인한 사용자가 제공자 자격 증명으로 본인 확인 후 연결)
+router.post('/identities', authMiddleware, socialCredentialRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '입력 정보가 올바르지 않습니다.',
+        errors: errors.array()
+      });
+    }
+
+    const { auth_provider } = req.body;
+    const profile = await verifySocialIdentity(auth_provider, req.body);
+
+    // 이미 연결된 소셜 계정인지 확인 (연결 테이블 도입 전 가입자 포함)
+    const owner = await User.findBySocialId(auth_provider, profile.social_id);
+    if (owner) {
+      const linkedToMe = owner.id === req.user.id;
+
+      return res.status(409).json({
+        success: false,
+        message: linkedToMe
+          ? `이미 연결된 ${providerNames[auth_provider]} 계정입니다.`
+          : `이미 다른 FoodieMap 계정에 연결된 ${providerNames[auth_provider]} 계정입니다.`,
+        error_code: linkedToMe ? 'IDENTITY_ALREADY_LINKED' : 'IDENTITY_LINKED_TO_OTHER_ACCOUNT'
+      });
+    }
+
+    const identity = await UserIdentity.create({
+      userId: req.user.id,
+      provider: auth_provider,
+      providerUserId: profile.social_id,
+      email: profile.email_verified ? profile.email : null
+    });
+
+    console.log('🔗 소셜 계정 연결:', req.user.id, auth_provider);
+
+    await recordSecurityEvent(req, EVENT_TYPES.IDENTITY_LINKED, {
+      metadata: { provider: auth_provider, identity_id: identity.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${providerNames[auth_provider]} 계정이 연결되었습니다.`,
+      data: {
+        identity: formatIdentity(identity)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SocialAuthError) {
+      return res.status(error.status === 401 ? 400 : error.status).json({
+        success: false,
+        message: error.message,
+        error_code: error.code
+      });
+    }
+
+    console.error('소셜 계정 연결 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 소셜 계정 연결 해제 (마지막 로그인 수단은 해제 불가)
+router.delete('/identities/:id', authMiddleware, [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '올바르지 않은 연결된 계정 ID입니다.',
+        errors: errors.array()
+      });
+    }
+
+    const { has_password, identities } = await User.getLoginMethods(req.user);
+    const identity = identities.find(item => String(item.id) === req.params.id);
+
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        message: '연결된 계정을 찾을 수 없습니다.',
+        error_code: 'IDENTITY_NOT_FOUND'
+      });
+    }
+
+    const remaining = identities.filter(item => item.id !== identity.id);
+    if (!has_password && remaining.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '마지막 로그인 수단은 연결 해제할 수 없습니다. 다른 로그인 수단을 먼저 연결해주세요.',
+        error_code: 'LAST_LOGIN_METHOD'
+      });
+    }
+
+    await UserIdentity.delete(identity.id, req.user.id);
+
+    // 기존 users.auth_provider/social_id가 해제한 계정을 가리키면 남은 수단으로 교체
+    if (req.user.auth_provider === identity.provider && req.user.social_id === identity.provider_user_id) {
+      const [next] = remaining;
+      await User.update(req.user.id, {
+        auth_provider: next ? next.provider : 'email',
+        social_id: next ? next.provider_user_id : null,
+        updated_at: new Date().toISOString()
+      });
+    }
+
+    console.log('🔗 소셜 계정 연결 해제:', req.user.id, identity.provider);
+
+    await recordSecurityEvent(req, EVENT_TYPES.IDENTITY_UNLINKED, {
+      metadata: { provider: identity.provider, identity_id: identity.id }
+    });
+
+    res.json({
+      success: true,
+      message: `${providerNames[identity.provider] || identity.provider} 계정 연결이 해제되었습니다.`
+    });
+
+  } catch (error) {
+    console.error('소셜 계정 연결 해제 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 계정 잠금 해제 (잠금 안내 메일의 링크)
+router.post('/unlock-account', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '입력 정보가 올바르지 않습니다.',
+        errors: errors.array()
+      });
+    }
+
+    const payload = verifyUnlockToken(req.body.token);
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        message: '유효하지 않거나 만료된 링크입니다.',
+        error_code: 'INVALID_UNLOCK_TOKEN'
+      });
+    }
+
+    await resetLoginFailures(payload.email);
+    console.log('🔓 계정 잠금 해제:', payload.userId);
+
+    await recordSecurityEvent(req, EVENT_TYPES.ACCOUNT_UNLOCKED, { userId: payload.userId });
+
+    res.json({
+      success: true,
+      message: '계정 잠금이 해제되었습니다. 다시 로그인해주세요.'
+    });
+
+  } catch (error) {
+    console.error('계정 잠금 해제 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 프로필 이미지 업로드
+router.post('/upload-profile-image',
+  authMiddleware,
+  [
+    body('image')
+      .isString()
+      .withMessage('이미지 데이터는 문자열이어야 합니다')
+      .matches(/^data:image\/(jpeg|jpg|png|gif|webp);base64,/)
+      .withMessage('지원하지 않는 이미지 형식입니다 (jpeg, png, gif, webp만 가능)'),
+    body('image').custom((value) => {
+      // Base64 데이터 크기 검증
+      const base64Data = value.split(',')[1];
+      const sizeInBytes = Buffer.from(base64Data, 'base64').length;
+      const maxSize = 5 * 1024 * 1024; // 5MB
+
+      if (sizeInBytes > maxSize) {
+        throw new Error('이미지 크기는 5MB 이하여야 합니다');
+      }
+      return true;
+    })
+  ],
+  async (req, res) => {
+  try {
+    // 검증 결과 확인
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '이미지 검증 실패',
+        errors: errors.array()
+      });
+    }
+
+    const { image } = req.body;
+
+    // Cloudinary에 업로드 (추가 보안 옵션)
+    const result = await cloudinary.uploader.upload(image, {
+      folder: 'foodiemap/profiles',
+      allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+      max_bytes: 5 * 1024 * 1024,
+      resource_type: 'image',
+      transformation: [
+        { width: 400, height: 400, crop: 'fill', gravity: 'face' },
+        { quality: 'auto:good' }
+      ]
+    });
+
+    res.json({
+      success: true,
+      message: '이미지 업로드 완료',
+      data: {
+        url: result.secure_url,
+        public_id: result.public_id
+      }
+    });
+
+  } catch (error) {
+    console.error('이미지 업로드 오류:', error);
+    res.status(400).json({
+      success: false,
+      message: '이미지 업로드에 실패했습니다.'
+    });
+  }
+});
+
+// 프로필 정보 수정
+router.put('/profile',
+  authMiddleware,
+  [
+    body('name').optional().notEmpty().trim().withMessage('이름을 입력해주세요'),
+    phoneValidator(),
+    body('avatar_url').optional().isURL().withMessage('올바른 URL 형식이 아닙니다'),
+    body('current_password').optional(),
+    body('new_password').optional().isString().notEmpty().withMessage('새 비밀번호를 입력해주세요')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: '입력값이 올바르지 않습니다',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
       const { name, phone, avatar_url, current_password, new_password } = req.body;
 
       // 비밀번호 변경 요청 시
       if (new_password) {
-        // 소셜 로그인 계정은 비밀번호 변경 불가
-        if (req.user.auth_provider !== 'email') {
+        // 비밀번호가 없는 소셜 로그인 계정은 비밀번호 변경 불가
+        if (!req.user.password_hash) {
           return res.status(400).json({
             success: false,
             message: '소셜 로그인 계정은 비밀번호를 변경할 수 없습니다.'
@@ -633,15 +1350,38 @@ router.put('/profile',
           });
         }
 
+        const passwordViolations = checkPassword(new_password, {
+          email: req.user.email,
+          name: name !== undefined ? name : req.user.name
+        });
+        if (passwordViolations.length > 0) {
+          return passwordPolicyResponse(res, passwordViolations, 'new_password');
+        }
+
         // 새 비밀번호 해싱 (12 라운드 - 보안 강화)
         const hashedPassword = await bcrypt.hash(new_password, 12);
         await User.update(userId, { password_hash: hashedPassword });
+
+        // 다른 기기의 세션은 모두 종료 (현재 세션만 유지)
+        const revokedCount = await Session.revokeAllForUser(userId, { reason: 'password_changed', exceptId: req.sessionId });
+
+        await recordSecurityEvent(req, EVENT_TYPES.PASSWORD_CHANGED, {
+          metadata: { revoked_sessions: revokedCount }
+        });
       }
 
       // 프로필 정보 업데이트
       const updateData = {};
       if (name !== undefined) updateData.name = name;
-      if (phone !== undefined) updateData.phone = phone;
+      if (phone !== undefined) {
+        updateData.phone = phone || null;
+
+        // 번호가 바뀌면 다시 인증해야 함
+        if (updateData.phone !== req.user.phone) {
+          updateData.phone_verified = false;
+          updateData.phone_verified_at = null;
+        }
+      }
       if (avatar_url !== undefined) updateData.avatar_url = avatar_url;
 
       if (Object.keys(updateData).length > 0) {
@@ -660,6 +1400,7 @@ router.put('/profile',
             email: updatedUser.email,
             name: updatedUser.name,
             phone: updatedUser.phone,
+            phone_verified: updatedUser.phone_verified || false,
             avatar_url: updatedUser.avatar_url,
             email_verified: updatedUser.email_verified || false,
             auth_provider: updatedUser.auth_provider
@@ -677,6 +1418,194 @@ router.put('/profile',
   }
 );
 
+// 이메일 변경 요청 (새 이메일로 인증 코드 발송, 기존 이메일로 안내)
+router.post('/email-change', authMiddleware, [
+  body('new_email').isEmail().normalizeEmail().withMessage('올바른 이메일을 입력해주세요'),
+  body('current_password').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '입력값이 올바르지 않습니다',
+        errors: errors.array()
+      });
+    }
+
+    const { new_email, current_password } = req.body;
+
+    if (new_email === req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: '현재 사용 중인 이메일과 같습니다.',
+        error_code: 'EMAIL_UNCHANGED'
+      });
+    }
+
+    // 비밀번호가 있는 계정은 비밀번호 재확인, 소셜 전용 계정은 최근 로그인 확인
+    // (탈취된 토큰만으로 계정 이메일을 바꿔 가로채지 못하도록)
+    if (req.user.password_hash) {
+      if (!current_password) {
+        return res.status(400).json({
+          success: false,
+          message: '현재 비밀번호를 입력해주세요.',
+          error_code: 'PASSWORD_REQUIRED'
+        });
+      }
+
+      const isPasswordValid = await User.verifyPassword(current_password, req.user.password_hash);
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          success: false,
+          message: '현재 비밀번호가 일치하지 않습니다.',
+          error_code: 'INVALID_PASSWORD'
+        });
+      }
+    } else if (!isRecentLogin(req, EMAIL_CHANGE_REAUTH_MINUTES)) {
+      return res.status(401).json({
+        success: false,
+        message: `보안을 위해 다시 로그인한 뒤 ${EMAIL_CHANGE_REAUTH_MINUTES}분 안에 이메일 변경을 요청해주세요.`,
+        error_code: 'REAUTHENTICATION_REQUIRED'
+      });
+    }
+
+    // 회원가입과 같은 중복 규칙 적용
+    const existingUser = await User.findByEmail(new_email);
+    if (existingUser) {
+      return emailConflictResponse(res, existingUser);
+    }
+
+    const cooldown = await checkResendCooldown(EmailVerification.PURPOSES.EMAIL_CHANGE, req.user.id);
+    if (!cooldown.allowed) {
+      res.set('Retry-After', String(cooldown.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `인증 코드는 ${cooldown.retryAfterSeconds}초 후 다시 요청할 수 있습니다.`,
+        error_code: 'VERIFICATION_RESEND_COOLDOWN',
+        retry_after: cooldown.retryAfterSeconds
+      });
+    }
+
+    const verification = await EmailVerification.createEmailChange(req.user.id, new_email);
+    await recordCodeSent(EmailVerification.PURPOSES.EMAIL_CHANGE, req.user.id);
+
+    sendEmailChangeNoticeEmail(req.user.email, { userName: req.user.name, newEmail: new_email })
+      .catch(emailError => console.error('❌ 이메일 변경 요청 안내 메일 발송 실패:', emailError.message));
+
+    console.log('📧 이메일 변경 요청:', req.user.id);
+
+    await recordSecurityEvent(req, EVENT_TYPES.EMAIL_CHANGE_REQUESTED, {
+      metadata: { current_email: req.user.email, new_email }
+    });
+
+    res.json({
+      success: true,
+      message: '새 이메일 주소로 인증 코드가 전송되었습니다. 인증을 완료하면 이메일이 변경됩니다.',
+      data: {
+        new_email,
+        expires_at: verification.expires_at,
+        ...(process.env.NODE_ENV === 'development' && { verification_code: verification.code })
+      }
+    });
+
+  } catch (error) {
+    console.error('이메일 변경 요청 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 이메일 변경 확인 (인증 코드 확인 후 변경 적용)
+router.post('/email-change/confirm', authMiddleware, [
+  body('new_email').isEmail().normalizeEmail().withMessage('올바른 이메일을 입력해주세요'),
+  body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('6자리 인증 코드를 입력해주세요')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '입력값이 올바르지 않습니다',
+        errors: errors.array()
+      });
+    }
+
+    const { new_email, code } = req.body;
+
+    const result = await EmailVerification.verifyEmailChange(req.user.id, new_email, code);
+
+    if (result.status === 'attempts_exceeded') {
+      return res.status(429).json({
+        success: false,
+        message: '인증 코드 입력 횟수를 초과했습니다. 이메일 변경을 다시 요청해주세요.',
+        error_code: 'VERIFICATION_ATTEMPTS_EXCEEDED'
+      });
+    }
+
+    if (result.status !== 'verified') {
+      return res.status(400).json({
+        success: false,
+        message: '유효하지 않거나 만료된 인증 코드입니다.',
+        error_code: 'INVALID_VERIFICATION_CODE'
+      });
+    }
+
+    // 요청 이후 다른 계정이 같은 이메일을 사용하게 된 경우
+    const existingUser = await User.findByEmail(new_email);
+    if (existingUser && existingUser.id !== req.user.id) {
+      return emailConflictResponse(res, existingUser);
+    }
+
+    const previousEmail = req.user.email;
+    const updatedUser = await User.changeEmail(req.user, new_email);
+    if (!updatedUser) {
+      return res.status(409).json({
+        success: false,
+        message: '이미 등록된 이메일입니다.',
+        error_code: 'EMAIL_ALREADY_EXISTS'
+      });
+    }
+
+    // 기존 이메일로 발송된 비밀번호 재설정 링크 무효화
+    await PasswordReset.invalidateForUser(req.user.id);
+
+    sendEmailChangeNoticeEmail(previousEmail, { userName: updatedUser.name, newEmail: new_email, completed: true })
+      .catch(emailError => console.error('❌ 이메일 변경 완료 안내 메일 발송 실패:', emailError.message));
+
+    console.log('✅ 이메일 변경 완료:', req.user.id);
+
+    await recordSecurityEvent(req, EVENT_TYPES.EMAIL_CHANGED, {
+      metadata: { previous_email: previousEmail, new_email }
+    });
+
+    res.json({
+      success: true,
+      message: '이메일이 변경되었습니다.',
+      data: {
+        user: {
+          id: updatedUser.id,
+          email: updatedUser.email,
+          name: updatedUser.name,
+          phone: updatedUser.phone,
+          avatar_url: updatedUser.avatar_url,
+          email_verified: updatedUser.email_verified || false,
+          auth_provider: updatedUser.auth_provider
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('이메일 변경 확인 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
 // 현재 사용자 정보 조회
 router.get('/me', authMiddleware, async (req, res) => {
   try {
@@ -697,9 +1626,11 @@ router.get('/me', authMiddleware, async (req, res) => {
           email: user.email,
           name: user.name,
           phone: user.phone,
+          phone_verified: user.phone_verified || false,
           avatar_url: user.avatar_url,
           email_verified: user.email_verified || false,
           auth_provider: user.auth_provider,
+          role: getUserRole(user),
           created_at: user.created_at
         }
       }
@@ -730,8 +1661,15 @@ router.post('/request-deletion',
       // 탈퇴 요청 처리
       const result = await User.requestDeletion(userId, reason);
 
+      // 탈퇴 요청된 계정의 모든 세션 종료
+      await Session.revokeAllForUser(userId, { reason: 'account_deactivated' });
+
       console.log('✅ 회원 탈퇴 요청 완료:', result);
 
+      await recordSecurityEvent(req, EVENT_TYPES.DELETION_REQUESTED, {
+        metadata: { reason: reason || null, deletion_deadline: result.deletion_deadline }
+      });
+
       res.json({
         success: true,
         message: result.message,
@@ -773,6 +1711,8 @@ router.post('/recover-account', authMiddleware, async (req, res) => {
 
     console.log('✅ 계정 복구 완료:', result);
 
+    await recordSecurityEvent(req, EVENT_TYPES.ACCOUNT_RECOVERED);
+
     res.json({
       success: true,
       message: result.message
@@ -861,15 +1801,16 @@ router.post('/cleanup-expired-accounts', async (req, res) => {
 
     console.log('🧹 만료된 계정 삭제 시작');
 
-    const deletedCount = await User.deleteExpiredAccounts();
+    const report = await User.deleteExpiredAccounts();
 
-    console.log(`✅ 만료된 계정 삭제 완료: ${deletedCount}개`);
+    console.log(`✅ 만료된 계정 삭제 완료: ${report.purged}개 (실패 ${report.failed.length}개)`);
 
     res.json({
       success: true,
-      message: `${deletedCount}개의 만료된 계정이 삭제되었습니다.`,
+      message: `${report.purged}개의 만료된 계정이 삭제되었습니다.`,
       data: {
-        deleted_count: deletedCount
+        deleted_count: report.purged,
+        report
       }
     });
 
@@ -2,18 +2,34 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const supabase = require('../config/supabase');
 const authMiddleware = require('../middleware/auth');
+const {
+  cursorScope,
+  decodeCursor,
+  keysetFilter,
+  orderByKeys,
+  isKeysetPosition,
+  paginateKeyset
+} = require('../utils/cursor');
 
 const router = express.Router();
 
+// 목록 정렬 컬럼 (같은 값은 id순)
+const COLLECTION_SORT_COLUMNS = {
+  popular: 'like_count',
+  recent: 'created_at',
+  most_saved: 'save_count'
+};
+
 // ============================================
-// 컬렉션 목록 조회
+// 컬렉션 목록 조회 (page 또는 cursor: 이전 응답의 pagination.next_cursor)
 // ============================================
 router.get('/', [
   authMiddleware.optionalAuth,
-  query('sort').optional().isIn(['popular', 'recent', 'most_saved']),
+  query('sort').optional().isIn(Object.keys(COLLECTION_SORT_COLUMNS)),
   query('type').optional().isIn(['favorites', 'reviewed', 'wishlist', 'custom']),
   query('page').optional().isInt({ min: 1 }),
-  query('limit').optional().isInt({ min: 1, max: 50 })
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('cursor').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -24,6 +40,20 @@ router.get('/', [
     const userId = req.user?.id;
     const { sort = 'popular', type, page = 1, limit = 20 } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
+    const keys = [
+      { column: COLLECTION_SORT_COLUMNS[sort], ascending: false },
+      { column: 'id', ascending: false }
+    ];
+
+    const scope = cursorScope('collections', { sort, type });
+    const position = req.query.cursor ? decodeCursor(scope, req.query.cursor) : null;
+    if (req.query.cursor && !isKeysetPosition(position, keys)) {
+      return res.status(400).json({
+        success: false,
+        message: '커서가 올바르지 않거나 다른 조건의 목록에서 받은 커서입니다.',
+        error_code: 'INVALID_CURSOR'
+      });
+    }
 
     let query = supabase
       .from('collections')
@@ -47,7 +77,7 @@ router.get('/', [
             )
           )
         )
-      `, { count: 'exact' })
+      `, position ? undefined : { count: 'exact' })
       .eq('visibility', 'public')
       .eq('is_active', true)
       .gt('item_count', 0);
@@ -56,26 +86,18 @@ router.get('/', [
       query = query.eq('type', type);
     }
 
-    // 정렬
-    switch (sort) {
-      case 'recent':
-        query = query.order('created_at', { ascending: false });
-        break;
-      case 'most_saved':
-        query = query.order('save_count', { ascending: false });
-        break;
-      case 'popular':
-      default:
-        query = query.order('like_count', { ascending: false });
-        break;
-    }
-
-    query = query.range(offset, offset + parseInt(limit) - 1);
+    // 정렬 (다음 페이지가 있는지 알기 위해 하나 더 조회)
+    query = orderByKeys(query, keys);
+    query = position
+      ? query.or(keysetFilter(keys, position)).limit(parseInt(limit) + 1)
+      : query.range(offset, offset + parseInt(limit));
 
-    const { data, error, count } = await query;
+    const { data: rows, error, count } = await query;
 
     if (error) throw error;
 
+    const { items: data, hasMore, nextCursor } = paginateKeyset(rows, parseInt(limit), keys, scope);
+
     // 사용자의 좋아요/저장 상태 확인
     let userLikes = [];
     let userSaves = [];
@@ -129,11 +151,17 @@ router.get('/', [
       success: true,
       data: {
         collections,
-        pagination: {
+        pagination: position ? {
+          limit: parseInt(limit),
+          has_more: hasMore,
+          next_cursor: nextCursor
+        } : {
           total: count,
           page: parseInt(page),
           limit: parseInt(limit),
-          total_pages: Math.ceil(count / parseInt(limit))
+          total_pages: Math.ceil(count / parseInt(limit)),
+          has_more: hasMore,
+          next_cursor: nextCursor
         }
       }
     });
@@ -0,0 +1,137 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const DataExport = require('../models/DataExport');
+const authMiddleware = require('../middleware/auth');
+const { processDataExport } = require('../utils/dataExport');
+const { EVENT_TYPES, recordSecurityEvent } = require('../utils/securityEvents');
+
+const router = express.Router();
+
+// 응답용 내보내기 요청 정보 (다운로드 가능하면 기간 제한 링크 포함)
+const describeExport = async (item) => ({
+  id: item.id,
+  status: item.status,
+  format: item.format,
+  file_size: item.file_size,
+  created_at: item.created_at,
+  completed_at: item.completed_at,
+  expires_at: item.expires_at,
+  download_url: await DataExport.createDownloadUrl(item),
+  error_message: item.status === DataExport.STATUS.FAILED ? item.error_message : null
+});
+
+// 내 데이터 내보내기 요청 (파일은 백그라운드에서 생성)
+router.post('/', authMiddleware, [
+  body('format').optional().isIn(DataExport.FORMATS).withMessage(`형식은 ${DataExport.FORMATS.join(', ')} 중 하나여야 합니다`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '입력값이 올바르지 않습니다.',
+        errors: errors.array()
+      });
+    }
+
+    const inProgress = await DataExport.findInProgress(req.user.id);
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        message: '이미 처리 중인 내보내기 요청이 있습니다.',
+        error_code: 'DATA_EXPORT_IN_PROGRESS',
+        data: {
+          export: await describeExport(inProgress)
+        }
+      });
+    }
+
+    const exportRequest = await DataExport.create(req.user.id, req.body.format || 'zip');
+
+    // 응답 후 처리 (완료되면 메일로 다운로드 링크 발송)
+    setImmediate(() => processDataExport(exportRequest, req.user));
+
+    console.log('📦 개인정보 내보내기 요청:', req.user.id, exportRequest.id, exportRequest.format);
+
+    await recordSecurityEvent(req, EVENT_TYPES.DATA_EXPORT_REQUESTED, {
+      metadata: { export_id: exportRequest.id, format: exportRequest.format }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: '내보내기를 시작했습니다. 준비가 끝나면 이메일로 다운로드 링크를 보내드립니다.',
+      data: {
+        export: await describeExport(exportRequest)
+      }
+    });
+
+  } catch (error) {
+    console.error('개인정보 내보내기 요청 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 내보내기 요청 목록 (최근 순)
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const exports = await DataExport.findByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        exports: await Promise.all(exports.map(describeExport))
+      }
+    });
+
+  } catch (error) {
+    console.error('개인정보 내보내기 목록 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 내보내기 진행 상태 조회 (완료 시 download_url 포함)
+router.get('/:id', authMiddleware, [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '유효하지 않은 요청 ID입니다.',
+        errors: errors.array()
+      });
+    }
+
+    const exportRequest = await DataExport.findById(req.params.id, req.user.id);
+    if (!exportRequest) {
+      return res.status(404).json({
+        success: false,
+        message: '내보내기 요청을 찾을 수 없습니다.',
+        error_code: 'DATA_EXPORT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        export: await describeExport(exportRequest)
+      }
+    });
+
+  } catch (error) {
+    console.error('개인정보 내보내기 상태 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
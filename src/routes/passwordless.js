@@ -0,0 +1,238 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const EmailVerification = require('../models/EmailVerification');
+const TwoFactor = require('../models/TwoFactor');
+const { issueLoginTokens, createTwoFactorChallenge } = require('../utils/authTokens');
+const { sendVerificationEmail } = require('../utils/emailService');
+const { checkLoginAllowed, resetLoginFailures } = require('../utils/loginThrottle');
+const { EVENT_TYPES, recordSecurityEvent } = require('../utils/securityEvents');
+const { checkResendCooldown, recordCodeSent } = require('../utils/verificationThrottle');
+
+const router = express.Router();
+
+// 비밀번호 없는 로그인을 사용할 수 있는 계정
+// - 이메일 가입 계정: 코드 수신으로 이메일 소유가 확인됨
+// - 소셜 전용 계정: 제공자에게서 인증된 이메일을 받은 경우만
+const canUsePasswordlessLogin = (user) => {
+  if (!user || user.is_active === false) return false;
+  return !!user.password_hash || !!user.email_verified;
+};
+
+// 코드 로그인 실패 기록 (코드 확인 결과에는 사용자 정보가 없어 이메일로 조회)
+const recordCodeFailure = async (req, email, reason) => {
+  const user = await User.findByEmail(email);
+
+  await recordSecurityEvent(req, EVENT_TYPES.LOGIN_FAILED, {
+    userId: user?.id || null,
+    metadata: { method: 'email_code', reason, email }
+  });
+};
+
+// 로그인 코드/링크 요청
+router.post('/request', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '올바른 이메일을 입력해주세요.',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    // 발송 간격은 계정 존재 여부와 관계없이 입력한 이메일 기준
+    const cooldown = await checkResendCooldown(EmailVerification.PURPOSES.LOGIN, email);
+    if (!cooldown.allowed) {
+      res.set('Retry-After', String(cooldown.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `로그인 코드는 ${cooldown.retryAfterSeconds}초 후 다시 요청할 수 있습니다.`,
+        error_code: 'VERIFICATION_RESEND_COOLDOWN',
+        retry_after: cooldown.retryAfterSeconds
+      });
+    }
+
+    const user = await User.findByEmail(email);
+
+    if (canUsePasswordlessLogin(user)) {
+      const { code, token } = await EmailVerification.createLoginCode(user);
+      const frontendUrl = process.env.FRONTEND_URL || 'https://www.mzcube.com';
+      const linkUrl = `${frontendUrl}/login/email?token=${encodeURIComponent(token)}`;
+
+      // 응답 시간으로 계정 존재 여부가 드러나지 않도록 메일은 기다리지 않음
+      sendVerificationEmail(user.email, code, user.name, EmailVerification.PURPOSES.LOGIN, {
+        validMinutes: EmailVerification.LOGIN_CODE_TTL_MINUTES,
+        linkUrl
+      }).catch(emailError => console.error('❌ 로그인 코드 메일 발송 실패:', emailError.message));
+
+      console.log('📧 이메일 로그인 코드 발급:', user.id);
+
+      await recordSecurityEvent(req, EVENT_TYPES.LOGIN_CODE_REQUESTED, { userId: user.id });
+    } else {
+      console.log('ℹ️ 이메일 로그인 코드 요청 무시 (사용 불가 계정):', email);
+    }
+
+    await recordCodeSent(EmailVerification.PURPOSES.LOGIN, email);
+
+    // 계정 존재 여부와 관계없이 같은 응답
+    res.json({
+      success: true,
+      message: '입력하신 이메일로 가입된 계정이 있다면 로그인 코드와 링크가 발송됩니다.',
+      data: {
+        expires_in: EmailVerification.LOGIN_CODE_TTL_MINUTES * 60
+      }
+    });
+
+  } catch (error) {
+    console.error('이메일 로그인 코드 요청 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 로그인 코드(email + code) 또는 매직 링크 토큰(token)으로 로그인
+router.post('/verify', [
+  body('token').optional().isString().notEmpty(),
+  body('email').if(body('token').not().exists()).isEmail().normalizeEmail(),
+  body('code').if(body('token').not().exists()).isLength({ min: 6, max: 6 }).isNumeric()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '입력 정보가 올바르지 않습니다.',
+        errors: errors.array()
+      });
+    }
+
+    const { token, email, code } = req.body;
+    let verification = null;
+
+    if (token) {
+      verification = await EmailVerification.verifyLoginToken(token);
+    } else {
+      // 비밀번호 로그인 실패로 잠긴 계정은 코드 로그인도 차단
+      const attempt = await checkLoginAllowed(email);
+      if (!attempt.allowed && attempt.reason === 'locked') {
+        res.set('Retry-After', String(attempt.retryAfterSeconds));
+        return res.status(423).json({
+          success: false,
+          message: '로그인 시도가 너무 많아 계정이 일시적으로 잠겼습니다. 이메일로 발송된 안내를 확인해주세요.',
+          error_code: 'ACCOUNT_LOCKED',
+          locked_until: attempt.lockedUntil,
+          retry_after: attempt.retryAfterSeconds
+        });
+      }
+
+      const result = await EmailVerification.verifyLoginCode(email, code);
+
+      if (result.status === 'attempts_exceeded') {
+        await recordCodeFailure(req, email, 'attempts_exceeded');
+        return res.status(429).json({
+          success: false,
+          message: '코드 입력 횟수를 초과했습니다. 로그인 코드를 다시 요청해주세요.',
+          error_code: 'LOGIN_CODE_ATTEMPTS_EXCEEDED'
+        });
+      }
+
+      if (result.status === 'invalid') {
+        await recordCodeFailure(req, email, 'invalid_code');
+        return res.status(400).json({
+          success: false,
+          message: '유효하지 않거나 만료된 로그인 코드입니다.',
+          error_code: 'INVALID_LOGIN_CODE',
+          ...(result.remainingAttempts !== undefined && { remaining_attempts: result.remainingAttempts })
+        });
+      }
+
+      verification = result.verification;
+    }
+
+    if (!verification) {
+      await recordSecurityEvent(req, EVENT_TYPES.LOGIN_FAILED, {
+        userId: null,
+        metadata: { method: 'email_link', reason: 'invalid_link' }
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: '유효하지 않거나 만료된 로그인 링크입니다. 로그인 링크를 다시 요청해주세요.',
+        error_code: 'INVALID_LOGIN_TOKEN'
+      });
+    }
+
+    let user = await User.findById(verification.user_id);
+
+    // 코드 발급 후 이메일이 바뀌었거나 사용할 수 없게 된 계정
+    if (!canUsePasswordlessLogin(user) || user.email !== verification.email) {
+      return res.status(400).json({
+        success: false,
+        message: '유효하지 않거나 만료된 로그인 코드입니다.',
+        error_code: 'INVALID_LOGIN_CODE'
+      });
+    }
+
+    // 메일로 받은 코드를 사용했으므로 이메일 인증도 완료 처리
+    if (!user.email_verified) {
+      user = await User.update(user.id, {
+        email_verified: true,
+        email_verified_at: new Date().toISOString()
+      });
+    }
+
+    // 2단계 인증이 켜진 계정은 코드 확인 후 토큰 발급 (POST /api/auth/2fa/verify)
+    if (await TwoFactor.isEnabled(user.id)) {
+      return res.json({
+        success: true,
+        message: '2단계 인증 코드를 입력해주세요.',
+        data: {
+          two_factor_required: true,
+          ...await createTwoFactorChallenge(user.id)
+        }
+      });
+    }
+
+    console.log('✅ 이메일 코드 로그인 성공:', user.id, token ? 'link' : 'code');
+
+    const tokens = await issueLoginTokens(user, req);
+    await resetLoginFailures(user.email);
+
+    await recordSecurityEvent(req, EVENT_TYPES.LOGIN_SUCCEEDED, {
+      userId: user.id,
+      metadata: { method: token ? 'email_link' : 'email_code', session_id: tokens.session_id }
+    });
+
+    res.json({
+      success: true,
+      message: '로그인이 완료되었습니다.',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          phone: user.phone,
+          avatar_url: user.avatar_url,
+          email_verified: user.email_verified || false
+        },
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    console.error('이메일 코드 로그인 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,40 @@
 const express = require('express');
 const { param, validationResult } = require('express-validator');
 const Restaurant = require('../models/Restaurant');
+const OpeningHours = require('../models/OpeningHours');
 const supabase = require('../config/supabase');
 const authMiddleware = require('../middleware/auth');
+const {
+  cursorScope,
+  decodeCursor,
+  keysetFilter,
+  orderByKeys,
+  isKeysetPosition,
+  paginateKeyset
+} = require('../utils/cursor');
 
 const router = express.Router();
 
+// 추가 로드 목록 정렬 (최신순, 같은 시각은 id순)
+const LATEST_FIRST_KEYS = [
+  { column: 'created_at', ascending: false },
+  { column: 'id', ascending: false }
+];
+
+// cursor 파라미터 해석 (없으면 null, 올바르지 않으면 undefined)
+const readCursor = (req, scope) => {
+  if (!req.query.cursor) return null;
+
+  const position = decodeCursor(scope, req.query.cursor);
+  return isKeysetPosition(position, LATEST_FIRST_KEYS) ? position : undefined;
+};
+
+const invalidCursorResponse = (res) => res.status(400).json({
+  success: false,
+  message: '커서가 올바르지 않거나 다른 목록에서 받은 커서입니다.',
+  error_code: 'INVALID_CURSOR'
+});
+
 // 맛집 상세정보 통합 조회 (정보, 메뉴, 리뷰, 댓글, 지도 정보 등 모든 데이터)
 router.get('/:id/complete', [
   authMiddleware.optionalAuth,  // 선택적 인증 추가
@@ -358,8 +387,11 @@ router.get('/:id/complete', [
       // 시설 정보
       facilities: facilitiesResult.data || {},
 
-      // 운영 정보
-      operations: operationsResult.data || {},
+      // 운영 정보 (is_open_now, closes_at, next_open_at, last_order_at은 현재 시각 기준으로 계산)
+      operations: {
+        ...(operationsResult.data || {}),
+        ...OpeningHours.statusFor(operationsResult.data)
+      },
 
       // 서비스 정보
       services: servicesResult.data || {},
@@ -471,7 +503,7 @@ async function calculateReviewStats(restaurantId) {
   }
 }
 
-// 추가 리뷰 로드 (페이지네이션)
+// 추가 리뷰 로드 (offset 또는 cursor: 이전 응답의 nextCursor)
 router.get('/:id/reviews/more', [
   authMiddleware.optionalAuth,  // 선택적 인증 추가
   param('id').isUUID().withMessage('올바른 맛집 ID를 입력해주세요.')
@@ -491,23 +523,31 @@ router.get('/:id/reviews/more', [
     const offset = parseInt(req.query.offset) || 0;
     const limit = parseInt(req.query.limit) || 10;
 
-    // 병렬로 리뷰와 도움돼요 상태 가져오기
+    const scope = cursorScope('restaurant_reviews', { restaurantId });
+    const position = readCursor(req, scope);
+    if (position === undefined) {
+      return invalidCursorResponse(res);
+    }
+
+    const reviewsQuery = orderByKeys(supabase
+      .from('restaurant_reviews')
+      .select(`
+        *,
+        users!user_id(id, name, avatar_url),
+        review_media(
+          media_id,
+          display_order,
+          media_files(id, file_url, thumbnail_url, medium_url)
+        )
+      `)
+      .eq('restaurant_id', restaurantId)
+      .is('deleted_at', null), LATEST_FIRST_KEYS);
+
+    // 병렬로 리뷰와 도움돼요 상태 가져오기 (다음 페이지가 있는지 알기 위해 하나 더 조회)
     const [reviewsResult, userHelpfulReviewsResult] = await Promise.all([
-      supabase
-        .from('restaurant_reviews')
-        .select(`
-          *,
-          users!user_id(id, name, avatar_url),
-          review_media(
-            media_id,
-            display_order,
-            media_files(id, file_url, thumbnail_url, medium_url)
-          )
-        `)
-        .eq('restaurant_id', restaurantId)
-        .is('deleted_at', null)
-        .order('created_at', { ascending: false })
-        .range(offset, offset + limit - 1),
+      position
+        ? reviewsQuery.or(keysetFilter(LATEST_FIRST_KEYS, position)).limit(limit + 1)
+        : reviewsQuery.range(offset, offset + limit),
 
       // 사용자가 도움돼요를 누른 리뷰 (로그인된 사용자가 있는 경우)
       userId ? supabase
@@ -526,8 +566,10 @@ router.get('/:id/reviews/more', [
       (userHelpfulReviewsResult.data || []).map(h => h.review_id)
     );
 
+    const { items: reviews, hasMore, nextCursor } = paginateKeyset(reviewsResult.data, limit, LATEST_FIRST_KEYS, scope);
+
     // 리뷰 데이터 변환 (익명 처리)
-    const transformedReviews = (reviewsResult.data || []).map(review => ({
+    const transformedReviews = reviews.map(review => ({
       id: review.id,
       user_id: review.user_id,
       username: review.is_anonymous ? '익명' : (review.users?.name || '알 수 없음'),
@@ -550,7 +592,8 @@ router.get('/:id/reviews/more', [
       success: true,
       data: {
         reviews: transformedReviews,
-        hasMore: transformedReviews.length >= limit
+        hasMore,
+        nextCursor
       }
     });
 
@@ -563,7 +606,7 @@ router.get('/:id/reviews/more', [
   }
 });
 
-// 추가 댓글 로드 (페이지네이션)
+// 추가 댓글 로드 (offset 또는 cursor: 이전 응답의 nextCursor)
 router.get('/:id/comments/more', [
   param('id').isUUID().withMessage('올바른 맛집 ID를 입력해주세요.')
 ], async (req, res) => {
@@ -581,6 +624,12 @@ router.get('/:id/comments/more', [
     const offset = parseInt(req.query.offset) || 0;
     const limit = parseInt(req.query.limit) || 20;
 
+    const scope = cursorScope('review_comments', { restaurantId });
+    const position = readCursor(req, scope);
+    if (position === undefined) {
+      return invalidCursorResponse(res);
+    }
+
     // 주의: 새 스키마에서는 review_comments만 존재합니다.
     // 레스토랑에 직접 댓글을 다는 기능은 제거되었고, 리뷰에만 댓글을 달 수 있습니다.
     // 이 API는 레스토랑의 모든 리뷰의 댓글을 가져오도록 수정되었습니다.
@@ -597,15 +646,16 @@ router.get('/:id/comments/more', [
         success: true,
         data: {
           comments: [],
-          hasMore: false
+          hasMore: false,
+          nextCursor: null
         }
       });
     }
 
     const reviewIds = reviews.map(r => r.id);
 
-    // 모든 리뷰의 댓글을 가져옵니다
-    const { data, error } = await supabase
+    // 모든 리뷰의 댓글을 가져옵니다 (다음 페이지가 있는지 알기 위해 하나 더 조회)
+    const commentsQuery = orderByKeys(supabase
       .from('review_comments')
       .select(`
         id,
@@ -623,19 +673,24 @@ router.get('/:id/comments/more', [
       `)
       .in('review_id', reviewIds)
       .eq('status', 'published')
-      .is('parent_comment_id', null)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+      .is('parent_comment_id', null), LATEST_FIRST_KEYS);
+
+    const { data, error } = await (position
+      ? commentsQuery.or(keysetFilter(LATEST_FIRST_KEYS, position)).limit(limit + 1)
+      : commentsQuery.range(offset, offset + limit));
 
     if (error) {
       throw error;
     }
 
+    const { items: comments, hasMore, nextCursor } = paginateKeyset(data, limit, LATEST_FIRST_KEYS, scope);
+
     res.json({
       success: true,
       data: {
-        comments: data || [],
-        hasMore: (data || []).length >= limit
+        comments,
+        hasMore,
+        nextCursor
       }
     });
 
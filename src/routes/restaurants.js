@@ -1,67 +1,86 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const Restaurant = require('../models/Restaurant');
+const RestaurantSearch = require('../models/RestaurantSearch');
+const RestaurantMap = require('../models/RestaurantMap');
+const SearchSynonym = require('../models/SearchSynonym');
+const OpeningHours = require('../models/OpeningHours');
 const authMiddleware = require('../middleware/auth');
 const supabase = require('../config/supabase');
-const { getChoseong } = require('es-hangul');
+const { parseSearchQuery } = require('../utils/searchText');
+const {
+  cursorScope,
+  encodeCursor,
+  decodeCursor,
+  quoteFilterValue,
+  keysetFilter,
+  orderByKeys,
+  keysetValues,
+  isKeysetPosition
+} = require('../utils/cursor');
+const {
+  FACILITY_FLAGS,
+  SERVICE_FLAGS,
+  MAX_TAG_FILTERS,
+  parseRestaurantFilters,
+  hasActiveFilters,
+  splitList,
+  isListOf
+} = require('../utils/restaurantFilters');
 
 const router = express.Router();
 
-// 한글 초성인지 확인하는 함수
-const isChosungOnly = (str) => {
-  const chosungRegex = /^[ㄱ-ㅎ\s]+$/;
-  return chosungRegex.test(str);
-};
-
-// 초성 포함 검사 함수 (getChoseong 사용)
-const chosungIncludes = (text, chosungQuery) => {
-  if (!text || !chosungQuery) return false;
-  const textChosung = getChoseong(text);
-  return textChosung.includes(chosungQuery);
-};
-
-// 초성 검색 매칭 함수 (이름, 주소, 카테고리)
-const matchesChosungSearch = (restaurant, searchQuery) => {
-  const query = searchQuery.trim();
-
-  // 맛집 이름 초성 매칭
-  if (chosungIncludes(restaurant.name || '', query)) {
-    return true;
-  }
-
-  // 주소 초성 매칭
-  if (chosungIncludes(restaurant.address || '', query)) {
-    return true;
-  }
-
-  // 카테고리 이름 초성 매칭
-  if (restaurant.categories?.name && chosungIncludes(restaurant.categories.name, query)) {
-    return true;
-  }
-
-  return false;
-};
-
-// 일반 검색 매칭 함수 (이름, 주소, 카테고리)
-const matchesNormalSearch = (restaurant, searchQuery) => {
-  const query = searchQuery.toLowerCase().trim();
-
-  // 맛집 이름 매칭
-  if ((restaurant.name || '').toLowerCase().includes(query)) {
-    return true;
-  }
+// 목록 응답에 쓰는 맛집 컬럼
+const LIST_SELECT = `
+  id,
+  name,
+  description,
+  address,
+  rating,
+  review_count,
+  view_count,
+  favorite_count,
+  latitude,
+  longitude,
+  created_at,
+  categories (
+    id,
+    name,
+    icon,
+    color
+  ),
+  restaurant_contacts (
+    phone
+  ),
+  restaurant_media (
+    id,
+    display_order,
+    is_representative,
+    media_files (
+      file_url,
+      thumbnail_url
+    )
+  )
+`;
+
+// 대표 이미지 우선으로 이미지 3개만 추출
+const attachImages = (restaurant) => {
+  const sortedMedia = (restaurant.restaurant_media || [])
+    .sort((a, b) => {
+      if (a.is_representative && !b.is_representative) return -1;
+      if (!a.is_representative && b.is_representative) return 1;
+      return (a.display_order || 0) - (b.display_order || 0);
+    });
 
-  // 주소 매칭
-  if ((restaurant.address || '').toLowerCase().includes(query)) {
-    return true;
-  }
+  const images = sortedMedia
+    .slice(0, 3)
+    .map(m => m.media_files?.file_url)
+    .filter(Boolean);
 
-  // 카테고리 이름 매칭
-  if (restaurant.categories?.name && restaurant.categories.name.toLowerCase().includes(query)) {
-    return true;
-  }
-
-  return false;
+  return {
+    ...restaurant,
+    images
+  };
 };
 
 // 다중 정렬 맛집 목록 조회 (한 번의 요청으로 모든 정렬 방식 반환)
@@ -233,20 +252,214 @@ router.get('/multi-sort', [
   }
 });
 
-// 맛집 목록 조회 (정렬 및 검색 기능 포함)
+// 목록 정렬 옵션 → 정렬 컬럼
+const SORT_COLUMNS = {
+  view_count_desc: 'view_count',
+  review_count_desc: 'review_count',
+  rating_desc: 'rating',
+  created_at_desc: 'created_at',
+  favorite_count_desc: 'favorite_count',
+  relevance: 'relevance',
+  distance_asc: 'distance'
+};
+
+// .in() 필터 한 번에 넣을 ID 수 (URL 길이 제한)
+const ID_CHUNK_SIZE = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// 검색어 종류 → 응답의 filters.searchType
+const SEARCH_TYPES = {
+  chosung: 'chosung',
+  latin: 'romanized',
+  text: 'normal'
+};
+
+// 영업 중 필터 기준 시각 (open_now는 지금, open_at은 지정한 시각)
+const openAtValidator = query('open_at').optional().isISO8601({ strict: true })
+  .withMessage('open_at은 ISO 8601 시각이어야 합니다 (예: 2026-10-19T19:00:00+09:00)')
+  .custom((value, { req }) => req.query.open_now !== 'true')
+  .withMessage('open_now와 open_at은 함께 보낼 수 없습니다');
+
+// open_now/open_at → 그 시각에 영업 중인 맛집 ID 목록 (영업 중 필터가 없으면 null)
+const findOpenRestaurantIds = (filters) => (filters.open_now || filters.open_at
+  ? OpeningHours.findOpenRestaurantIds(filters.open_at ? new Date(filters.open_at) : new Date())
+  : null);
+
+// 패싯 필터 (여러 값은 쉼표로 구분, 목록과 지도에서 같이 사용)
+const filterValidators = [
+  query('price_range').optional().matches(/^[\w$₩]{1,20}(,[\w$₩]{1,20})*$/),
+  query('facilities').optional().custom(isListOf(FACILITY_FLAGS)).withMessage(`facilities: ${FACILITY_FLAGS.join(', ')}`),
+  query('services').optional().custom(isListOf(SERVICE_FLAGS)).withMessage(`services: ${SERVICE_FLAGS.join(', ')}`),
+  query('tag_ids').optional().custom(value => {
+    const tagIds = splitList(value);
+    return tagIds.length <= MAX_TAG_FILTERS && tagIds.every(id => UUID_PATTERN.test(id));
+  }).withMessage(`tag_ids는 ${MAX_TAG_FILTERS}개 이하의 UUID 목록이어야 합니다`),
+  query('min_rating').optional().isFloat({ min: 0, max: 5 }),
+  query('min_review_count').optional().isInt({ min: 0 }),
+  query('open_now').optional().isIn(['true', 'false']),
+  openAtValidator
+];
+
+// 여러 카테고리 ID 처리 (쉼표로 구분)
+const parseCategoryIds = (params) => (params.category_ids
+  ? params.category_ids.split(',').map(id => id.trim()).filter(id => id)
+  : []);
+
+// 카테고리/패싯 필터 → 검색 인덱스 RPC 조건 (영업 중 필터는 그 시각에 영업 중인 맛집 ID 목록으로 넘김)
+const buildFilterConditions = async (categoryIds, filters) => ({
+  categoryIds,
+  filters: hasActiveFilters(filters) ? {
+    ...filters,
+    restaurant_ids: await findOpenRestaurantIds(filters)
+  } : null
+});
+
+// 검색 인덱스 준비 여부 (확인에 실패하면 준비 전으로 보고 restaurants에서 직접 조회)
+const isSearchIndexReady = () => RestaurantSearch.isIndexReady().catch(error => {
+  console.warn('⚠️ 검색 인덱스 상태 확인 실패:', error.message);
+  return false;
+});
+
+// 검색 인덱스 없이는 처리할 수 없는 조건 (초성 검색, 거리 정렬/필터, 시설/서비스/태그, 영업 중)
+const requiresSearchIndex = (searchQuery, sort, filters) => searchQuery?.type === 'chosung' ||
+  sort === 'distance_asc' ||
+  filters.max_distance_m !== null ||
+  filters.open_now ||
+  filters.open_at !== null ||
+  filters.facilities.length > 0 ||
+  filters.services.length > 0 ||
+  filters.tag_ids.length > 0;
+
+const searchIndexNotReadyResponse = (res) => {
+  res.set('Retry-After', '60');
+  return res.status(503).json({
+    success: false,
+    message: '검색 인덱스를 준비 중입니다. 잠시 후 다시 시도해주세요.',
+    error_code: 'SEARCH_INDEX_NOT_READY'
+  });
+};
+
+// LIKE 패턴 특수 문자 이스케이프
+const escapeLikePattern = (text) => text.replace(/[%_\\]/g, '\\$&');
+
+/**
+ * 검색 인덱스 준비 전 목록 검색 (이름, 주소 부분 일치 또는 이름이 일치하는 카테고리)
+ * @returns {Promise<string>} PostgREST or 필터
+ */
+const buildFallbackSearchFilter = async (search) => {
+  const pattern = `%${escapeLikePattern(search)}%`;
+
+  const { data: matchingCategories, error } = await supabase
+    .from('categories')
+    .select('id')
+    .ilike('name', pattern);
+
+  if (error) throw error;
+
+  const conditions = [
+    `name.ilike.${quoteFilterValue(pattern)}`,
+    `address.ilike.${quoteFilterValue(pattern)}`
+  ];
+  const matchingCategoryIds = (matchingCategories || []).map(category => category.id);
+  if (matchingCategoryIds.length > 0) {
+    conditions.push(`category_id.in.(${matchingCategoryIds.join(',')})`);
+  }
+
+  return conditions.join(',');
+};
+
+// 패싯 집계 실패로 목록 조회가 멈추지 않도록 facets만 비움
+const loadFacets = (conditions) => RestaurantSearch.facetCounts(conditions).catch(error => {
+  console.warn('⚠️ 패싯 집계 실패:', error.message);
+  return null;
+});
+
+const buildListPagination = (page, limit, total, nextCursor = null) => {
+  const totalPages = total ? Math.ceil(total / limit) : 0;
+
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNext: page < totalPages,
+    hasPrev: page > 1,
+    nextCursor
+  };
+};
+
+// 커서 페이지네이션 응답 (전체 개수는 계산하지 않음)
+const buildCursorPagination = (limit, nextCursor) => ({
+  limit,
+  hasNext: Boolean(nextCursor),
+  nextCursor
+});
+
+/**
+ * 맛집 목록 커서 위치
+ * - index: 검색 인덱스 결과의 sort_key 다음부터
+ * - fuzzy: 오타 허용 검색 결과의 offset부터 (후보 수가 제한되어 있어 서버에서 자름)
+ * - list: 정렬 컬럼 값 + id 다음부터
+ */
+const isRestaurantCursor = (position, listKeys) => Boolean(position) && (
+  (position.mode === 'index' && Array.isArray(position.after) && position.after.length > 0) ||
+  (position.mode === 'fuzzy' && Number.isInteger(position.offset) && position.offset >= 0) ||
+  (position.mode === 'list' && isKeysetPosition(position.after, listKeys))
+);
+
+const invalidCursorResponse = (res) => res.status(400).json({
+  success: false,
+  message: '커서가 올바르지 않거나 다른 조건의 목록에서 받은 커서입니다.',
+  error_code: 'INVALID_CURSOR'
+});
+
+/**
+ * 맛집 목록 조회 (정렬 및 검색 기능 포함)
+ *
+ * search가 있으면 검색 인덱스(restaurant_search_documents)에서 이름, 주소, 카테고리, 태그, 메뉴를
+ * 찾고 관련도순(sort=relevance, 검색 시 기본값)으로 정렬합니다. 초성만 입력하면 초성으로, 영문만 입력하면
+ * 로마자 표기(tteokbokki, gangnam)와 영문 카테고리/메뉴 이름으로 찾습니다.
+ * 검색어 단어는 동의어 사전으로 확장하고(치킨 → 통닭), 적용된 확장은 filters.expansions로 알려줍니다.
+ * 일치하는 맛집이 없으면 자모 단위 오타 허용 검색(이름 기준, 점수순)으로 다시 찾습니다.
+ * 검색 결과의 각 맛집에는 search_score와 match_type(exact | fuzzy)이 포함됩니다.
+ *
+ * price_range, facilities, services, tag_ids, min_rating, min_review_count, open_now(지금 영업 중),
+ * open_at(그 시각에 영업 중, ISO 8601)으로 함께 거를 수 있으며,
+ * 응답의 facets에는 현재 조건에서 각 필터 값을 고르면 몇 곳이 남는지가 담깁니다 (facets=false로 생략).
+ *
+ * 사용자 위치(lat, lng)를 보내면 검색 인덱스에서 거리를 계산해 각 맛집에 distance_m(미터)을 붙이고,
+ * sort=distance_asc(가까운 순)와 max_distance(미터 이내) 필터를 검색어, 카테고리, 패싯 필터와 함께 쓸 수 있습니다.
+ *
+ * 무한 스크롤은 pagination.nextCursor를 cursor로 넘기면 이어서 조회합니다 (같은 조건일 때만 유효, page는 무시,
+ * 전체 개수와 facets는 계산하지 않음). page 방식도 그대로 사용할 수 있습니다.
+ *
+ * 배포 직후 검색 인덱스가 준비되기 전에는 restaurants에서 직접 조회합니다 (이름/주소/카테고리 이름 부분 일치,
+ * 가격대/평점/리뷰 수 필터, facets 없음). 인덱스가 있어야 하는 조건(초성 검색, 거리 정렬/필터, 시설/서비스/태그,
+ * 영업 중)은 503 SEARCH_INDEX_NOT_READY를 돌려줍니다.
+ */
 router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('category_id').optional().isUUID(),
   query('category_ids').optional().isString(), // 쉼표로 구분된 여러 카테고리 ID
-  query('search').optional().trim(),
-  query('sort').optional().isIn([
-    'view_count_desc',
-    'review_count_desc',
-    'rating_desc',
-    'created_at_desc',
-    'favorite_count_desc'
-  ])
+  query('search').optional().trim().isLength({ max: 100 }),
+  query('sort').optional().isIn(Object.keys(SORT_COLUMNS))
+    .custom((value, { req }) => value !== 'distance_asc' || req.query.lat !== undefined)
+    .withMessage('distance_asc 정렬은 위치(lat, lng)가 필요합니다'),
+  ...filterValidators,
+  // 사용자 위치 (거리 표시, 정렬, 필터)
+  query('lat').optional().isFloat({ min: -90, max: 90 })
+    .custom((value, { req }) => req.query.lng !== undefined)
+    .withMessage('lat과 lng는 함께 보내야 합니다'),
+  query('lng').optional().isFloat({ min: -180, max: 180 })
+    .custom((value, { req }) => req.query.lat !== undefined)
+    .withMessage('lat과 lng는 함께 보내야 합니다'),
+  query('max_distance').optional().isInt({ min: 1, max: 50000 })
+    .custom((value, { req }) => req.query.lat !== undefined && req.query.lng !== undefined)
+    .withMessage('max_distance는 위치(lat, lng)가 필요합니다'),
+  query('facets').optional().isIn(['true', 'false']),
+  query('cursor').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -261,48 +474,162 @@ router.get('/', [
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const categoryId = req.query.category_id || null;
-    // 여러 카테고리 ID 처리 (쉼표로 구분)
-    const categoryIds = req.query.category_ids
-      ? req.query.category_ids.split(',').map(id => id.trim()).filter(id => id)
-      : [];
+    const categoryIds = parseCategoryIds(req.query);
     const search = req.query.search || null;
-    const sort = req.query.sort || 'created_at_desc';
+    const searchQuery = search ? parseSearchQuery(search) : null;
+    const sort = req.query.sort || (searchQuery ? 'relevance' : 'created_at_desc');
     const offset = (page - 1) * limit;
+    const location = req.query.lat !== undefined
+      ? { latitude: parseFloat(req.query.lat), longitude: parseFloat(req.query.lng) }
+      : null;
+
+    const filters = parseRestaurantFilters(req.query);
+    const filtered = hasActiveFilters(filters);
+
+    // 인덱스를 거치지 않는 목록의 정렬 키 (검색어 없이 관련도순을 요청하면 최신순, 같은 값은 id순)
+    const orderColumn = SORT_COLUMNS[sort] === 'relevance' ? 'created_at' : SORT_COLUMNS[sort];
+    const listKeys = [
+      { column: orderColumn, ascending: false },
+      { column: 'id', ascending: false }
+    ];
+
+    // 커서는 같은 목록 조건에서만 유효
+    const scope = cursorScope('restaurants', {
+      categoryId,
+      categoryIds: categoryIds.join(','),
+      search,
+      sort,
+      filters: JSON.stringify(filters),
+      location: location && `${location.latitude},${location.longitude}`
+    });
+    const position = req.query.cursor ? decodeCursor(scope, req.query.cursor) : null;
+    if (req.query.cursor && !isRestaurantCursor(position, listKeys)) {
+      return invalidCursorResponse(res);
+    }
+
+    // 배포 직후처럼 검색 인덱스가 준비되지 않았으면 restaurants에서 직접 조회 (facets 없음)
+    const indexReady = await isSearchIndexReady();
+    const includeFacets = req.query.facets !== 'false' && !position && indexReady;
+    const conditions = {
+      ...await buildFilterConditions(
+        categoryIds.length > 0 ? categoryIds : [categoryId].filter(Boolean),
+        filters
+      ),
+      location
+    };
+    const appliedFilters = {
+      categoryId,
+      search,
+      sort,
+      location,
+      facetFilters: filters
+    };
+
+    // 인덱스 준비 전에 받은 list 커서는 끝까지 restaurants에서 직접 조회
+    const useIndex = Boolean(searchQuery || filtered || location) && position?.mode !== 'list';
+    if (useIndex && !indexReady && requiresSearchIndex(searchQuery, sort, filters)) {
+      return searchIndexNotReadyResponse(res);
+    }
+
+    // 검색/패싯 필터/위치: 인덱스에서 현재 페이지의 맛집 ID만 조회
+    if (useIndex && indexReady) {
+      const { termGroups, applied: expansions } = searchQuery
+        ? await SearchSynonym.expandQuery(searchQuery)
+        : { termGroups: [], applied: [] };
+      const searchOptions = {
+        ...conditions,
+        query: searchQuery,
+        termGroups,
+        // 검색어 없이 관련도순을 요청하면 최신순
+        sort: !searchQuery && sort === 'relevance' ? 'created_at' : SORT_COLUMNS[sort],
+        limit,
+        offset: position?.mode === 'fuzzy' ? position.offset : offset,
+        after: position?.mode === 'index' ? position.after : null
+      };
+
+      let results;
+      let total;
+      let facets = null;
+      let matchType = 'exact';
+
+      if (position?.mode === 'fuzzy') {
+        ({ results, total } = await RestaurantSearch.fuzzySearch(searchOptions));
+        matchType = 'fuzzy';
+      } else {
+        [{ results, total }, facets] = await Promise.all([
+          RestaurantSearch.search(searchOptions),
+          includeFacets ? loadFacets(searchOptions) : null
+        ]);
+
+        // 일치하는 맛집이 없으면 오타 허용 검색 (예: 떡뽂이 → 떡볶이, 패싯 집계 없음)
+        if (total === 0 && searchQuery && !position) {
+          ({ results, total } = await RestaurantSearch.fuzzySearch(searchOptions));
+          if (total > 0) {
+            matchType = 'fuzzy';
+            facets = null;
+          }
+        }
+      }
+
+      // 다음 페이지 커서 (커서 조회에서 total은 커서 이후 남은 결과 수)
+      const consumed = (position?.mode === 'index' ? 0 : searchOptions.offset) + results.length;
+      let nextCursor = null;
+      if (results.length > 0 && consumed < total) {
+        nextCursor = encodeCursor(scope, matchType === 'fuzzy'
+          ? { mode: 'fuzzy', offset: consumed }
+          : { mode: 'index', after: results[results.length - 1].sort_key });
+      }
+
+      let restaurants = [];
+      if (results.length > 0) {
+        const { data, error } = await supabase
+          .from('restaurants')
+          .select(LIST_SELECT)
+          .in('id', results.map(result => result.restaurant_id));
+
+        if (error) {
+          console.error('Supabase 쿼리 오류:', error);
+          throw error;
+        }
+
+        // 검색 결과 순서대로 정렬 (인덱스에만 남아 있는 맛집은 제외)
+        const restaurantsById = new Map((data || []).map(restaurant => [restaurant.id, restaurant]));
+        restaurants = results
+          .filter(result => restaurantsById.has(result.restaurant_id))
+          .map(result => ({
+            ...attachImages(restaurantsById.get(result.restaurant_id)),
+            ...(searchQuery && {
+              search_score: result.search_score,
+              match_type: result.match_type
+            }),
+            ...(location && { distance_m: result.distance_m })
+          }));
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          restaurants,
+          pagination: position
+            ? buildCursorPagination(limit, nextCursor)
+            : buildListPagination(page, limit, total, nextCursor),
+          facets,
+          filters: {
+            ...appliedFilters,
+            searchType: searchQuery ? SEARCH_TYPES[searchQuery.type] : 'normal',
+            ...(searchQuery && {
+              matchType,
+              expansions: matchType === 'exact' ? expansions : []
+            })
+          }
+        }
+      });
+    }
 
     // Supabase에서 직접 쿼리 (모델 메서드 대신 유연한 쿼리 구성)
     let query = supabase
       .from('restaurants')
-      .select(`
-        id,
-        name,
-        description,
-        address,
-        rating,
-        review_count,
-        view_count,
-        favorite_count,
-        latitude,
-        longitude,
-        created_at,
-        categories (
-          id,
-          name,
-          icon,
-          color
-        ),
-        restaurant_contacts (
-          phone
-        ),
-        restaurant_media (
-          id,
-          display_order,
-          is_representative,
-          media_files (
-            file_url,
-            thumbnail_url
-          )
-        )
-      `, { count: 'exact' });
+      .select(LIST_SELECT, position ? undefined : { count: 'exact' });
 
     // 카테고리 필터 (여러 카테고리 OR 조건 지원)
     if (categoryIds.length > 0) {
@@ -311,174 +638,187 @@ router.get('/', [
       query = query.eq('category_id', categoryId);
     }
 
-    // 초성 검색 여부 확인
-    const isChosungSearch = search && isChosungOnly(search);
+    // 검색 인덱스 준비 전: 검색어와 restaurants 컬럼으로 거를 수 있는 패싯 필터
+    if (searchQuery) {
+      query = query.or(await buildFallbackSearchFilter(searchQuery.text));
+    }
+    if (filters.price_ranges.length > 0) {
+      query = query.in('price_range', filters.price_ranges);
+    }
+    if (filters.min_rating !== null) {
+      query = query.gte('rating', filters.min_rating);
+    }
+    if (filters.min_review_count !== null) {
+      query = query.gte('review_count', filters.min_review_count);
+    }
 
-    // 일반 검색 필터 (초성 검색이 아닌 경우에만 DB 필터 적용)
-    if (search && !isChosungSearch) {
-      // SQL Injection 방지: 특수 문자 이스케이프
-      const sanitizedSearch = search.replace(/[%_\\]/g, '\\$&');
+    query = orderByKeys(query, listKeys);
+    // 커서 조회는 다음 페이지가 있는지 알기 위해 하나 더 조회
+    query = position
+      ? query.or(keysetFilter(listKeys, position.after)).limit(limit + 1)
+      : query.range(offset, offset + limit - 1);
 
-      // 1. 먼저 카테고리 이름으로 검색하여 해당 카테고리 ID 조회
-      const { data: matchingCategories } = await supabase
-        .from('categories')
-        .select('id')
-        .ilike('name', `%${sanitizedSearch}%`);
+    const [{ data, error, count }, facets] = await Promise.all([
+      query,
+      includeFacets ? loadFacets(conditions) : null
+    ]);
 
-      const categoryIds = matchingCategories?.map(c => c.id) || [];
+    if (error) {
+      console.error('Supabase 쿼리 오류:', error);
+      throw error;
+    }
 
-      // 2. 이름, 주소로 검색하거나 카테고리 ID가 일치하는 맛집 검색
-      if (categoryIds.length > 0) {
-        // 카테고리가 일치하는 경우 포함
-        query = query.or(`name.ilike.%${sanitizedSearch}%,address.ilike.%${sanitizedSearch}%,category_id.in.(${categoryIds.join(',')})`);
-      } else {
-        // 카테고리 일치 없으면 이름, 주소만 검색
-        query = query.or(`name.ilike.%${sanitizedSearch}%,address.ilike.%${sanitizedSearch}%`);
+    const restaurants = (data || []).slice(0, limit);
+    const hasMore = position ? (data || []).length > limit : page * limit < (count || 0);
+    const nextCursor = hasMore && restaurants.length > 0
+      ? encodeCursor(scope, { mode: 'list', after: keysetValues(restaurants[restaurants.length - 1], listKeys) })
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        restaurants: restaurants.map(attachImages),
+        pagination: position
+          ? buildCursorPagination(limit, nextCursor)
+          : buildListPagination(page, limit, count || 0, nextCursor),
+        facets,
+        filters: {
+          ...appliedFilters,
+          searchType: 'normal'
+        }
       }
-    }
+    });
 
-    // 정렬
-    let orderColumn = 'created_at';
-    let orderAscending = false;
-
-    switch (sort) {
-      case 'view_count_desc':
-        orderColumn = 'view_count';
-        break;
-      case 'review_count_desc':
-        orderColumn = 'review_count';
-        break;
-      case 'rating_desc':
-        orderColumn = 'rating';
-        break;
-      case 'favorite_count_desc':
-        orderColumn = 'favorite_count';
-        break;
-      case 'created_at_desc':
-      default:
-        orderColumn = 'created_at';
-        break;
-    }
+  } catch (error) {
+    console.error('맛집 목록 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
 
-    query = query.order(orderColumn, { ascending: orderAscending });
+// ID 목록 → 목록 응답 형식의 맛집 (ID 순서 유지, URL 길이 제한으로 나눠 조회)
+const loadRestaurantsByIds = async (ids) => {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    chunks.push(ids.slice(i, i + ID_CHUNK_SIZE));
+  }
 
-    // 초성 검색인 경우 전체 데이터를 가져와서 서버에서 필터링
-    if (isChosungSearch) {
-      // 전체 데이터 조회 (페이지네이션 없이)
-      const { data: allRestaurants, error: allError } = await query;
+  const results = await Promise.all(chunks.map(idChunk => supabase
+    .from('restaurants')
+    .select(LIST_SELECT)
+    .in('id', idChunk)));
 
-      if (allError) {
-        console.error('Supabase 쿼리 오류:', allError);
-        throw allError;
-      }
+  const failed = results.find(result => result.error);
+  if (failed) throw failed.error;
 
-      // 레스토랑 데이터 변환 (이미지 3개만 추출)
-      const transformedAll = (allRestaurants || []).map(restaurant => {
-        const sortedMedia = (restaurant.restaurant_media || [])
-          .sort((a, b) => {
-            if (a.is_representative && !b.is_representative) return -1;
-            if (!a.is_representative && b.is_representative) return 1;
-            return (a.display_order || 0) - (b.display_order || 0);
-          });
+  const restaurantsById = new Map(results
+    .flatMap(result => result.data || [])
+    .map(restaurant => [restaurant.id, attachImages(restaurant)]));
 
-        const images = sortedMedia
-          .slice(0, 3)
-          .map(m => m.media_files?.file_url)
-          .filter(Boolean);
+  return ids.filter(id => restaurantsById.has(id)).map(id => restaurantsById.get(id));
+};
 
-        return {
-          ...restaurant,
-          images
-        };
+/**
+ * 지도 화면 맛집 조회
+ *
+ * 지도에 보이는 영역(sw_lat, sw_lng, ne_lat, ne_lng)과 줌 레벨을 받아,
+ * 줌이 CLUSTER_MAX_ZOOM(15) 이하이면 격자 클러스터(맛집 수, 좌표 평균, 대표 맛집)를,
+ * 더 확대하면 개별 마커(평점순 최대 300개, 넘으면 truncated)를 돌려줍니다.
+ * 카테고리와 패싯 필터(price_range, facilities, services, tag_ids, min_rating, min_review_count, open_now, open_at)는 목록과 같습니다.
+ * 패싯 필터는 검색 인덱스가 준비되기 전에는 503 SEARCH_INDEX_NOT_READY를 돌려줍니다.
+ */
+router.get('/map', [
+  query('sw_lat').isFloat({ min: -90, max: 90 }),
+  query('sw_lng').isFloat({ min: -180, max: 180 }),
+  query('ne_lat').isFloat({ min: -90, max: 90 })
+    .custom((value, { req }) => parseFloat(value) > parseFloat(req.query.sw_lat))
+    .withMessage('ne_lat은 sw_lat보다 커야 합니다'),
+  query('ne_lng').isFloat({ min: -180, max: 180 })
+    .custom((value, { req }) => parseFloat(value) > parseFloat(req.query.sw_lng))
+    .withMessage('ne_lng는 sw_lng보다 커야 합니다'),
+  query('zoom').isInt({ min: 0, max: 21 }),
+  query('category_id').optional().isUUID(),
+  query('category_ids').optional().custom(value => splitList(value).every(id => UUID_PATTERN.test(id))),
+  ...filterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '지도 영역 정보가 올바르지 않습니다.',
+        errors: errors.array()
       });
+    }
 
-      // 초성 매칭 필터링
-      const filteredRestaurants = transformedAll.filter(restaurant =>
-        matchesChosungSearch(restaurant, search)
-      );
-
-      // 서버 사이드 페이지네이션
-      const total = filteredRestaurants.length;
-      const totalPages = Math.ceil(total / limit);
-      const paginatedRestaurants = filteredRestaurants.slice(offset, offset + limit);
+    const bounds = {
+      swLat: parseFloat(req.query.sw_lat),
+      swLng: parseFloat(req.query.sw_lng),
+      neLat: parseFloat(req.query.ne_lat),
+      neLng: parseFloat(req.query.ne_lng)
+    };
+    const zoom = parseInt(req.query.zoom);
+    const categoryId = req.query.category_id || null;
+    const categoryIds = parseCategoryIds(req.query);
+    const filters = parseRestaurantFilters(req.query);
 
-      return res.json({
-        success: true,
-        data: {
-          restaurants: paginatedRestaurants,
-          pagination: {
-            page,
-            limit,
-            total,
-            totalPages,
-            hasNext: page < totalPages,
-            hasPrev: page > 1
-          },
-          filters: {
-            categoryId,
-            search,
-            sort,
-            searchType: 'chosung'
-          }
-        }
-      });
+    // 패싯 필터는 검색 문서 기준이라 인덱스가 준비되기 전에는 거를 수 없음
+    if (hasActiveFilters(filters) && !await isSearchIndexReady()) {
+      return searchIndexNotReadyResponse(res);
     }
 
-    // 일반 검색: DB 페이지네이션 적용
-    query = query.range(offset, offset + limit - 1);
+    const conditions = await buildFilterConditions(
+      categoryIds.length > 0 ? categoryIds : [categoryId].filter(Boolean),
+      filters
+    );
 
-    const { data: restaurants, error, count } = await query;
+    const mode = RestaurantMap.isClusterZoom(zoom) ? 'clusters' : 'markers';
+    let clusters = [];
+    let markers = [];
+    let truncated = false;
 
-    if (error) {
-      console.error('Supabase 쿼리 오류:', error);
-      throw error;
+    if (mode === 'clusters') {
+      const cells = await RestaurantMap.findClusters({ ...conditions, bounds, zoom });
+      const topRestaurants = await loadRestaurantsByIds(
+        [...new Set(cells.map(cell => cell.top_restaurant_id).filter(Boolean))]
+      );
+      const topRestaurantsById = new Map(topRestaurants.map(restaurant => [restaurant.id, restaurant]));
+
+      clusters = cells.map(({ top_restaurant_id: topRestaurantId, ...cell }) => ({
+        ...cell,
+        top_restaurant: topRestaurantsById.get(topRestaurantId) || null
+      }));
+    } else {
+      const { restaurantIds, total } = await RestaurantMap.findMarkers({ ...conditions, bounds });
+      markers = await loadRestaurantsByIds(restaurantIds);
+      truncated = total > restaurantIds.length;
     }
 
-    const totalPages = count ? Math.ceil(count / limit) : 0;
-
-    // 레스토랑 데이터 변환 (이미지 3개만 추출)
-    const transformedRestaurants = (restaurants || []).map(restaurant => {
-      const sortedMedia = (restaurant.restaurant_media || [])
-        .sort((a, b) => {
-          if (a.is_representative && !b.is_representative) return -1;
-          if (!a.is_representative && b.is_representative) return 1;
-          return (a.display_order || 0) - (b.display_order || 0);
-        });
-
-      const images = sortedMedia
-        .slice(0, 3)
-        .map(m => m.media_files?.file_url)
-        .filter(Boolean);
-
-      return {
-        ...restaurant,
-        images
-      };
-    });
-
     res.json({
       success: true,
       data: {
-        restaurants: transformedRestaurants,
-        pagination: {
-          page,
-          limit,
-          total: count || 0,
-          totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
+        mode,
+        clusters,
+        markers,
+        truncated,
+        viewport: {
+          sw_lat: bounds.swLat,
+          sw_lng: bounds.swLng,
+          ne_lat: bounds.neLat,
+          ne_lng: bounds.neLng,
+          zoom
         },
         filters: {
           categoryId,
-          search,
-          sort,
-          searchType: 'normal'
+          facetFilters: filters
         }
       }
     });
 
   } catch (error) {
-    console.error('맛집 목록 조회 오류:', error);
+    console.error('지도 맛집 조회 오류:', error);
     res.status(500).json({
       success: false,
       message: '서버 오류가 발생했습니다.'
@@ -985,12 +1325,18 @@ router.delete('/favorites/folders/:folderName', authMiddleware, async (req, res)
   }
 });
 
-// 주변 맛집 검색
+/**
+ * 주변 맛집 검색
+ *
+ * open_now=true(지금) 또는 open_at(그 시각)이 있으면 반경 안에서 영업 중인 맛집만 먼저 거른 뒤 limit개를 돌려줍니다.
+ */
 router.get('/nearby/search', [
   query('lat').isFloat({ min: -90, max: 90 }),
   query('lng').isFloat({ min: -180, max: 180 }),
   query('radius').optional().isFloat({ min: 0.1, max: 50 }),
-  query('limit').optional().isInt({ min: 1, max: 100 })
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('open_now').optional().isIn(['true', 'false']),
+  openAtValidator
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1006,15 +1352,18 @@ router.get('/nearby/search', [
     const radius = parseFloat(req.query.radius) || 5;
     const limit = parseInt(req.query.limit) || 50;
 
+    const filters = parseRestaurantFilters(req.query);
+
     const restaurants = await Restaurant.findNearby(
       parseFloat(lat),
       parseFloat(lng),
       radius,
-      limit
+      limit,
+      { restaurantIds: await findOpenRestaurantIds(filters) }
     );
 
     // 썸네일 이미지 변환 (대표 이미지만 추출)
-    const transformedRestaurants = transformRestaurants(restaurants);
+    const transformedRestaurants = (restaurants || []).map(attachImages);
 
     res.json({
       success: true,
@@ -1024,7 +1373,9 @@ router.get('/nearby/search', [
           latitude: parseFloat(lat),
           longitude: parseFloat(lng),
           radius,
-          limit
+          limit,
+          openNow: filters.open_now,
+          openAt: filters.open_at
         }
       }
     });
@@ -2,34 +2,36 @@ const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
 const { body, query, param, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const {
+  cursorScope,
+  decodeCursor,
+  keysetFilter,
+  orderByKeys,
+  isKeysetPosition,
+  paginateKeyset
+} = require('../utils/cursor');
 
 // 환경 변수 검증
 if (!process.env.SUPABASE_URL) {
   throw new Error('SUPABASE_URL environment variable is required');
 }
-if (!process.env.SUPABASE_ANON_KEY) {
-  throw new Error('SUPABASE_ANON_KEY environment variable is required');
-}
 if (!process.env.SUPABASE_SERVICE_KEY) {
   throw new Error('SUPABASE_SERVICE_KEY environment variable is required');
 }
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
 const supabaseAdmin = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
 // 에러 응답 헬퍼 함수
-const errorResponse = (res, status, message, error = null) => {
+const errorResponse = (res, status, message, error = null, errorCode = undefined) => {
   console.error(`Error ${status}: ${message}`, error);
   return res.status(status).json({
     success: false,
     message,
+    error_code: errorCode,
     error: process.env.NODE_ENV === 'development' ? error : undefined
   });
 };
@@ -43,63 +45,8 @@ const successResponse = (res, data, message = 'Success') => {
   });
 };
 
-// 사용자 인증 미들웨어 (선택적)
-const optionalAuth = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      const { data: { user }, error } = await supabase.auth.getUser(token);
-      if (!error && user) {
-        req.user = user;
-      }
-    }
-    next();
-  } catch (error) {
-    next();
-  }
-};
-
-// 사용자 인증 필수 미들웨어
-const requireAuth = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return errorResponse(res, 401, '인증 토큰이 필요합니다.');
-    }
-
-    const token = authHeader.substring(7);
-    const jwt = require('jsonwebtoken');
-    const jwtSecret = process.env.JWT_SECRET;
-
-    if (!jwtSecret) {
-      console.error('JWT_SECRET environment variable is not configured');
-      return res.status(500).json({
-        success: false,
-        message: '서버 설정 오류가 발생했습니다.'
-      });
-    }
-
-    const decoded = jwt.verify(token, jwtSecret);
-    const userId = decoded.userId;
-
-    // 사용자 정보 조회
-    const { data: user, error } = await supabaseAdmin
-      .from('users')
-      .select('id, email, name, avatar_url')
-      .eq('id', userId)
-      .single();
-
-    if (error || !user) {
-      return errorResponse(res, 401, '유효하지 않은 토큰입니다.');
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    return errorResponse(res, 401, '인증 중 오류가 발생했습니다.', error.message);
-  }
-};
+// 사용자 인증 미들웨어 (세션 폐기 여부까지 확인하는 공용 미들웨어 사용)
+const { requireAuth, optionalAuth } = authMiddleware;
 
 /**
  * @swagger
@@ -124,6 +71,11 @@ const requireAuth = async (req, res, next) => {
  *           type: integer
  *           default: 0
  *       - in: query
+ *         name: cursor
+ *         description: 이전 응답의 next_cursor (무한 스크롤, 있으면 offset 무시)
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
@@ -135,6 +87,7 @@ router.get('/:restaurantId',
     param('restaurantId').isUUID().withMessage('유효한 맛집 ID가 아닙니다'),
     query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
     query('offset').optional().isInt({ min: 0 }).toInt(),
+    query('cursor').optional().isString(),
     query('sort').optional().isIn(['newest', 'oldest', 'rating_desc', 'rating_asc', 'helpful'])
   ],
   optionalAuth,
@@ -151,7 +104,7 @@ router.get('/:restaurantId',
       const sort = req.query.sort || 'newest';
       const userId = req.user?.id;
 
-      // 정렬 조건 설정
+      // 정렬 조건 설정 (같은 값은 id순)
       let orderBy = { column: 'created_at', ascending: false };
       switch (sort) {
         case 'oldest':
@@ -167,6 +120,13 @@ router.get('/:restaurantId',
           orderBy = { column: 'helpful_count', ascending: false };
           break;
       }
+      const keys = [orderBy, { column: 'id', ascending: orderBy.ascending }];
+
+      const scope = cursorScope('reviews', { restaurantId, sort });
+      const position = req.query.cursor ? decodeCursor(scope, req.query.cursor) : null;
+      if (req.query.cursor && !isKeysetPosition(position, keys)) {
+        return errorResponse(res, 400, '커서가 올바르지 않거나 다른 조건의 목록에서 받은 커서입니다', null, 'INVALID_CURSOR');
+      }
 
       // 리뷰 목록 조회
       let query = supabaseAdmin
@@ -199,20 +159,25 @@ router.get('/:restaurantId',
             )
           )
         `)
-        .eq('restaurant_id', restaurantId)
-        .order(orderBy.column, { ascending: orderBy.ascending });
+        .eq('restaurant_id', restaurantId);
+
+      query = orderByKeys(query, keys);
 
       if (userId) {
         query = query.eq('review_helpful.user_id', userId);
       }
 
-      const { data: reviews, error } = await query
-        .range(offset, offset + limit - 1);
+      // 다음 페이지가 있는지 알기 위해 하나 더 조회
+      const { data, error } = await (position
+        ? query.or(keysetFilter(keys, position)).limit(limit + 1)
+        : query.range(offset, offset + limit));
 
       if (error) {
         return errorResponse(res, 500, '리뷰 조회 중 오류가 발생했습니다', error.message);
       }
 
+      const { items: reviews, hasMore, nextCursor } = paginateKeyset(data, limit, keys, scope);
+
       // 리뷰 데이터 변환
       const processedReviews = reviews.map(review => ({
         id: review.id,
@@ -237,7 +202,9 @@ router.get('/:restaurantId',
         reviews: processedReviews,
         total: processedReviews.length,
         limit,
-        offset
+        offset: position ? null : offset,
+        has_more: hasMore,
+        next_cursor: nextCursor
       });
 
     } catch (error) {
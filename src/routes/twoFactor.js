@@ -0,0 +1,380 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const TwoFactor = require('../models/TwoFactor');
+const authMiddleware = require('../middleware/auth');
+const { issueLoginTokens, verifyTwoFactorChallenge } = require('../utils/authTokens');
+const { buildOtpauthUri } = require('../utils/totp');
+const {
+  checkLoginAllowed,
+  resetLoginFailures,
+  recordTwoFactorFailure,
+  consumeTwoFactorChallenge
+} = require('../utils/loginThrottle');
+const { EVENT_TYPES, recordSecurityEvent, recordAccountLocked } = require('../utils/securityEvents');
+
+const router = express.Router();
+
+const invalidChallengeResponse = (res) => res.status(401).json({
+  success: false,
+  message: '인증 시간이 만료되었습니다. 다시 로그인해주세요.',
+  error_code: 'INVALID_TWO_FACTOR_CHALLENGE'
+});
+
+// 2단계 인증 상태 조회
+router.get('/status', authMiddleware, async (req, res) => {
+  try {
+    const record = await TwoFactor.findByUserId(req.user.id);
+    const enabled = !!record?.enabled;
+
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        enabled_at: enabled ? record.enabled_at : null,
+        remaining_backup_codes: enabled ? await TwoFactor.countRemainingBackupCodes(req.user.id) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('2단계 인증 상태 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 2단계 인증 등록 시작 (인증 앱에 등록할 otpauth URI 발급)
+router.post('/setup', authMiddleware, async (req, res) => {
+  try {
+    // 비밀번호 로그인 계정에만 적용
+    if (!req.user.password_hash) {
+      return res.status(400).json({
+        success: false,
+        message: '비밀번호로 로그인하는 계정만 2단계 인증을 사용할 수 있습니다.',
+        error_code: 'TWO_FACTOR_PASSWORD_REQUIRED'
+      });
+    }
+
+    if (await TwoFactor.isEnabled(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: '이미 2단계 인증이 설정되어 있습니다.',
+        error_code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = await TwoFactor.createPending(req.user.id);
+
+    res.json({
+      success: true,
+      message: '인증 앱에 등록한 뒤 표시되는 코드를 입력해주세요.',
+      data: {
+        secret,
+        otpauth_uri: buildOtpauthUri(secret, req.user.email)
+      }
+    });
+
+  } catch (error) {
+    console.error('2단계 인증 등록 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 2단계 인증 등록 확인 (활성화 + 백업 코드 발급)
+router.post('/confirm', authMiddleware, [
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '인증 코드를 입력해주세요.',
+        errors: errors.array()
+      });
+    }
+
+    const record = await TwoFactor.findByUserId(req.user.id);
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: '2단계 인증 등록을 먼저 시작해주세요.',
+        error_code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    if (record.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: '이미 2단계 인증이 설정되어 있습니다.',
+        error_code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const backupCodes = await TwoFactor.confirm(req.user.id, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: '인증 코드가 올바르지 않습니다.',
+        error_code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    console.log('🔐 2단계 인증 활성화:', req.user.id);
+
+    await recordSecurityEvent(req, EVENT_TYPES.TWO_FACTOR_ENABLED);
+
+    res.json({
+      success: true,
+      message: '2단계 인증이 설정되었습니다. 백업 코드는 안전한 곳에 보관해주세요.',
+      data: {
+        enabled: true,
+        backup_codes: backupCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('2단계 인증 확인 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 백업 코드 재발급 (기존 코드는 모두 무효화)
+router.post('/backup-codes', authMiddleware, [
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '인증 코드를 입력해주세요.',
+        errors: errors.array()
+      });
+    }
+
+    const { valid } = await TwoFactor.verify(req.user.id, req.body.code);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: '인증 코드가 올바르지 않습니다.',
+        error_code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const backupCodes = await TwoFactor.regenerateBackupCodes(req.user.id);
+
+    await recordSecurityEvent(req, EVENT_TYPES.TWO_FACTOR_BACKUP_CODES_REGENERATED);
+
+    res.json({
+      success: true,
+      message: '새 백업 코드가 발급되었습니다.',
+      data: {
+        backup_codes: backupCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('백업 코드 재발급 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 2단계 인증 해제 (비밀번호 + 인증 코드 확인)
+router.post('/disable', authMiddleware, [
+  body('password').notEmpty(),
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '비밀번호와 인증 코드를 입력해주세요.',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await TwoFactor.isEnabled(req.user.id))) {
+      return res.status(400).json({
+        success: false,
+        message: '2단계 인증이 설정되어 있지 않습니다.',
+        error_code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const isPasswordValid = await User.verifyPassword(req.body.password, req.user.password_hash);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: '비밀번호가 일치하지 않습니다.'
+      });
+    }
+
+    const { valid } = await TwoFactor.verify(req.user.id, req.body.code);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: '인증 코드가 올바르지 않습니다.',
+        error_code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    await TwoFactor.disable(req.user.id);
+    console.log('🔓 2단계 인증 해제:', req.user.id);
+
+    await recordSecurityEvent(req, EVENT_TYPES.TWO_FACTOR_DISABLED);
+
+    res.json({
+      success: true,
+      message: '2단계 인증이 해제되었습니다.'
+    });
+
+  } catch (error) {
+    console.error('2단계 인증 해제 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 로그인 2단계: 대기 토큰 + 인증 코드(또는 백업 코드) 확인 후 토큰 발급
+router.post('/verify', [
+  body('challenge_token').isString().notEmpty(),
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '입력 정보가 올바르지 않습니다.',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await verifyTwoFactorChallenge(req.body.challenge_token);
+    if (!challenge) {
+      return invalidChallengeResponse(res);
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || user.is_active === false) {
+      return res.status(403).json({
+        success: false,
+        message: '비활성화된 계정입니다.',
+        error_code: 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    // 계정별 실패 제한 (비밀번호 로그인과 같은 기록)
+    const attempt = await checkLoginAllowed(user.email);
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfterSeconds));
+
+      if (attempt.reason === 'locked') {
+        return res.status(423).json({
+          success: false,
+          message: '로그인 시도가 너무 많아 계정이 일시적으로 잠겼습니다. 이메일로 발송된 안내를 확인해주세요.',
+          error_code: 'ACCOUNT_LOCKED',
+          locked_until: attempt.lockedUntil,
+          retry_after: attempt.retryAfterSeconds
+        });
+      }
+
+      return res.status(429).json({
+        success: false,
+        message: `인증 시도가 너무 많습니다. ${attempt.retryAfterSeconds}초 후 다시 시도해주세요.`,
+        error_code: 'LOGIN_THROTTLED',
+        retry_after: attempt.retryAfterSeconds
+      });
+    }
+
+    const { valid, method } = await TwoFactor.verify(user.id, req.body.code);
+    if (!valid) {
+      const result = await recordTwoFactorFailure(challenge.challengeId, user.email);
+
+      await recordSecurityEvent(req, EVENT_TYPES.LOGIN_FAILED, {
+        userId: user.id,
+        metadata: { method: 'two_factor', reason: 'invalid_two_factor', failures: result.failures }
+      });
+
+      if (result.locked) {
+        await recordAccountLocked(req, user, { lockedUntil: result.lockedUntil });
+
+        return res.status(423).json({
+          success: false,
+          message: '로그인 시도가 너무 많아 계정이 일시적으로 잠겼습니다. 이메일로 발송된 안내를 확인해주세요.',
+          error_code: 'ACCOUNT_LOCKED',
+          locked_until: result.lockedUntil
+        });
+      }
+
+      // 여러 번 틀리면 대기 토큰 폐기 (다시 로그인해야 함)
+      if (result.challengeRevoked) {
+        return invalidChallengeResponse(res);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: '인증 코드가 올바르지 않습니다.',
+        error_code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    // 대기 토큰은 한 번만 사용 (동시에 같은 토큰으로 요청된 경우 하나만 통과)
+    if (!(await consumeTwoFactorChallenge(challenge.challengeId))) {
+      return invalidChallengeResponse(res);
+    }
+
+    console.log('✅ 2단계 인증 로그인 성공:', user.email, method);
+
+    const tokens = await issueLoginTokens(user, req);
+    await resetLoginFailures(user.email);
+
+    await recordSecurityEvent(req, EVENT_TYPES.LOGIN_SUCCEEDED, {
+      userId: user.id,
+      metadata: { method: 'two_factor', second_factor: method, session_id: tokens.session_id }
+    });
+
+    res.json({
+      success: true,
+      message: '로그인이 완료되었습니다.',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          phone: user.phone,
+          avatar_url: user.avatar_url,
+          email_verified: user.email_verified || false
+        },
+        ...tokens,
+        ...(method === 'backup_code' && {
+          remaining_backup_codes: await TwoFactor.countRemainingBackupCodes(user.id)
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('2단계 인증 로그인 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,47 +1,91 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const EmailVerification = require('../models/EmailVerification');
+const PhoneVerification = require('../models/PhoneVerification');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { normalizePhoneNumber, isKoreanMobileNumber } = require('../utils/phoneNumber');
+const { sendSms } = require('../utils/smsProvider');
+const { EVENT_TYPES, recordSecurityEvent } = require('../utils/securityEvents');
+const {
+  RESEND_COOLDOWN_MS,
+  MAX_FAILURES,
+  checkResendCooldown,
+  recordCodeSent,
+  isVerificationBlocked,
+  recordVerificationFailure,
+  resetVerificationFailures
+} = require('../utils/verificationThrottle');
 
 const router = express.Router();
 
-// 이메일 인증 코드 전송
-router.post('/send-email-verification', [
-  body('email').isEmail().normalizeEmail()
-], async (req, res) => {
+const { SIGNUP } = EmailVerification.PURPOSES;
+const PHONE_PURPOSE = 'phone';
+
+/**
+ * 회원가입 이메일 인증
+ *
+ * 계정 존재 여부나 인증 상태가 드러나지 않도록, 가입되지 않았거나 이미 인증된 이메일에도
+ * 발송/확인 응답을 같은 규칙으로 반환합니다. 실패 응답에는 상태별 error_code가 포함됩니다.
+ * - VALIDATION_FAILED: 입력값 오류
+ * - VERIFICATION_RESEND_COOLDOWN: 재발송 대기 시간 미경과 (retry_after 초)
+ * - INVALID_VERIFICATION_CODE: 틀렸거나 만료된 코드
+ * - VERIFICATION_ATTEMPTS_EXCEEDED: 오답 횟수 초과 (새 코드 요청 필요)
+ *
+ * 휴대폰 인증은 로그인한 사용자의 번호를 확인하며, 위 코드 외에 다음 error_code를 사용합니다.
+ * - INVALID_PHONE_NUMBER: 한국 휴대폰 번호가 아님
+ * - PHONE_ALREADY_VERIFIED / PHONE_ALREADY_IN_USE: 이미 인증된 번호
+ * - PHONE_VERIFICATION_LIMIT_EXCEEDED: 번호별 하루 발송 한도 초과
+ * - SMS_SEND_FAILED: 문자 발송 실패
+ */
+
+const validationFailedResponse = (res, message, errors) => {
+  return res.status(400).json({
+    success: false,
+    message,
+    error_code: 'VALIDATION_FAILED',
+    errors: errors.array()
+  });
+};
+
+const resendCooldownResponse = (res, retryAfterSeconds) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: `인증 코드는 ${retryAfterSeconds}초 후 다시 요청할 수 있습니다.`,
+    error_code: 'VERIFICATION_RESEND_COOLDOWN',
+    retry_after: retryAfterSeconds
+  });
+};
+
+// 인증 코드 전송 (최초 발송/재발송 공통)
+const sendVerificationCode = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: '올바른 이메일을 입력해주세요.',
-        errors: errors.array()
-      });
+      return validationFailedResponse(res, '올바른 이메일을 입력해주세요.', errors);
     }
 
     const { email } = req.body;
 
-    // 이미 인증된 이메일인지 확인
-    const isVerified = await EmailVerification.isEmailVerified(email);
-    if (isVerified) {
-      return res.status(400).json({
-        success: false,
-        message: '이미 인증된 이메일입니다.'
-      });
+    const cooldown = await checkResendCooldown(SIGNUP, email);
+    if (!cooldown.allowed) {
+      return resendCooldownResponse(res, cooldown.retryAfterSeconds);
     }
 
-    // 인증 코드 생성 및 전송 (실제로는 이메일 서비스 연동 필요)
-    const verification = await EmailVerification.create(null, email);
-
-    // 개발 모드에서만 코드 반환 (실제 운영에서는 이메일로만 전송)
-    const responseData = process.env.NODE_ENV === 'development'
-      ? { verification_code: verification.code }
-      : {};
+    // 인증이 필요한 계정에만 발송 (이전 코드는 만료)
+    const verification = await EmailVerification.resend(email);
+    await recordCodeSent(SIGNUP, email);
 
     res.json({
       success: true,
-      message: '인증 코드가 이메일로 전송되었습니다.',
-      data: responseData
+      message: '입력하신 이메일로 인증이 필요한 계정이 있다면 인증 코드가 전송됩니다.',
+      data: {
+        expires_in: EmailVerification.CODE_TTL_MINUTES * 60,
+        resend_after: RESEND_COOLDOWN_MS / 1000,
+        // 개발 모드에서만 코드 반환 (실제 운영에서는 이메일로만 전송)
+        ...(process.env.NODE_ENV === 'development' && verification && { verification_code: verification.code })
+      }
     });
 
   } catch (error) {
@@ -51,7 +95,17 @@ router.post('/send-email-verification', [
       message: '서버 오류가 발생했습니다.'
     });
   }
-});
+};
+
+// 이메일 인증 코드 전송
+router.post('/send-email-verification', [
+  body('email').isEmail().normalizeEmail()
+], sendVerificationCode);
+
+// 인증 코드 재전송
+router.post('/resend-email-verification', [
+  body('email').isEmail().normalizeEmail()
+], sendVerificationCode);
 
 // 이메일 인증 코드 확인
 router.post('/verify-email', [
@@ -61,34 +115,155 @@ router.post('/verify-email', [
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      return validationFailedResponse(res, '입력 정보가 올바르지 않습니다.', errors);
+    }
+
+    const { email, code } = req.body;
+
+    const attemptsExceededResponse = () => res.status(429).json({
+      success: false,
+      message: '인증 코드 입력 횟수를 초과했습니다. 인증 코드를 다시 요청해주세요.',
+      error_code: 'VERIFICATION_ATTEMPTS_EXCEEDED'
+    });
+
+    if (await isVerificationBlocked(SIGNUP, email)) {
+      return attemptsExceededResponse();
+    }
+
+    const result = await EmailVerification.verify(email, code);
+
+    if (result.status === 'verified') {
+      await resetVerificationFailures(SIGNUP, email);
+
+      return res.json({
+        success: true,
+        message: '이메일 인증이 완료되었습니다.',
+        data: {
+          email_verified: true,
+          verified_at: result.verification.verified_at
+        }
+      });
+    }
+
+    // 코드가 없는 이메일도 같은 횟수에서 초과 응답이 나오도록 이메일 기준으로도 집계
+    const failures = await recordVerificationFailure(SIGNUP, email);
+    if (failures >= MAX_FAILURES || result.status === 'attempts_exceeded') {
+      console.warn('⚠️ 이메일 인증 코드 오답 횟수 초과:', email, failures);
+      return attemptsExceededResponse();
+    }
+
+    res.status(400).json({
+      success: false,
+      message: '유효하지 않거나 만료된 인증 코드입니다.',
+      error_code: 'INVALID_VERIFICATION_CODE'
+    });
+
+  } catch (error) {
+    console.error('이메일 인증 확인 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 휴대폰 인증 (로그인 필요)
+// ============================================
+
+// 한국 휴대폰 번호만 받아 E.164로 변환 (phone을 생략하면 프로필에 저장된 번호)
+const phoneRules = [
+  body('phone').optional().isString().trim()
+];
+
+const resolvePhone = (req) => {
+  const phone = normalizePhoneNumber(req.body.phone !== undefined ? req.body.phone : req.user.phone);
+  return phone && isKoreanMobileNumber(phone) ? phone : null;
+};
+
+const invalidPhoneResponse = (res) => res.status(400).json({
+  success: false,
+  message: '올바른 휴대폰 번호를 입력해주세요.',
+  error_code: 'INVALID_PHONE_NUMBER'
+});
+
+const phoneInUseResponse = (res) => res.status(409).json({
+  success: false,
+  message: '다른 계정에서 이미 인증한 번호입니다.',
+  error_code: 'PHONE_ALREADY_IN_USE'
+});
+
+// 휴대폰 인증 코드 전송
+router.post('/send-phone-verification', auth, phoneRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailedResponse(res, '입력 정보가 올바르지 않습니다.', errors);
+    }
+
+    const phone = resolvePhone(req);
+    if (!phone) {
+      return invalidPhoneResponse(res);
+    }
+
+    if (req.user.phone_verified && req.user.phone === phone) {
       return res.status(400).json({
         success: false,
-        message: '입력 정보가 올바르지 않습니다.',
-        errors: errors.array()
+        message: '이미 인증된 번호입니다.',
+        error_code: 'PHONE_ALREADY_VERIFIED'
       });
     }
 
-    const { email, code } = req.body;
+    const owner = await User.findByVerifiedPhone(phone);
+    if (owner && owner.id !== req.user.id) {
+      return phoneInUseResponse(res);
+    }
 
-    const verification = await EmailVerification.verify(email, code);
-    if (!verification) {
-      return res.status(400).json({
+    // 번호 기준 발송 간격 + 하루 발송 한도
+    const cooldown = await checkResendCooldown(PHONE_PURPOSE, phone);
+    if (!cooldown.allowed) {
+      return resendCooldownResponse(res, cooldown.retryAfterSeconds);
+    }
+
+    if (await PhoneVerification.countSentToday(phone) >= PhoneVerification.MAX_CODES_PER_DAY) {
+      return res.status(429).json({
+        success: false,
+        message: '이 번호로 보낼 수 있는 하루 인증 문자 수를 초과했습니다. 내일 다시 시도해주세요.',
+        error_code: 'PHONE_VERIFICATION_LIMIT_EXCEEDED'
+      });
+    }
+
+    const { verification, code } = await PhoneVerification.create(req.user.id, phone);
+
+    try {
+      await sendSms(phone, `[FoodieMap] 인증번호 [${code}]를 ${PhoneVerification.CODE_TTL_MINUTES}분 안에 입력해주세요.`);
+    } catch (smsError) {
+      console.error('❌ 인증 문자 발송 실패:', smsError.message);
+      await PhoneVerification.expire(verification.id);
+
+      return res.status(502).json({
         success: false,
-        message: '유효하지 않거나 만료된 인증 코드입니다.'
+        message: '인증 문자를 보내지 못했습니다. 잠시 후 다시 시도해주세요.',
+        error_code: 'SMS_SEND_FAILED'
       });
     }
 
+    await recordCodeSent(PHONE_PURPOSE, phone);
+    console.log('📱 휴대폰 인증 코드 발송:', req.user.id);
+
     res.json({
       success: true,
-      message: '이메일 인증이 완료되었습니다.',
+      message: '인증 코드가 문자로 전송되었습니다.',
       data: {
-        email_verified: true,
-        verified_at: verification.verified_at
+        phone,
+        expires_in: PhoneVerification.CODE_TTL_MINUTES * 60,
+        resend_after: RESEND_COOLDOWN_MS / 1000,
+        ...(process.env.NODE_ENV === 'development' && { verification_code: code })
       }
     });
 
   } catch (error) {
-    console.error('이메일 인증 확인 오류:', error);
+    console.error('휴대폰 인증 코드 전송 오류:', error);
     res.status(500).json({
       success: false,
       message: '서버 오류가 발생했습니다.'
@@ -96,37 +271,71 @@ router.post('/verify-email', [
   }
 });
 
-// 인증 코드 재전송
-router.post('/resend-email-verification', [
-  body('email').isEmail().normalizeEmail()
+// 휴대폰 인증 코드 확인 (확인되면 프로필 번호를 인증한 번호로 교체)
+router.post('/verify-phone', auth, [
+  ...phoneRules,
+  body('code').isLength({ min: 6, max: 6 }).isNumeric()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      return validationFailedResponse(res, '입력 정보가 올바르지 않습니다.', errors);
+    }
+
+    const phone = resolvePhone(req);
+    if (!phone) {
+      return invalidPhoneResponse(res);
+    }
+
+    const result = await PhoneVerification.verify(req.user.id, phone, req.body.code);
+
+    if (result.status === 'attempts_exceeded') {
+      return res.status(429).json({
+        success: false,
+        message: '인증 코드 입력 횟수를 초과했습니다. 인증 코드를 다시 요청해주세요.',
+        error_code: 'VERIFICATION_ATTEMPTS_EXCEEDED'
+      });
+    }
+
+    if (result.status !== 'verified') {
       return res.status(400).json({
         success: false,
-        message: '올바른 이메일을 입력해주세요.',
-        errors: errors.array()
+        message: '유효하지 않거나 만료된 인증 코드입니다.',
+        error_code: 'INVALID_VERIFICATION_CODE',
+        ...(result.remainingAttempts !== undefined && { remaining_attempts: result.remainingAttempts })
       });
     }
 
-    const { email } = req.body;
+    // 코드 발송 후 다른 계정이 같은 번호를 인증한 경우
+    const owner = await User.findByVerifiedPhone(phone);
+    if (owner && owner.id !== req.user.id) {
+      return phoneInUseResponse(res);
+    }
 
-    const verification = await EmailVerification.resend(email);
+    let user;
+    try {
+      user = await User.markPhoneVerified(req.user.id, phone);
+    } catch (updateError) {
+      // 동시에 같은 번호를 인증한 다른 계정이 먼저 저장한 경우 (users_verified_phone_key)
+      if (updateError.code === '23505') return phoneInUseResponse(res);
+      throw updateError;
+    }
 
-    // 개발 모드에서만 코드 반환
-    const responseData = process.env.NODE_ENV === 'development'
-      ? { verification_code: verification.code }
-      : {};
+    await recordSecurityEvent(req, EVENT_TYPES.PHONE_VERIFIED);
+    console.log('✅ 휴대폰 인증 완료:', req.user.id);
 
     res.json({
       success: true,
-      message: '새로운 인증 코드가 전송되었습니다.',
-      data: responseData
+      message: '휴대폰 인증이 완료되었습니다.',
+      data: {
+        phone: user.phone,
+        phone_verified: true,
+        verified_at: user.phone_verified_at
+      }
     });
 
   } catch (error) {
-    console.error('인증 코드 재전송 오류:', error);
+    console.error('휴대폰 인증 확인 오류:', error);
     res.status(500).json({
       success: false,
       message: '서버 오류가 발생했습니다.'
@@ -134,4 +343,4 @@ router.post('/resend-email-verification', [
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
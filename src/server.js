@@ -16,6 +16,7 @@ const requiredEnvVars = [
   'CLOUDINARY_API_KEY',
   'CLOUDINARY_API_SECRET',
   'KAKAO_CLIENT_ID',
+  'KAKAO_APP_ID',
   'CLEANUP_API_KEY'
 ];
 
@@ -33,6 +34,16 @@ if (missingEnvVars.length > 0) {
 
 console.log('✅ All required environment variables are set');
 
+// 문자 발송 업체 확인 (운영 환경에서 인증 문자가 로그로만 출력되지 않도록)
+const { getSmsProvider } = require('./utils/smsProvider');
+
+try {
+  getSmsProvider();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const testSupabaseConnection = require('./utils/testConnection');
 const testCloudinaryConnection = require('./utils/testCloudinary');
 const { logger, deployLogger } = require('./config/logger');
@@ -219,6 +230,9 @@ app.get('/health/detailed', async (req, res) => {
 
 // API 라우트
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const dataExportRoutes = require('./routes/dataExport');
+const passwordlessRoutes = require('./routes/passwordless');
 const restaurantRoutes = require('./routes/restaurants');
 const categoryRoutes = require('./routes/categories');
 const verificationRoutes = require('./routes/verification');
@@ -231,15 +245,26 @@ const preferencesRoutes = require('./routes/preferences');
 const sitemapRoutes = require('./routes/sitemap');
 const contactRoutes = require('./routes/contact');
 const collectionsRoutes = require('./routes/collections');
+const adminRoutes = require('./routes/admin');
 
 // 크론잡 시작 (만료된 계정 자동 삭제)
 require('./jobs/cleanup');
+// 맛집 검색 문서 동기화
+require('./jobs/searchIndex');
 
 // 라우트 설정 with Rate Limiting
 // 인증 관련 라우트는 엄격한 Rate Limiting 적용
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', registerLimiter);
 app.use('/api/auth/social', authLimiter); // 소셜 로그인도 제한
+app.use('/api/auth/forgot-password', authLimiter); // 재설정 메일 남용 방지
+app.use('/api/auth/2fa/verify', authLimiter); // 2단계 인증 코드 대입 방지
+app.use('/api/auth/email-change', verificationLimiter); // 이메일 변경 인증 코드 발송/확인 제한
+app.use('/api/auth/passwordless/request', verificationLimiter); // 로그인 코드 메일 남용 방지
+app.use('/api/auth/passwordless/verify', authLimiter); // 로그인 코드 대입 방지
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/data-export', dataExportRoutes);
+app.use('/api/auth/passwordless', passwordlessRoutes);
 app.use('/api/auth', authRoutes);
 
 app.use('/api/restaurants', restaurantRoutes);
@@ -256,6 +281,7 @@ app.use('/api/events', eventRoutes);
 app.use('/api/preferences', preferencesRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/collections', collectionsRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', sitemapRoutes);
 
 // API 정보
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { sendNewDeviceLoginEmail } = require('./emailService');
+const { describeDevice } = require('./userAgent');
+const { registerTwoFactorChallenge, isTwoFactorChallengeActive } = require('./loginThrottle');
+
+// 액세스 토큰은 짧게, 리프레시 토큰은 길게 유지
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa_challenge';
+
+const getJwtSecret = () => {
+  const jwtSecret = process.env.JWT_SECRET;
+
+  if (!jwtSecret) {
+    throw new Error('JWT_SECRET environment variable is required');
+  }
+
+  return jwtSecret;
+};
+
+/**
+ * 액세스 토큰 생성
+ * @param {string} userId - 사용자 ID
+ * @param {string} sessionId - 세션 ID (sid 클레임)
+ */
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, getJwtSecret(), {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+const buildTokenResponse = (accessToken, refreshToken) => {
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    token: accessToken,
+    refresh_token: refreshToken.token,
+    token_type: 'Bearer',
+    expires_in: exp - Math.floor(Date.now() / 1000),
+    refresh_token_expires_at: refreshToken.expires_at
+  };
+};
+
+// 세션에 기록할 요청 정보 (User-Agent, IP)
+const getClientContext = (req) => ({
+  userAgent: req.get('user-agent')?.slice(0, 512) || null,
+  ipAddress: req.ip || null
+});
+
+/**
+ * 로그인 성공 시 새 세션을 만들고 액세스/리프레시 토큰 발급
+ * @param {string} userId - 사용자 ID
+ * @param {Object} context - { userAgent, ipAddress } (getClientContext 결과)
+ */
+const issueAuthTokens = async (userId, context = {}) => {
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const session = await Session.create(userId, expiresAt, context);
+  const refreshToken = await RefreshToken.create(session.id, userId, expiresAt);
+  const accessToken = generateAccessToken(userId, session.id);
+
+  return {
+    ...buildTokenResponse(accessToken, refreshToken),
+    session_id: session.id
+  };
+};
+
+/**
+ * 로그인 요청에 대한 세션 생성 + 토큰 발급
+ *
+ * 이전 로그인 기록이 있는 사용자가 처음 보는 기기(User-Agent)로 로그인하면 알림 메일을 보냅니다.
+ * @param {Object} user - 사용자
+ * @param {Object} req - Express 요청
+ */
+const issueLoginTokens = async (user, req) => {
+  const context = getClientContext(req);
+
+  const isNewDevice = !!context.userAgent
+    && await Session.hasAnySession(user.id)
+    && !(await Session.hasDeviceHistory(user.id, context.userAgent));
+
+  const tokens = await issueAuthTokens(user.id, context);
+
+  if (isNewDevice && user.email) {
+    console.log('📱 새 기기 로그인 감지:', user.id);
+
+    // 로그인 응답을 지연시키지 않도록 메일은 기다리지 않음
+    sendNewDeviceLoginEmail(user.email, {
+      userName: user.name,
+      device: describeDevice(context.userAgent),
+      ipAddress: context.ipAddress
+    }).catch(emailError => console.error('❌ 새 기기 로그인 알림 발송 실패:', emailError.message));
+  }
+
+  return tokens;
+};
+
+/**
+ * 리프레시 토큰 교체 (rotation)
+ *
+ * 이미 사용된 토큰이 다시 제출되면 탈취된 것으로 간주하고 세션 전체를 폐기합니다.
+ * @param {string} rawToken - 클라이언트가 보낸 리프레시 토큰
+ * @returns {Promise<{status: string, userId?: string, tokens?: Object}>}
+ *   status: 'ok' | 'invalid' | 'expired' | 'revoked' | 'reused'
+ */
+const rotateRefreshToken = async (rawToken) => {
+  const stored = await RefreshToken.findByToken(rawToken);
+  if (!stored) {
+    return { status: 'invalid' };
+  }
+
+  const session = await Session.findById(stored.session_id);
+  if (!session || session.revoked_at) {
+    return { status: 'revoked', userId: stored.user_id };
+  }
+
+  // 재사용 감지: 이미 교체된 토큰이 다시 들어오면 세션(토큰 패밀리) 전체 폐기
+  if (stored.used_at) {
+    await Session.revoke(session.id, 'refresh_token_reuse');
+    return { status: 'reused', userId: stored.user_id };
+  }
+
+  if (new Date(stored.expires_at) <= new Date() || new Date(session.expires_at) <= new Date()) {
+    return { status: 'expired', userId: stored.user_id };
+  }
+
+  const claimed = await RefreshToken.markUsed(stored.id);
+  if (!claimed) {
+    // 동시에 같은 토큰으로 두 번 요청된 경우도 재사용으로 처리
+    await Session.revoke(session.id, 'refresh_token_reuse');
+    return { status: 'reused', userId: stored.user_id };
+  }
+
+  const nextRefreshToken = await RefreshToken.create(session.id, stored.user_id, new Date(session.expires_at));
+  const accessToken = generateAccessToken(stored.user_id, session.id);
+
+  return {
+    status: 'ok',
+    userId: stored.user_id,
+    tokens: {
+      ...buildTokenResponse(accessToken, nextRefreshToken),
+      session_id: session.id
+    }
+  };
+};
+
+/**
+ * 2단계 인증 대기 토큰 발급
+ *
+ * 비밀번호 확인만 끝난 상태를 나타내며, sid 클레임이 없어 API 인증에는 사용할 수 없습니다.
+ * jti로 서버에 등록해 두고 로그인에 성공하거나 코드를 여러 번 틀리면 폐기합니다 (loginThrottle).
+ * @param {string} userId - 사용자 ID
+ */
+const createTwoFactorChallenge = async (userId) => {
+  const challengeToken = jwt.sign({ userId, purpose: TWO_FACTOR_CHALLENGE_PURPOSE }, getJwtSecret(), {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+    jwtid: crypto.randomUUID()
+  });
+  const { exp, jti } = jwt.decode(challengeToken);
+
+  await registerTwoFactorChallenge(jti, userId, exp * 1000);
+
+  return {
+    challenge_token: challengeToken,
+    expires_in: exp - Math.floor(Date.now() / 1000)
+  };
+};
+
+/**
+ * 2단계 인증 대기 토큰 확인
+ * @returns {Promise<{userId: string, challengeId: string}|null>} 서명/만료가 올바르지 않거나 사용/폐기된 토큰이면 null
+ */
+const verifyTwoFactorChallenge = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, getJwtSecret());
+  } catch {
+    return null;
+  }
+
+  if (decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE || !decoded.jti) return null;
+  if (!(await isTwoFactorChallengeActive(decoded.jti, decoded.userId))) return null;
+
+  return { userId: decoded.userId, challengeId: decoded.jti };
+};
+
+module.exports = {
+  generateAccessToken,
+  getClientContext,
+  issueAuthTokens,
+  issueLoginTokens,
+  rotateRefreshToken,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+/**
+ * 커서 페이지네이션 (무한 스크롤)
+ *
+ * 커서는 마지막 항목의 정렬 컬럼 값과 id를 담아 서명한 불투명 문자열입니다.
+ * 다음 페이지를 offset 대신 "이 항목 다음부터"(keyset)로 조회하므로, 스크롤하는 사이에 항목이 추가/삭제되어도
+ * 중복이나 누락이 생기지 않습니다. 목록 조건(scope: 엔드포인트, 정렬, 필터)도 함께 서명하므로
+ * 다른 조건에서 받은 커서나 조작한 커서는 decodeCursor에서 null이 됩니다.
+ * 정렬 컬럼은 NULL이 없어야 합니다 (keyset 비교가 NULL을 건너뜀).
+ */
+
+const CURSOR_VERSION = 1;
+const MAX_CURSOR_LENGTH = 1000;
+
+// 서명 키: CURSOR_SECRET (없으면 JWT_SECRET)
+const getCursorSecret = () => {
+  const secret = process.env.CURSOR_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('CURSOR_SECRET environment variable is required');
+  }
+
+  return secret;
+};
+
+const sign = (payload) => crypto
+  .createHmac('sha256', getCursorSecret())
+  .update(payload)
+  .digest('base64url');
+
+/**
+ * 목록 조건 → scope (같은 조건의 요청에서만 커서를 받음)
+ * @param {string} name - 목록 이름 (예: 'reviews')
+ * @param {Object} params - 결과에 영향을 주는 조건 (정렬, 필터 등, 빈 값은 무시)
+ */
+const cursorScope = (name, params = {}) => {
+  const normalized = Object.keys(params)
+    .sort()
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .map(key => [key, params[key]]);
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([name, normalized]))
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+/**
+ * @param {string} scope - cursorScope 결과
+ * @param {*} position - 다음 페이지 시작 위치 (JSON으로 직렬화 가능한 값, 보통 keyset 값 배열)
+ */
+const encodeCursor = (scope, position) => {
+  const payload = Buffer
+    .from(JSON.stringify({ v: CURSOR_VERSION, s: scope, p: position }))
+    .toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * @returns {*} encodeCursor에 넘긴 position (서명이나 scope가 맞지 않으면 null)
+ */
+const decodeCursor = (scope, cursor) => {
+  if (typeof cursor !== 'string' || cursor.length > MAX_CURSOR_LENGTH) return null;
+
+  const parts = cursor.split('.');
+  if (parts.length !== 2) return null;
+
+  const [payload, signature] = parts;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (decoded.v !== CURSOR_VERSION || decoded.s !== scope || decoded.p === undefined) return null;
+    return decoded.p;
+  } catch {
+    return null;
+  }
+};
+
+// PostgREST 논리 필터 값 (쉼표, 괄호, 콜론이 들어가도 되도록 따옴표로 감쌈)
+const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * keyset 조건 (PostgREST or 필터)
+ * 예: [created_at desc, id desc] → created_at.lt.X,and(created_at.eq.X,id.lt.Y)
+ * @param {Array<{column: string, ascending: boolean}>} keys - 정렬 키 (마지막은 유일한 컬럼, 보통 id)
+ * @param {Array} values - 마지막 항목의 키 값 (keys 순서)
+ */
+const keysetFilter = (keys, values) => keys
+  .map((key, index) => {
+    const conditions = [
+      ...keys.slice(0, index).map((previous, i) => `${previous.column}.eq.${quoteFilterValue(values[i])}`),
+      `${key.column}.${key.ascending ? 'gt' : 'lt'}.${quoteFilterValue(values[index])}`
+    ];
+    return conditions.length === 1 ? conditions[0] : `and(${conditions.join(',')})`;
+  })
+  .join(',');
+
+// 쿼리에 정렬 키 순서대로 order 적용
+const orderByKeys = (query, keys) => keys.reduce(
+  (current, key) => current.order(key.column, { ascending: key.ascending }),
+  query
+);
+
+// 항목의 keyset 값 (커서에 담을 값)
+const keysetValues = (row, keys) => keys.map(key => row[key.column]);
+
+// position이 keys와 같은 길이의 배열인지 (decodeCursor 결과 확인용)
+const isKeysetPosition = (position, keys) => Array.isArray(position) &&
+  position.length === keys.length &&
+  position.every(value => value !== null && typeof value !== 'object');
+
+/**
+ * limit + 1개를 조회한 결과 → 현재 페이지와 다음 커서
+ * @returns {{items: Array, hasMore: boolean, nextCursor: string|null}}
+ */
+const paginateKeyset = (rows, limit, keys, scope) => {
+  const items = (rows || []).slice(0, limit);
+  const hasMore = (rows || []).length > limit;
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(scope, keysetValues(items[items.length - 1], keys)) : null
+  };
+};
+
+module.exports = {
+  cursorScope,
+  encodeCursor,
+  decodeCursor,
+  quoteFilterValue,
+  keysetFilter,
+  orderByKeys,
+  keysetValues,
+  isKeysetPosition,
+  paginateKeyset
+};
@@ -0,0 +1,240 @@
+const supabase = require('../config/supabase');
+const DataExport = require('../models/DataExport');
+const { createZip } = require('./zip');
+const { sendDataExportReadyEmail } = require('./emailService');
+
+/**
+ * 개인정보 내보내기 ("내 데이터 다운로드")
+ *
+ * 사용자와 연결된 테이블을 모아 JSON 파일로 만들고, zip 형식이면 섹션별 파일로 나눠 압축합니다.
+ * 비밀번호 해시, 인증 코드, 2단계 인증 비밀키, 토큰 같은 보안 값은 포함하지 않습니다.
+ */
+
+const RESTAURANT_SUMMARY = 'restaurants (id, name, address)';
+
+const selectRows = async (table, columns, filterColumn, userId, orderBy = 'created_at') => {
+  const { data, error } = await supabase
+    .from(table)
+    .select(columns)
+    .eq(filterColumn, userId)
+    .order(orderBy, { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+const collectProfile = async (userId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+
+  const profile = { ...data };
+  delete profile.password_hash;
+  return profile;
+};
+
+const collectPreferences = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const collectTwoFactorStatus = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_two_factor')
+    .select('enabled, enabled_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { enabled: !!data?.enabled, enabled_at: data?.enabled ? data.enabled_at : null };
+};
+
+/**
+ * 내보낼 데이터 수집
+ * @returns {Promise<Object>} 섹션 이름 → 데이터
+ */
+const collectUserData = async (userId) => {
+  const [
+    profile,
+    preferences,
+    favoriteFolders,
+    favorites,
+    reviews,
+    helpfulVotes,
+    reviewComments,
+    collections,
+    collectionLikes,
+    collectionSaves,
+    following,
+    followers,
+    emailVerifications,
+    phoneVerifications,
+    linkedAccounts,
+    twoFactor,
+    securityEvents
+  ] = await Promise.all([
+    collectProfile(userId),
+    collectPreferences(userId),
+    selectRows('favorite_folders', '*', 'user_id', userId),
+    selectRows('user_favorites', `*, ${RESTAURANT_SUMMARY}`, 'user_id', userId),
+    selectRows('restaurant_reviews', `
+      *,
+      ${RESTAURANT_SUMMARY},
+      review_media (
+        display_order,
+        media_files (
+          file_url,
+          thumbnail_url,
+          medium_url
+        )
+      )
+    `, 'user_id', userId),
+    selectRows('review_helpful', 'review_id, created_at', 'user_id', userId),
+    selectRows('review_comments', '*', 'user_id', userId),
+    selectRows('collections', `
+      *,
+      collection_items (
+        restaurant_id,
+        note,
+        display_order,
+        ${RESTAURANT_SUMMARY}
+      )
+    `, 'user_id', userId),
+    selectRows('collection_likes', 'collection_id, created_at', 'user_id', userId),
+    selectRows('collection_saves', 'collection_id, created_at', 'user_id', userId),
+    selectRows('user_follows', 'following_id, created_at', 'follower_id', userId),
+    selectRows('user_follows', 'follower_id, created_at', 'following_id', userId),
+    // 인증 코드는 제외하고 이력만
+    selectRows('email_verifications', 'email, is_verified, verified_at, expires_at, created_at', 'user_id', userId),
+    selectRows('phone_verifications', 'phone, is_verified, verified_at, expires_at, created_at', 'user_id', userId),
+    selectRows('user_identities', 'provider, email, created_at, last_used_at', 'user_id', userId),
+    collectTwoFactorStatus(userId),
+    selectRows('security_events', 'event_type, ip_address, user_agent, metadata, created_at', 'user_id', userId)
+  ]);
+
+  return {
+    profile,
+    preferences,
+    favorites: {
+      folders: favoriteFolders,
+      items: favorites
+    },
+    reviews: reviews.map(({ review_media: reviewMedia, ...review }) => ({
+      ...review,
+      images: (reviewMedia || [])
+        .sort((a, b) => a.display_order - b.display_order)
+        .map(rm => rm.media_files?.file_url || rm.media_files?.medium_url || '')
+        .filter(Boolean)
+    })),
+    helpful_votes: helpfulVotes,
+    review_comments: reviewComments,
+    collections,
+    collection_likes: collectionLikes,
+    collection_saves: collectionSaves,
+    follows: {
+      following,
+      followers
+    },
+    verification_history: {
+      email_verifications: emailVerifications,
+      phone_verifications: phoneVerifications,
+      linked_accounts: linkedAccounts,
+      two_factor: twoFactor,
+      security_events: securityEvents
+    }
+  };
+};
+
+/**
+ * 내보내기 파일 생성
+ * @param {Object} sections - collectUserData 결과
+ * @param {string} format - 'json' (단일 파일) | 'zip' (섹션별 JSON 파일 압축)
+ * @returns {{content: Buffer, contentType: string, extension: string}}
+ */
+const buildExportFile = (sections, format, exportedAt = new Date()) => {
+  const manifest = {
+    service: 'FoodieMap',
+    exported_at: exportedAt.toISOString(),
+    user_id: sections.profile.id,
+    sections: Object.keys(sections)
+  };
+
+  if (format === 'zip') {
+    const files = [
+      { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+      ...Object.entries(sections).map(([name, data]) => ({
+        name: `${name}.json`,
+        content: JSON.stringify(data, null, 2)
+      }))
+    ];
+
+    return { content: createZip(files, exportedAt), contentType: 'application/zip', extension: 'zip' };
+  }
+
+  return {
+    content: Buffer.from(JSON.stringify({ manifest, ...sections }, null, 2), 'utf8'),
+    contentType: 'application/json',
+    extension: 'json'
+  };
+};
+
+/**
+ * 내보내기 작업 실행 (요청 응답 후 백그라운드에서 호출)
+ * 실패해도 예외를 던지지 않고 요청 상태를 failed로 남깁니다.
+ * @param {Object} exportRequest - data_exports 행
+ * @param {Object} user - 요청한 사용자 (메일 발송용)
+ */
+const processDataExport = async (exportRequest, user) => {
+  try {
+    await DataExport.markProcessing(exportRequest.id);
+
+    const exportedAt = new Date();
+    const sections = await collectUserData(user.id);
+    const file = buildExportFile(sections, exportRequest.format, exportedAt);
+    const filePath = `${user.id}/${exportRequest.id}.${file.extension}`;
+
+    await DataExport.uploadFile(filePath, file.content, file.contentType);
+    const completed = await DataExport.markCompleted(exportRequest.id, {
+      filePath,
+      fileSize: file.content.length
+    });
+
+    console.log('📦 개인정보 내보내기 완료:', user.id, exportRequest.id, `${file.content.length} bytes`);
+
+    try {
+      const downloadUrl = await DataExport.createDownloadUrl(completed);
+      await sendDataExportReadyEmail(user.email, downloadUrl, user.name, completed.expires_at);
+    } catch (emailError) {
+      // 메일이 실패해도 상태 조회로 다운로드 가능
+      console.error('❌ 내보내기 완료 메일 발송 실패:', emailError.message);
+    }
+
+    return completed;
+  } catch (error) {
+    console.error('❌ 개인정보 내보내기 실패:', exportRequest.id, error.message);
+
+    try {
+      await DataExport.markFailed(exportRequest.id, '내보내기 파일 생성 중 오류가 발생했습니다');
+    } catch (markError) {
+      console.error('❌ 내보내기 실패 상태 저장 오류:', markError.message);
+    }
+
+    return null;
+  }
+};
+
+module.exports = {
+  collectUserData,
+  buildExportFile,
+  processDataExport
+};
@@ -18,21 +18,48 @@ transporter.verify((error, success) => {
   }
 });
 
+// 인증 코드 용도별 메일 문구
+const VERIFICATION_EMAIL_TEXT = {
+  signup: {
+    subject: '[FoodieMap] 이메일 인증 코드',
+    title: '이메일 인증',
+    description: 'FoodieMap 회원가입을 위한 이메일 인증 코드입니다.',
+    instruction: '인증 코드를 입력하여 이메일 인증을 완료해주세요.'
+  },
+  email_change: {
+    subject: '[FoodieMap] 이메일 변경 인증 코드',
+    title: '이메일 변경 인증',
+    description: 'FoodieMap 계정 이메일을 이 주소로 변경하기 위한 인증 코드입니다.',
+    instruction: '인증 코드를 입력하면 이메일 변경이 완료됩니다.'
+  },
+  login: {
+    subject: '[FoodieMap] 로그인 코드',
+    title: '이메일로 로그인',
+    description: '비밀번호 없이 FoodieMap에 로그인하기 위한 코드입니다.',
+    instruction: '로그인 화면에 코드를 입력하거나 위 버튼을 눌러 로그인해주세요. 코드와 링크는 한 번만 사용할 수 있습니다.',
+    linkLabel: '바로 로그인하기'
+  }
+};
+
 /**
  * 이메일 인증 코드 발송
  * @param {string} email - 수신자 이메일
  * @param {string} code - 6자리 인증 코드
  * @param {string} userName - 사용자 이름
+ * @param {string} purpose - 용도 ('signup' | 'email_change' | 'login')
+ * @param {Object} [options] - { validMinutes: 유효 시간(분), linkUrl: 코드 대신 누를 수 있는 링크 }
  */
-const sendVerificationEmail = async (email, code, userName = '사용자') => {
+const sendVerificationEmail = async (email, code, userName = '사용자', purpose = 'signup', { validMinutes = 5, linkUrl = null } = {}) => {
   try {
+    const text = VERIFICATION_EMAIL_TEXT[purpose] || VERIFICATION_EMAIL_TEXT.signup;
+
     const mailOptions = {
       from: {
         name: 'FoodieMap',
         address: process.env.EMAIL_USER
       },
       to: email,
-      subject: '[FoodieMap] 이메일 인증 코드',
+      subject: text.subject,
       html: `
         <!DOCTYPE html>
         <html>
@@ -74,6 +101,20 @@ const sendVerificationEmail = async (email, code, userName = '사용자') => {
               letter-spacing: 8px;
               margin: 30px 0;
             }
+            .button-box {
+              text-align: center;
+              margin: 30px 0;
+            }
+            .button {
+              display: inline-block;
+              background: linear-gradient(135deg, #FF6B6B 0%, #FF8E53 100%);
+              color: white !important;
+              font-size: 18px;
+              font-weight: bold;
+              text-decoration: none;
+              padding: 16px 40px;
+              border-radius: 10px;
+            }
             .info {
               background-color: #f8f9fa;
               padding: 20px;
@@ -96,21 +137,25 @@ const sendVerificationEmail = async (email, code, userName = '사용자') => {
           <div class="container">
             <div class="header">
               <div class="logo">🍴 FoodieMap</div>
-              <h2>이메일 인증</h2>
+              <h2>${text.title}</h2>
             </div>
 
             <p>안녕하세요, <strong>${userName}</strong>님!</p>
-            <p>FoodieMap 회원가입을 위한 이메일 인증 코드입니다.</p>
+            <p>${text.description}</p>
 
             <div class="code-box">
               ${code}
             </div>
 
+            ${linkUrl ? `<div class="button-box">
+              <a class="button" href="${escapeHtml(linkUrl)}">${text.linkLabel || '바로 가기'}</a>
+            </div>` : ''}
+
             <div class="info">
               <p><strong>📌 안내사항</strong></p>
               <ul>
-                <li>이 인증 코드는 <span class="warning">5분간 유효</span>합니다.</li>
-                <li>인증 코드를 입력하여 이메일 인증을 완료해주세요.</li>
+                <li>이 인증 코드는 <span class="warning">${validMinutes}분간 유효</span>합니다.</li>
+                <li>${text.instruction}</li>
                 <li>본인이 요청하지 않았다면 이 메일을 무시하셔도 됩니다.</li>
               </ul>
             </div>
@@ -356,8 +401,607 @@ const sendContactEmail = async (contactData) => {
   }
 };
 
+/**
+ * 비밀번호 재설정 링크 발송
+ * @param {string} email - 수신자 이메일
+ * @param {string} resetUrl - 재설정 페이지 링크 (토큰 포함)
+ * @param {string} userName - 사용자 이름
+ * @param {number} expiresInMinutes - 링크 유효 시간 (분)
+ */
+const sendPasswordResetEmail = async (email, resetUrl, userName = '사용자', expiresInMinutes = 30) => {
+  try {
+    const mailOptions = {
+      from: {
+        name: 'FoodieMap',
+        address: process.env.EMAIL_USER
+      },
+      to: email,
+      subject: '[FoodieMap] 비밀번호 재설정 안내',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body {
+              font-family: 'Apple SD Gothic Neo', 'Malgun Gothic', sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .container {
+              background-color: #ffffff;
+              border-radius: 10px;
+              padding: 40px;
+              box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+            }
+            .logo {
+              font-size: 32px;
+              font-weight: bold;
+              color: #FF6B6B;
+            }
+            .button-box {
+              text-align: center;
+              margin: 30px 0;
+            }
+            .button {
+              display: inline-block;
+              background: linear-gradient(135deg, #FF6B6B 0%, #FF8E53 100%);
+              color: white !important;
+              font-size: 18px;
+              font-weight: bold;
+              text-decoration: none;
+              padding: 16px 40px;
+              border-radius: 10px;
+            }
+            .info {
+              background-color: #f8f9fa;
+              padding: 20px;
+              border-radius: 8px;
+              margin: 20px 0;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 30px;
+              color: #999;
+              font-size: 12px;
+            }
+            .warning {
+              color: #e74c3c;
+              font-weight: bold;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <div class="logo">🍴 FoodieMap</div>
+              <h2>비밀번호 재설정</h2>
+            </div>
+
+            <p>안녕하세요, <strong>${userName}</strong>님!</p>
+            <p>아래 버튼을 눌러 새 비밀번호를 설정해주세요.</p>
+
+            <div class="button-box">
+              <a class="button" href="${resetUrl}">비밀번호 재설정하기</a>
+            </div>
+
+            <div class="info">
+              <p><strong>📌 안내사항</strong></p>
+              <ul>
+                <li>이 링크는 <span class="warning">${expiresInMinutes}분간 유효</span>하며 한 번만 사용할 수 있습니다.</li>
+                <li>비밀번호를 재설정하면 모든 기기에서 로그아웃됩니다.</li>
+                <li>본인이 요청하지 않았다면 이 메일을 무시하셔도 됩니다. 비밀번호는 변경되지 않습니다.</li>
+              </ul>
+            </div>
+
+            <p style="margin-top: 30px;">감사합니다.<br>FoodieMap 팀 드림</p>
+
+            <div class="footer">
+              <p>이 메일은 발신 전용입니다. 문의사항은 FoodieMap 고객센터를 이용해주세요.</p>
+              <p>&copy; 2025 FoodieMap. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ 비밀번호 재설정 메일 발송 성공:', email);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ 비밀번호 재설정 메일 발송 실패:', error);
+    throw error;
+  }
+};
+
+// 메일 본문에 넣는 외부 입력값(User-Agent 등) 이스케이프
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * 새 기기 로그인 알림 이메일 발송
+ * @param {string} email - 수신자 이메일
+ * @param {Object} loginInfo - { userName, device, ipAddress, loginAt }
+ */
+const sendNewDeviceLoginEmail = async (email, { userName = '사용자', device, ipAddress, loginAt = new Date() } = {}) => {
+  try {
+    const loginTime = new Date(loginAt).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' });
+
+    const mailOptions = {
+      from: {
+        name: 'FoodieMap',
+        address: process.env.EMAIL_USER
+      },
+      to: email,
+      subject: '[FoodieMap] 새로운 기기에서 로그인되었습니다',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body {
+              font-family: 'Apple SD Gothic Neo', 'Malgun Gothic', sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .container {
+              background-color: #ffffff;
+              border-radius: 10px;
+              padding: 40px;
+              box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+            }
+            .logo {
+              font-size: 32px;
+              font-weight: bold;
+              color: #FF6B6B;
+            }
+            .info {
+              background-color: #f8f9fa;
+              padding: 20px;
+              border-radius: 8px;
+              margin: 20px 0;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 30px;
+              color: #999;
+              font-size: 12px;
+            }
+            .warning {
+              color: #e74c3c;
+              font-weight: bold;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <div class="logo">🍴 FoodieMap</div>
+              <h2>새로운 기기 로그인 알림</h2>
+            </div>
+
+            <p>안녕하세요, <strong>${escapeHtml(userName)}</strong>님!</p>
+            <p>회원님의 계정에 처음 보는 기기에서 로그인되었습니다.</p>
+
+            <div class="info">
+              <p><strong>📌 로그인 정보</strong></p>
+              <ul>
+                <li>일시: ${escapeHtml(loginTime)}</li>
+                <li>기기: ${escapeHtml(device || '알 수 없음')}</li>
+                <li>IP 주소: ${escapeHtml(ipAddress || '알 수 없음')}</li>
+              </ul>
+            </div>
+
+            <p>본인이 로그인한 경우 이 메일을 무시하셔도 됩니다.</p>
+            <p class="warning">본인이 아니라면 즉시 비밀번호를 변경하고, 설정의 로그인 기기 관리에서 해당 기기를 로그아웃해주세요.</p>
+
+            <p style="margin-top: 30px;">감사합니다.<br>FoodieMap 팀 드림</p>
+
+            <div class="footer">
+              <p>이 메일은 발신 전용입니다. 문의사항은 FoodieMap 고객센터를 이용해주세요.</p>
+              <p>&copy; 2025 FoodieMap. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ 새 기기 로그인 알림 발송 성공:', email);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ 새 기기 로그인 알림 발송 실패:', error);
+    throw error;
+  }
+};
+
+/**
+ * 계정 잠금 안내 + 잠금 해제 링크 이메일 발송
+ * @param {string} email - 수신자 이메일
+ * @param {string} unlockUrl - 잠금 해제 링크
+ * @param {string} userName - 사용자 이름
+ * @param {number} lockMinutes - 잠금 시간 (분)
+ */
+const sendAccountLockedEmail = async (email, unlockUrl, userName = '사용자', lockMinutes = 30) => {
+  try {
+    const mailOptions = {
+      from: {
+        name: 'FoodieMap',
+        address: process.env.EMAIL_USER
+      },
+      to: email,
+      subject: '[FoodieMap] 로그인 시도가 많아 계정이 잠겼습니다',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body {
+              font-family: 'Apple SD Gothic Neo', 'Malgun Gothic', sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .container {
+              background-color: #ffffff;
+              border-radius: 10px;
+              padding: 40px;
+              box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+            }
+            .logo {
+              font-size: 32px;
+              font-weight: bold;
+              color: #FF6B6B;
+            }
+            .button-box {
+              text-align: center;
+              margin: 30px 0;
+            }
+            .button {
+              display: inline-block;
+              background: linear-gradient(135deg, #FF6B6B 0%, #FF8E53 100%);
+              color: white !important;
+              font-size: 18px;
+              font-weight: bold;
+              text-decoration: none;
+              padding: 16px 40px;
+              border-radius: 10px;
+            }
+            .info {
+              background-color: #f8f9fa;
+              padding: 20px;
+              border-radius: 8px;
+              margin: 20px 0;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 30px;
+              color: #999;
+              font-size: 12px;
+            }
+            .warning {
+              color: #e74c3c;
+              font-weight: bold;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <div class="logo">🍴 FoodieMap</div>
+              <h2>계정 잠금 안내</h2>
+            </div>
+
+            <p>안녕하세요, <strong>${escapeHtml(userName)}</strong>님!</p>
+            <p>비밀번호가 여러 번 잘못 입력되어 보안을 위해 계정 로그인이 <span class="warning">${lockMinutes}분간 잠겼습니다.</span></p>
+            <p>본인이 시도한 경우 아래 버튼을 눌러 바로 잠금을 해제할 수 있습니다.</p>
+
+            <div class="button-box">
+              <a class="button" href="${unlockUrl}">잠금 해제하기</a>
+            </div>
+
+            <div class="info">
+              <p><strong>📌 안내사항</strong></p>
+              <ul>
+                <li>잠금 시간이 지나면 자동으로 다시 로그인할 수 있습니다.</li>
+                <li>비밀번호가 기억나지 않으면 비밀번호 찾기를 이용해주세요.</li>
+                <li class="warning">본인이 시도하지 않았다면 누군가 계정에 접근하려 한 것일 수 있습니다. 비밀번호를 변경해주세요.</li>
+              </ul>
+            </div>
+
+            <p style="margin-top: 30px;">감사합니다.<br>FoodieMap 팀 드림</p>
+
+            <div class="footer">
+              <p>이 메일은 발신 전용입니다. 문의사항은 FoodieMap 고객센터를 이용해주세요.</p>
+              <p>&copy; 2025 FoodieMap. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ 계정 잠금 안내 메일 발송 성공:', email);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ 계정 잠금 안내 메일 발송 실패:', error);
+    throw error;
+  }
+};
+
+/**
+ * 개인정보 내보내기 완료 + 다운로드 링크 이메일 발송
+ * @param {string} email - 수신자 이메일
+ * @param {string} downloadUrl - 기간 제한 다운로드 링크
+ * @param {string} userName - 사용자 이름
+ * @param {string} expiresAt - 링크 만료 시각 (ISO 문자열)
+ */
+const sendDataExportReadyEmail = async (email, downloadUrl, userName = '사용자', expiresAt) => {
+  try {
+    const expiresTime = new Date(expiresAt).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' });
+
+    const mailOptions = {
+      from: {
+        name: 'FoodieMap',
+        address: process.env.EMAIL_USER
+      },
+      to: email,
+      subject: '[FoodieMap] 요청하신 내 데이터 파일이 준비되었습니다',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body {
+              font-family: 'Apple SD Gothic Neo', 'Malgun Gothic', sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .container {
+              background-color: #ffffff;
+              border-radius: 10px;
+              padding: 40px;
+              box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+            }
+            .logo {
+              font-size: 32px;
+              font-weight: bold;
+              color: #FF6B6B;
+            }
+            .button-box {
+              text-align: center;
+              margin: 30px 0;
+            }
+            .button {
+              display: inline-block;
+              background: linear-gradient(135deg, #FF6B6B 0%, #FF8E53 100%);
+              color: white !important;
+              font-size: 18px;
+              font-weight: bold;
+              text-decoration: none;
+              padding: 16px 40px;
+              border-radius: 10px;
+            }
+            .info {
+              background-color: #f8f9fa;
+              padding: 20px;
+              border-radius: 8px;
+              margin: 20px 0;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 30px;
+              color: #999;
+              font-size: 12px;
+            }
+            .warning {
+              color: #e74c3c;
+              font-weight: bold;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <div class="logo">🍴 FoodieMap</div>
+              <h2>내 데이터 다운로드</h2>
+            </div>
+
+            <p>안녕하세요, <strong>${escapeHtml(userName)}</strong>님!</p>
+            <p>요청하신 FoodieMap 데이터 파일이 준비되었습니다. 아래 버튼을 눌러 다운로드해주세요.</p>
+
+            <div class="button-box">
+              <a class="button" href="${escapeHtml(downloadUrl)}">데이터 다운로드</a>
+            </div>
+
+            <div class="info">
+              <p><strong>📌 안내사항</strong></p>
+              <ul>
+                <li>다운로드 링크는 <span class="warning">${escapeHtml(expiresTime)}</span>까지 사용할 수 있습니다.</li>
+                <li>기간이 지나면 파일이 삭제되며, 설정 화면에서 다시 요청할 수 있습니다.</li>
+                <li class="warning">파일에는 개인정보가 포함되어 있으니 링크를 다른 사람과 공유하지 마세요.</li>
+              </ul>
+            </div>
+
+            <p style="margin-top: 30px;">감사합니다.<br>FoodieMap 팀 드림</p>
+
+            <div class="footer">
+              <p>이 메일은 발신 전용입니다. 문의사항은 FoodieMap 고객센터를 이용해주세요.</p>
+              <p>&copy; 2025 FoodieMap. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ 데이터 내보내기 안내 메일 발송 성공:', email);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ 데이터 내보내기 안내 메일 발송 실패:', error);
+    throw error;
+  }
+};
+
+/**
+ * 이메일 변경 안내 (기존 이메일 주소로 발송)
+ * @param {string} email - 기존 이메일 주소
+ * @param {Object} details - { userName, newEmail, completed }
+ *   completed: false면 변경 요청 안내, true면 변경 완료 안내
+ */
+const sendEmailChangeNoticeEmail = async (email, { userName = '사용자', newEmail, completed = false } = {}) => {
+  try {
+    const mailOptions = {
+      from: {
+        name: 'FoodieMap',
+        address: process.env.EMAIL_USER
+      },
+      to: email,
+      subject: completed
+        ? '[FoodieMap] 계정 이메일이 변경되었습니다'
+        : '[FoodieMap] 계정 이메일 변경이 요청되었습니다',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body {
+              font-family: 'Apple SD Gothic Neo', 'Malgun Gothic', sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .container {
+              background-color: #ffffff;
+              border-radius: 10px;
+              padding: 40px;
+              box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+            }
+            .logo {
+              font-size: 32px;
+              font-weight: bold;
+              color: #FF6B6B;
+            }
+            .info {
+              background-color: #f8f9fa;
+              padding: 20px;
+              border-radius: 8px;
+              margin: 20px 0;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 30px;
+              color: #999;
+              font-size: 12px;
+            }
+            .warning {
+              color: #e74c3c;
+              font-weight: bold;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <div class="logo">🍴 FoodieMap</div>
+              <h2>${completed ? '이메일 변경 완료' : '이메일 변경 요청'}</h2>
+            </div>
+
+            <p>안녕하세요, <strong>${escapeHtml(userName)}</strong>님!</p>
+            ${completed
+              ? `<p>회원님의 FoodieMap 계정 이메일이 <strong>${escapeHtml(newEmail)}</strong>(으)로 변경되었습니다.</p>
+                 <p>앞으로 로그인과 안내 메일은 새 이메일 주소를 사용합니다.</p>`
+              : `<p>회원님의 FoodieMap 계정 이메일을 <strong>${escapeHtml(newEmail)}</strong>(으)로 변경하는 요청이 접수되었습니다.</p>
+                 <p>새 이메일 주소로 발송된 인증 코드를 입력해야 변경이 완료됩니다.</p>`}
+
+            <div class="info">
+              <p><strong>📌 안내사항</strong></p>
+              <ul>
+                <li>본인이 요청한 경우 이 메일을 무시하셔도 됩니다.</li>
+                <li class="warning">본인이 요청하지 않았다면 즉시 비밀번호를 변경하고 고객센터에 문의해주세요.</li>
+              </ul>
+            </div>
+
+            <p style="margin-top: 30px;">감사합니다.<br>FoodieMap 팀 드림</p>
+
+            <div class="footer">
+              <p>이 메일은 발신 전용입니다. 문의사항은 FoodieMap 고객센터를 이용해주세요.</p>
+              <p>&copy; 2025 FoodieMap. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ 이메일 변경 안내 메일 발송 성공:', email);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ 이메일 변경 안내 메일 발송 실패:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
   sendVerificationSuccessEmail,
-  sendContactEmail
-};
\ No newline at end of file
+  sendContactEmail,
+  sendPasswordResetEmail,
+  sendNewDeviceLoginEmail,
+  sendAccountLockedEmail,
+  sendDataExportReadyEmail,
+  sendEmailChangeNoticeEmail
+};
@@ -0,0 +1,69 @@
+/**
+ * 자모 단위 오타 허용 매칭
+ *
+ * "떡뽂이" → "떡볶이"처럼 한 글자 안의 자음/모음 하나만 틀린 검색어도 찾을 수 있도록
+ * 검색어와 맛집 이름을 자모로 분해(toJamo)한 뒤 편집 거리로 비교합니다.
+ * 이름의 일부만 검색하는 경우가 많으므로 이름 안의 가장 비슷한 구간과의 거리를 사용합니다.
+ */
+
+// 자모 검색어가 이보다 짧으면 오타 허용 검색을 하지 않음 (예: 한 글자 검색)
+const MIN_FUZZY_QUERY_LENGTH = 4;
+// 오타 허용 결과의 최고 점수 (정확히 일치한 결과보다 항상 낮게)
+const MAX_FUZZY_SCORE = 30;
+
+// 검색어 길이(자모 수)에 따라 허용하는 편집 거리
+const maxDistanceFor = (length) => {
+  if (length < MIN_FUZZY_QUERY_LENGTH) return 0;
+  if (length <= 6) return 1;
+  if (length <= 12) return 2;
+  return 3;
+};
+
+/**
+ * pattern과 text 안의 가장 비슷한 구간 사이의 편집 거리 (Sellers 알고리즘)
+ * 삽입/삭제/치환 비용은 모두 1이며, text의 어느 위치에서 시작하고 끝나도 비용이 없습니다.
+ */
+const substringEditDistance = (pattern, text) => {
+  if (pattern.length === 0) return 0;
+  if (text.length === 0) return pattern.length;
+
+  // previous[j]: pattern[0..i)와 text[..j)에서 끝나는 구간의 최소 거리
+  let previous = new Array(text.length + 1).fill(0);
+
+  for (let i = 1; i <= pattern.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= text.length; j++) {
+      const substitution = previous[j - 1] + (pattern[i - 1] === text[j - 1] ? 0 : 1);
+      current[j] = Math.min(substitution, previous[j] + 1, current[j - 1] + 1);
+    }
+    previous = current;
+  }
+
+  return Math.min(...previous);
+};
+
+/**
+ * 자모 검색어와 자모 이름 비교
+ * @param {string} queryJamo - toJamo로 분해한 검색어
+ * @param {string} nameJamo - toJamo로 분해한 이름
+ * @returns {{distance: number, score: number}|null} 허용 거리를 넘으면 null
+ */
+const fuzzyMatch = (queryJamo, nameJamo) => {
+  const maxDistance = maxDistanceFor(queryJamo.length);
+  if (maxDistance === 0 || !nameJamo) return null;
+
+  const distance = substringEditDistance(queryJamo, nameJamo);
+  if (distance > maxDistance) return null;
+
+  return {
+    distance,
+    score: Math.round(MAX_FUZZY_SCORE * (1 - distance / queryJamo.length))
+  };
+};
+
+module.exports = {
+  MIN_FUZZY_QUERY_LENGTH,
+  maxDistanceFor,
+  substringEditDistance,
+  fuzzyMatch
+};
@@ -0,0 +1,104 @@
+/**
+ * 로그인 실패 기록 저장소
+ *
+ * 계정별 실패 횟수/잠금 상태를 보관합니다. 저장소를 교체할 수 있도록 인터페이스로 분리했으며,
+ * 기본 구현(MemoryLoginAttemptStore)은 단일 서버 프로세스 메모리에 저장합니다.
+ * 여러 인스턴스로 운영할 경우 Redis 등 공유 저장소 구현으로 교체해야 합니다.
+ * (기본 구현은 서버를 재시작하면 기록이 사라지며, 진행 중인 2단계 인증 대기 토큰도 다시 로그인해야 합니다)
+ *
+ * 기록 형식: { failures: number, lastFailureAt: number, lockedUntil: number|null }
+ */
+class LoginAttemptStore {
+  /**
+   * @param {string} key - 계정 키
+   * @returns {Promise<Object|null>} 기록 (없거나 만료되면 null)
+   */
+  async get() {
+    throw new Error('LoginAttemptStore.get() must be implemented');
+  }
+
+  /**
+   * @param {string} key - 계정 키
+   * @param {Object} record - 기록
+   * @param {number} ttlMs - 보관 기간 (밀리초)
+   */
+  async set() {
+    throw new Error('LoginAttemptStore.set() must be implemented');
+  }
+
+  /**
+   * @param {string} key - 계정 키
+   */
+  async delete() {
+    throw new Error('LoginAttemptStore.delete() must be implemented');
+  }
+
+  /**
+   * 기록을 꺼내면서 삭제 (원자적으로 처리해야 함, 예: Redis GETDEL)
+   * 같은 키로 동시에 호출되어도 한 호출만 기록을 받습니다.
+   * @param {string} key - 계정 키
+   * @returns {Promise<Object|null>} 삭제한 기록 (없거나 만료되면 null)
+   */
+  async take() {
+    throw new Error('LoginAttemptStore.take() must be implemented');
+  }
+}
+
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+class MemoryLoginAttemptStore extends LoginAttemptStore {
+  constructor() {
+    super();
+    this.records = new Map();
+
+    // 만료된 기록 주기적으로 정리 (프로세스 종료를 막지 않도록 unref)
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref?.();
+  }
+
+  async get(key) {
+    const entry = this.records.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+
+    return { ...entry.record };
+  }
+
+  async set(key, record, ttlMs) {
+    this.records.set(key, {
+      record: { ...record },
+      expiresAt: Date.now() + ttlMs
+    });
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  // 조회와 삭제 사이에 await가 없으므로 한 프로세스 안에서는 원자적
+  async take(key) {
+    const entry = this.records.get(key);
+    if (!entry) return null;
+
+    this.records.delete(key);
+    return entry.expiresAt > Date.now() ? { ...entry.record } : null;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.records) {
+      if (entry.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  LoginAttemptStore,
+  MemoryLoginAttemptStore
+};
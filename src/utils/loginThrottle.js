@@ -0,0 +1,197 @@
+const jwt = require('jsonwebtoken');
+const { MemoryLoginAttemptStore } = require('./loginAttemptStore');
+
+/**
+ * 계정 단위 로그인 실패 제한
+ *
+ * IP 단위 authLimiter와 별개로, 계정(이메일)별 실패 횟수에 따라 대기 시간을 지수적으로 늘리고
+ * 일정 횟수를 넘기면 계정을 일시 잠급니다.
+ *
+ * - 처음 FREE_ATTEMPTS회까지는 대기 없음
+ * - 이후 실패마다 대기 시간 2배 (1초, 2초, 4초 ... 최대 MAX_BACKOFF)
+ * - LOCK_THRESHOLD회 실패 시 LOCK_DURATION 동안 잠금 + 잠금 해제 메일 발송
+ *
+ * 2단계 인증 코드 실패도 같은 계정 실패 횟수에 더하며, 로그인 대기 토큰(jti)마다 실패 횟수를 따로 세어
+ * MAX_TWO_FACTOR_ATTEMPTS회 틀리면 그 대기 토큰을 폐기합니다. 대기 토큰은 성공하면 바로 사용 처리됩니다.
+ */
+
+const FREE_ATTEMPTS = 3;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const LOCK_THRESHOLD = 10;
+const LOCK_DURATION_MS = 30 * 60 * 1000;
+// 마지막 실패 후 이 기간이 지나면 실패 기록 초기화
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const UNLOCK_TOKEN_PURPOSE = 'account_unlock';
+// 로그인 대기 토큰 하나로 입력할 수 있는 2단계 인증 코드 횟수
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+
+let store = new MemoryLoginAttemptStore();
+
+// 저장소 교체 (공유 저장소 구현 사용 시)
+const setLoginAttemptStore = (nextStore) => {
+  store = nextStore;
+};
+
+const getAccountKey = (email) => `login:${String(email).toLowerCase()}`;
+const getChallengeKey = (challengeId) => `2fa_challenge:${challengeId}`;
+
+const getBackoffMs = (failures) => {
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(BASE_BACKOFF_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_BACKOFF_MS);
+};
+
+/**
+ * 로그인 시도 가능 여부 확인
+ * @param {string} email - 로그인 이메일
+ * @returns {Promise<{allowed: boolean, reason?: string, retryAfterSeconds?: number, lockedUntil?: string}>}
+ *   reason: 'locked' (계정 잠금) | 'throttled' (대기 시간 미경과)
+ */
+const checkLoginAllowed = async (email) => {
+  const record = await store.get(getAccountKey(email));
+  if (!record) return { allowed: true };
+
+  const now = Date.now();
+
+  if (record.lockedUntil && record.lockedUntil > now) {
+    return {
+      allowed: false,
+      reason: 'locked',
+      retryAfterSeconds: Math.ceil((record.lockedUntil - now) / 1000),
+      lockedUntil: new Date(record.lockedUntil).toISOString()
+    };
+  }
+
+  const nextAllowedAt = record.lastFailureAt + getBackoffMs(record.failures);
+  if (nextAllowedAt > now) {
+    return {
+      allowed: false,
+      reason: 'throttled',
+      retryAfterSeconds: Math.ceil((nextAllowedAt - now) / 1000)
+    };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * 로그인 실패 기록
+ * @returns {Promise<{failures: number, locked: boolean, lockedUntil?: string}>}
+ *   locked: 이번 실패로 계정이 잠겼는지 여부
+ */
+const recordLoginFailure = async (email) => {
+  const key = getAccountKey(email);
+  const now = Date.now();
+  const record = await store.get(key);
+
+  // 잠금이 풀린 뒤 다시 실패하면 처음부터 다시 계산
+  const previousFailures = record && !(record.lockedUntil && record.lockedUntil <= now) ? record.failures : 0;
+  const failures = previousFailures + 1;
+  const locked = failures >= LOCK_THRESHOLD;
+  const lockedUntil = locked ? now + LOCK_DURATION_MS : null;
+
+  await store.set(key, {
+    failures: locked ? 0 : failures,
+    lastFailureAt: now,
+    lockedUntil
+  }, locked ? LOCK_DURATION_MS : FAILURE_WINDOW_MS);
+
+  return {
+    failures,
+    locked,
+    ...(locked && { lockedUntil: new Date(lockedUntil).toISOString() })
+  };
+};
+
+// 로그인 성공 또는 잠금 해제 시 기록 삭제
+const resetLoginFailures = async (email) => {
+  await store.delete(getAccountKey(email));
+};
+
+/**
+ * 2단계 인증 대기 토큰 등록 (토큰 만료 시각까지 보관)
+ * @param {string} challengeId - 대기 토큰의 jti
+ * @param {string} userId
+ * @param {number} expiresAt - 만료 시각 (밀리초)
+ */
+const registerTwoFactorChallenge = async (challengeId, userId, expiresAt) => {
+  await store.set(getChallengeKey(challengeId), { userId, failures: 0, expiresAt }, expiresAt - Date.now());
+};
+
+// 사용할 수 있는 대기 토큰인지 (사용/폐기/만료되었거나 다른 사용자의 토큰이면 false)
+const isTwoFactorChallengeActive = async (challengeId, userId) => {
+  const record = await store.get(getChallengeKey(challengeId));
+  return Boolean(record) && record.userId === userId;
+};
+
+/**
+ * 2단계 인증 코드 실패 기록 (대기 토큰 + 계정)
+ * @returns {Promise<{failures: number, locked: boolean, lockedUntil?: string, challengeRevoked: boolean}>}
+ *   challengeRevoked: 이번 실패로 대기 토큰이 폐기되었는지 여부 (다시 로그인해야 함)
+ */
+const recordTwoFactorFailure = async (challengeId, email) => {
+  const result = await recordLoginFailure(email);
+
+  const key = getChallengeKey(challengeId);
+  const record = await store.get(key);
+  const challengeFailures = (record ? record.failures : 0) + 1;
+  // 계정이 잠기면 대기 토큰도 함께 폐기
+  const challengeRevoked = !record || challengeFailures >= MAX_TWO_FACTOR_ATTEMPTS || result.locked;
+
+  if (challengeRevoked) {
+    await store.delete(key);
+  } else {
+    await store.set(key, { ...record, failures: challengeFailures }, record.expiresAt - Date.now());
+  }
+
+  return { ...result, challengeRevoked };
+};
+
+// 대기 토큰 사용 처리 (동시에 요청되어도 한 요청만 true, 이미 사용/폐기되었으면 false)
+const consumeTwoFactorChallenge = async (challengeId) => {
+  return Boolean(await store.take(getChallengeKey(challengeId)));
+};
+
+const getJwtSecret = () => {
+  const jwtSecret = process.env.JWT_SECRET;
+
+  if (!jwtSecret) {
+    throw new Error('JWT_SECRET environment variable is required');
+  }
+
+  return jwtSecret;
+};
+
+// 잠금 해제 메일 링크용 토큰 (잠금 기간 동안만 유효)
+const createUnlockToken = (user) => {
+  return jwt.sign({ userId: user.id, email: user.email, purpose: UNLOCK_TOKEN_PURPOSE }, getJwtSecret(), {
+    expiresIn: Math.floor(LOCK_DURATION_MS / 1000)
+  });
+};
+
+// 잠금 해제 토큰 확인 (유효하면 { userId, email }, 아니면 null)
+const verifyUnlockToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret());
+    if (decoded.purpose !== UNLOCK_TOKEN_PURPOSE) return null;
+    return { userId: decoded.userId, email: decoded.email };
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  LOCK_THRESHOLD,
+  LOCK_DURATION_MS,
+  MAX_TWO_FACTOR_ATTEMPTS,
+  setLoginAttemptStore,
+  checkLoginAllowed,
+  recordLoginFailure,
+  resetLoginFailures,
+  registerTwoFactorChallenge,
+  isTwoFactorChallengeActive,
+  recordTwoFactorFailure,
+  consumeTwoFactorChallenge,
+  createUnlockToken,
+  verifyUnlockToken
+};
@@ -0,0 +1,483 @@
+const publicHolidays = require('../data/public-holidays.json');
+
+/**
+ * 영업시간 해석/판단 (restaurant_operations)
+ *
+ * 모든 판단은 한국 시간(Asia/Seoul, UTC+9, 서머타임 없음) 기준입니다.
+ * - business_hours: "11:00-22:00" (매일) 또는 요일별 객체 { "mon": "11:00-22:00", "평일": [...], "공휴일": "12:00-20:00" }
+ *   값은 "11:00-15:00, 17:00-22:00", ["11:00-15:00", "17:00-22:00"], { open, close }, "휴무" 중 하나
+ *   종료가 시작보다 빠르면 다음 날 새벽까지 영업 (예: "18:00-02:00"), "24시간"은 종일 영업
+ * - break_time: "15:00-17:00" (매일) 또는 요일별 객체
+ * - last_order: "21:30" (매일) 또는 요일별 객체
+ * - regular_holidays: ["월요일", "둘째 주 화요일", "공휴일"] (쉼표로 구분한 문자열도 가능)
+ * - special_days: [{ date: "2026-12-25", closed: true }, { date: "2026-12-31", hours: "11:00-18:00" }]
+ * 특별 영업일 → 공휴일 → 정기 휴무 → 요일별 영업시간 순으로 적용합니다.
+ */
+
+const SEOUL_OFFSET_MINUTES = 9 * 60;
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_MS = MINUTES_PER_DAY * 60 * 1000;
+// 다음 영업 시작을 찾는 범위 (일)
+const LOOKAHEAD_DAYS = 8;
+
+const DAY_ALIASES = {
+  0: ['sun', 'sunday', '일', '일요일'],
+  1: ['mon', 'monday', '월', '월요일'],
+  2: ['tue', 'tuesday', '화', '화요일'],
+  3: ['wed', 'wednesday', '수', '수요일'],
+  4: ['thu', 'thursday', '목', '목요일'],
+  5: ['fri', 'friday', '금', '금요일'],
+  6: ['sat', 'saturday', '토', '토요일']
+};
+
+// 여러 요일을 한 번에 지정하는 키 (개별 요일 키가 우선)
+const DAY_GROUPS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  '매일': [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  '평일': [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+  '주말': [0, 6]
+};
+
+const HOLIDAY_KEYS = ['holiday', 'holidays', '공휴일'];
+const CLOSED_VALUES = ['closed', 'off', '휴무', '정기휴무', '휴업'];
+const ALL_DAY_VALUES = ['24h', '24시간', 'open 24 hours'];
+
+// "둘째 주 월요일", "2nd mon", "마지막 주 일요일"
+const NTH_WEEK = {
+  '첫째': 1, '둘째': 2, '셋째': 3, '넷째': 4, '다섯째': 5, '마지막': -1,
+  '1st': 1, '2nd': 2, '3rd': 3, '4th': 4, '5th': 5, 'last': -1
+};
+
+const PUBLIC_HOLIDAYS = new Map(publicHolidays.map(holiday => [holiday.date, holiday.name]));
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^(익일\s*)?(\d{1,2}):(\d{2})$/;
+
+const normalizeKey = (key) => String(key).trim().toLowerCase();
+
+const dayOf = (key) => {
+  const normalized = normalizeKey(key);
+  const entry = Object.entries(DAY_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return entry ? Number(entry[0]) : null;
+};
+
+/**
+ * "11:30" → 690 (분), "익일 02:00" → 1560
+ * @returns {number|null}
+ */
+const parseTime = (value) => {
+  const match = TIME_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+
+  const hours = Number(match[2]);
+  const minutes = Number(match[3]);
+  if (hours > 29 || minutes > 59) return null;
+
+  return (match[1] ? MINUTES_PER_DAY : 0) + hours * 60 + minutes;
+};
+
+// "18:00-02:00" → { start: 1080, end: 1560 }
+const parseRange = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (ALL_DAY_VALUES.includes(text)) return { start: 0, end: MINUTES_PER_DAY };
+
+  const parts = text.split(/\s*[-~–]\s*/);
+  if (parts.length !== 2) return null;
+
+  const start = parseTime(parts[0]);
+  let end = parseTime(parts[1]);
+  if (start === null || end === null || start >= MINUTES_PER_DAY) return null;
+
+  // 종료가 시작과 같거나 빠르면 다음 날 새벽까지
+  if (end <= start) end += MINUTES_PER_DAY;
+  if (end - start > MINUTES_PER_DAY) return null;
+
+  return { start, end };
+};
+
+/**
+ * 하루치 영업시간 값 → 시간 구간 목록 (휴무면 빈 배열)
+ * @returns {{ranges: Array<{start: number, end: number}>, error: string|null}}
+ */
+const parseDayValue = (value) => {
+  if (value === null || value === false) return { ranges: [], error: null };
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    if (value.closed === true) return { ranges: [], error: null };
+    if (value.open === undefined || value.close === undefined) {
+      return { ranges: [], error: 'open/close 시간이 필요합니다' };
+    }
+    return parseDayValue(`${value.open}-${value.close}`);
+  }
+
+  const items = Array.isArray(value)
+    ? value
+    : String(value).split(',');
+
+  if (items.length === 1 && CLOSED_VALUES.includes(normalizeKey(items[0]))) {
+    return { ranges: [], error: null };
+  }
+
+  const ranges = [];
+  for (const item of items) {
+    const range = parseRange(item);
+    if (!range) return { ranges: [], error: `"${String(item).trim()}"은(는) 올바른 시간 범위가 아닙니다 (예: 11:00-22:00)` };
+    ranges.push(range);
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i].start < ranges[i - 1].end) {
+      return { ranges: [], error: '시간 범위가 겹칩니다' };
+    }
+  }
+
+  return { ranges, error: null };
+};
+
+/**
+ * 요일별 값 객체 (또는 매일 같은 단일 값) → { days: {0..6: value}, holiday }
+ * 그룹 키(매일, 평일, 주말)보다 개별 요일 키가 우선합니다.
+ */
+const expandWeekly = (value, field, errors) => {
+  const days = {};
+  let holiday;
+
+  if (typeof value !== 'object' || Array.isArray(value) || value.open !== undefined || value.closed !== undefined) {
+    DAY_GROUPS.daily.forEach(day => { days[day] = value; });
+    return { days, holiday };
+  }
+
+  const entries = Object.entries(value);
+  entries
+    .filter(([key]) => DAY_GROUPS[normalizeKey(key)])
+    .forEach(([key, dayValue]) => DAY_GROUPS[normalizeKey(key)].forEach(day => { days[day] = dayValue; }));
+
+  entries.forEach(([key, dayValue]) => {
+    const normalized = normalizeKey(key);
+    if (DAY_GROUPS[normalized]) return;
+
+    if (HOLIDAY_KEYS.includes(normalized)) {
+      holiday = dayValue;
+      return;
+    }
+
+    const day = dayOf(normalized);
+    if (day === null) {
+      errors.push({ field, message: `알 수 없는 요일입니다: ${key}` });
+      return;
+    }
+    days[day] = dayValue;
+  });
+
+  return { days, holiday };
+};
+
+const parseRangesField = (value, field, errors) => {
+  const { days, holiday } = expandWeekly(value, field, errors);
+
+  const parse = (dayValue, label) => {
+    if (dayValue === undefined) return undefined;
+    const { ranges, error } = parseDayValue(dayValue);
+    if (error) errors.push({ field, message: `${label}: ${error}` });
+    return ranges;
+  };
+
+  return {
+    days: Object.fromEntries(DAY_GROUPS.daily.map(day => [day, parse(days[day], DAY_ALIASES[day][3]) || []])),
+    holiday: parse(holiday, '공휴일')
+  };
+};
+
+const parseLastOrderField = (value, errors) => {
+  const { days, holiday } = expandWeekly(value, 'last_order', errors);
+
+  const parse = (dayValue) => {
+    if (dayValue === undefined || dayValue === null) return null;
+    const time = parseTime(dayValue);
+    if (time === null) errors.push({ field: 'last_order', message: `"${dayValue}"은(는) 올바른 시각이 아닙니다 (예: 21:30)` });
+    return time;
+  };
+
+  return {
+    days: Object.fromEntries(DAY_GROUPS.daily.map(day => [day, parse(days[day])])),
+    holiday: parse(holiday)
+  };
+};
+
+/**
+ * 정기 휴무 → { weekly: Set<요일>, nth: [{week, day}], publicHolidays: boolean }
+ */
+const parseRegularHolidays = (value, errors) => {
+  const result = { weekly: new Set(), nth: [], publicHolidays: false };
+  if (value === null || value === undefined || value === '') return result;
+
+  const items = Array.isArray(value) ? value : String(value).split(',');
+
+  items.map(item => String(item).trim()).filter(Boolean).forEach(item => {
+    const normalized = normalizeKey(item).replace(/^매주\s*/, '');
+
+    if (HOLIDAY_KEYS.includes(normalized)) {
+      result.publicHolidays = true;
+      return;
+    }
+
+    const day = dayOf(normalized);
+    if (day !== null) {
+      result.weekly.add(day);
+      return;
+    }
+
+    const match = /^(\S+?)\s*주?\s+(\S+)$/.exec(normalized) || /^(\S+?)주\s*(\S+)$/.exec(normalized);
+    const week = match ? NTH_WEEK[match[1]] : undefined;
+    const nthDay = match ? dayOf(match[2]) : null;
+    if (week !== undefined && nthDay !== null) {
+      result.nth.push({ week, day: nthDay });
+      return;
+    }
+
+    errors.push({ field: 'regular_holidays', message: `알 수 없는 휴무일입니다: ${item}` });
+  });
+
+  return result;
+};
+
+const parseSpecialDays = (value, errors) => {
+  const specialDays = new Map();
+  if (value === null || value === undefined) return specialDays;
+
+  if (!Array.isArray(value)) {
+    errors.push({ field: 'special_days', message: '배열이어야 합니다' });
+    return specialDays;
+  }
+
+  value.forEach((entry, index) => {
+    const field = `special_days[${index}]`;
+    if (!entry || typeof entry !== 'object' || !DATE_PATTERN.test(entry.date || '') || Number.isNaN(Date.parse(entry.date))) {
+      errors.push({ field, message: 'date(YYYY-MM-DD)가 필요합니다' });
+      return;
+    }
+
+    if (entry.closed === true) {
+      specialDays.set(entry.date, { ranges: [], lastOrder: null });
+      return;
+    }
+
+    if (entry.hours === undefined) {
+      errors.push({ field, message: 'closed 또는 hours가 필요합니다' });
+      return;
+    }
+
+    const { ranges, error } = parseDayValue(entry.hours);
+    if (error) {
+      errors.push({ field, message: error });
+      return;
+    }
+
+    const lastOrder = entry.last_order !== undefined && entry.last_order !== null ? parseTime(entry.last_order) : null;
+    if (entry.last_order && lastOrder === null) errors.push({ field, message: '올바른 last_order 시각이 아닙니다' });
+
+    specialDays.set(entry.date, { ranges, lastOrder });
+  });
+
+  return specialDays;
+};
+
+// 영업 구간에서 브레이크 타임을 뺀 구간
+const subtractBreaks = (ranges, breaks) => breaks.reduce((current, breakRange) => current.flatMap(range => {
+  // 새벽 구간에 걸친 브레이크 (예: 영업 18:00-04:00, 브레이크 01:00-02:00)
+  const offset = breakRange.start < range.start && breakRange.start + MINUTES_PER_DAY < range.end ? MINUTES_PER_DAY : 0;
+  const start = breakRange.start + offset;
+  const end = breakRange.end + offset;
+
+  if (end <= range.start || start >= range.end) return [range];
+  return [
+    { start: range.start, end: start },
+    { start: end, end: range.end }
+  ].filter(part => part.end > part.start);
+}), ranges);
+
+// 라스트 오더가 속한 구간 찾기 (새벽 시각이면 다음 날로 맞춤)
+const alignLastOrder = (ranges, lastOrder) => {
+  if (lastOrder === null || lastOrder === undefined) return null;
+
+  for (const candidate of [lastOrder, lastOrder + MINUTES_PER_DAY]) {
+    if (ranges.some(range => candidate > range.start && candidate <= range.end)) return candidate;
+  }
+  return undefined;
+};
+
+/**
+ * restaurant_operations 행 → 영업 일정
+ * @param {Object} operations - { business_hours, break_time, last_order, regular_holidays, special_days }
+ * @returns {{schedule: Object|null, errors: Array<{field: string, message: string}>}}
+ *   business_hours가 없거나 형식이 잘못되었으면 schedule은 null (영업 여부를 알 수 없음).
+ *   나머지 항목의 잘못된 값(요일, 특별 영업일 항목 등)은 errors에 담고 그 값만 빼고 판단합니다.
+ *   저장할 때는 validateOpeningHours로 오류가 하나라도 있으면 거부합니다.
+ */
+const parseOpeningHours = (operations) => {
+  const errors = [];
+  const {
+    business_hours: businessHours,
+    break_time: breakTime,
+    last_order: lastOrder,
+    regular_holidays: regularHolidays,
+    special_days: specialDays
+  } = operations || {};
+
+  if (businessHours === null || businessHours === undefined || businessHours === '') {
+    return { schedule: null, errors };
+  }
+
+  const hours = parseRangesField(businessHours, 'business_hours', errors);
+  const hoursInvalid = errors.length > 0;
+
+  const breaks = breakTime ? parseRangesField(breakTime, 'break_time', errors) : null;
+  const lastOrders = lastOrder ? parseLastOrderField(lastOrder, errors) : null;
+
+  const withBreaks = (ranges, breakRanges) => subtractBreaks(ranges, breakRanges || []);
+  const days = {};
+  const lastOrderOutside = [];
+  DAY_GROUPS.daily.forEach(day => {
+    const ranges = hours.days[day];
+    const dayLastOrder = alignLastOrder(ranges, lastOrders ? lastOrders.days[day] : null);
+    if (dayLastOrder === undefined && ranges.length > 0) lastOrderOutside.push(DAY_ALIASES[day][3]);
+    days[day] = { ranges: withBreaks(ranges, breaks && breaks.days[day]), lastOrder: dayLastOrder || null };
+  });
+  if (lastOrderOutside.length > 0) {
+    errors.push({ field: 'last_order', message: `${lastOrderOutside.join(', ')}: 라스트 오더가 영업시간 밖입니다` });
+  }
+
+  const holiday = hours.holiday === undefined ? null : {
+    ranges: withBreaks(hours.holiday, breaks && breaks.holiday),
+    lastOrder: alignLastOrder(hours.holiday, lastOrders ? lastOrders.holiday : null) || null
+  };
+
+  const schedule = {
+    days,
+    holiday,
+    regularHolidays: parseRegularHolidays(regularHolidays, errors),
+    specialDays: parseSpecialDays(specialDays, errors)
+  };
+
+  return { schedule: hoursInvalid ? null : schedule, errors };
+};
+
+// 저장 전 검증용 (오류 목록만)
+const validateOpeningHours = (operations) => parseOpeningHours(operations).errors;
+
+// 한국 날짜 (YYYY-MM-DD)와 그날 0시 기준 분
+const toSeoulParts = (date) => {
+  const shifted = new Date(date.getTime() + SEOUL_OFFSET_MINUTES * 60 * 1000);
+  return {
+    dateKey: shifted.toISOString().slice(0, 10),
+    minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes() + shifted.getUTCSeconds() / 60
+  };
+};
+
+const addDays = (dateKey, days) => new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// dateKey 0시(한국 시간) + minutes → "2026-10-19T22:00:00+09:00"
+const toSeoulIso = (dateKey, minutes) => {
+  const shifted = new Date(Date.parse(`${dateKey}T00:00:00Z`) + Math.round(minutes) * 60 * 1000);
+  return `${shifted.toISOString().slice(0, 19)}+09:00`;
+};
+
+const isPublicHoliday = (dateKey) => PUBLIC_HOLIDAYS.has(dateKey);
+
+const isRegularHoliday = (regularHolidays, dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  const day = date.getUTCDay();
+  if (regularHolidays.weekly.has(day)) return true;
+
+  const dayOfMonth = date.getUTCDate();
+  const week = Math.ceil(dayOfMonth / 7);
+  const isLastWeek = new Date(date.getTime() + 7 * DAY_MS).getUTCMonth() !== date.getUTCMonth();
+  return regularHolidays.nth.some(nth => nth.day === day && (nth.week === week || (nth.week === -1 && isLastWeek)));
+};
+
+/**
+ * 특정 날짜의 영업 구간 (그날 0시 기준 분, 새벽 영업은 1440 이상)
+ * @returns {{ranges: Array<{start: number, end: number}>, lastOrder: number|null}}
+ */
+const hoursOn = (schedule, dateKey) => {
+  if (schedule.specialDays.has(dateKey)) return schedule.specialDays.get(dateKey);
+
+  if (isPublicHoliday(dateKey)) {
+    if (schedule.regularHolidays.publicHolidays) return { ranges: [], lastOrder: null };
+    if (schedule.holiday) return schedule.holiday;
+  }
+
+  if (isRegularHoliday(schedule.regularHolidays, dateKey)) return { ranges: [], lastOrder: null };
+
+  return schedule.days[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+};
+
+/**
+ * 영업 상태
+ * @param {Object|null} schedule - parseOpeningHours 결과
+ * @param {Date} [at] - 기준 시각 (기본 현재)
+ * @returns {{is_open_now: boolean|null, closes_at: string|null, next_open_at: string|null, last_order_at: string|null}}
+ *   영업 중이면 closes_at(과 라스트 오더), 아니면 next_open_at (7일 안에 영업일이 없으면 null).
+ *   영업시간을 알 수 없으면 is_open_now는 null
+ */
+const getOpenStatus = (schedule, at = new Date()) => {
+  const status = { is_open_now: null, closes_at: null, next_open_at: null, last_order_at: null };
+  if (!schedule) return status;
+
+  const { dateKey, minutes } = toSeoulParts(at);
+
+  // 전날 새벽 영업부터 LOOKAHEAD_DAYS일 뒤까지, 오늘 0시 기준 분으로 펼친 뒤 이어지는 구간은 합침
+  const intervals = [];
+  for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+    const { ranges, lastOrder } = hoursOn(schedule, addDays(dateKey, offset));
+    const base = offset * MINUTES_PER_DAY;
+    ranges.forEach(range => intervals.push({
+      start: base + range.start,
+      end: base + range.end,
+      lastOrder: lastOrder !== null && lastOrder > range.start && lastOrder <= range.end ? base + lastOrder : null
+    }));
+  }
+  intervals.sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  intervals.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+      last.lastOrder = interval.lastOrder ?? last.lastOrder;
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+
+  const horizon = (LOOKAHEAD_DAYS + 1) * MINUTES_PER_DAY;
+  const current = merged.find(interval => interval.start <= minutes && minutes < interval.end);
+
+  if (current) {
+    status.is_open_now = true;
+    status.closes_at = current.end < horizon ? toSeoulIso(dateKey, current.end) : null;
+    status.last_order_at = current.lastOrder !== null ? toSeoulIso(dateKey, current.lastOrder) : null;
+    return status;
+  }
+
+  const next = merged.find(interval => interval.start > minutes);
+  status.is_open_now = false;
+  status.next_open_at = next ? toSeoulIso(dateKey, next.start) : null;
+  return status;
+};
+
+// 특정 시각에 영업 중인지 (알 수 없으면 null)
+const isOpenAt = (schedule, at) => getOpenStatus(schedule, at).is_open_now;
+
+module.exports = {
+  parseOpeningHours,
+  validateOpeningHours,
+  getOpenStatus,
+  isOpenAt,
+  isPublicHoliday,
+  toSeoulParts
+};
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 비밀번호 정책
+ *
+ * 회원가입, 비밀번호 변경, 비밀번호 재설정에 같은 규칙을 적용합니다.
+ * - 길이: PASSWORD_MIN_LENGTH자 이상 (기본 8), bcrypt 한계인 72바이트 이하
+ * - 문자 종류: 소문자/대문자/숫자/특수문자 중 PASSWORD_MIN_CHARACTER_CLASSES종류 이상 (기본 2)
+ * - 이메일/이름과 같거나 비슷한 비밀번호 금지
+ * - 흔하거나 유출된 비밀번호 목록(SHA-1 해시) 확인 (PASSWORD_BREACH_CHECK=false로 끌 수 있음)
+ *
+ * 유출 목록은 원문 없이 SHA-1 해시만 담고 있으며, 앞 5자리(prefix)별로 묶어 메모리에 올린 뒤
+ * 같은 prefix 그룹 안에서만 나머지 해시를 비교합니다.
+ */
+
+const DEFAULT_BREACH_LIST_PATH = path.join(__dirname, '../data/breached-password-hashes.txt');
+const HASH_PREFIX_LENGTH = 5;
+// bcrypt는 72바이트 이후를 무시하므로 그보다 긴 비밀번호는 거부
+const MAX_PASSWORD_BYTES = 72;
+// 이메일/이름 비교 시 이보다 짧은 값은 무시
+const MIN_SIMILARITY_TOKEN_LENGTH = 3;
+
+const CHARACTER_CLASSES = [
+  { name: 'lowercase', pattern: /[\p{Ll}\p{Lo}]/u },
+  { name: 'uppercase', pattern: /\p{Lu}/u },
+  { name: 'digit', pattern: /\p{N}/u },
+  { name: 'symbol', pattern: /[^\p{L}\p{N}]/u }
+];
+
+const readIntEnv = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : defaultValue;
+};
+
+// 현재 적용 중인 정책 (환경 변수 기준)
+const getPasswordPolicy = () => ({
+  min_length: readIntEnv('PASSWORD_MIN_LENGTH', 8),
+  max_bytes: MAX_PASSWORD_BYTES,
+  min_character_classes: Math.min(readIntEnv('PASSWORD_MIN_CHARACTER_CLASSES', 2), CHARACTER_CLASSES.length),
+  disallow_personal_info: true,
+  breach_check: process.env.PASSWORD_BREACH_CHECK !== 'false'
+});
+
+// ============================================
+// 유출 비밀번호 목록
+// ============================================
+
+let breachIndex = null;
+
+const sha1 = (value) => crypto.createHash('sha1').update(value, 'utf8').digest('hex').toUpperCase();
+
+// prefix → 나머지 해시 Set (처음 확인할 때 한 번만 읽음)
+const loadBreachIndex = () => {
+  if (breachIndex) return breachIndex;
+
+  const listPath = process.env.PASSWORD_BREACH_LIST_PATH || DEFAULT_BREACH_LIST_PATH;
+  const index = new Map();
+
+  try {
+    const lines = fs.readFileSync(listPath, 'utf8').split(/\r?\n/);
+
+    for (const line of lines) {
+      const hash = line.trim().toUpperCase();
+      if (!/^[0-9A-F]{40}$/.test(hash)) continue;
+
+      const prefix = hash.slice(0, HASH_PREFIX_LENGTH);
+      if (!index.has(prefix)) index.set(prefix, new Set());
+      index.get(prefix).add(hash.slice(HASH_PREFIX_LENGTH));
+    }
+
+    console.log(`🔐 유출 비밀번호 목록 로드: ${lines.length}줄 (${index.size}개 prefix)`);
+  } catch (error) {
+    // 목록이 없어도 나머지 정책은 적용
+    console.error('❌ 유출 비밀번호 목록 로드 실패:', error.message);
+  }
+
+  breachIndex = index;
+  return breachIndex;
+};
+
+const isBreachedPassword = (password) => {
+  const index = loadBreachIndex();
+  const candidates = new Set([password, password.toLowerCase()]);
+
+  for (const candidate of candidates) {
+    const hash = sha1(candidate);
+    const suffixes = index.get(hash.slice(0, HASH_PREFIX_LENGTH));
+    if (suffixes && suffixes.has(hash.slice(HASH_PREFIX_LENGTH))) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// ============================================
+// 이메일/이름 유사도
+// ============================================
+
+const normalizeForComparison = (value) => {
+  return String(value || '').normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+};
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+};
+
+// 비밀번호가 값을 포함하거나, 값에 포함되거나, 몇 글자만 다른 경우
+const isSimilar = (password, token) => {
+  if (token.length < MIN_SIMILARITY_TOKEN_LENGTH) return false;
+  if (password.includes(token) || token.includes(password)) return true;
+
+  const maxDistance = Math.floor(Math.max(password.length, token.length) / 4);
+  return levenshtein(password, token) <= maxDistance;
+};
+
+const getEmailTokens = (email) => {
+  const normalized = normalizeForComparison(email);
+  if (!normalized) return [];
+
+  const localPart = normalized.split('@')[0];
+  return [normalized, localPart];
+};
+
+// ============================================
+// 정책 확인
+// ============================================
+
+/**
+ * 비밀번호 정책 확인
+ * @param {string} password - 확인할 비밀번호
+ * @param {Object} context - { email, name } 비교할 사용자 정보
+ * @returns {Array<{code: string, message: string}>} 위반 항목 (없으면 빈 배열)
+ */
+const checkPassword = (password, { email, name } = {}) => {
+  const policy = getPasswordPolicy();
+  const violations = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if ([...value].length < policy.min_length) {
+    violations.push({
+      code: 'PASSWORD_TOO_SHORT',
+      message: `비밀번호는 최소 ${policy.min_length}자 이상이어야 합니다`,
+      min_length: policy.min_length
+    });
+  }
+
+  if (Buffer.byteLength(value, 'utf8') > policy.max_bytes) {
+    violations.push({
+      code: 'PASSWORD_TOO_LONG',
+      message: '비밀번호가 너무 깁니다',
+      max_bytes: policy.max_bytes
+    });
+  }
+
+  const characterClasses = CHARACTER_CLASSES
+    .filter(characterClass => characterClass.pattern.test(value))
+    .map(characterClass => characterClass.name);
+
+  if (characterClasses.length < policy.min_character_classes) {
+    violations.push({
+      code: 'PASSWORD_TOO_SIMPLE',
+      message: `영문 소문자, 대문자, 숫자, 특수문자 중 ${policy.min_character_classes}종류 이상을 조합해주세요`,
+      min_character_classes: policy.min_character_classes,
+      character_classes: characterClasses
+    });
+  }
+
+  const normalized = normalizeForComparison(value);
+
+  if (normalized && getEmailTokens(email).some(token => isSimilar(normalized, token))) {
+    violations.push({
+      code: 'PASSWORD_SIMILAR_TO_EMAIL',
+      message: '이메일과 비슷한 비밀번호는 사용할 수 없습니다'
+    });
+  }
+
+  const normalizedName = normalizeForComparison(name);
+  if (normalized && normalizedName && isSimilar(normalized, normalizedName)) {
+    violations.push({
+      code: 'PASSWORD_SIMILAR_TO_NAME',
+      message: '이름과 비슷한 비밀번호는 사용할 수 없습니다'
+    });
+  }
+
+  if (policy.breach_check && value && isBreachedPassword(value)) {
+    violations.push({
+      code: 'PASSWORD_BREACHED',
+      message: '너무 흔하거나 유출된 적이 있는 비밀번호입니다. 다른 비밀번호를 사용해주세요'
+    });
+  }
+
+  return violations;
+};
+
+/**
+ * 위반 항목을 express-validator 오류와 같은 형태로 변환 (path, msg + code)
+ * @param {Array} violations - checkPassword 결과
+ * @param {string} field - 요청 본문의 비밀번호 필드명
+ */
+const toValidationErrors = (violations, field) => {
+  return violations.map(({ code, message, ...details }) => ({
+    type: 'field',
+    location: 'body',
+    path: field,
+    msg: message,
+    code,
+    ...details
+  }));
+};
+
+module.exports = {
+  getPasswordPolicy,
+  checkPassword,
+  isBreachedPassword,
+  toValidationErrors
+};
@@ -0,0 +1,70 @@
+/**
+ * 전화번호 정규화 (E.164)
+ *
+ * 한국 번호는 국내 표기(010-1234-5678, 02 123 4567)와 국제 표기(+82 10-1234-5678, 0082...)를
+ * 모두 받아 +821012345678 형태로 바꿉니다. 다른 국가 번호는 + 로 시작하는 E.164 형식만 받습니다.
+ */
+
+const KOREA_COUNTRY_CODE = '82';
+
+// 국내 번호 (0으로 시작, 구분자 제거 후)
+const KOREAN_MOBILE_PATTERN = /^(010\d{8}|01[16789]\d{7,8})$/;
+const KOREAN_NUMBER_PATTERNS = [
+  KOREAN_MOBILE_PATTERN,
+  /^02\d{7,8}$/, // 서울
+  /^0[3-6][1-5]\d{7,8}$/, // 지역번호
+  /^070\d{8}$/ // 인터넷 전화
+];
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// 국제 번호를 국내 표기로 (+82 010... 처럼 0을 붙여 쓴 경우 포함)
+const toKoreanNationalNumber = (digits) => {
+  const rest = digits.slice(KOREA_COUNTRY_CODE.length);
+  return rest.startsWith('0') ? rest : `0${rest}`;
+};
+
+/**
+ * 전화번호를 E.164 형식으로 변환
+ * @param {string} input - 사용자가 입력한 번호
+ * @returns {string|null} E.164 번호 (형식이 올바르지 않으면 null)
+ */
+const normalizePhoneNumber = (input) => {
+  if (typeof input !== 'string') return null;
+
+  const trimmed = input.trim();
+  if (!/^[+\d(][\d\s\-().]*$/.test(trimmed)) return null;
+
+  let digits = trimmed.replace(/\D/g, '');
+  let international = trimmed.startsWith('+');
+
+  // 00 국제 전화 접두어
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  let national = digits;
+  if (international) {
+    if (!digits.startsWith(KOREA_COUNTRY_CODE)) {
+      const e164 = `+${digits}`;
+      return E164_PATTERN.test(e164) ? e164 : null;
+    }
+    national = toKoreanNationalNumber(digits);
+  }
+
+  if (!KOREAN_NUMBER_PATTERNS.some(pattern => pattern.test(national))) return null;
+
+  return `+${KOREA_COUNTRY_CODE}${national.slice(1)}`;
+};
+
+// 문자 수신이 가능한 한국 휴대폰 번호인지 (E.164 입력)
+const isKoreanMobileNumber = (e164) => {
+  if (typeof e164 !== 'string' || !e164.startsWith(`+${KOREA_COUNTRY_CODE}`)) return false;
+  return KOREAN_MOBILE_PATTERN.test(toKoreanNationalNumber(e164.slice(1)));
+};
+
+module.exports = {
+  normalizePhoneNumber,
+  isKoreanMobileNumber
+};
@@ -0,0 +1,105 @@
+/**
+ * 맛집 목록 필터 (패싯)
+ *
+ * 검색 문서(restaurant_search_documents)에 필터용 값(price_range, facilities, services, tag_ids)을 함께 저장해 두고,
+ * 목록/검색 RPC와 패싯 집계 RPC에 같은 p_filters 객체를 넘깁니다.
+ * - price_range: 선택한 값 중 하나 (OR)
+ * - facilities / services / tag_ids: 선택한 항목을 모두 가진 맛집 (AND)
+ * - min_rating / min_review_count: 이상
+ * - open_now: 지금 영업 중 (라우트에서 영업 중인 맛집 ID 목록 restaurant_ids로 바꿔 넘김)
+ * - open_at: 이 시각(ISO 8601)에 영업 중 (open_now와 같은 방식, 함께 쓸 수 없음)
+ * - max_distance_m: 사용자 위치(lat, lng)에서 이 거리(m) 이내 (위치가 없으면 무시)
+ */
+
+// restaurant_facilities의 필터 가능한 항목
+const FACILITY_FLAGS = [
+  'parking_available',
+  'wifi_available',
+  'wheelchair_accessible',
+  'private_room',
+  'outdoor_seating',
+  'pet_friendly',
+  'kids_menu'
+];
+
+// restaurant_services의 필터 가능한 항목
+const SERVICE_FLAGS = [
+  'reservation_available',
+  'delivery_available',
+  'takeout_available',
+  'card_payment',
+  'cash_payment',
+  'mobile_payment'
+];
+
+// 패싯 집계 구간 (이상)
+const RATING_STEPS = [3, 3.5, 4, 4.5];
+const REVIEW_COUNT_STEPS = [10, 50, 100];
+
+const MAX_TAG_FILTERS = 10;
+
+// 1:1 관계 임베드는 객체 또는 배열로 올 수 있음
+const firstRow = (value) => (Array.isArray(value) ? value[0] : value) || {};
+
+const enabledFlags = (row, flags) => flags.filter(flag => row[flag] === true);
+
+/**
+ * 검색 문서에 저장할 필터 값
+ * @param {Object} restaurant - restaurants 행 (restaurant_facilities, restaurant_services, restaurant_tags 포함)
+ */
+const extractFilterAttributes = (restaurant) => ({
+  price_range: restaurant.price_range !== null && restaurant.price_range !== undefined
+    ? String(restaurant.price_range)
+    : null,
+  facilities: enabledFlags(firstRow(restaurant.restaurant_facilities), FACILITY_FLAGS),
+  services: enabledFlags(firstRow(restaurant.restaurant_services), SERVICE_FLAGS),
+  tag_ids: [...new Set((restaurant.restaurant_tags || []).map(rt => rt.tag_id).filter(Boolean))]
+});
+
+const splitList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * 쿼리 파라미터 → p_filters
+ * (값 검증은 라우트의 express-validator에서 처리)
+ */
+const parseRestaurantFilters = (query) => ({
+  price_ranges: splitList(query.price_range),
+  facilities: splitList(query.facilities),
+  services: splitList(query.services),
+  tag_ids: splitList(query.tag_ids),
+  min_rating: query.min_rating !== undefined ? parseFloat(query.min_rating) : null,
+  min_review_count: query.min_review_count !== undefined ? parseInt(query.min_review_count) : null,
+  open_now: query.open_now === 'true',
+  open_at: query.open_at !== undefined ? new Date(query.open_at).toISOString() : null,
+  max_distance_m: query.max_distance !== undefined && query.lat !== undefined && query.lng !== undefined
+    ? parseInt(query.max_distance)
+    : null
+});
+
+const hasActiveFilters = (filters) => Boolean(filters) && (
+  filters.price_ranges.length > 0 ||
+  filters.facilities.length > 0 ||
+  filters.services.length > 0 ||
+  filters.tag_ids.length > 0 ||
+  filters.min_rating !== null ||
+  filters.min_review_count !== null ||
+  filters.open_now ||
+  filters.open_at !== null ||
+  filters.max_distance_m !== null
+);
+
+// 쉼표 목록의 모든 값이 허용 목록에 있는지 (express-validator custom)
+const isListOf = (allowed) => (value) => splitList(value).every(item => allowed.includes(item));
+
+module.exports = {
+  FACILITY_FLAGS,
+  SERVICE_FLAGS,
+  RATING_STEPS,
+  REVIEW_COUNT_STEPS,
+  MAX_TAG_FILTERS,
+  extractFilterAttributes,
+  parseRestaurantFilters,
+  hasActiveFilters,
+  splitList,
+  isListOf
+};
@@ -0,0 +1,130 @@
+const { getChoseong, disassemble, romanize } = require('es-hangul');
+
+/**
+ * 검색어/검색 문서 텍스트 처리
+ *
+ * 검색 문서(restaurant_search_documents)와 검색어를 같은 규칙으로 정규화해야
+ * DB에서 단순 부분 문자열 비교(ILIKE + trigram 인덱스)만으로 찾을 수 있습니다.
+ */
+
+// 필드를 이어 붙일 때 쓰는 구분자 (필드 경계를 넘는 매칭 방지)
+const FIELD_SEPARATOR = ' | ';
+
+// 한글 초성으로만 이루어진 검색어인지 (공백 허용)
+const isChosungQuery = (str) => /^[ㄱ-ㅎ\s]+$/.test(str || '') && /[ㄱ-ㅎ]/.test(str);
+
+// 로마자(영문) 검색어인지 (숫자, 공백, 일부 기호 허용)
+const isLatinQuery = (str) => /^[a-z0-9\s'\-.&]+$/i.test(str || '') && /[a-z]/i.test(str);
+
+// 소문자 + 유니코드 정규화 + 공백 정리
+const normalizeSearchText = (text) => {
+  if (text === null || text === undefined) return '';
+
+  return String(text)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[|%_\\]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// 초성 문자열 (한글 외 문자와 공백 제외)
+const toChosung = (text) => getChoseong(normalizeSearchText(text)).replace(/\s+/g, '');
+
+// 자모 분해 문자열 (공백 제외, 오타 허용 검색용)
+const toJamo = (text) => disassemble(normalizeSearchText(text)).replace(/\s+/g, '');
+
+// 국어의 로마자 표기법 + 영문 소문자, 공백/기호 제거 (예: 떡볶이 → tteokbokki, 강남구 → gangnamgu)
+const toRomanized = (text) => romanize(normalizeSearchText(text))
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+const joinFields = (values) => values
+  .filter(Boolean)
+  .join(FIELD_SEPARATOR);
+
+const unique = (values) => [...new Set(values.map(normalizeSearchText).filter(Boolean))];
+
+/**
+ * 맛집 한 곳의 검색 문서 생성
+ * @param {Object} restaurant - restaurants 행 (categories.category_translations, restaurant_tags.tags, menus 포함)
+ * @returns {Object} restaurant_search_documents 행
+ */
+const buildSearchDocument = (restaurant) => {
+  const categoryName = restaurant.categories?.name || '';
+  const tags = unique((restaurant.restaurant_tags || []).map(rt => rt.tags?.name));
+  const menus = unique((restaurant.menus || []).map(menu => menu.name));
+  const address = unique([restaurant.address, restaurant.road_address]);
+  // 영문 카테고리 이름/메뉴 이름은 로마자 표기와 함께 검색
+  const categoryTranslations = unique((restaurant.categories?.category_translations || [])
+    .filter(translation => translation.language_code === 'en')
+    .map(translation => translation.name));
+  const englishMenus = unique((restaurant.menus || []).map(menu => menu.name_en));
+
+  const name = normalizeSearchText(restaurant.name);
+  const keywords = joinFields([normalizeSearchText(categoryName), ...tags]);
+  const menuText = joinFields(menus);
+  const addressText = joinFields(address);
+  const description = normalizeSearchText(restaurant.description);
+
+  const romanizeFields = (values) => joinFields(unique(values.map(toRomanized)));
+  const nameRomanized = toRomanized(name);
+  const keywordsRomanized = romanizeFields([categoryName, ...categoryTranslations, ...tags]);
+  const menuRomanized = romanizeFields([...menus, ...englishMenus]);
+  const addressRomanized = romanizeFields(address);
+
+  return {
+    restaurant_id: restaurant.id,
+    category_id: restaurant.category_id || null,
+    name,
+    name_chosung: toChosung(name),
+    name_jamo: toJamo(name),
+    keywords,
+    menu_text: menuText,
+    address_text: addressText,
+    description,
+    search_text: joinFields([name, keywords, menuText, addressText, description]),
+    chosung_text: joinFields([name, normalizeSearchText(categoryName), ...tags, ...menus, ...address].map(toChosung)),
+    name_romanized: nameRomanized,
+    keywords_romanized: keywordsRomanized,
+    menu_romanized: menuRomanized,
+    address_romanized: addressRomanized,
+    romanized_text: joinFields([nameRomanized, keywordsRomanized, menuRomanized, addressRomanized]),
+    source_updated_at: restaurant.updated_at || restaurant.created_at || null,
+    indexed_at: new Date().toISOString()
+  };
+};
+
+/**
+ * 검색어 해석
+ * - chosung: 초성만 입력 (chosung_text에서 검색)
+ * - latin: 로마자/영문만 입력 (search_text와 romanized_text에서 검색, 단어는 toRomanized와 같은 규칙으로 정리)
+ * - text: 그 외 (search_text에서 검색)
+ * @returns {{type: 'chosung'|'latin'|'text', text: string, terms: string[]}|null} 검색할 내용이 없으면 null
+ */
+const parseSearchQuery = (search) => {
+  if (isChosungQuery(search)) {
+    const text = search.replace(/\s+/g, '');
+    return { type: 'chosung', text, terms: [text] };
+  }
+
+  if (isLatinQuery(search)) {
+    const terms = normalizeSearchText(search).split(/[^a-z0-9]+/).filter(Boolean);
+    return { type: 'latin', text: terms.join(' '), terms };
+  }
+
+  const text = normalizeSearchText(search);
+  if (!text) return null;
+
+  return { type: 'text', text, terms: text.split(' ') };
+};
+
+module.exports = {
+  isChosungQuery,
+  normalizeSearchText,
+  toChosung,
+  toJamo,
+  toRomanized,
+  buildSearchDocument,
+  parseSearchQuery
+};
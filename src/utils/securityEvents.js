@@ -0,0 +1,61 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const { getClientContext } = require('./authTokens');
+const { sendAccountLockedEmail } = require('./emailService');
+const { LOCK_DURATION_MS, createUnlockToken } = require('./loginThrottle');
+
+const { EVENT_TYPES } = SecurityEvent;
+
+/**
+ * 요청 정보(IP, User-Agent)와 함께 보안 이벤트 기록
+ *
+ * 기록에 실패해도 요청 처리는 계속되도록 예외를 던지지 않습니다.
+ * @param {Object} req - Express 요청
+ * @param {string} eventType - SecurityEvent.EVENT_TYPES 값
+ * @param {Object} options - { userId, metadata } (userId 생략 시 req.user.id)
+ */
+const recordSecurityEvent = async (req, eventType, { userId, metadata = {} } = {}) => {
+  try {
+    const { ipAddress, userAgent } = getClientContext(req);
+
+    await SecurityEvent.record({
+      userId: userId !== undefined ? userId : (req.user?.id || null),
+      eventType,
+      ipAddress,
+      userAgent,
+      metadata
+    });
+  } catch (error) {
+    console.error('❌ 보안 이벤트 기록 실패:', eventType, error.message);
+  }
+};
+
+/**
+ * 로그인 실패 누적으로 계정이 잠겼을 때 이벤트 기록 + 잠금 해제 메일 발송
+ * @param {Object} req - Express 요청
+ * @param {Object|null} user - 사용자 (없는 계정이면 null)
+ * @param {Object} options - { lockedUntil }
+ */
+const recordAccountLocked = async (req, user, { lockedUntil }) => {
+  console.warn('🔒 로그인 실패 누적으로 계정 잠금:', user?.id || '(가입되지 않은 이메일)');
+
+  // 입력한 이메일은 남기지 않음 (없는 계정이면 오타나 다른 서비스의 비밀번호일 수 있음)
+  await recordSecurityEvent(req, EVENT_TYPES.ACCOUNT_LOCKED, {
+    userId: user?.id || null,
+    metadata: { locked_until: lockedUntil }
+  });
+
+  // 실제 비밀번호 계정에만 메일 발송 (응답은 계정 존재 여부와 무관하게 동일)
+  if (user && user.password_hash) {
+    const frontendUrl = process.env.FRONTEND_URL || 'https://www.mzcube.com';
+    const unlockUrl = `${frontendUrl}/unlock-account?token=${encodeURIComponent(createUnlockToken(user))}`;
+
+    sendAccountLockedEmail(user.email, unlockUrl, user.name, Math.round(LOCK_DURATION_MS / 60000))
+      .catch(emailError => console.error('❌ 계정 잠금 안내 메일 발송 실패:', emailError.message));
+  }
+};
+
+module.exports = {
+  EVENT_TYPES,
+  recordSecurityEvent,
+  recordAccountLocked
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * 문자(SMS) 발송 제공자
+ *
+ * 발송 업체를 교체할 수 있도록 인터페이스로 분리했습니다. SMS_PROVIDER 환경 변수로 기본 구현을 고릅니다.
+ * - console (기본): 문자 내용을 서버 로그에 출력 (개발용)
+ * - file: SMS_OUTBOX_PATH 파일에 한 줄씩 JSON으로 기록 (테스트용)
+ *
+ * 실제 발송 업체를 쓰려면 SmsProvider를 상속한 구현을 setSmsProvider로 등록해야 합니다.
+ * 운영 환경(NODE_ENV=production)에서는 기본 구현으로 인증 문자를 보낼 수 없으므로,
+ * 등록된 구현이 없으면 서버 시작 시 getSmsProvider()가 예외를 던집니다.
+ */
+class SmsProvider {
+  /**
+   * @param {string} to - 받는 번호 (E.164)
+   * @param {string} text - 문자 내용
+   * @returns {Promise<{id: string}>} 발송 결과
+   */
+  async send() {
+    throw new Error('SmsProvider.send() must be implemented');
+  }
+}
+
+const createMessageId = () => `sms_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
+class ConsoleSmsProvider extends SmsProvider {
+  async send(to, text) {
+    const id = createMessageId();
+    console.log(`📱 [SMS] ${to}: ${text}`);
+    return { id };
+  }
+}
+
+class FileSmsProvider extends SmsProvider {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+  }
+
+  async send(to, text) {
+    const id = createMessageId();
+    const line = JSON.stringify({ id, to, text, sent_at: new Date().toISOString() });
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${line}\n`, 'utf8');
+
+    return { id };
+  }
+}
+
+const createSmsProvider = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SMS provider is not configured: register a real SmsProvider with setSmsProvider() in production');
+  }
+
+  switch (process.env.SMS_PROVIDER) {
+    case 'file':
+      return new FileSmsProvider(process.env.SMS_OUTBOX_PATH || path.join(os.tmpdir(), 'foodiemap-sms-outbox.log'));
+    case 'console':
+    case undefined:
+    case '':
+      return new ConsoleSmsProvider();
+    default:
+      throw new Error(`Unknown SMS_PROVIDER: ${process.env.SMS_PROVIDER}`);
+  }
+};
+
+let provider = null;
+
+const getSmsProvider = () => {
+  if (!provider) provider = createSmsProvider();
+  return provider;
+};
+
+// 제공자 교체 (실제 발송 업체 구현 사용 시)
+const setSmsProvider = (nextProvider) => {
+  provider = nextProvider;
+};
+
+const sendSms = (to, text) => getSmsProvider().send(to, text);
+
+module.exports = {
+  SmsProvider,
+  ConsoleSmsProvider,
+  FileSmsProvider,
+  getSmsProvider,
+  setSmsProvider,
+  sendSms
+};
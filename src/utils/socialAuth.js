@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * 소셜 로그인 신원 확인
+ *
+ * 클라이언트가 보낸 social_id/email을 그대로 믿지 않고, 제공자가 발급한
+ * 액세스 토큰·인가 코드·ID 토큰으로 서버가 직접 사용자 정보를 조회/검증합니다.
+ * 제공자 주소는 환경 변수로 바꿀 수 있어 테스트에서는 로컬 대역 서버를 사용할 수 있습니다.
+ */
+
+const SUPPORTED_PROVIDERS = ['google', 'kakao', 'naver'];
+
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+const DEFAULT_JWKS_MAX_AGE_SECONDS = 60 * 60;
+
+// 환경 변수는 호출 시점에 읽음 (테스트에서 교체 가능하도록)
+const providerUrls = () => ({
+  kakaoAuth: process.env.KAKAO_AUTH_BASE_URL || 'https://kauth.kakao.com',
+  kakaoApi: process.env.KAKAO_API_BASE_URL || 'https://kapi.kakao.com',
+  naverApi: process.env.NAVER_API_BASE_URL || 'https://openapi.naver.com',
+  googleJwks: process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs'
+});
+
+class SocialAuthError extends Error {
+  constructor(message, code = 'SOCIAL_AUTH_FAILED', status = 401) {
+    super(message);
+    this.name = 'SocialAuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch {
+    throw new SocialAuthError('소셜 로그인 제공자에 연결할 수 없습니다.', 'SOCIAL_PROVIDER_UNAVAILABLE', 502);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, headers: response.headers, data };
+};
+
+// ============================================
+// Kakao
+// ============================================
+
+// 인가 코드 → 액세스 토큰 교환
+const exchangeKakaoCode = async (code, redirectUri) => {
+  const clientId = process.env.KAKAO_CLIENT_ID;
+
+  if (!clientId) {
+    throw new SocialAuthError('소셜 로그인 설정 오류가 발생했습니다.', 'SOCIAL_PROVIDER_NOT_CONFIGURED', 500);
+  }
+
+  const { data } = await fetchJson(`${providerUrls().kakaoAuth}/oauth/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      code
+    })
+  });
+
+  if (!data.access_token) {
+    throw new SocialAuthError('카카오 토큰을 가져올 수 없습니다.', 'SOCIAL_CODE_INVALID', 400);
+  }
+
+  return data.access_token;
+};
+
+const fetchKakaoProfile = async (accessToken) => {
+  const { kakaoApi } = providerUrls();
+
+  // 다른 앱에서 발급된 토큰으로 로그인하는 것(토큰 바꿔치기)을 막기 위해 앱 ID 확인
+  const expectedAppId = process.env.KAKAO_APP_ID;
+  if (!expectedAppId) {
+    throw new SocialAuthError('소셜 로그인 설정 오류가 발생했습니다.', 'SOCIAL_PROVIDER_NOT_CONFIGURED', 500);
+  }
+
+  const { ok, data: tokenInfo } = await fetchJson(`${kakaoApi}/v1/user/access_token_info`, {
+    headers: { 'Authorization': `Bearer ${accessToken}` }
+  });
+
+  if (!ok || String(tokenInfo.app_id) !== String(expectedAppId)) {
+    throw new SocialAuthError('다른 앱에서 발급되었거나 유효하지 않은 카카오 토큰입니다.', 'SOCIAL_TOKEN_INVALID');
+  }
+
+  const { data: userData } = await fetchJson(`${kakaoApi}/v2/user/me`, {
+    headers: { 'Authorization': `Bearer ${accessToken}` }
+  });
+
+  if (!userData.id) {
+    throw new SocialAuthError('카카오 사용자 정보를 가져올 수 없습니다.', 'SOCIAL_TOKEN_INVALID');
+  }
+
+  const account = userData.kakao_account || {};
+
+  return {
+    auth_provider: 'kakao',
+    social_id: userData.id.toString(),
+    email: account.email || '',
+    // 카카오가 유효하고 인증되었다고 명시한 이메일만 인정
+    email_verified: !!account.email && account.is_email_valid === true && account.is_email_verified === true,
+    name: userData.properties?.nickname || account.profile?.nickname || '',
+    avatar_url: userData.properties?.profile_image || account.profile?.profile_image_url || undefined,
+    phone: undefined,
+    social_data: userData
+  };
+};
+
+// ============================================
+// Naver
+// ============================================
+
+const fetchNaverProfile = async (accessToken) => {
+  const { data } = await fetchJson(`${providerUrls().naverApi}/v1/nid/me`, {
+    headers: { 'Authorization': `Bearer ${accessToken}` }
+  });
+
+  if (data.resultcode !== '00' || !data.response) {
+    throw new SocialAuthError('네이버 사용자 정보를 가져올 수 없습니다.', 'SOCIAL_TOKEN_INVALID');
+  }
+
+  const user = data.response;
+
+  return {
+    auth_provider: 'naver',
+    social_id: user.id,
+    email: user.email || '',
+    // 네이버는 인증된 이메일만 제공
+    email_verified: !!user.email,
+    name: user.name || user.nickname || '',
+    avatar_url: user.profile_image,
+    phone: user.mobile || user.mobile_e164 || undefined,
+    social_data: user
+  };
+};
+
+// ============================================
+// Google (ID 토큰 서명 검증, JWKS 캐시)
+// ============================================
+
+const jwksCache = {
+  keys: null,
+  expiresAt: 0
+};
+
+const getCacheMaxAge = (headers) => {
+  const cacheControl = headers?.get?.('cache-control') || '';
+  const match = cacheControl.match(/max-age=(\d+)/);
+  return match ? parseInt(match[1]) : DEFAULT_JWKS_MAX_AGE_SECONDS;
+};
+
+const loadGoogleJwks = async (forceRefresh = false) => {
+  if (!forceRefresh && jwksCache.keys && Date.now() < jwksCache.expiresAt) {
+    return jwksCache.keys;
+  }
+
+  const { ok, headers, data } = await fetchJson(providerUrls().googleJwks);
+  if (!ok || !Array.isArray(data.keys)) {
+    throw new SocialAuthError('Google 공개키를 가져올 수 없습니다.', 'SOCIAL_PROVIDER_UNAVAILABLE', 502);
+  }
+
+  jwksCache.keys = data.keys;
+  jwksCache.expiresAt = Date.now() + getCacheMaxAge(headers) * 1000;
+  return jwksCache.keys;
+};
+
+const findGoogleKey = async (kid) => {
+  let keys = await loadGoogleJwks();
+  let jwk = keys.find(k => k.kid === kid);
+
+  // 키 교체 직후일 수 있으므로 한 번만 강제 갱신
+  if (!jwk) {
+    keys = await loadGoogleJwks(true);
+    jwk = keys.find(k => k.kid === kid);
+  }
+
+  return jwk;
+};
+
+const verifyGoogleIdToken = async (idToken) => {
+  const audience = (process.env.GOOGLE_CLIENT_ID || '').split(',').map(id => id.trim()).filter(Boolean);
+
+  if (audience.length === 0) {
+    throw new SocialAuthError('소셜 로그인 설정 오류가 발생했습니다.', 'SOCIAL_PROVIDER_NOT_CONFIGURED', 500);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw new SocialAuthError('유효하지 않은 Google ID 토큰입니다.', 'SOCIAL_TOKEN_INVALID');
+  }
+
+  const jwk = await findGoogleKey(decoded.header.kid);
+  if (!jwk) {
+    throw new SocialAuthError('유효하지 않은 Google ID 토큰입니다.', 'SOCIAL_TOKEN_INVALID');
+  }
+
+  let payload;
+  try {
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    payload = jwt.verify(idToken, publicKey, {
+      algorithms: ['RS256'],
+      audience,
+      issuer: process.env.GOOGLE_ISSUER ? [process.env.GOOGLE_ISSUER] : GOOGLE_ISSUERS
+    });
+  } catch {
+    throw new SocialAuthError('유효하지 않은 Google ID 토큰입니다.', 'SOCIAL_TOKEN_INVALID');
+  }
+
+  return {
+    auth_provider: 'google',
+    social_id: payload.sub,
+    email: payload.email || '',
+    email_verified: payload.email_verified === true || payload.email_verified === 'true',
+    name: payload.name || '',
+    avatar_url: payload.picture,
+    phone: undefined,
+    social_data: payload
+  };
+};
+
+/**
+ * 제공자 자격 증명으로 소셜 신원 확인
+ * @param {string} provider - google | kakao | naver
+ * @param {Object} credentials - { access_token, code, redirect_uri, id_token }
+ * @returns {Promise<Object>} 정규화된 프로필 (social_id, email, email_verified, name, avatar_url, phone, social_data)
+ */
+const verifySocialIdentity = async (provider, credentials = {}) => {
+  const { access_token, code, redirect_uri, id_token } = credentials;
+
+  switch (provider) {
+    case 'kakao': {
+      const accessToken = access_token || (code ? await exchangeKakaoCode(code, redirect_uri) : null);
+      if (!accessToken) {
+        throw new SocialAuthError('카카오 액세스 토큰 또는 인가 코드가 필요합니다.', 'SOCIAL_CREDENTIAL_REQUIRED', 400);
+      }
+      return fetchKakaoProfile(accessToken);
+    }
+    case 'naver':
+      if (!access_token) {
+        throw new SocialAuthError('네이버 액세스 토큰이 필요합니다.', 'SOCIAL_CREDENTIAL_REQUIRED', 400);
+      }
+      return fetchNaverProfile(access_token);
+    case 'google':
+      if (!id_token) {
+        throw new SocialAuthError('Google ID 토큰이 필요합니다.', 'SOCIAL_CREDENTIAL_REQUIRED', 400);
+      }
+      return verifyGoogleIdToken(id_token);
+    default:
+      throw new SocialAuthError('지원하지 않는 로그인 제공자입니다.', 'SOCIAL_PROVIDER_UNSUPPORTED', 400);
+  }
+};
+
+module.exports = {
+  SUPPORTED_PROVIDERS,
+  SocialAuthError,
+  exchangeKakaoCode,
+  fetchKakaoProfile,
+  fetchNaverProfile,
+  verifyGoogleIdToken,
+  verifySocialIdentity
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238) 유틸리티
+ *
+ * Google Authenticator 등 인증 앱과 호환되도록 HMAC-SHA1, 6자리, 30초 주기를 사용합니다.
+ * 외부 서비스 없이 서버에서 직접 계산합니다.
+ */
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ISSUER = 'FoodieMap';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 160비트 비밀키 생성 (base32)
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// HOTP (RFC 4226)
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+};
+
+const generateTotp = (secret, timestamp = Date.now()) => {
+  return generateHotp(secret, getTimeStep(timestamp));
+};
+
+/**
+ * TOTP 코드 검증
+ * 시계 오차를 고려해 앞뒤 window 주기까지 허용합니다.
+ * @returns {number|null} 일치한 time step (재사용 방지용), 불일치 시 null
+ */
+const verifyTotp = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// 인증 앱 등록용 otpauth URI
+const buildOtpauthUri = (secret, accountName, issuer = TOTP_ISSUER) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
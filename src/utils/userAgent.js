@@ -0,0 +1,42 @@
+/**
+ * User-Agent 문자열을 사람이 읽을 수 있는 기기 설명으로 변환
+ * 기기 관리 화면/알림 메일 표시용이며 정확한 판별을 보장하지 않습니다.
+ */
+
+const BROWSERS = [
+  ['Samsung Internet', /SamsungBrowser\/[\d.]+/],
+  ['Naver', /NAVER\(inapp/],
+  ['KakaoTalk', /KAKAOTALK/],
+  ['Edge', /Edg(e|A|iOS)?\/[\d.]+/],
+  ['Opera', /(OPR|Opera)\/[\d.]+/],
+  ['Chrome', /(Chrome|CriOS)\/[\d.]+/],
+  ['Firefox', /(Firefox|FxiOS)\/[\d.]+/],
+  ['Safari', /Version\/[\d.]+.*Safari/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const findName = (candidates, userAgent) => {
+  const match = candidates.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : null;
+};
+
+const describeDevice = (userAgent) => {
+  if (!userAgent) return '알 수 없는 기기';
+
+  const browser = findName(BROWSERS, userAgent);
+  const os = findName(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) return `${browser} (${os})`;
+  return browser || os || '알 수 없는 기기';
+};
+
+module.exports = {
+  describeDevice
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+/**
+ * 해시로 저장된 인증 코드 확인 (email_verifications, phone_verifications 공통)
+ *
+ * 두 테이블은 같은 컬럼(code_hash, attempts, is_verified, verified_at, expires_at)을 쓰며 같은 규칙을 따릅니다.
+ * - 코드 원본은 저장하지 않고 SHA-256 해시와 상수 시간 비교
+ * - 틀릴 때마다 attempts를 올리고, maxAttempts회째 오답이면 코드 만료
+ * - 맞으면 한 번만 사용 처리 (동시에 맞힌 요청 중 하나만 verified)
+ */
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+const matchesCodeHash = (storedHash, code) => {
+  const expected = Buffer.from(storedHash || '', 'hex');
+  const actual = Buffer.from(hashCode(code), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// 사용 처리 (이미 사용된 코드면 null)
+const consumeCode = async (table, id) => {
+  const { data, error } = await supabase
+    .from(table)
+    .update({
+      is_verified: true,
+      verified_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .eq('is_verified', false)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * 오답 횟수 증가 (maxAttempts회째이면 코드 만료)
+ *
+ * 동시에 틀린 요청이 와도 횟수를 건너뛰지 않도록 이전 값 조건으로 갱신합니다.
+ * 다른 요청이 먼저 갱신했으면 행을 다시 읽어 실제 상태를 확인하고, 아직 유효한 코드면 그 값에서 다시 올립니다.
+ * @returns {Promise<{status: 'invalid'|'attempts_exceeded', remainingAttempts?: number}>}
+ */
+const recordWrongAttempt = async (table, row, maxAttempts) => {
+  let current = row;
+
+  for (;;) {
+    const attempts = current.attempts || 0;
+    if (attempts >= maxAttempts) return { status: 'attempts_exceeded' };
+    if (current.is_verified || new Date(current.expires_at) <= new Date()) return { status: 'invalid' };
+
+    const nextAttempts = attempts + 1;
+    const exceeded = nextAttempts >= maxAttempts;
+
+    let query = supabase
+      .from(table)
+      .update({
+        attempts: nextAttempts,
+        ...(exceeded && { expires_at: new Date().toISOString() })
+      })
+      .eq('id', current.id);
+
+    query = current.attempts == null ? query.is('attempts', null) : query.eq('attempts', attempts);
+
+    const { data: updated, error } = await query.select('attempts').maybeSingle();
+    if (error) throw error;
+
+    if (updated) {
+      return exceeded
+        ? { status: 'attempts_exceeded' }
+        : { status: 'invalid', remainingAttempts: maxAttempts - updated.attempts };
+    }
+
+    // 다른 요청이 먼저 횟수를 올렸거나 코드를 사용/만료시킨 경우
+    const { data: latest, error: readError } = await supabase
+      .from(table)
+      .select('*')
+      .eq('id', current.id)
+      .maybeSingle();
+
+    if (readError) throw readError;
+    if (!latest) return { status: 'invalid' };
+    current = latest;
+  }
+};
+
+/**
+ * 조회한 인증 기록과 입력한 코드 비교
+ * @param {Object} options - { table, row, code, maxAttempts, storedHash }
+ *   storedHash를 생략하면 row.code_hash와 비교
+ * @returns {Promise<{status: 'verified'|'invalid'|'attempts_exceeded', verification?: Object, remainingAttempts?: number}>}
+ */
+const verifyHashedCode = async ({ table, row, code, maxAttempts, storedHash = row.code_hash }) => {
+  if ((row.attempts || 0) >= maxAttempts) return { status: 'attempts_exceeded' };
+
+  if (!matchesCodeHash(storedHash, code)) {
+    return recordWrongAttempt(table, row, maxAttempts);
+  }
+
+  const verification = await consumeCode(table, row.id);
+  return verification ? { status: 'verified', verification } : { status: 'invalid' };
+};
+
+module.exports = {
+  hashCode,
+  matchesCodeHash,
+  consumeCode,
+  recordWrongAttempt,
+  verifyHashedCode
+};
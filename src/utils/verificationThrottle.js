@@ -0,0 +1,99 @@
+const { MemoryLoginAttemptStore } = require('./loginAttemptStore');
+
+/**
+ * 인증 코드 발송 간격 / 오답 횟수 제한
+ *
+ * 코드별 오답 횟수는 email_verifications.attempts에 저장되지만, 계정이 없는 이메일에는 코드가 없어
+ * 응답이 달라질 수 있습니다. 계정 존재 여부가 드러나지 않도록 입력한 이메일(또는 사용자) 기준으로도
+ * 발송 시각과 오답 횟수를 기록해 같은 규칙으로 응답합니다.
+ *
+ * - 코드를 보낸 뒤 RESEND_COOLDOWN 동안 재발송 불가
+ * - 오답이 MAX_FAILURES회 쌓이면 새 코드를 받기 전까지 확인 불가
+ *
+ * 저장소는 로그인 실패 기록과 같은 인터페이스(LoginAttemptStore)를 사용합니다.
+ */
+
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_FAILURES = 5;
+// 마지막 발송/오답 후 이 기간이 지나면 기록 삭제 (가장 긴 코드 유효 시간보다 길게)
+const RECORD_TTL_MS = 30 * 60 * 1000;
+
+let store = new MemoryLoginAttemptStore();
+
+// 저장소 교체 (공유 저장소 구현 사용 시)
+const setVerificationStore = (nextStore) => {
+  store = nextStore;
+};
+
+const getKey = (purpose, subject) => `verification:${purpose}:${String(subject).toLowerCase()}`;
+
+/**
+ * 코드 발송 가능 여부 확인
+ * @param {string} purpose - 인증 용도 (EmailVerification.PURPOSES)
+ * @param {string} subject - 이메일 또는 사용자 ID
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds?: number}>}
+ */
+const checkResendCooldown = async (purpose, subject) => {
+  const record = await store.get(getKey(purpose, subject));
+  const nextAllowedAt = record?.lastSentAt ? record.lastSentAt + RESEND_COOLDOWN_MS : 0;
+
+  if (nextAllowedAt > Date.now()) {
+    return {
+      allowed: false,
+      retryAfterSeconds: Math.ceil((nextAllowedAt - Date.now()) / 1000)
+    };
+  }
+
+  return { allowed: true };
+};
+
+// 코드 발송 기록 (새 코드이므로 오답 횟수 초기화)
+const recordCodeSent = async (purpose, subject) => {
+  await store.set(getKey(purpose, subject), {
+    lastSentAt: Date.now(),
+    failures: 0
+  }, RECORD_TTL_MS);
+};
+
+// 오답 횟수가 한도에 도달했는지 확인
+const isVerificationBlocked = async (purpose, subject) => {
+  const record = await store.get(getKey(purpose, subject));
+  return (record?.failures || 0) >= MAX_FAILURES;
+};
+
+/**
+ * 오답 기록
+ * @returns {Promise<number>} 누적 오답 횟수
+ */
+const recordVerificationFailure = async (purpose, subject) => {
+  const key = getKey(purpose, subject);
+  const record = await store.get(key);
+  const failures = (record?.failures || 0) + 1;
+
+  await store.set(key, {
+    lastSentAt: record?.lastSentAt || null,
+    failures
+  }, RECORD_TTL_MS);
+
+  return failures;
+};
+
+// 인증 성공 시 오답 기록 삭제 (발송 간격은 유지)
+const resetVerificationFailures = async (purpose, subject) => {
+  const key = getKey(purpose, subject);
+  const record = await store.get(key);
+  if (!record) return;
+
+  await store.set(key, { ...record, failures: 0 }, RECORD_TTL_MS);
+};
+
+module.exports = {
+  RESEND_COOLDOWN_MS,
+  MAX_FAILURES,
+  setVerificationStore,
+  checkResendCooldown,
+  recordCodeSent,
+  isVerificationBlocked,
+  recordVerificationFailure,
+  resetVerificationFailures
+};
@@ -0,0 +1,35 @@
+-- 로그인 세션과 리프레시 토큰 (src/models/Session.js, src/models/RefreshToken.js)
+-- 액세스 토큰의 sid 클레임이 user_sessions.id를 가리키며, 세션을 폐기하면 그 세션의 토큰이 모두 무효화됩니다.
+
+create table if not exists public.user_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  revoked_reason text,
+  created_at timestamptz not null default now()
+);
+
+-- 서버(Service Role)만 읽고 씀
+alter table public.user_sessions enable row level security;
+
+create index if not exists user_sessions_user_id_idx
+  on public.user_sessions (user_id);
+
+-- 원본 토큰은 저장하지 않고 SHA-256 해시만 저장
+create table if not exists public.refresh_tokens (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null references public.user_sessions (id) on delete cascade,
+  user_id uuid not null references public.users (id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table public.refresh_tokens enable row level security;
+
+create index if not exists refresh_tokens_session_id_idx
+  on public.refresh_tokens (session_id);
+create index if not exists refresh_tokens_user_id_idx
+  on public.refresh_tokens (user_id);
@@ -0,0 +1,19 @@
+-- 비밀번호 재설정 토큰 (src/models/PasswordReset.js)
+-- 원본 토큰은 메일 링크로만 전달되고 SHA-256 해시만 저장합니다. 1회용이며 used_at으로 사용 처리합니다.
+
+create table if not exists public.password_resets (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- 서버(Service Role)만 읽고 씀
+alter table public.password_resets enable row level security;
+
+-- 새 토큰 발급 시 사용자의 미사용 토큰 무효화
+create index if not exists password_resets_user_id_idx
+  on public.password_resets (user_id)
+  where used_at is null;
@@ -0,0 +1,28 @@
+-- 소셜 로그인 연결 정보 (src/models/UserIdentity.js)
+-- 한 사용자에 여러 Google, Kakao, Naver 계정을 연결할 수 있으며 (provider, provider_user_id)는 전체에서 유일합니다.
+
+create table if not exists public.user_identities (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  provider text not null,
+  provider_user_id text not null,
+  email text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  constraint user_identities_provider_user_id_key unique (provider, provider_user_id)
+);
+
+-- 서버(Service Role)만 읽고 씀
+alter table public.user_identities enable row level security;
+
+create index if not exists user_identities_user_id_idx
+  on public.user_identities (user_id);
+
+-- 기존 소셜 가입자(users.auth_provider, users.social_id)의 연결 정보 생성
+-- 로그인 시 조회 경로에서 만들지 않아도 되도록 미리 옮김
+insert into public.user_identities (user_id, provider, provider_user_id, email, created_at, last_used_at)
+select u.id, u.auth_provider, u.social_id, u.email, coalesce(u.created_at, now()), null
+from public.users u
+where u.auth_provider in ('google', 'kakao', 'naver')
+  and u.social_id is not null
+on conflict (provider, provider_user_id) do nothing;
@@ -0,0 +1,29 @@
+-- 2단계 인증 (src/models/TwoFactor.js)
+-- TOTP 비밀키는 서버에서 AES-256-GCM으로 암호화해 저장하고, 백업 코드는 SHA-256 해시만 저장합니다.
+
+create table if not exists public.user_two_factor (
+  user_id uuid primary key references public.users (id) on delete cascade,
+  secret_encrypted text not null,
+  enabled boolean not null default false,
+  enabled_at timestamptz,
+  -- 마지막으로 사용한 TOTP 주기 (같은 코드 재사용 방지)
+  last_used_step bigint,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- 서버(Service Role)만 읽고 씀
+alter table public.user_two_factor enable row level security;
+
+create table if not exists public.two_factor_backup_codes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  code_hash text not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table public.two_factor_backup_codes enable row level security;
+
+create index if not exists two_factor_backup_codes_user_id_code_hash_idx
+  on public.two_factor_backup_codes (user_id, code_hash);
@@ -0,0 +1,18 @@
+-- 세션 기기 정보 (src/models/Session.js)
+-- 기기 관리 화면과 새 기기 로그인 알림을 위해 로그인 당시의 User-Agent, IP와 마지막 접속 시각을 저장합니다.
+
+alter table public.user_sessions
+  add column if not exists user_agent text,
+  add column if not exists ip_address text,
+  add column if not exists last_seen_at timestamptz;
+
+update public.user_sessions
+set last_seen_at = created_at
+where last_seen_at is null;
+
+alter table public.user_sessions
+  alter column last_seen_at set default now();
+
+-- 이전에 같은 기기로 로그인한 적이 있는지 확인 (새 기기 알림)
+create index if not exists user_sessions_user_id_user_agent_idx
+  on public.user_sessions (user_id, user_agent);
@@ -0,0 +1,48 @@
+-- 사용자 역할과 관리자 감사 로그 (src/middleware/adminAuth.js, src/models/Admin.js)
+
+-- 역할이 비어 있는 기존 사용자는 서버에서 일반 사용자로 취급
+alter table public.users
+  add column if not exists role text not null default 'user';
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'users_role_check') then
+    alter table public.users
+      add constraint users_role_check check (role in ('user', 'moderator', 'owner', 'admin'));
+  end if;
+end;
+$$;
+
+create index if not exists users_role_idx
+  on public.users (role)
+  where role <> 'user';
+
+/*
+ * 관리자 작업은 실행 전에 pending으로 기록하고, 끝나면 같은 행에 결과를 남깁니다.
+ * status: pending(결과 기록 전) | succeeded | not_found | failed
+ */
+create table if not exists public.admin_audit_logs (
+  id uuid primary key default gen_random_uuid(),
+  -- 관리자 계정이 삭제되어도 기록은 남김
+  actor_id uuid references public.users (id) on delete set null,
+  actor_role text,
+  action text not null,
+  target_type text,
+  target_id text,
+  metadata jsonb not null default '{}'::jsonb,
+  status text not null default 'pending' check (status in ('pending', 'succeeded', 'not_found', 'failed')),
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+-- 서버(Service Role)만 읽고 씀
+alter table public.admin_audit_logs enable row level security;
+
+create index if not exists admin_audit_logs_created_at_idx
+  on public.admin_audit_logs (created_at desc);
+create index if not exists admin_audit_logs_actor_id_idx
+  on public.admin_audit_logs (actor_id, created_at desc);
+create index if not exists admin_audit_logs_target_idx
+  on public.admin_audit_logs (target_type, target_id, created_at desc);
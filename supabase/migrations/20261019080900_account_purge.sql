@@ -0,0 +1,10 @@
+-- 탈퇴 계정 영구 삭제 (src/models/User.js purgeAccount)
+-- 영구 삭제가 중간에 실패해도 다음 실행에서 집계를 다시 계산할 수 있도록 재계산 대상(맛집, 리뷰, 컬렉션, 사용자 ID)을 저장합니다.
+
+alter table public.users
+  add column if not exists purge_targets jsonb;
+
+-- 복구 기간이 지난 탈퇴 계정 조회 (jobs/cleanup.js)
+create index if not exists users_deleted_at_idx
+  on public.users (deleted_at)
+  where deleted_at is not null;
@@ -0,0 +1,33 @@
+-- 개인정보 내보내기 요청 (src/models/DataExport.js)
+-- 파일은 비공개 Storage 버킷(data-exports)에 올리고, 완료 후 24시간 동안 서명 URL로만 내려받을 수 있습니다.
+
+create table if not exists public.data_exports (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  status text not null default 'pending'
+    check (status in ('pending', 'processing', 'completed', 'failed', 'expired')),
+  format text not null check (format in ('json', 'zip')),
+  file_path text,
+  file_size bigint,
+  error_message text,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  completed_at timestamptz,
+  expires_at timestamptz
+);
+
+-- 내 내보내기 목록, 진행 중인 요청 확인
+create index if not exists data_exports_user_id_created_at_idx
+  on public.data_exports (user_id, created_at desc);
+
+-- 다운로드 기간이 지난 파일 정리 (jobs/cleanup.js)
+create index if not exists data_exports_status_expires_at_idx
+  on public.data_exports (status, expires_at);
+
+-- 서버(Service Role)만 읽고 씀
+alter table public.data_exports enable row level security;
+
+-- 내보내기 파일 버킷 (비공개, DATA_EXPORT_BUCKET 기본값)
+insert into storage.buckets (id, name, public)
+values ('data-exports', 'data-exports', false)
+on conflict (id) do nothing;
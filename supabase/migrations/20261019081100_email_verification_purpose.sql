@@ -0,0 +1,13 @@
+-- 이메일 인증 코드 용도 (src/models/EmailVerification.js)
+-- 회원가입 인증과 이메일 변경 인증 코드를 구분합니다. purpose가 비어 있는 기존 코드는 회원가입 인증으로 취급합니다.
+
+alter table public.email_verifications
+  add column if not exists purpose text;
+
+-- 이메일/용도별 최신 미사용 코드 조회
+create index if not exists email_verifications_email_purpose_created_at_idx
+  on public.email_verifications (email, purpose, created_at desc);
+
+-- 사용자별 이전 변경 요청 코드 만료
+create index if not exists email_verifications_user_id_purpose_idx
+  on public.email_verifications (user_id, purpose);
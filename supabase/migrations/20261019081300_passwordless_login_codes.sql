@@ -0,0 +1,16 @@
+-- 비밀번호 없는 로그인 코드 / 매직 링크 (src/models/EmailVerification.js, src/routes/passwordless.js)
+-- 로그인 코드와 매직 링크 토큰은 원본을 메일로만 보내고 SHA-256 해시만 저장하며, 코드마다 오답 횟수를 셉니다.
+
+alter table public.email_verifications
+  add column if not exists code_hash text,
+  add column if not exists token_hash text,
+  add column if not exists attempts integer not null default 0;
+
+-- 해시만 저장하는 코드는 원본 code가 비어 있음
+alter table public.email_verifications
+  alter column code drop not null;
+
+-- 매직 링크 토큰 조회
+create unique index if not exists email_verifications_token_hash_key
+  on public.email_verifications (token_hash)
+  where token_hash is not null;
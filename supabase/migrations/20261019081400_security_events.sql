@@ -0,0 +1,30 @@
+-- 계정 보안 이벤트 (src/models/SecurityEvent.js)
+-- 로그인 성공/실패, 비밀번호/이메일 변경, 2단계 인증, 세션 종료 등을 IP, User-Agent와 함께 기록합니다.
+-- 가입되지 않은 이메일로 로그인에 실패하면 user_id 없이 기록됩니다 (입력한 이메일은 저장하지 않음).
+
+create table if not exists public.security_events (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references public.users (id) on delete cascade,
+  event_type text not null,
+  ip_address text,
+  user_agent text,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+-- 내 계정 보안 이벤트 (event_type 필터, 최신순)
+create index if not exists security_events_user_id_created_at_idx
+  on public.security_events (user_id, created_at desc);
+
+-- 관리자 조회 (event_type, ip_address, 기간 필터)와 보관 기간 정리 (jobs/cleanup.js)
+create index if not exists security_events_event_type_created_at_idx
+  on public.security_events (event_type, created_at desc);
+
+create index if not exists security_events_ip_address_created_at_idx
+  on public.security_events (ip_address, created_at desc);
+
+create index if not exists security_events_created_at_idx
+  on public.security_events (created_at);
+
+-- 서버(Service Role)만 읽고 씀
+alter table public.security_events enable row level security;
@@ -0,0 +1,10 @@
+-- 이메일 인증 코드 해시 저장 (src/models/EmailVerification.js)
+-- 회원가입/이메일 변경 코드도 SHA-256 해시만 저장합니다. 이전에 원본으로 저장된 미사용 코드는 해시로 옮기고 원본을 지웁니다.
+
+create extension if not exists pgcrypto with schema extensions;
+
+update public.email_verifications
+set code_hash = encode(extensions.digest(code, 'sha256'), 'hex'),
+    code = null
+where code is not null
+  and code_hash is null;
@@ -0,0 +1,34 @@
+-- 휴대폰 번호 인증 (src/models/PhoneVerification.js, src/routes/verification.js)
+-- 번호는 E.164 형식(+821012345678)으로 저장하고, 인증 코드는 SHA-256 해시로만 저장합니다.
+
+create table if not exists public.phone_verifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  phone text not null,
+  code_hash text not null,
+  attempts integer not null default 0,
+  is_verified boolean not null default false,
+  verified_at timestamptz,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+-- 사용자/번호별 최신 미사용 코드 조회
+create index if not exists phone_verifications_user_id_phone_created_at_idx
+  on public.phone_verifications (user_id, phone, created_at desc);
+
+-- 번호별 하루 발송 수 확인
+create index if not exists phone_verifications_phone_created_at_idx
+  on public.phone_verifications (phone, created_at);
+
+-- 서버(Service Role)만 읽고 씀
+alter table public.phone_verifications enable row level security;
+
+alter table public.users
+  add column if not exists phone_verified boolean not null default false,
+  add column if not exists phone_verified_at timestamptz;
+
+-- 한 번호는 한 계정에서만 인증 가능
+create unique index if not exists users_verified_phone_key
+  on public.users (phone)
+  where phone_verified;
@@ -0,0 +1,209 @@
+-- 맛집 검색 인덱스 (restaurant_search_documents) 와 검색 RPC
+-- 문서 내용은 서버(src/utils/searchText.js)가 만들어 저장하며,
+-- 배포 후 인덱스가 비어 있으면 서버 시작 시 전체 재생성합니다 (src/jobs/searchIndex.js).
+
+create extension if not exists pg_trgm with schema extensions;
+
+-- 확장을 public에 설치한 프로젝트도 있으므로 스키마를 붙이지 않고 찾음
+set search_path = public, extensions;
+
+-- ---------------------------------------------------------------------------
+-- 검색 문서
+-- ---------------------------------------------------------------------------
+
+create table if not exists public.restaurant_search_documents (
+  restaurant_id uuid primary key references public.restaurants (id) on delete cascade,
+  category_id uuid,
+  name text not null default '',
+  name_chosung text not null default '',
+  keywords text not null default '',
+  menu_text text not null default '',
+  address_text text not null default '',
+  description text not null default '',
+  search_text text not null default '',
+  chosung_text text not null default '',
+  source_updated_at timestamptz,
+  indexed_at timestamptz not null default now()
+);
+
+-- 서버(Service Role)만 읽고 씀
+alter table public.restaurant_search_documents enable row level security;
+
+create index if not exists restaurant_search_documents_search_text_trgm_idx
+  on public.restaurant_search_documents using gin (search_text gin_trgm_ops);
+create index if not exists restaurant_search_documents_chosung_text_trgm_idx
+  on public.restaurant_search_documents using gin (chosung_text gin_trgm_ops);
+create index if not exists restaurant_search_documents_category_id_idx
+  on public.restaurant_search_documents (category_id);
+
+-- ---------------------------------------------------------------------------
+-- 검색어 매칭과 점수
+-- ---------------------------------------------------------------------------
+
+-- LIKE 패턴용 이스케이프 (검색어의 %, _, \ 는 문자 그대로)
+create or replace function public.search_like_escape(p_term text)
+returns text
+language sql
+immutable
+as $$
+  select replace(replace(replace(p_term, '\', '\\'), '%', '\%'), '_', '\_')
+$$;
+
+/*
+ * 검색어와 일치하는 문서 ID
+ * p_terms: 검색어 단어 — 모든 단어가 포함된 문서
+ * 단어마다 LIKE 조건을 만들어 실행하므로 trigram 인덱스를 사용합니다.
+ */
+create or replace function public.restaurant_search_match_ids(p_mode text, p_terms text[])
+returns setof uuid
+language plpgsql
+stable
+set search_path = public, extensions
+as $$
+declare
+  v_term text;
+  v_pattern text;
+  v_conditions text[] := '{}';
+begin
+  foreach v_term in array coalesce(p_terms, '{}') loop
+    continue when coalesce(v_term, '') = '';
+
+    v_pattern := '%' || public.search_like_escape(v_term) || '%';
+    v_conditions := v_conditions || case p_mode
+      when 'chosung' then format('d.chosung_text like %L', v_pattern)
+      else format('d.search_text like %L', v_pattern)
+    end;
+  end loop;
+
+  if cardinality(v_conditions) = 0 then
+    return;
+  end if;
+
+  return query execute
+    'select d.restaurant_id from public.restaurant_search_documents d where '
+    || array_to_string(v_conditions, ' and ');
+end;
+$$;
+
+/*
+ * 단어 하나의 관련도 점수
+ * 이름 일치 100, 이름 시작 60, 이름 포함 40, 카테고리/태그 25, 메뉴 15, 주소 10, 설명 5
+ * 초성은 name_chosung 기준 60/40, 그 외 초성 10
+ */
+create or replace function public.restaurant_search_term_score(
+  d public.restaurant_search_documents,
+  p_mode text,
+  p_term text
+)
+returns numeric
+language sql
+immutable
+as $$
+  select (case
+    when coalesce(p_term, '') = '' then 0
+    when p_mode = 'chosung' then case
+      when starts_with(d.name_chosung, p_term) then 60
+      when strpos(d.name_chosung, p_term) > 0 then 40
+      when strpos(d.chosung_text, p_term) > 0 then 10
+      else 0
+    end
+    else case
+      when d.name = p_term then 100
+      when starts_with(d.name, p_term) then 60
+      when strpos(d.name, p_term) > 0 then 40
+      when strpos(d.keywords, p_term) > 0 then 25
+      when strpos(d.menu_text, p_term) > 0 then 15
+      when strpos(d.address_text, p_term) > 0 then 10
+      when strpos(d.description, p_term) > 0 then 5
+      else 0
+    end
+  end)::numeric
+$$;
+
+-- 검색 조건에 맞는 맛집과 점수 (단어별 점수 합)
+create or replace function public.restaurant_search_candidates(
+  p_mode text,
+  p_terms text[],
+  p_category_ids uuid[]
+)
+returns table (
+  restaurant_id uuid,
+  search_score numeric,
+  rating numeric,
+  review_count bigint,
+  view_count bigint,
+  favorite_count bigint,
+  created_at timestamptz
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with params as (
+    select p_mode is not null and cardinality(p_terms) > 0 as has_terms
+  )
+  select
+    d.restaurant_id,
+    coalesce(score.search_score, 0),
+    r.rating::numeric,
+    r.review_count::bigint,
+    r.view_count::bigint,
+    r.favorite_count::bigint,
+    r.created_at::timestamptz
+  from public.restaurant_search_documents d
+  join public.restaurants r on r.id = d.restaurant_id
+  cross join params p
+  left join lateral (
+    select sum(public.restaurant_search_term_score(d, p_mode, term.value)) as search_score
+    from unnest(p_terms) as term (value)
+  ) score on p.has_terms
+  where (not p.has_terms or d.restaurant_id in (select public.restaurant_search_match_ids(p_mode, p_terms)))
+    and (p_category_ids is null or d.category_id = any (p_category_ids))
+$$;
+
+-- ---------------------------------------------------------------------------
+-- 검색 (src/models/RestaurantSearch.js search)
+-- ---------------------------------------------------------------------------
+
+/*
+ * p_sort: relevance(점수 → 평점 → 리뷰 수) 또는 view_count, review_count, rating, favorite_count, created_at 내림차순,
+ *         마지막은 항상 restaurant_id
+ * total_count: 전체 결과 수
+ */
+create or replace function public.search_restaurants(
+  p_mode text default null,
+  p_terms text[] default '{}',
+  p_category_ids uuid[] default null,
+  p_sort text default 'relevance',
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (
+  restaurant_id uuid,
+  search_score numeric,
+  total_count bigint
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  select
+    c.restaurant_id,
+    c.search_score,
+    count(*) over () as total_count
+  from public.restaurant_search_candidates(p_mode, p_terms, p_category_ids) c
+  order by
+    case p_sort
+      when 'view_count' then c.view_count
+      when 'review_count' then c.review_count
+      when 'favorite_count' then c.favorite_count
+    end desc nulls last,
+    case when p_sort = 'rating' then c.rating end desc nulls last,
+    case when p_sort = 'created_at' then c.created_at end desc nulls last,
+    case when p_sort is null or p_sort = 'relevance' then c.search_score end desc,
+    case when p_sort is null or p_sort = 'relevance' then c.rating end desc nulls last,
+    case when p_sort is null or p_sort = 'relevance' then c.review_count end desc nulls last,
+    c.restaurant_id desc
+  limit p_limit
+  offset p_offset
+$$;
@@ -0,0 +1,33 @@
+-- 오타 허용 맛집 검색 (src/models/RestaurantSearch.js fuzzySearch)
+-- name_jamo는 서버(src/utils/searchText.js toJamo)가 채웁니다. 이미 만든 문서가 있으면 POST /api/admin/search/reindex로 다시 만들어야 합니다.
+
+set search_path = public, extensions;
+
+alter table public.restaurant_search_documents
+  add column if not exists name_jamo text not null default '';
+
+create index if not exists restaurant_search_documents_name_jamo_trgm_idx
+  on public.restaurant_search_documents using gin (name_jamo gin_trgm_ops);
+
+-- 편집 거리와 점수는 서버(src/utils/fuzzyMatch.js)에서 계산하므로 후보는 넉넉하게 (유사도 0.3 이상)
+create or replace function public.search_restaurants_fuzzy(
+  p_jamo text,
+  p_category_ids uuid[] default null,
+  p_limit integer default 100
+)
+returns table (
+  restaurant_id uuid,
+  name_jamo text
+)
+language sql
+stable
+set search_path = public, extensions
+set pg_trgm.word_similarity_threshold = 0.3
+as $$
+  select d.restaurant_id, d.name_jamo
+  from public.restaurant_search_documents d
+  where p_jamo <% d.name_jamo
+    and (p_category_ids is null or d.category_id = any (p_category_ids))
+  order by word_similarity(p_jamo, d.name_jamo) desc, d.restaurant_id
+  limit p_limit
+$$;
@@ -0,0 +1,93 @@
+-- 로마자/영문 맛집 검색 (parseSearchQuery의 latin 모드)
+-- *_romanized 컬럼은 서버(src/utils/searchText.js toRomanized)가 채웁니다. 이미 만든 문서가 있으면 POST /api/admin/search/reindex로 다시 만들어야 합니다.
+
+set search_path = public, extensions;
+
+alter table public.restaurant_search_documents
+  add column if not exists name_romanized text not null default '',
+  add column if not exists keywords_romanized text not null default '',
+  add column if not exists menu_romanized text not null default '',
+  add column if not exists address_romanized text not null default '',
+  add column if not exists romanized_text text not null default '';
+
+create index if not exists restaurant_search_documents_romanized_text_trgm_idx
+  on public.restaurant_search_documents using gin (romanized_text gin_trgm_ops);
+
+-- latin: 한글 문서(search_text)와 로마자 표기(romanized_text) 어느 쪽이든 포함
+create or replace function public.restaurant_search_match_ids(p_mode text, p_terms text[])
+returns setof uuid
+language plpgsql
+stable
+set search_path = public, extensions
+as $$
+declare
+  v_term text;
+  v_pattern text;
+  v_conditions text[] := '{}';
+begin
+  foreach v_term in array coalesce(p_terms, '{}') loop
+    continue when coalesce(v_term, '') = '';
+
+    v_pattern := '%' || public.search_like_escape(v_term) || '%';
+    v_conditions := v_conditions || case p_mode
+      when 'chosung' then format('d.chosung_text like %L', v_pattern)
+      when 'latin' then format('(d.search_text like %1$L or d.romanized_text like %1$L)', v_pattern)
+      else format('d.search_text like %L', v_pattern)
+    end;
+  end loop;
+
+  if cardinality(v_conditions) = 0 then
+    return;
+  end if;
+
+  return query execute
+    'select d.restaurant_id from public.restaurant_search_documents d where '
+    || array_to_string(v_conditions, ' and ');
+end;
+$$;
+
+/*
+ * 단어 하나의 관련도 점수
+ * 이름 일치 100, 이름 시작 60, 이름 포함 40, 카테고리/태그 25, 메뉴 15, 주소 10, 설명 5
+ * 초성은 name_chosung 기준 60/40, 그 외 초성 10
+ * 로마자는 name/name_romanized → keywords_romanized → menu_romanized → address_romanized 순으로 같은 점수
+ */
+create or replace function public.restaurant_search_term_score(
+  d public.restaurant_search_documents,
+  p_mode text,
+  p_term text
+)
+returns numeric
+language sql
+immutable
+as $$
+  select (case
+    when coalesce(p_term, '') = '' then 0
+    when p_mode = 'chosung' then case
+      when starts_with(d.name_chosung, p_term) then 60
+      when strpos(d.name_chosung, p_term) > 0 then 40
+      when strpos(d.chosung_text, p_term) > 0 then 10
+      else 0
+    end
+    when p_mode = 'latin' then case
+      when d.name = p_term or d.name_romanized = p_term then 100
+      when starts_with(d.name, p_term) or starts_with(d.name_romanized, p_term) then 60
+      when strpos(d.name, p_term) > 0 or strpos(d.name_romanized, p_term) > 0 then 40
+      when strpos(d.keywords, p_term) > 0 or strpos(d.keywords_romanized, p_term) > 0 then 25
+      when strpos(d.menu_text, p_term) > 0 or strpos(d.menu_romanized, p_term) > 0 then 15
+      when strpos(d.address_text, p_term) > 0 or strpos(d.address_romanized, p_term) > 0 then 10
+      when strpos(d.description, p_term) > 0 then 5
+      else 0
+    end
+    else case
+      when d.name = p_term then 100
+      when starts_with(d.name, p_term) then 60
+      when strpos(d.name, p_term) > 0 then 40
+      when strpos(d.keywords, p_term) > 0 then 25
+      when strpos(d.menu_text, p_term) > 0 then 15
+      when strpos(d.address_text, p_term) > 0 then 10
+      when strpos(d.description, p_term) > 0 then 5
+      else 0
+    end
+  end)::numeric
+$$;
@@ -0,0 +1,158 @@
+-- 검색 동의어/확장어 사전 (src/models/SearchSynonym.js)
+-- 검색 RPC는 단어 목록 대신 단어마다 [원래 단어, ...확장어] 그룹(p_term_groups)을 받습니다.
+
+set search_path = public, extensions;
+
+create table if not exists public.search_synonyms (
+  id uuid primary key default gen_random_uuid(),
+  term text not null unique,
+  expansions text[] not null default '{}',
+  bidirectional boolean not null default false,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- 서버(Service Role)만 읽고 씀
+alter table public.search_synonyms enable row level security;
+
+-- 인자가 바뀌므로 이전 함수는 지우고 다시 만듦
+drop function if exists public.search_restaurants(text, text[], uuid[], text, integer, integer);
+drop function if exists public.restaurant_search_candidates(text, text[], uuid[]);
+drop function if exists public.restaurant_search_match_ids(text, text[]);
+
+/*
+ * 검색어와 일치하는 문서 ID
+ * p_term_groups: [[원래 단어, ...동의어], ...] — 모든 그룹에서 하나 이상의 단어가 포함된 문서
+ * 그룹마다 LIKE 조건을 만들어 실행하므로 trigram 인덱스를 사용합니다.
+ */
+create or replace function public.restaurant_search_match_ids(p_mode text, p_term_groups jsonb)
+returns setof uuid
+language plpgsql
+stable
+set search_path = public, extensions
+as $$
+declare
+  v_group jsonb;
+  v_term text;
+  v_pattern text;
+  v_terms text[];
+  v_groups text[] := '{}';
+begin
+  for v_group in select value from jsonb_array_elements(coalesce(p_term_groups, '[]'::jsonb)) loop
+    v_terms := '{}';
+
+    for v_term in select value from jsonb_array_elements_text(v_group) loop
+      continue when coalesce(v_term, '') = '';
+
+      v_pattern := '%' || public.search_like_escape(v_term) || '%';
+      v_terms := v_terms || case p_mode
+        when 'chosung' then format('d.chosung_text like %L', v_pattern)
+        when 'latin' then format('(d.search_text like %1$L or d.romanized_text like %1$L)', v_pattern)
+        else format('d.search_text like %L', v_pattern)
+      end;
+    end loop;
+
+    if cardinality(v_terms) > 0 then
+      v_groups := v_groups || ('(' || array_to_string(v_terms, ' or ') || ')');
+    end if;
+  end loop;
+
+  if cardinality(v_groups) = 0 then
+    return;
+  end if;
+
+  return query execute
+    'select d.restaurant_id from public.restaurant_search_documents d where '
+    || array_to_string(v_groups, ' and ');
+end;
+$$;
+
+-- 검색 조건에 맞는 맛집과 점수 (그룹별로 가장 높은 단어 점수를 합산, 동의어는 절반)
+create or replace function public.restaurant_search_candidates(
+  p_mode text,
+  p_term_groups jsonb,
+  p_category_ids uuid[]
+)
+returns table (
+  restaurant_id uuid,
+  search_score numeric,
+  rating numeric,
+  review_count bigint,
+  view_count bigint,
+  favorite_count bigint,
+  created_at timestamptz
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with params as (
+    select p_mode is not null and jsonb_typeof(p_term_groups) = 'array' and jsonb_array_length(p_term_groups) > 0 as has_terms
+  )
+  select
+    d.restaurant_id,
+    coalesce(score.search_score, 0),
+    r.rating::numeric,
+    r.review_count::bigint,
+    r.view_count::bigint,
+    r.favorite_count::bigint,
+    r.created_at::timestamptz
+  from public.restaurant_search_documents d
+  join public.restaurants r on r.id = d.restaurant_id
+  cross join params p
+  left join lateral (
+    select sum(best.score) as search_score
+    from (
+      select max(public.restaurant_search_term_score(d, p_mode, term.value) * case when term.ordinality = 1 then 1 else 0.5 end) as score
+      from jsonb_array_elements(case when p.has_terms then p_term_groups else '[]'::jsonb end) with ordinality as term_group (terms, ordinality)
+      cross join lateral jsonb_array_elements_text(term_group.terms) with ordinality as term (value, ordinality)
+      group by term_group.ordinality
+    ) best
+  ) score on p.has_terms
+  where (not p.has_terms or d.restaurant_id in (select public.restaurant_search_match_ids(p_mode, p_term_groups)))
+    and (p_category_ids is null or d.category_id = any (p_category_ids))
+$$;
+
+/*
+ * p_sort: relevance(점수 → 평점 → 리뷰 수) 또는 view_count, review_count, rating, favorite_count, created_at 내림차순,
+ *         마지막은 항상 restaurant_id
+ * total_count: 전체 결과 수
+ */
+create or replace function public.search_restaurants(
+  p_mode text default null,
+  p_term_groups jsonb default '[]'::jsonb,
+  p_category_ids uuid[] default null,
+  p_sort text default 'relevance',
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (
+  restaurant_id uuid,
+  search_score numeric,
+  total_count bigint
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  select
+    c.restaurant_id,
+    c.search_score,
+    count(*) over () as total_count
+  from public.restaurant_search_candidates(p_mode, p_term_groups, p_category_ids) c
+  order by
+    case p_sort
+      when 'view_count' then c.view_count
+      when 'review_count' then c.review_count
+      when 'favorite_count' then c.favorite_count
+    end desc nulls last,
+    case when p_sort = 'rating' then c.rating end desc nulls last,
+    case when p_sort = 'created_at' then c.created_at end desc nulls last,
+    case when p_sort is null or p_sort = 'relevance' then c.search_score end desc,
+    case when p_sort is null or p_sort = 'relevance' then c.rating end desc nulls last,
+    case when p_sort is null or p_sort = 'relevance' then c.review_count end desc nulls last,
+    c.restaurant_id desc
+  limit p_limit
+  offset p_offset
+$$;
@@ -0,0 +1,252 @@
+-- 맛집 목록 필터(패싯)와 패싯 집계 (src/utils/restaurantFilters.js, src/models/RestaurantSearch.js facetCounts)
+-- 필터 값 컬럼은 서버(extractFilterAttributes)가 채웁니다. 이미 만든 문서가 있으면 POST /api/admin/search/reindex로 다시 만들어야 합니다.
+
+set search_path = public, extensions;
+
+alter table public.restaurant_search_documents
+  add column if not exists price_range text,
+  add column if not exists facilities text[] not null default '{}',
+  add column if not exists services text[] not null default '{}',
+  add column if not exists tag_ids uuid[] not null default '{}';
+
+create index if not exists restaurant_search_documents_facilities_idx
+  on public.restaurant_search_documents using gin (facilities);
+create index if not exists restaurant_search_documents_services_idx
+  on public.restaurant_search_documents using gin (services);
+create index if not exists restaurant_search_documents_tag_ids_idx
+  on public.restaurant_search_documents using gin (tag_ids);
+
+-- jsonb 문자열 배열 → text[] (null이면 빈 배열)
+create or replace function public.jsonb_text_array(p_value jsonb)
+returns text[]
+language sql
+immutable
+as $$
+  select case
+    when jsonb_typeof(p_value) = 'array' then array(select jsonb_array_elements_text(p_value))
+    else '{}'::text[]
+  end
+$$;
+
+-- 인자와 반환 컬럼이 바뀌므로 이전 함수는 지우고 다시 만듦
+drop function if exists public.search_restaurants(text, jsonb, uuid[], text, integer, integer);
+drop function if exists public.search_restaurants_fuzzy(text, uuid[], integer);
+drop function if exists public.restaurant_search_candidates(text, jsonb, uuid[]);
+
+/*
+ * 검색/필터 조건에 맞는 맛집 (search_restaurants, search_restaurants_fuzzy, restaurant_facet_counts 공통)
+ * p_filters: { price_ranges, facilities, services, tag_ids, min_rating, min_review_count }
+ * p_ignore_price_ranges: 가격대 패싯 집계용 (자기 필터를 빼고 셈)
+ */
+create or replace function public.restaurant_search_candidates(
+  p_mode text,
+  p_term_groups jsonb,
+  p_category_ids uuid[],
+  p_filters jsonb,
+  p_ignore_price_ranges boolean default false
+)
+returns table (
+  restaurant_id uuid,
+  search_score numeric,
+  rating numeric,
+  review_count bigint,
+  view_count bigint,
+  favorite_count bigint,
+  created_at timestamptz,
+  price_range text,
+  facilities text[],
+  services text[],
+  tag_ids uuid[]
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with params as (
+    select
+      p_mode is not null and jsonb_typeof(p_term_groups) = 'array' and jsonb_array_length(p_term_groups) > 0 as has_terms,
+      coalesce(p_filters, '{}'::jsonb) as filters
+  )
+  select
+    d.restaurant_id,
+    coalesce(score.search_score, 0),
+    r.rating::numeric,
+    r.review_count::bigint,
+    r.view_count::bigint,
+    r.favorite_count::bigint,
+    r.created_at::timestamptz,
+    d.price_range,
+    d.facilities,
+    d.services,
+    d.tag_ids
+  from public.restaurant_search_documents d
+  join public.restaurants r on r.id = d.restaurant_id
+  cross join params p
+  -- 그룹별로 가장 높은 단어 점수를 합산 (동의어는 절반)
+  left join lateral (
+    select sum(best.score) as search_score
+    from (
+      select max(public.restaurant_search_term_score(d, p_mode, term.value) * case when term.ordinality = 1 then 1 else 0.5 end) as score
+      from jsonb_array_elements(case when p.has_terms then p_term_groups else '[]'::jsonb end) with ordinality as term_group (terms, ordinality)
+      cross join lateral jsonb_array_elements_text(term_group.terms) with ordinality as term (value, ordinality)
+      group by term_group.ordinality
+    ) best
+  ) score on p.has_terms
+  where (not p.has_terms or d.restaurant_id in (select public.restaurant_search_match_ids(p_mode, p_term_groups)))
+    and (p_category_ids is null or d.category_id = any (p_category_ids))
+    and (
+      p_ignore_price_ranges
+      or cardinality(public.jsonb_text_array(p.filters -> 'price_ranges')) = 0
+      or d.price_range = any (public.jsonb_text_array(p.filters -> 'price_ranges'))
+    )
+    and d.facilities @> public.jsonb_text_array(p.filters -> 'facilities')
+    and d.services @> public.jsonb_text_array(p.filters -> 'services')
+    and d.tag_ids @> public.jsonb_text_array(p.filters -> 'tag_ids')::uuid[]
+    and (
+      jsonb_typeof(p.filters -> 'min_rating') is distinct from 'number'
+      or r.rating >= (p.filters ->> 'min_rating')::numeric
+    )
+    and (
+      jsonb_typeof(p.filters -> 'min_review_count') is distinct from 'number'
+      or r.review_count >= (p.filters ->> 'min_review_count')::numeric
+    )
+$$;
+
+/*
+ * p_sort: relevance(점수 → 평점 → 리뷰 수) 또는 view_count, review_count, rating, favorite_count, created_at 내림차순,
+ *         마지막은 항상 restaurant_id
+ * total_count: 전체 결과 수
+ */
+create or replace function public.search_restaurants(
+  p_mode text default null,
+  p_term_groups jsonb default '[]'::jsonb,
+  p_category_ids uuid[] default null,
+  p_filters jsonb default null,
+  p_sort text default 'relevance',
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (
+  restaurant_id uuid,
+  search_score numeric,
+  total_count bigint
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  select
+    c.restaurant_id,
+    c.search_score,
+    count(*) over () as total_count
+  from public.restaurant_search_candidates(p_mode, p_term_groups, p_category_ids, p_filters) c
+  order by
+    case p_sort
+      when 'view_count' then c.view_count
+      when 'review_count' then c.review_count
+      when 'favorite_count' then c.favorite_count
+    end desc nulls last,
+    case when p_sort = 'rating' then c.rating end desc nulls last,
+    case when p_sort = 'created_at' then c.created_at end desc nulls last,
+    case when p_sort is null or p_sort = 'relevance' then c.search_score end desc,
+    case when p_sort is null or p_sort = 'relevance' then c.rating end desc nulls last,
+    case when p_sort is null or p_sort = 'relevance' then c.review_count end desc nulls last,
+    c.restaurant_id desc
+  limit p_limit
+  offset p_offset
+$$;
+
+-- 편집 거리와 점수는 서버(src/utils/fuzzyMatch.js)에서 계산하므로 후보는 넉넉하게 (유사도 0.3 이상)
+create or replace function public.search_restaurants_fuzzy(
+  p_jamo text,
+  p_category_ids uuid[] default null,
+  p_filters jsonb default null,
+  p_limit integer default 100
+)
+returns table (
+  restaurant_id uuid,
+  name_jamo text
+)
+language sql
+stable
+set search_path = public, extensions
+set pg_trgm.word_similarity_threshold = 0.3
+as $$
+  select c.restaurant_id, d.name_jamo
+  from public.restaurant_search_documents d
+  join public.restaurant_search_candidates(null, '[]'::jsonb, p_category_ids, p_filters) c
+    on c.restaurant_id = d.restaurant_id
+  where p_jamo <% d.name_jamo
+  order by word_similarity(p_jamo, d.name_jamo) desc, c.restaurant_id
+  limit p_limit
+$$;
+
+/*
+ * facet: price_range | facility | service | tag | min_rating | min_review_count
+ * price_range는 p_filters.price_ranges를 빼고 셈, 나머지는 현재 결과 안에서 해당 값을 가진 맛집 수
+ */
+create or replace function public.restaurant_facet_counts(
+  p_mode text default null,
+  p_term_groups jsonb default '[]'::jsonb,
+  p_category_ids uuid[] default null,
+  p_filters jsonb default null,
+  p_rating_steps numeric[] default '{}',
+  p_review_count_steps integer[] default '{}'
+)
+returns table (
+  facet text,
+  value text,
+  count bigint
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with results as (
+    select *
+    from public.restaurant_search_candidates(p_mode, p_term_groups, p_category_ids, p_filters)
+  ),
+  price_results as (
+    select *
+    from public.restaurant_search_candidates(p_mode, p_term_groups, p_category_ids, p_filters, true)
+  )
+  select 'price_range', c.price_range, count(*)
+  from price_results c
+  where c.price_range is not null
+  group by c.price_range
+
+  union all
+
+  select 'facility', facility.value, count(*)
+  from results c
+  cross join lateral unnest(c.facilities) as facility (value)
+  group by facility.value
+
+  union all
+
+  select 'service', service.value, count(*)
+  from results c
+  cross join lateral unnest(c.services) as service (value)
+  group by service.value
+
+  union all
+
+  select 'tag', tag.value::text, count(*)
+  from results c
+  cross join lateral unnest(c.tag_ids) as tag (value)
+  group by tag.value
+
+  union all
+
+  select 'min_rating', step.value::text, count(c.restaurant_id)
+  from unnest(p_rating_steps) as step (value)
+  left join results c on c.rating >= step.value
+  group by step.value
+
+  union all
+
+  select 'min_review_count', step.value::text, count(c.restaurant_id)
+  from unnest(p_review_count_steps) as step (value)
+  left join results c on c.review_count >= step.value
+  group by step.value
+$$;
@@ -0,0 +1,126 @@
+-- 맛집 영업시간과 영업 중 필터 (src/utils/openingHours.js, src/models/OpeningHours.js)
+-- 영업 여부는 서버가 한국 시간 기준으로 계산해 영업 중인 맛집 ID 목록(restaurant_ids)으로 넘기며,
+-- RPC는 그 목록으로 먼저 거른 뒤 정렬/limit을 적용합니다.
+
+set search_path = public, extensions;
+
+-- 특별 영업일 [{ date: "2026-12-25", closed: true }, { date: "2026-12-31", hours: "11:00-18:00", last_order: "17:30" }]
+alter table public.restaurant_operations
+  add column if not exists special_days jsonb;
+
+/*
+ * 검색/필터 조건에 맞는 맛집 (search_restaurants, search_restaurants_fuzzy, restaurant_facet_counts 공통)
+ * p_filters: { price_ranges, facilities, services, tag_ids, min_rating, min_review_count, restaurant_ids }
+ * p_ignore_price_ranges: 가격대 패싯 집계용 (자기 필터를 빼고 셈)
+ */
+create or replace function public.restaurant_search_candidates(
+  p_mode text,
+  p_term_groups jsonb,
+  p_category_ids uuid[],
+  p_filters jsonb,
+  p_ignore_price_ranges boolean default false
+)
+returns table (
+  restaurant_id uuid,
+  search_score numeric,
+  rating numeric,
+  review_count bigint,
+  view_count bigint,
+  favorite_count bigint,
+  created_at timestamptz,
+  price_range text,
+  facilities text[],
+  services text[],
+  tag_ids uuid[]
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with params as (
+    select
+      p_mode is not null and jsonb_typeof(p_term_groups) = 'array' and jsonb_array_length(p_term_groups) > 0 as has_terms,
+      coalesce(p_filters, '{}'::jsonb) as filters
+  )
+  select
+    d.restaurant_id,
+    coalesce(score.search_score, 0),
+    r.rating::numeric,
+    r.review_count::bigint,
+    r.view_count::bigint,
+    r.favorite_count::bigint,
+    r.created_at::timestamptz,
+    d.price_range,
+    d.facilities,
+    d.services,
+    d.tag_ids
+  from public.restaurant_search_documents d
+  join public.restaurants r on r.id = d.restaurant_id
+  cross join params p
+  -- 그룹별로 가장 높은 단어 점수를 합산 (동의어는 절반)
+  left join lateral (
+    select sum(best.score) as search_score
+    from (
+      select max(public.restaurant_search_term_score(d, p_mode, term.value) * case when term.ordinality = 1 then 1 else 0.5 end) as score
+      from jsonb_array_elements(case when p.has_terms then p_term_groups else '[]'::jsonb end) with ordinality as term_group (terms, ordinality)
+      cross join lateral jsonb_array_elements_text(term_group.terms) with ordinality as term (value, ordinality)
+      group by term_group.ordinality
+    ) best
+  ) score on p.has_terms
+  where (not p.has_terms or d.restaurant_id in (select public.restaurant_search_match_ids(p_mode, p_term_groups)))
+    and (p_category_ids is null or d.category_id = any (p_category_ids))
+    and (
+      p_ignore_price_ranges
+      or cardinality(public.jsonb_text_array(p.filters -> 'price_ranges')) = 0
+      or d.price_range = any (public.jsonb_text_array(p.filters -> 'price_ranges'))
+    )
+    and d.facilities @> public.jsonb_text_array(p.filters -> 'facilities')
+    and d.services @> public.jsonb_text_array(p.filters -> 'services')
+    and d.tag_ids @> public.jsonb_text_array(p.filters -> 'tag_ids')::uuid[]
+    and (
+      jsonb_typeof(p.filters -> 'min_rating') is distinct from 'number'
+      or r.rating >= (p.filters ->> 'min_rating')::numeric
+    )
+    and (
+      jsonb_typeof(p.filters -> 'min_review_count') is distinct from 'number'
+      or r.review_count >= (p.filters ->> 'min_review_count')::numeric
+    )
+    -- 영업 중 필터 (서버에서 계산한 ID 목록)
+    and (
+      jsonb_typeof(p.filters -> 'restaurant_ids') is distinct from 'array'
+      or d.restaurant_id = any (public.jsonb_text_array(p.filters -> 'restaurant_ids')::uuid[])
+    )
+$$;
+
+-- ---------------------------------------------------------------------------
+-- 주변 맛집 영업 중 필터 (src/models/Restaurant.js findNearby)
+-- ---------------------------------------------------------------------------
+
+-- 반경(km) 안에서 p_restaurant_ids에 있는 맛집만 가까운 순으로 p_limit개 (거리는 하버사인)
+create or replace function public.nearby_restaurants_filtered(
+  p_lat double precision,
+  p_lng double precision,
+  p_radius_km double precision,
+  p_limit integer,
+  p_restaurant_ids uuid[]
+)
+returns setof public.restaurants
+language sql
+stable
+as $$
+  select r.*
+  from public.restaurants r
+  cross join lateral (
+    select 2 * 6371.0088 * asin(sqrt(
+      power(sin(radians(r.latitude::double precision - p_lat) / 2), 2)
+      + cos(radians(p_lat)) * cos(radians(r.latitude::double precision))
+        * power(sin(radians(r.longitude::double precision - p_lng) / 2), 2)
+    )) as distance_km
+  ) location
+  where r.id = any (p_restaurant_ids)
+    and r.latitude is not null
+    and r.longitude is not null
+    and location.distance_km <= p_radius_km
+  order by location.distance_km, r.id
+  limit p_limit
+$$;
@@ -0,0 +1,64 @@
+-- 맛집 목록 커서 페이지네이션 (src/utils/cursor.js, src/models/RestaurantSearch.js search)
+-- search_restaurants가 정렬에 쓴 값(sort_key)을 돌려주고, 다음 페이지는 p_after(이전 페이지 마지막 sort_key) 이후부터 조회합니다.
+
+set search_path = public, extensions;
+
+-- 인자와 반환 컬럼이 바뀌므로 이전 함수는 지우고 다시 만듦
+drop function if exists public.search_restaurants(text, jsonb, uuid[], jsonb, text, integer, integer);
+
+/*
+ * p_sort: relevance(점수 → 평점 → 리뷰 수) 또는 view_count, review_count, rating, favorite_count, created_at 내림차순,
+ *         마지막은 항상 restaurant_id
+ * sort_key: 정렬에 쓴 값 + restaurant_id. 정렬과 p_after 비교 모두 sort_key(jsonb 배열) 자체로 하므로
+ *           같은 값이 많아도 커서 페이지가 겹치거나 빠지지 않습니다 (created_at은 epoch 초).
+ * total_count: p_after 이후 전체 결과 수
+ */
+create or replace function public.search_restaurants(
+  p_mode text default null,
+  p_term_groups jsonb default '[]'::jsonb,
+  p_category_ids uuid[] default null,
+  p_filters jsonb default null,
+  p_sort text default 'relevance',
+  p_after jsonb default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (
+  restaurant_id uuid,
+  search_score numeric,
+  sort_key jsonb,
+  total_count bigint
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with keyed as (
+    select
+      c.restaurant_id,
+      c.search_score,
+      case p_sort
+        when 'view_count' then jsonb_build_array(c.view_count, c.restaurant_id)
+        when 'review_count' then jsonb_build_array(c.review_count, c.restaurant_id)
+        when 'rating' then jsonb_build_array(c.rating, c.restaurant_id)
+        when 'favorite_count' then jsonb_build_array(c.favorite_count, c.restaurant_id)
+        when 'created_at' then jsonb_build_array(extract(epoch from c.created_at), c.restaurant_id)
+        else jsonb_build_array(c.search_score, c.rating, c.review_count, c.restaurant_id)
+      end as sort_key
+    from public.restaurant_search_candidates(p_mode, p_term_groups, p_category_ids, p_filters) c
+  ),
+  remaining as (
+    select k.*
+    from keyed k
+    where p_after is null or k.sort_key < p_after
+  )
+  select
+    k.restaurant_id,
+    k.search_score,
+    k.sort_key,
+    count(*) over () as total_count
+  from remaining k
+  order by k.sort_key desc
+  limit p_limit
+  offset case when p_after is null then p_offset else 0 end
+$$;
@@ -0,0 +1,124 @@
+-- 지도 화면 RPC (src/models/RestaurantMap.js)
+-- 카테고리는 restaurants.category_id로, 패싯 필터(p_filters)는 검색 문서 기준으로
+-- search_restaurants와 같이 거릅니다 (restaurant_search_candidates, 20261019082200_restaurant_opening_hours.sql).
+
+set search_path = public, extensions;
+
+-- 화면 영역 조회용
+create index if not exists restaurants_latitude_longitude_idx
+  on public.restaurants (latitude, longitude)
+  where latitude is not null and longitude is not null;
+
+-- 필터가 있으면 검색 문서 기준으로 거른 맛집 ID (없으면 null → 거르지 않음)
+create or replace function public.map_filtered_restaurant_ids(p_category_ids uuid[], p_filters jsonb)
+returns uuid[]
+language sql
+stable
+set search_path = public, extensions
+as $$
+  select case
+    when p_filters is null then null
+    else array(
+      select c.restaurant_id
+      from public.restaurant_search_candidates(null, '[]'::jsonb, p_category_ids, p_filters) c
+    )
+  end
+$$;
+
+/*
+ * 화면 안 맛집 (평점 → 리뷰 수 → restaurant_id 내림차순, 최대 p_limit개)
+ * total_count: 화면 안 전체 맛집 수 (p_limit보다 많으면 truncated)
+ */
+create or replace function public.map_restaurant_markers(
+  p_sw_lat double precision,
+  p_sw_lng double precision,
+  p_ne_lat double precision,
+  p_ne_lng double precision,
+  p_category_ids uuid[] default null,
+  p_filters jsonb default null,
+  p_limit integer default 300
+)
+returns table (
+  restaurant_id uuid,
+  total_count bigint
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with filtered as (
+    select public.map_filtered_restaurant_ids(p_category_ids, p_filters) as ids
+  )
+  select r.id, count(*) over () as total_count
+  from public.restaurants r
+  cross join filtered f
+  where r.latitude is not null
+    and r.longitude is not null
+    and r.latitude between p_sw_lat and p_ne_lat
+    and r.longitude between p_sw_lng and p_ne_lng
+    and (p_category_ids is null or r.category_id = any (p_category_ids))
+    and (f.ids is null or r.id = any (f.ids))
+  order by r.rating desc nulls last, r.review_count desc nulls last, r.id desc
+  limit p_limit
+$$;
+
+/*
+ * 화면 안 격자 클러스터 (맛집 수 내림차순, 최대 p_limit개)
+ * 셀: floor(longitude / p_cell_size), floor(latitude / p_cell_size) — 경도/위도 0에서 시작하는 고정 격자
+ * latitude/longitude: 셀 안 맛집 좌표 평균, top_restaurant_id: 평점 → 리뷰 수 순 첫 맛집
+ */
+create or replace function public.map_restaurant_clusters(
+  p_sw_lat double precision,
+  p_sw_lng double precision,
+  p_ne_lat double precision,
+  p_ne_lng double precision,
+  p_cell_size double precision,
+  p_category_ids uuid[] default null,
+  p_filters jsonb default null,
+  p_limit integer default 500
+)
+returns table (
+  cell_x integer,
+  cell_y integer,
+  restaurant_count bigint,
+  latitude double precision,
+  longitude double precision,
+  top_restaurant_id uuid
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with filtered as (
+    select public.map_filtered_restaurant_ids(p_category_ids, p_filters) as ids
+  ),
+  points as (
+    select
+      r.id,
+      r.latitude::double precision as lat,
+      r.longitude::double precision as lng,
+      r.rating,
+      r.review_count,
+      floor(r.longitude::double precision / p_cell_size)::integer as cell_x,
+      floor(r.latitude::double precision / p_cell_size)::integer as cell_y
+    from public.restaurants r
+    cross join filtered f
+    where r.latitude is not null
+      and r.longitude is not null
+      and r.latitude between p_sw_lat and p_ne_lat
+      and r.longitude between p_sw_lng and p_ne_lng
+      and (p_category_ids is null or r.category_id = any (p_category_ids))
+      and (f.ids is null or r.id = any (f.ids))
+  )
+  select
+    p.cell_x,
+    p.cell_y,
+    count(*) as restaurant_count,
+    avg(p.lat) as latitude,
+    avg(p.lng) as longitude,
+    (array_agg(p.id order by p.rating desc nulls last, p.review_count desc nulls last, p.id desc))[1] as top_restaurant_id
+  from points p
+  group by p.cell_x, p.cell_y
+  order by count(*) desc, p.cell_x, p.cell_y
+  limit p_limit
+$$;
@@ -0,0 +1,337 @@
+-- 사용자 위치 기준 거리 (distance_m), 거리순 정렬과 거리 필터 (PostGIS)
+-- 검색/패싯/오타 허용 RPC가 p_lat, p_lng를 받고, 주변 맛집 영업 중 필터도 같은 geography 인덱스를 씁니다.
+
+create extension if not exists postgis with schema extensions;
+
+-- 확장을 public에 설치한 프로젝트도 있으므로 스키마를 붙이지 않고 찾음
+set search_path = public, extensions;
+
+-- 위도/경도 → geography (거리 계산, 거리 필터, 인덱스에서 같은 식 사용)
+create or replace function public.restaurant_geography(p_latitude double precision, p_longitude double precision)
+returns geography
+language sql
+immutable
+set search_path = public, extensions
+as $$
+  select st_setsrid(st_makepoint(p_longitude, p_latitude), 4326)::geography
+$$;
+
+create index if not exists restaurants_geography_idx
+  on public.restaurants using gist (public.restaurant_geography(latitude::double precision, longitude::double precision))
+  where latitude is not null and longitude is not null;
+
+-- 인자와 반환 컬럼이 바뀌므로 이전 함수는 지우고 다시 만듦
+drop function if exists public.search_restaurants(text, jsonb, uuid[], jsonb, text, jsonb, integer, integer);
+drop function if exists public.search_restaurants_fuzzy(text, uuid[], jsonb, integer);
+drop function if exists public.restaurant_facet_counts(text, jsonb, uuid[], jsonb, numeric[], integer[]);
+drop function if exists public.restaurant_search_candidates(text, jsonb, uuid[], jsonb, boolean);
+
+/*
+ * 검색/필터 조건에 맞는 맛집 (search_restaurants, search_restaurants_fuzzy, restaurant_facet_counts, 지도 RPC 공통)
+ * p_filters: { price_ranges, facilities, services, tag_ids, min_rating, min_review_count, restaurant_ids, max_distance_m }
+ * p_ignore_price_ranges: 가격대 패싯 집계용 (자기 필터를 빼고 셈)
+ */
+create or replace function public.restaurant_search_candidates(
+  p_mode text,
+  p_term_groups jsonb,
+  p_category_ids uuid[],
+  p_filters jsonb,
+  p_lat double precision default null,
+  p_lng double precision default null,
+  p_ignore_price_ranges boolean default false
+)
+returns table (
+  restaurant_id uuid,
+  search_score numeric,
+  distance_m double precision,
+  rating numeric,
+  review_count bigint,
+  view_count bigint,
+  favorite_count bigint,
+  created_at timestamptz,
+  price_range text,
+  facilities text[],
+  services text[],
+  tag_ids uuid[]
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with params as (
+    select
+      case
+        when p_lat is not null and p_lng is not null then public.restaurant_geography(p_lat, p_lng)
+      end as origin,
+      p_mode is not null and jsonb_typeof(p_term_groups) = 'array' and jsonb_array_length(p_term_groups) > 0 as has_terms,
+      coalesce(p_filters, '{}'::jsonb) as filters
+  )
+  select
+    d.restaurant_id,
+    coalesce(score.search_score, 0),
+    location.distance_m,
+    r.rating::numeric,
+    r.review_count::bigint,
+    r.view_count::bigint,
+    r.favorite_count::bigint,
+    r.created_at::timestamptz,
+    d.price_range,
+    d.facilities,
+    d.services,
+    d.tag_ids
+  from public.restaurant_search_documents d
+  join public.restaurants r on r.id = d.restaurant_id
+  cross join params p
+  cross join lateral (
+    select case
+      when p.origin is not null and r.latitude is not null and r.longitude is not null
+        then st_distance(public.restaurant_geography(r.latitude::double precision, r.longitude::double precision), p.origin)
+    end as distance_m
+  ) location
+  -- 그룹별로 가장 높은 단어 점수를 합산 (동의어는 절반)
+  left join lateral (
+    select sum(best.score) as search_score
+    from (
+      select max(public.restaurant_search_term_score(d, p_mode, term.value) * case when term.ordinality = 1 then 1 else 0.5 end) as score
+      from jsonb_array_elements(case when p.has_terms then p_term_groups else '[]'::jsonb end) with ordinality as term_group (terms, ordinality)
+      cross join lateral jsonb_array_elements_text(term_group.terms) with ordinality as term (value, ordinality)
+      group by term_group.ordinality
+    ) best
+  ) score on p.has_terms
+  where (not p.has_terms or d.restaurant_id in (select public.restaurant_search_match_ids(p_mode, p_term_groups)))
+    and (p_category_ids is null or d.category_id = any (p_category_ids))
+    and (
+      p_ignore_price_ranges
+      or cardinality(public.jsonb_text_array(p.filters -> 'price_ranges')) = 0
+      or d.price_range = any (public.jsonb_text_array(p.filters -> 'price_ranges'))
+    )
+    and d.facilities @> public.jsonb_text_array(p.filters -> 'facilities')
+    and d.services @> public.jsonb_text_array(p.filters -> 'services')
+    and d.tag_ids @> public.jsonb_text_array(p.filters -> 'tag_ids')::uuid[]
+    and (
+      jsonb_typeof(p.filters -> 'min_rating') is distinct from 'number'
+      or r.rating >= (p.filters ->> 'min_rating')::numeric
+    )
+    and (
+      jsonb_typeof(p.filters -> 'min_review_count') is distinct from 'number'
+      or r.review_count >= (p.filters ->> 'min_review_count')::numeric
+    )
+    -- 영업 중 필터 (서버에서 계산한 ID 목록)
+    and (
+      jsonb_typeof(p.filters -> 'restaurant_ids') is distinct from 'array'
+      or d.restaurant_id = any (public.jsonb_text_array(p.filters -> 'restaurant_ids')::uuid[])
+    )
+    -- 거리 필터는 위치가 있을 때만 (좌표가 없는 맛집 제외)
+    and (
+      p.origin is null
+      or jsonb_typeof(p.filters -> 'max_distance_m') is distinct from 'number'
+      or (
+        r.latitude is not null and r.longitude is not null
+        and st_dwithin(
+          public.restaurant_geography(r.latitude::double precision, r.longitude::double precision),
+          p.origin,
+          (p.filters ->> 'max_distance_m')::double precision
+        )
+      )
+    )
+$$;
+
+/*
+ * p_sort: relevance(점수 → 평점 → 리뷰 수) 또는 view_count, review_count, rating, favorite_count, created_at 내림차순,
+ *         distance는 distance_m 오름차순 (좌표가 없는 맛집 제외). 마지막은 항상 restaurant_id
+ * sort_key: 정렬에 쓴 값 + restaurant_id. 정렬과 p_after 비교 모두 sort_key(jsonb 배열) 자체로 하므로
+ *           같은 값이 많아도 커서 페이지가 겹치거나 빠지지 않습니다 (created_at은 epoch 초).
+ * total_count: p_after 이후 전체 결과 수
+ */
+create or replace function public.search_restaurants(
+  p_mode text default null,
+  p_term_groups jsonb default '[]'::jsonb,
+  p_category_ids uuid[] default null,
+  p_filters jsonb default null,
+  p_lat double precision default null,
+  p_lng double precision default null,
+  p_sort text default 'relevance',
+  p_after jsonb default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (
+  restaurant_id uuid,
+  search_score numeric,
+  sort_key jsonb,
+  distance_m double precision,
+  total_count bigint
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with keyed as (
+    select
+      c.restaurant_id,
+      c.search_score,
+      c.distance_m,
+      case p_sort
+        when 'distance' then jsonb_build_array(c.distance_m, c.restaurant_id)
+        when 'view_count' then jsonb_build_array(c.view_count, c.restaurant_id)
+        when 'review_count' then jsonb_build_array(c.review_count, c.restaurant_id)
+        when 'rating' then jsonb_build_array(c.rating, c.restaurant_id)
+        when 'favorite_count' then jsonb_build_array(c.favorite_count, c.restaurant_id)
+        when 'created_at' then jsonb_build_array(extract(epoch from c.created_at), c.restaurant_id)
+        else jsonb_build_array(c.search_score, c.rating, c.review_count, c.restaurant_id)
+      end as sort_key
+    from public.restaurant_search_candidates(p_mode, p_term_groups, p_category_ids, p_filters, p_lat, p_lng) c
+    where p_sort is distinct from 'distance' or c.distance_m is not null
+  ),
+  remaining as (
+    select k.*
+    from keyed k
+    where p_after is null
+      or (p_sort = 'distance' and k.sort_key > p_after)
+      or (p_sort is distinct from 'distance' and k.sort_key < p_after)
+  )
+  select
+    k.restaurant_id,
+    k.search_score,
+    k.sort_key,
+    k.distance_m,
+    count(*) over () as total_count
+  from remaining k
+  order by
+    case when p_sort = 'distance' then k.sort_key end asc,
+    case when p_sort is distinct from 'distance' then k.sort_key end desc
+  limit p_limit
+  offset case when p_after is null then p_offset else 0 end
+$$;
+
+-- 편집 거리와 점수는 서버(src/utils/fuzzyMatch.js)에서 계산하므로 후보는 넉넉하게 (유사도 0.3 이상)
+create or replace function public.search_restaurants_fuzzy(
+  p_jamo text,
+  p_category_ids uuid[] default null,
+  p_filters jsonb default null,
+  p_lat double precision default null,
+  p_lng double precision default null,
+  p_limit integer default 100
+)
+returns table (
+  restaurant_id uuid,
+  name_jamo text,
+  distance_m double precision
+)
+language sql
+stable
+set search_path = public, extensions
+set pg_trgm.word_similarity_threshold = 0.3
+as $$
+  select c.restaurant_id, d.name_jamo, c.distance_m
+  from public.restaurant_search_documents d
+  join public.restaurant_search_candidates(null, '[]'::jsonb, p_category_ids, p_filters, p_lat, p_lng) c
+    on c.restaurant_id = d.restaurant_id
+  where p_jamo <% d.name_jamo
+  order by word_similarity(p_jamo, d.name_jamo) desc, c.restaurant_id
+  limit p_limit
+$$;
+
+/*
+ * facet: price_range | facility | service | tag | min_rating | min_review_count
+ * price_range는 p_filters.price_ranges를 빼고 셈, 나머지는 현재 결과 안에서 해당 값을 가진 맛집 수
+ */
+create or replace function public.restaurant_facet_counts(
+  p_mode text default null,
+  p_term_groups jsonb default '[]'::jsonb,
+  p_category_ids uuid[] default null,
+  p_filters jsonb default null,
+  p_lat double precision default null,
+  p_lng double precision default null,
+  p_rating_steps numeric[] default '{}',
+  p_review_count_steps integer[] default '{}'
+)
+returns table (
+  facet text,
+  value text,
+  count bigint
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with results as (
+    select *
+    from public.restaurant_search_candidates(p_mode, p_term_groups, p_category_ids, p_filters, p_lat, p_lng)
+  ),
+  price_results as (
+    select *
+    from public.restaurant_search_candidates(p_mode, p_term_groups, p_category_ids, p_filters, p_lat, p_lng, true)
+  )
+  select 'price_range', c.price_range, count(*)
+  from price_results c
+  where c.price_range is not null
+  group by c.price_range
+
+  union all
+
+  select 'facility', facility.value, count(*)
+  from results c
+  cross join lateral unnest(c.facilities) as facility (value)
+  group by facility.value
+
+  union all
+
+  select 'service', service.value, count(*)
+  from results c
+  cross join lateral unnest(c.services) as service (value)
+  group by service.value
+
+  union all
+
+  select 'tag', tag.value::text, count(*)
+  from results c
+  cross join lateral unnest(c.tag_ids) as tag (value)
+  group by tag.value
+
+  union all
+
+  select 'min_rating', step.value::text, count(c.restaurant_id)
+  from unnest(p_rating_steps) as step (value)
+  left join results c on c.rating >= step.value
+  group by step.value
+
+  union all
+
+  select 'min_review_count', step.value::text, count(c.restaurant_id)
+  from unnest(p_review_count_steps) as step (value)
+  left join results c on c.review_count >= step.value
+  group by step.value
+$$;
+
+-- 반경(km) 안에서 p_restaurant_ids에 있는 맛집만 가까운 순으로 p_limit개 (restaurants_geography_idx 사용)
+create or replace function public.nearby_restaurants_filtered(
+  p_lat double precision,
+  p_lng double precision,
+  p_radius_km double precision,
+  p_limit integer,
+  p_restaurant_ids uuid[]
+)
+returns setof public.restaurants
+language sql
+stable
+set search_path = public, extensions
+as $$
+  select r.*
+  from public.restaurants r
+  where r.id = any (p_restaurant_ids)
+    and r.latitude is not null
+    and r.longitude is not null
+    and st_dwithin(
+      public.restaurant_geography(r.latitude::double precision, r.longitude::double precision),
+      public.restaurant_geography(p_lat, p_lng),
+      p_radius_km * 1000
+    )
+  order by
+    st_distance(
+      public.restaurant_geography(r.latitude::double precision, r.longitude::double precision),
+      public.restaurant_geography(p_lat, p_lng)
+    ),
+    r.id
+  limit p_limit
+$$;
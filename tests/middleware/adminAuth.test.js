@@ -0,0 +1,65 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+const { ROLES, getUserRole, requireRole, requireAdmin } = require('../../src/middleware/adminAuth');
+
+// authMiddleware 다음의 역할 확인 단계만 실행
+const checkRole = async (middlewares, user) => {
+  const [, roleCheck] = middlewares;
+  const req = { user, method: 'GET', originalUrl: '/api/admin/stats' };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const next = vi.fn();
+
+  await roleCheck(req, res, next);
+  return { req, res, next };
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('getUserRole', () => {
+  it('역할이 비어 있거나 알 수 없는 값이면 일반 사용자', () => {
+    expect(getUserRole({ role: 'moderator' })).toBe(ROLES.MODERATOR);
+    expect(getUserRole({ role: null })).toBe(ROLES.USER);
+    expect(getUserRole({ role: 'superuser' })).toBe(ROLES.USER);
+    expect(getUserRole(null)).toBe(ROLES.USER);
+  });
+});
+
+describe('requireRole', () => {
+  it('허용된 역할이면 통과하고 req.userRole을 담는다', async () => {
+    const { req, next } = await checkRole(requireRole(ROLES.MODERATOR), { id: 'user-1', role: 'moderator' });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.userRole).toBe(ROLES.MODERATOR);
+  });
+
+  it('admin은 모든 역할 제한을 통과한다', async () => {
+    const { next } = await checkRole(requireRole(ROLES.OWNER), { id: 'user-1', role: 'admin' });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('허용되지 않은 역할은 403 FORBIDDEN_ROLE', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    for (const role of ['user', 'owner', undefined]) {
+      const { res, next } = await checkRole(requireRole(ROLES.MODERATOR), { id: 'user-1', role });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error_code).toBe('FORBIDDEN_ROLE');
+    }
+  });
+
+  it('requireAdmin은 moderator도 거부한다', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { res } = await checkRole(requireAdmin, { id: 'user-1', role: 'moderator' });
+
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const jwt = require('jsonwebtoken');
+const Session = require('../../src/models/Session');
+const authMiddleware = require('../../src/middleware/auth');
+
+const USER = { id: 'user-1', email: 'a@b.com', is_active: true };
+const SESSION = { id: 'session-1', user_id: 'user-1', last_seen_at: new Date().toISOString() };
+
+const sign = (claims, options = { expiresIn: '15m' }) => jwt.sign(claims, process.env.JWT_SECRET, options);
+
+const run = async (middleware, token) => {
+  const req = { header: name => (name === 'Authorization' && token ? `Bearer ${token}` : undefined) };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const next = vi.fn();
+
+  await middleware(req, res, next);
+  return { req, res, next };
+};
+
+beforeEach(() => {
+  vi.spyOn(Session, 'findActiveWithUser').mockResolvedValue({ session: SESSION, user: USER });
+  vi.spyOn(Session, 'touch').mockResolvedValue();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('authMiddleware', () => {
+  it('사용 중인 세션의 토큰이면 사용자와 세션 ID를 담는다', async () => {
+    const { req, next } = await run(authMiddleware, sign({ userId: 'user-1', sid: 'session-1' }));
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual(USER);
+    expect(req.sessionId).toBe('session-1');
+    expect(Session.findActiveWithUser).toHaveBeenCalledWith('session-1', 'user-1');
+  });
+
+  it('폐기되었거나 만료된 세션은 401 SESSION_REVOKED', async () => {
+    Session.findActiveWithUser.mockResolvedValue(null);
+    const { res, next } = await run(authMiddleware, sign({ userId: 'user-1', sid: 'session-1' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error_code).toBe('SESSION_REVOKED');
+  });
+
+  it('sid가 없는 토큰은 폐기할 수 없으므로 401', async () => {
+    const { res, next } = await run(authMiddleware, sign({ userId: 'user-1' }, { expiresIn: '7d' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error_code).toBe('SESSION_REVOKED');
+    expect(Session.findActiveWithUser).not.toHaveBeenCalled();
+  });
+
+  it('purpose 클레임이 있는 토큰은 인증에 쓸 수 없다', async () => {
+    const { res, next } = await run(authMiddleware, sign({ userId: 'user-1', sid: 'session-1', purpose: '2fa_challenge' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('만료된 토큰은 TOKEN_EXPIRED', async () => {
+    const { res } = await run(authMiddleware, sign({ userId: 'user-1', sid: 'session-1' }, { expiresIn: -10 }));
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error_code).toBe('TOKEN_EXPIRED');
+  });
+
+  it('비활성 계정은 403', async () => {
+    Session.findActiveWithUser.mockResolvedValue({ session: SESSION, user: { ...USER, is_active: false } });
+    const { res } = await run(authMiddleware, sign({ userId: 'user-1', sid: 'session-1' }));
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('optionalAuth', () => {
+  it('sid가 없는 토큰은 비로그인으로 취급한다', async () => {
+    const { req, next } = await run(authMiddleware.optionalAuth, sign({ userId: 'user-1' }));
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBeNull();
+  });
+});
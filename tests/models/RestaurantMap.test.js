@@ -0,0 +1,69 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+const supabase = require('../../src/config/supabase');
+const RestaurantMap = require('../../src/models/RestaurantMap');
+
+const BOUNDS = { swLat: 37.5, swLng: 126.9, neLat: 37.6, neLng: 127.1 };
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('RestaurantMap.cellSize', () => {
+  it('타일 한 변(360 / 2^zoom도)을 4칸으로 나눈다', () => {
+    expect(RestaurantMap.cellSize(0)).toBe(90);
+    expect(RestaurantMap.cellSize(2)).toBe(22.5);
+    expect(RestaurantMap.cellSize(15)).toBeCloseTo(360 / 32768 / 4, 12);
+  });
+
+  it('줌이 한 단계 커지면 셀은 절반', () => {
+    for (let zoom = 0; zoom < 21; zoom++) {
+      expect(RestaurantMap.cellSize(zoom + 1) * 2).toBeCloseTo(RestaurantMap.cellSize(zoom), 12);
+    }
+  });
+
+  it(`줌 ${RestaurantMap.CLUSTER_MAX_ZOOM}까지는 클러스터`, () => {
+    expect(RestaurantMap.isClusterZoom(RestaurantMap.CLUSTER_MAX_ZOOM)).toBe(true);
+    expect(RestaurantMap.isClusterZoom(RestaurantMap.CLUSTER_MAX_ZOOM + 1)).toBe(false);
+  });
+});
+
+describe('RestaurantMap.findClusters', () => {
+  it('셀 번호로 셀 영역을 계산하고 좌표를 약 1m 단위로 정리한다', async () => {
+    vi.spyOn(supabase, 'rpc').mockResolvedValue({
+      data: [{
+        cell_x: 1269,
+        cell_y: 375,
+        restaurant_count: '2',
+        latitude: 37.568251234,
+        longitude: 126.979004321,
+        top_restaurant_id: 'restaurant-1'
+      }],
+      error: null
+    });
+
+    const clusters = await RestaurantMap.findClusters({ bounds: BOUNDS, zoom: 10 });
+    const cellSize = RestaurantMap.cellSize(10);
+
+    expect(supabase.rpc).toHaveBeenCalledWith('map_restaurant_clusters', expect.objectContaining({
+      p_sw_lat: 37.5,
+      p_ne_lng: 127.1,
+      p_cell_size: cellSize,
+      p_category_ids: null,
+      p_filters: null
+    }));
+    expect(clusters).toEqual([{
+      id: '10:1269:375',
+      count: 2,
+      latitude: 37.56825,
+      longitude: 126.979,
+      bounds: {
+        sw_lat: Math.round(375 * cellSize * 1e5) / 1e5,
+        sw_lng: Math.round(1269 * cellSize * 1e5) / 1e5,
+        ne_lat: Math.round(376 * cellSize * 1e5) / 1e5,
+        ne_lng: Math.round(1270 * cellSize * 1e5) / 1e5
+      },
+      top_restaurant_id: 'restaurant-1'
+    }]);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const SearchSynonym = require('../../src/models/SearchSynonym');
+
+const query = (...terms) => ({ type: 'text', terms });
+
+beforeEach(() => {
+  SearchSynonym.clearCache();
+  vi.spyOn(SearchSynonym, 'findAll').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('SearchSynonym.expandQuery', () => {
+  it('단어마다 [원래 단어, ...확장어] 그룹을 만들고 확장된 단어만 applied에 넣는다', async () => {
+    expect(await SearchSynonym.expandQuery(query('강남', '고기집'))).toEqual({
+      termGroups: [['강남'], ['고기집', '삼겹살', '갈비', '목살', '고깃집']],
+      applied: [{ term: '고기집', expansions: ['삼겹살', '갈비', '목살', '고깃집'] }]
+    });
+  });
+
+  it('단방향 항목은 확장어 검색에 term을 붙이지 않고, 양방향 항목은 붙인다', async () => {
+    expect((await SearchSynonym.expandQuery(query('삼겹살'))).termGroups).toEqual([['삼겹살']]);
+    expect((await SearchSynonym.expandQuery(query('통닭'))).termGroups).toEqual([['통닭', '치킨']]);
+  });
+
+  it('초성 검색은 확장하지 않는다', async () => {
+    expect(await SearchSynonym.expandQuery({ type: 'chosung', terms: ['ㅊㅋ'] }))
+      .toEqual({ termGroups: [['ㅊㅋ']], applied: [] });
+    expect(SearchSynonym.findAll).not.toHaveBeenCalled();
+  });
+
+  it('관리자 항목이 같은 단어의 기본 항목보다 우선하고, 비활성 항목은 기본 항목을 끈다', async () => {
+    SearchSynonym.findAll.mockResolvedValue([
+      { term: '치킨', expansions: ['후라이드'], bidirectional: false, is_active: true },
+      { term: '카페', expansions: ['커피'], bidirectional: false, is_active: false }
+    ]);
+
+    expect((await SearchSynonym.expandQuery(query('치킨', '카페'))).termGroups).toEqual([['치킨', '후라이드'], ['카페']]);
+    expect((await SearchSynonym.expandQuery(query('통닭'))).termGroups).toEqual([['통닭']]);
+  });
+
+  it(`단어 하나의 확장어는 ${SearchSynonym.MAX_EXPANSIONS_PER_TERM}개까지`, async () => {
+    const expansions = Array.from({ length: SearchSynonym.MAX_EXPANSIONS_PER_TERM + 5 }, (_, i) => `메뉴${i}`);
+    SearchSynonym.findAll.mockResolvedValue([{ term: '뷔페', expansions, bidirectional: false, is_active: true }]);
+
+    const { termGroups } = await SearchSynonym.expandQuery(query('뷔페'));
+    expect(termGroups[0]).toHaveLength(SearchSynonym.MAX_EXPANSIONS_PER_TERM + 1);
+  });
+
+  it('사전 조회에 실패하면 기본 사전으로 확장한다', async () => {
+    SearchSynonym.findAll.mockRejectedValue(new Error('connection failure'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect((await SearchSynonym.expandQuery(query('치킨'))).termGroups).toEqual([['치킨', '통닭', '닭강정']]);
+  });
+});
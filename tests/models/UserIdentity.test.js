@@ -0,0 +1,35 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const UserIdentity = require('../../src/models/UserIdentity');
+
+const VALUES = { userId: 'user-1', provider: 'kakao', providerUserId: '42', email: 'k@example.com' };
+const IDENTITY = { id: 'identity-1', user_id: 'user-1', provider: 'kakao', provider_user_id: '42' };
+
+beforeEach(() => {
+  vi.spyOn(UserIdentity, 'create').mockResolvedValue(IDENTITY);
+  vi.spyOn(UserIdentity, 'findByProvider').mockResolvedValue(IDENTITY);
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('UserIdentity.createIfMissing', () => {
+  it('연결 정보를 만든다', async () => {
+    expect(await UserIdentity.createIfMissing(VALUES)).toEqual(IDENTITY);
+    expect(UserIdentity.create).toHaveBeenCalledWith(VALUES);
+  });
+
+  it('동시에 들어온 로그인이 먼저 만들었으면 그 행을 돌려준다', async () => {
+    UserIdentity.create.mockRejectedValue({ code: '23505', message: 'duplicate key value violates unique constraint' });
+
+    expect(await UserIdentity.createIfMissing(VALUES)).toEqual(IDENTITY);
+    expect(UserIdentity.findByProvider).toHaveBeenCalledWith('kakao', '42');
+  });
+
+  it('다른 오류는 그대로 던진다', async () => {
+    UserIdentity.create.mockRejectedValue({ code: '08006', message: 'connection failure' });
+
+    await expect(UserIdentity.createIfMissing(VALUES)).rejects.toMatchObject({ code: '08006' });
+  });
+});
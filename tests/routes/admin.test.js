@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const Session = require('../../src/models/Session');
+const Admin = require('../../src/models/Admin');
+const adminRoutes = require('../../src/routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', is_active: true, role: 'admin' };
+const TARGET_ID = '22222222-2222-4222-8222-222222222222';
+const LOG = { id: 'log-1', metadata: { role: 'moderator' } };
+
+const token = jwt.sign({ userId: ADMIN.id, sid: 'session-1' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+const changeRole = () => request(app)
+  .patch(`/api/admin/users/${TARGET_ID}/role`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ role: 'moderator' });
+
+const loginAs = (user) => {
+  Session.findActiveWithUser.mockResolvedValue({ session: { id: 'session-1', last_seen_at: new Date().toISOString() }, user });
+};
+
+beforeEach(() => {
+  vi.spyOn(Session, 'findActiveWithUser');
+  vi.spyOn(Session, 'touch').mockResolvedValue();
+  vi.spyOn(Admin, 'logAction').mockResolvedValue(LOG);
+  vi.spyOn(Admin, 'completeAction').mockResolvedValue();
+  vi.spyOn(Admin, 'updateUserRole').mockResolvedValue({ id: TARGET_ID, role: 'moderator' });
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  loginAs(ADMIN);
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('PATCH /api/admin/users/:id/role', () => {
+  it('감사 로그를 남긴 뒤 역할을 바꾸고 결과를 기록한다', async () => {
+    const res = await changeRole();
+
+    expect(res.status).toBe(200);
+    expect(Admin.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      actorId: ADMIN.id,
+      action: 'user.role_change',
+      targetId: TARGET_ID
+    }));
+    expect(Admin.logAction.mock.invocationCallOrder[0]).toBeLessThan(Admin.updateUserRole.mock.invocationCallOrder[0]);
+    expect(Admin.completeAction).toHaveBeenCalledWith(LOG, { status: 'succeeded' });
+  });
+
+  it('admin이 아니면 403 FORBIDDEN_ROLE이고 아무것도 바꾸지 않는다', async () => {
+    loginAs({ ...ADMIN, role: 'moderator' });
+    const res = await changeRole();
+
+    expect(res.status).toBe(403);
+    expect(res.body.error_code).toBe('FORBIDDEN_ROLE');
+    expect(Admin.logAction).not.toHaveBeenCalled();
+    expect(Admin.updateUserRole).not.toHaveBeenCalled();
+  });
+
+  it('감사 로그를 남기지 못하면 역할을 바꾸지 않는다', async () => {
+    Admin.logAction.mockRejectedValue(new Error('insert failed'));
+    const res = await changeRole();
+
+    expect(res.status).toBe(500);
+    expect(Admin.updateUserRole).not.toHaveBeenCalled();
+  });
+
+  it('작업이 실패하면 감사 로그에 failed로 남긴다', async () => {
+    Admin.updateUserRole.mockRejectedValue(new Error('update failed'));
+    const res = await changeRole();
+
+    expect(res.status).toBe(500);
+    expect(Admin.completeAction).toHaveBeenCalledWith(LOG, { status: 'failed', metadata: { error: 'update failed' } });
+  });
+
+  it('대상이 없으면 404이고 not_found로 남긴다', async () => {
+    Admin.updateUserRole.mockResolvedValue(null);
+    const res = await changeRole();
+
+    expect(res.status).toBe(404);
+    expect(Admin.completeAction).toHaveBeenCalledWith(LOG, { status: 'not_found' });
+  });
+
+  it('결과 기록에 실패해도 이미 끝난 작업은 성공으로 응답한다', async () => {
+    Admin.completeAction.mockRejectedValue(new Error('update failed'));
+    const res = await changeRole();
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const EmailVerification = require('../../src/models/EmailVerification');
+const SecurityEvent = require('../../src/models/SecurityEvent');
+const { MemoryLoginAttemptStore } = require('../../src/utils/loginAttemptStore');
+const { setVerificationStore } = require('../../src/utils/verificationThrottle');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const MINUTE_MS = 60 * 1000;
+const SOCIAL_USER = { id: 'user-1', email: 'old@example.com', name: 'Alice', is_active: true, password_hash: null, auth_provider: 'kakao' };
+
+const token = jwt.sign({ userId: 'user-1', sid: 'session-1' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+const requestChange = () => request(app)
+  .post('/api/auth/email-change')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ new_email: 'new@example.com' });
+
+const loginAt = (createdAt, user = SOCIAL_USER) => {
+  Session.findActiveWithUser.mockResolvedValue({
+    session: { id: 'session-1', created_at: createdAt.toISOString(), last_seen_at: new Date().toISOString() },
+    user
+  });
+};
+
+let store;
+
+beforeEach(() => {
+  store = new MemoryLoginAttemptStore();
+  setVerificationStore(store);
+
+  vi.spyOn(Session, 'findActiveWithUser');
+  vi.spyOn(Session, 'touch').mockResolvedValue();
+  vi.spyOn(User, 'findByEmail').mockResolvedValue(null);
+  vi.spyOn(EmailVerification, 'createEmailChange').mockResolvedValue({ code: '123456', expires_at: new Date().toISOString() });
+  vi.spyOn(SecurityEvent, 'record').mockResolvedValue();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  clearInterval(store.sweepTimer);
+  vi.restoreAllMocks();
+});
+
+describe('POST /api/auth/email-change (비밀번호가 없는 계정)', () => {
+  it('방금 로그인한 세션이면 새 이메일로 인증 코드를 보낸다', async () => {
+    loginAt(new Date(Date.now() - 2 * MINUTE_MS));
+    const res = await requestChange();
+
+    expect(res.status).toBe(200);
+    expect(EmailVerification.createEmailChange).toHaveBeenCalledWith('user-1', 'new@example.com');
+  });
+
+  it('로그인한 지 오래된 세션은 다시 로그인하도록 401 REAUTHENTICATION_REQUIRED', async () => {
+    loginAt(new Date(Date.now() - 11 * MINUTE_MS));
+    const res = await requestChange();
+
+    expect(res.status).toBe(401);
+    expect(res.body.error_code).toBe('REAUTHENTICATION_REQUIRED');
+    expect(EmailVerification.createEmailChange).not.toHaveBeenCalled();
+  });
+
+  it('비밀번호가 있는 계정은 로그인 시각과 관계없이 비밀번호를 확인한다', async () => {
+    loginAt(new Date(Date.now() - 60 * MINUTE_MS), { ...SOCIAL_USER, password_hash: 'hash', auth_provider: 'email' });
+    const res = await requestChange();
+
+    expect(res.status).toBe(400);
+    expect(res.body.error_code).toBe('PASSWORD_REQUIRED');
+  });
+});
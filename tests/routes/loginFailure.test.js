@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../../src/models/User');
+const SecurityEvent = require('../../src/models/SecurityEvent');
+const { MemoryLoginAttemptStore } = require('../../src/utils/loginAttemptStore');
+const { LOCK_THRESHOLD, setLoginAttemptStore, recordLoginFailure } = require('../../src/utils/loginThrottle');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const USER = { id: 'user-1', email: 'alice@example.com', name: 'Alice', is_active: true, password_hash: 'hash', auth_provider: 'email' };
+
+const login = (email = 'alice@example.com') => request(app)
+  .post('/api/auth/login')
+  .send({ email, password: 'wrong-password' });
+
+const recordedEvents = () => SecurityEvent.record.mock.calls.map(([entry]) => entry);
+
+let store;
+
+beforeEach(() => {
+  store = new MemoryLoginAttemptStore();
+  setLoginAttemptStore(store);
+
+  vi.spyOn(User, 'findByEmail').mockResolvedValue(null);
+  vi.spyOn(User, 'verifyPassword').mockResolvedValue(false);
+  vi.spyOn(SecurityEvent, 'record').mockResolvedValue();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  clearInterval(store.sweepTimer);
+  vi.restoreAllMocks();
+});
+
+describe('로그인 실패 보안 이벤트', () => {
+  it('가입되지 않은 이메일은 사용자 없이 기록하고 입력한 이메일을 남기지 않는다', async () => {
+    const res = await login('typo@example.com');
+
+    expect(res.status).toBe(401);
+    expect(recordedEvents()).toEqual([expect.objectContaining({
+      userId: null,
+      eventType: SecurityEvent.EVENT_TYPES.LOGIN_FAILED,
+      metadata: { method: 'password', reason: 'unknown_account', failures: 1 }
+    })]);
+    expect(JSON.stringify(recordedEvents())).not.toContain('typo@example.com');
+  });
+
+  it('비밀번호가 틀리면 user_id로만 계정을 식별한다', async () => {
+    User.findByEmail.mockResolvedValue(USER);
+    await login();
+
+    const [event] = recordedEvents();
+    expect(event.userId).toBe('user-1');
+    expect(event.metadata).not.toHaveProperty('email');
+  });
+
+  it('계정 잠금 이벤트에도 입력한 이메일을 남기지 않는다', async () => {
+    for (let i = 1; i < LOCK_THRESHOLD; i++) {
+      await recordLoginFailure('typo@example.com');
+    }
+    // 누적 실패 후 대기 시간이 지난 뒤 시도
+    const now = Date.now() + 5 * 60 * 1000;
+    vi.spyOn(Date, 'now').mockReturnValue(now);
+
+    const res = await login('typo@example.com');
+
+    expect(res.status).toBe(423);
+    expect(recordedEvents().map(event => event.eventType)).toContain(SecurityEvent.EVENT_TYPES.ACCOUNT_LOCKED);
+    expect(JSON.stringify(recordedEvents())).not.toContain('typo@example.com');
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const express = require('express');
+const request = require('supertest');
+const Restaurant = require('../../src/models/Restaurant');
+const OpeningHours = require('../../src/models/OpeningHours');
+const restaurantRoutes = require('../../src/routes/restaurants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/restaurants', restaurantRoutes);
+
+const OPEN_IDS = ['restaurant-1', 'restaurant-2'];
+
+const nearby = (params) => request(app)
+  .get('/api/restaurants/nearby/search')
+  .query({ lat: '37.5665', lng: '126.978', limit: '10', ...params });
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: new Date('2026-10-19T12:00:00+09:00'), toFake: ['Date'] });
+  vi.spyOn(Restaurant, 'findNearby').mockResolvedValue([{ id: 'restaurant-1', name: '김밥천국' }]);
+  vi.spyOn(OpeningHours, 'findOpenRestaurantIds').mockResolvedValue(OPEN_IDS);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('GET /api/restaurants/nearby/search', () => {
+  it('영업 중 필터가 없으면 반경 안의 맛집을 그대로 찾는다', async () => {
+    const res = await nearby();
+
+    expect(res.status).toBe(200);
+    expect(Restaurant.findNearby).toHaveBeenCalledWith(37.5665, 126.978, 5, 10, { restaurantIds: null });
+    expect(OpeningHours.findOpenRestaurantIds).not.toHaveBeenCalled();
+  });
+
+  it('open_now=true면 지금 영업 중인 맛집 ID로 거른 뒤 limit개를 찾는다', async () => {
+    const res = await nearby({ open_now: 'true' });
+
+    expect(res.status).toBe(200);
+    expect(OpeningHours.findOpenRestaurantIds).toHaveBeenCalledWith(new Date('2026-10-19T12:00:00+09:00'));
+    expect(Restaurant.findNearby).toHaveBeenCalledWith(37.5665, 126.978, 5, 10, { restaurantIds: OPEN_IDS });
+    expect(res.body.data.restaurants).toHaveLength(1);
+    expect(res.body.data.search).toMatchObject({ openNow: true, openAt: null });
+  });
+
+  it('open_at이면 그 시각 기준으로 거른다', async () => {
+    const res = await nearby({ open_at: '2026-10-19T19:30:00+09:00' });
+
+    expect(res.status).toBe(200);
+    expect(OpeningHours.findOpenRestaurantIds).toHaveBeenCalledWith(new Date('2026-10-19T10:30:00Z'));
+    expect(Restaurant.findNearby).toHaveBeenCalledWith(37.5665, 126.978, 5, 10, { restaurantIds: OPEN_IDS });
+    expect(res.body.data.search).toMatchObject({ openNow: false, openAt: '2026-10-19T10:30:00.000Z' });
+  });
+
+  it('ISO 8601이 아닌 open_at과 open_now=true와 함께 보낸 open_at은 거부한다', async () => {
+    expect((await nearby({ open_at: '오늘 저녁' })).status).toBe(400);
+    expect((await nearby({ open_at: '2026-10-19T19:30:00+09:00', open_now: 'true' })).status).toBe(400);
+    expect(Restaurant.findNearby).not.toHaveBeenCalled();
+  });
+});
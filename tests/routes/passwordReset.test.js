@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const PasswordReset = require('../../src/models/PasswordReset');
+const SecurityEvent = require('../../src/models/SecurityEvent');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const USER = { id: 'user-1', email: 'alice@example.com', name: 'Alice', is_active: true, password_hash: 'old-hash' };
+const RESET = { id: 'reset-1', user_id: 'user-1' };
+
+const resetPassword = (newPassword = 'Zebra-77x') =>
+  request(app).post('/api/auth/reset-password').send({ token: 'reset-token', new_password: newPassword });
+
+beforeEach(() => {
+  vi.spyOn(PasswordReset, 'findValidWithUser').mockResolvedValue({ reset: RESET, user: USER });
+  vi.spyOn(PasswordReset, 'markUsed').mockResolvedValue({ ...RESET, used_at: new Date().toISOString() });
+  vi.spyOn(User, 'update').mockResolvedValue(USER);
+  vi.spyOn(Session, 'revokeAllForUser').mockResolvedValue(1);
+  vi.spyOn(SecurityEvent, 'record').mockResolvedValue();
+  vi.spyOn(bcrypt, 'hash').mockResolvedValue('new-hash');
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('POST /api/auth/reset-password', () => {
+  it('토큰을 사용 처리하고 비밀번호를 바꾼 뒤 모든 세션을 종료한다', async () => {
+    const res = await resetPassword();
+
+    expect(res.status).toBe(200);
+    expect(PasswordReset.markUsed).toHaveBeenCalledWith('reset-1');
+    expect(User.update).toHaveBeenCalledWith('user-1', expect.objectContaining({ password_hash: 'new-hash' }));
+    expect(Session.revokeAllForUser).toHaveBeenCalledWith('user-1', { reason: 'password_reset' });
+  });
+
+  it('사용/만료된 토큰은 거부한다', async () => {
+    PasswordReset.findValidWithUser.mockResolvedValue(null);
+    const res = await resetPassword();
+
+    expect(res.status).toBe(400);
+    expect(res.body.error_code).toBe('INVALID_RESET_TOKEN');
+    expect(User.update).not.toHaveBeenCalled();
+  });
+
+  it('같은 토큰으로 동시에 요청하면 먼저 사용 처리한 요청만 비밀번호를 바꾼다', async () => {
+    PasswordReset.markUsed.mockResolvedValue(null);
+    const res = await resetPassword();
+
+    expect(res.status).toBe(400);
+    expect(res.body.error_code).toBe('INVALID_RESET_TOKEN');
+    expect(User.update).not.toHaveBeenCalled();
+  });
+
+  it('삭제되었거나 비활성화된 계정의 토큰은 거부한다', async () => {
+    PasswordReset.findValidWithUser.mockResolvedValue({ reset: RESET, user: null });
+    expect((await resetPassword()).body.error_code).toBe('INVALID_RESET_TOKEN');
+
+    PasswordReset.findValidWithUser.mockResolvedValue({ reset: RESET, user: { ...USER, is_active: false } });
+    expect((await resetPassword()).body.error_code).toBe('INVALID_RESET_TOKEN');
+
+    expect(PasswordReset.markUsed).not.toHaveBeenCalled();
+  });
+
+  it('정책에 맞지 않는 비밀번호면 토큰을 사용 처리하지 않는다', async () => {
+    const res = await resetPassword('alice');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error_code).toBe('PASSWORD_POLICY_VIOLATION');
+    expect(PasswordReset.markUsed).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const jwt = require('jsonwebtoken');
+const Session = require('../../src/models/Session');
+const RefreshToken = require('../../src/models/RefreshToken');
+const { generateAccessToken, rotateRefreshToken } = require('../../src/utils/authTokens');
+
+const HOUR_MS = 60 * 60 * 1000;
+const later = () => new Date(Date.now() + HOUR_MS).toISOString();
+const earlier = () => new Date(Date.now() - HOUR_MS).toISOString();
+
+const session = (overrides = {}) => ({ id: 'session-1', user_id: 'user-1', revoked_at: null, expires_at: later(), ...overrides });
+const storedToken = (overrides = {}) => ({ id: 'token-1', session_id: 'session-1', user_id: 'user-1', used_at: null, expires_at: later(), ...overrides });
+
+let revoke;
+
+beforeEach(() => {
+  revoke = vi.spyOn(Session, 'revoke').mockResolvedValue(true);
+  vi.spyOn(Session, 'findById').mockResolvedValue(session());
+  vi.spyOn(RefreshToken, 'findByToken').mockResolvedValue(storedToken());
+  vi.spyOn(RefreshToken, 'markUsed').mockImplementation(async id => ({ ...storedToken({ id }), used_at: new Date().toISOString() }));
+  vi.spyOn(RefreshToken, 'create').mockImplementation(async (sessionId, userId, expiresAt) => ({
+    id: 'token-2',
+    session_id: sessionId,
+    user_id: userId,
+    token: 'next-refresh-token',
+    expires_at: expiresAt.toISOString()
+  }));
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('generateAccessToken', () => {
+  it('sid 클레임에 세션 ID를 담는다', () => {
+    expect(jwt.verify(generateAccessToken('user-1', 'session-1'), process.env.JWT_SECRET))
+      .toMatchObject({ userId: 'user-1', sid: 'session-1' });
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  it('한 번 사용하고 같은 세션에 새 토큰을 발급한다', async () => {
+    const result = await rotateRefreshToken('refresh-token');
+
+    expect(result).toMatchObject({ status: 'ok', userId: 'user-1' });
+    expect(result.tokens).toMatchObject({ refresh_token: 'next-refresh-token', session_id: 'session-1', token_type: 'Bearer' });
+    expect(jwt.decode(result.tokens.token)).toMatchObject({ userId: 'user-1', sid: 'session-1' });
+    expect(RefreshToken.markUsed).toHaveBeenCalledWith('token-1');
+    expect(revoke).not.toHaveBeenCalled();
+  });
+
+  it('없는 토큰은 invalid', async () => {
+    RefreshToken.findByToken.mockResolvedValue(null);
+
+    expect(await rotateRefreshToken('unknown')).toEqual({ status: 'invalid' });
+  });
+
+  it('이미 사용된 토큰이 다시 오면 세션 전체를 폐기한다', async () => {
+    RefreshToken.findByToken.mockResolvedValue(storedToken({ used_at: earlier() }));
+
+    expect(await rotateRefreshToken('refresh-token')).toEqual({ status: 'reused', userId: 'user-1' });
+    expect(revoke).toHaveBeenCalledWith('session-1', 'refresh_token_reuse');
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('동시에 같은 토큰을 쓰면 먼저 사용 처리한 요청만 성공하고 세션을 폐기한다', async () => {
+    RefreshToken.markUsed.mockResolvedValue(null);
+
+    expect(await rotateRefreshToken('refresh-token')).toEqual({ status: 'reused', userId: 'user-1' });
+    expect(revoke).toHaveBeenCalledWith('session-1', 'refresh_token_reuse');
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('폐기된 세션의 토큰은 revoked', async () => {
+    Session.findById.mockResolvedValue(session({ revoked_at: earlier() }));
+
+    expect(await rotateRefreshToken('refresh-token')).toEqual({ status: 'revoked', userId: 'user-1' });
+    expect(RefreshToken.markUsed).not.toHaveBeenCalled();
+  });
+
+  it('만료된 토큰이나 세션은 expired', async () => {
+    RefreshToken.findByToken.mockResolvedValue(storedToken({ expires_at: earlier() }));
+    expect(await rotateRefreshToken('refresh-token')).toEqual({ status: 'expired', userId: 'user-1' });
+
+    RefreshToken.findByToken.mockResolvedValue(storedToken());
+    Session.findById.mockResolvedValue(session({ expires_at: earlier() }));
+    expect(await rotateRefreshToken('refresh-token')).toEqual({ status: 'expired', userId: 'user-1' });
+
+    expect(RefreshToken.markUsed).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const {
+  cursorScope,
+  encodeCursor,
+  decodeCursor,
+  quoteFilterValue,
+  keysetFilter,
+  keysetValues,
+  isKeysetPosition,
+  paginateKeyset
+} = require('../../src/utils/cursor');
+
+const KEYS = [
+  { column: 'created_at', ascending: false },
+  { column: 'id', ascending: false }
+];
+
+// base64url 문자 하나를 다른 문자로 바꿈
+const flipChar = (text, index) => `${text.slice(0, index)}${text[index] === 'A' ? 'B' : 'A'}${text.slice(index + 1)}`;
+
+beforeEach(() => {
+  vi.stubEnv('CURSOR_SECRET', 'test-cursor-secret');
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('cursorScope', () => {
+  it('조건의 순서와 빈 값은 무시한다', () => {
+    expect(cursorScope('reviews', { sort: 'latest', rating: 5, search: '' }))
+      .toBe(cursorScope('reviews', { rating: 5, sort: 'latest', search: null }));
+  });
+
+  it('목록 이름이나 조건이 다르면 다른 scope', () => {
+    const scope = cursorScope('reviews', { sort: 'latest' });
+
+    expect(cursorScope('collections', { sort: 'latest' })).not.toBe(scope);
+    expect(cursorScope('reviews', { sort: 'rating' })).not.toBe(scope);
+  });
+});
+
+describe('encodeCursor / decodeCursor', () => {
+  const scope = cursorScope('reviews', { sort: 'latest' });
+  const position = ['2026-10-19T00:00:00.000Z', 'c6a1f4b2-0000-4000-8000-000000000001'];
+
+  it('같은 scope에서 position을 돌려준다', () => {
+    expect(decodeCursor(scope, encodeCursor(scope, position))).toEqual(position);
+  });
+
+  it('다른 조건의 목록에서 받은 커서는 null', () => {
+    const cursor = encodeCursor(scope, position);
+    expect(decodeCursor(cursorScope('reviews', { sort: 'rating' }), cursor)).toBeNull();
+  });
+
+  it('서명이나 내용을 조작하면 null', () => {
+    const cursor = encodeCursor(scope, position);
+    const [payload, signature] = cursor.split('.');
+    const forged = Buffer.from(JSON.stringify({ v: 1, s: scope, p: ['2099-01-01T00:00:00.000Z', 'x'] })).toString('base64url');
+
+    expect(decodeCursor(scope, `${payload}.${flipChar(signature, 0)}`)).toBeNull();
+    expect(decodeCursor(scope, `${flipChar(payload, 5)}.${signature}`)).toBeNull();
+    expect(decodeCursor(scope, `${forged}.${signature}`)).toBeNull();
+    expect(decodeCursor(scope, `${payload}.`)).toBeNull();
+  });
+
+  it('다른 키로 서명한 커서는 null', () => {
+    const cursor = encodeCursor(scope, position);
+    vi.stubEnv('CURSOR_SECRET', 'another-secret');
+
+    expect(decodeCursor(scope, cursor)).toBeNull();
+  });
+
+  it('형식이 잘못된 커서는 null', () => {
+    expect(decodeCursor(scope, undefined)).toBeNull();
+    expect(decodeCursor(scope, 'abc')).toBeNull();
+    expect(decodeCursor(scope, 'a.b.c')).toBeNull();
+    expect(decodeCursor(scope, 'x'.repeat(1001))).toBeNull();
+  });
+
+  it('CURSOR_SECRET이 없으면 JWT_SECRET으로 서명한다', () => {
+    vi.stubEnv('CURSOR_SECRET', '');
+    vi.stubEnv('JWT_SECRET', 'jwt-secret');
+
+    expect(decodeCursor(scope, encodeCursor(scope, position))).toEqual(position);
+  });
+});
+
+describe('keysetFilter', () => {
+  it('정렬 키 순서대로 "이 항목 다음" 조건을 만든다', () => {
+    expect(keysetFilter(KEYS, ['2026-10-19T00:00:00+00:00', 'id-1'])).toBe(
+      'created_at.lt."2026-10-19T00:00:00+00:00",' +
+      'and(created_at.eq."2026-10-19T00:00:00+00:00",id.lt."id-1")'
+    );
+  });
+
+  it('오름차순 키는 gt', () => {
+    expect(keysetFilter([{ column: 'id', ascending: true }], [5])).toBe('id.gt."5"');
+  });
+
+  it('쉼표, 괄호, 따옴표, 역슬래시가 들어간 값도 하나의 값으로 감싼다', () => {
+    expect(keysetFilter([{ column: 'name', ascending: true }, { column: 'id', ascending: true }], ['a,b(c)', 'x']))
+      .toBe('name.gt."a,b(c)",and(name.eq."a,b(c)",id.gt."x")');
+    expect(quoteFilterValue('say "hi"\\')).toBe('"say \\"hi\\"\\\\"');
+  });
+});
+
+describe('keysetValues / isKeysetPosition', () => {
+  it('항목의 정렬 키 값', () => {
+    expect(keysetValues({ id: 'id-1', created_at: '2026-10-19', name: 'x' }, KEYS)).toEqual(['2026-10-19', 'id-1']);
+  });
+
+  it('keys와 같은 길이의 단순 값 배열만 허용한다', () => {
+    expect(isKeysetPosition(['2026-10-19', 'id-1'], KEYS)).toBe(true);
+    expect(isKeysetPosition(['id-1'], KEYS)).toBe(false);
+    expect(isKeysetPosition(['2026-10-19', null], KEYS)).toBe(false);
+    expect(isKeysetPosition(['2026-10-19', { id: 1 }], KEYS)).toBe(false);
+    expect(isKeysetPosition('2026-10-19', KEYS)).toBe(false);
+  });
+});
+
+describe('paginateKeyset', () => {
+  const scope = cursorScope('reviews');
+  const rows = [
+    { id: 'c', created_at: '2026-10-03' },
+    { id: 'b', created_at: '2026-10-02' },
+    { id: 'a', created_at: '2026-10-01' }
+  ];
+
+  it('limit보다 많이 조회되면 마지막 항목 다음 커서', () => {
+    const page = paginateKeyset(rows, 2, KEYS, scope);
+
+    expect(page.items).toEqual(rows.slice(0, 2));
+    expect(page.hasMore).toBe(true);
+    expect(decodeCursor(scope, page.nextCursor)).toEqual(['2026-10-02', 'b']);
+  });
+
+  it('마지막 페이지는 커서 없음', () => {
+    expect(paginateKeyset(rows, 3, KEYS, scope)).toEqual({ items: rows, hasMore: false, nextCursor: null });
+    expect(paginateKeyset(null, 3, KEYS, scope)).toEqual({ items: [], hasMore: false, nextCursor: null });
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+
+const { toJamo } = require('../../src/utils/searchText');
+const {
+  MIN_FUZZY_QUERY_LENGTH,
+  maxDistanceFor,
+  substringEditDistance,
+  fuzzyMatch
+} = require('../../src/utils/fuzzyMatch');
+
+const match = (query, name) => fuzzyMatch(toJamo(query), toJamo(name));
+
+describe('maxDistanceFor', () => {
+  it('짧은 검색어는 오타를 허용하지 않는다', () => {
+    expect(maxDistanceFor(MIN_FUZZY_QUERY_LENGTH - 1)).toBe(0);
+  });
+
+  it('검색어가 길수록 허용 거리가 늘어난다', () => {
+    expect(maxDistanceFor(MIN_FUZZY_QUERY_LENGTH)).toBe(1);
+    expect(maxDistanceFor(6)).toBe(1);
+    expect(maxDistanceFor(7)).toBe(2);
+    expect(maxDistanceFor(12)).toBe(2);
+    expect(maxDistanceFor(13)).toBe(3);
+  });
+});
+
+describe('substringEditDistance', () => {
+  it('text 안의 가장 비슷한 구간과 비교한다', () => {
+    expect(substringEditDistance('abc', 'xxabcxx')).toBe(0);
+    expect(substringEditDistance('abc', 'xxabdxx')).toBe(1);
+  });
+
+  it('빈 문자열', () => {
+    expect(substringEditDistance('', 'abc')).toBe(0);
+    expect(substringEditDistance('ab', '')).toBe(2);
+  });
+});
+
+describe('fuzzyMatch', () => {
+  it('자모 하나가 틀린 검색어를 찾는다', () => {
+    expect(match('떡뽂이', '떡볶이 천국')).toEqual({ distance: 1, score: 26 });
+    expect(match('돈까쓰', '명동돈까스')).toEqual({ distance: 1, score: 26 });
+  });
+
+  it('정확히 일치하면 최고 점수 (정확한 검색 결과보다는 낮음)', () => {
+    expect(match('떡볶이', '떡볶이')).toEqual({ distance: 0, score: 30 });
+    expect(match('김치', '김치찌개')).toEqual({ distance: 0, score: 30 });
+  });
+
+  it('허용 거리를 넘으면 null', () => {
+    expect(match('피자헛', '버거킹')).toBeNull();
+  });
+
+  it('짧은 검색어나 빈 이름은 null', () => {
+    expect(match('밥', '밥집')).toBeNull();
+    expect(fuzzyMatch(toJamo('떡볶이'), '')).toBeNull();
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const { MemoryLoginAttemptStore } = require('../../src/utils/loginAttemptStore');
+const {
+  LOCK_THRESHOLD,
+  LOCK_DURATION_MS,
+  MAX_TWO_FACTOR_ATTEMPTS,
+  setLoginAttemptStore,
+  checkLoginAllowed,
+  recordLoginFailure,
+  resetLoginFailures,
+  registerTwoFactorChallenge,
+  isTwoFactorChallengeActive,
+  recordTwoFactorFailure,
+  consumeTwoFactorChallenge,
+  createUnlockToken,
+  verifyUnlockToken
+} = require('../../src/utils/loginThrottle');
+
+const MINUTE_MS = 60 * 1000;
+const EMAIL = 'alice@example.com';
+
+const failTimes = async (count) => {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = await recordLoginFailure(EMAIL);
+  }
+  return result;
+};
+
+let store;
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: new Date('2026-10-19T12:00:00+09:00') });
+  store = new MemoryLoginAttemptStore();
+  setLoginAttemptStore(store);
+});
+
+afterEach(() => {
+  clearInterval(store.sweepTimer);
+  vi.useRealTimers();
+});
+
+describe('MemoryLoginAttemptStore.take', () => {
+  it('기록을 꺼내면서 삭제한다', async () => {
+    await store.set('key', { failures: 1 }, MINUTE_MS);
+
+    expect(await store.take('key')).toEqual({ failures: 1 });
+    expect(await store.take('key')).toBeNull();
+    expect(await store.get('key')).toBeNull();
+  });
+
+  it('동시에 꺼내도 한 호출만 기록을 받는다', async () => {
+    await store.set('key', { failures: 1 }, MINUTE_MS);
+
+    const results = await Promise.all([store.take('key'), store.take('key'), store.take('key')]);
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  it('만료된 기록은 null', async () => {
+    await store.set('key', { failures: 1 }, MINUTE_MS);
+    vi.advanceTimersByTime(MINUTE_MS);
+
+    expect(await store.take('key')).toBeNull();
+  });
+});
+
+describe('로그인 실패 대기 시간', () => {
+  it('3번째 실패까지는 기다리지 않는다', async () => {
+    await failTimes(2);
+    expect(await checkLoginAllowed(EMAIL)).toEqual({ allowed: true });
+  });
+
+  it('그 뒤로는 실패할 때마다 대기 시간이 2배가 된다', async () => {
+    await failTimes(3);
+    expect(await checkLoginAllowed(EMAIL)).toEqual({ allowed: false, reason: 'throttled', retryAfterSeconds: 1 });
+
+    await failTimes(1);
+    expect((await checkLoginAllowed(EMAIL)).retryAfterSeconds).toBe(2);
+
+    await failTimes(1);
+    expect((await checkLoginAllowed(EMAIL)).retryAfterSeconds).toBe(4);
+
+    vi.advanceTimersByTime(4000);
+    expect(await checkLoginAllowed(EMAIL)).toEqual({ allowed: true });
+  });
+
+  it('이메일 대소문자는 구분하지 않는다', async () => {
+    await failTimes(3);
+    expect((await checkLoginAllowed('Alice@Example.com')).allowed).toBe(false);
+  });
+
+  it('성공하면 기록을 지운다', async () => {
+    await failTimes(5);
+    await resetLoginFailures(EMAIL);
+
+    expect(await checkLoginAllowed(EMAIL)).toEqual({ allowed: true });
+  });
+
+  it('마지막 실패 후 1시간이 지나면 처음부터 센다', async () => {
+    await failTimes(5);
+    vi.advanceTimersByTime(60 * MINUTE_MS);
+
+    expect((await recordLoginFailure(EMAIL)).failures).toBe(1);
+  });
+});
+
+describe('계정 잠금', () => {
+  it(`${LOCK_THRESHOLD}번 실패하면 잠그고 잠금 기간 동안 거부한다`, async () => {
+    expect((await failTimes(LOCK_THRESHOLD - 1)).locked).toBe(false);
+
+    const result = await recordLoginFailure(EMAIL);
+    expect(result).toMatchObject({ failures: LOCK_THRESHOLD, locked: true });
+    expect(new Date(result.lockedUntil).getTime()).toBe(Date.now() + LOCK_DURATION_MS);
+
+    expect(await checkLoginAllowed(EMAIL)).toMatchObject({
+      allowed: false,
+      reason: 'locked',
+      retryAfterSeconds: LOCK_DURATION_MS / 1000
+    });
+  });
+
+  it('잠금이 풀리면 처음부터 다시 센다', async () => {
+    await failTimes(LOCK_THRESHOLD);
+    vi.advanceTimersByTime(LOCK_DURATION_MS);
+
+    expect(await checkLoginAllowed(EMAIL)).toEqual({ allowed: true });
+    expect(await recordLoginFailure(EMAIL)).toEqual({ failures: 1, locked: false });
+  });
+
+  it('잠금 해제 토큰', () => {
+    const token = createUnlockToken({ id: 'user-1', email: EMAIL });
+
+    expect(verifyUnlockToken(token)).toEqual({ userId: 'user-1', email: EMAIL });
+    expect(verifyUnlockToken(`${token}x`)).toBeNull();
+
+    vi.advanceTimersByTime(LOCK_DURATION_MS + 1000);
+    expect(verifyUnlockToken(token)).toBeNull();
+  });
+});
+
+describe('2단계 인증 대기 토큰', () => {
+  const register = () => registerTwoFactorChallenge('challenge-1', 'user-1', Date.now() + 5 * MINUTE_MS);
+
+  it('등록한 사용자의 토큰만 사용할 수 있다', async () => {
+    await register();
+
+    expect(await isTwoFactorChallengeActive('challenge-1', 'user-1')).toBe(true);
+    expect(await isTwoFactorChallengeActive('challenge-1', 'user-2')).toBe(false);
+    expect(await isTwoFactorChallengeActive('unknown', 'user-1')).toBe(false);
+  });
+
+  it('동시에 사용 처리해도 한 요청만 성공한다', async () => {
+    await register();
+
+    const results = await Promise.all([
+      consumeTwoFactorChallenge('challenge-1'),
+      consumeTwoFactorChallenge('challenge-1')
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect(await isTwoFactorChallengeActive('challenge-1', 'user-1')).toBe(false);
+  });
+
+  it('만료되면 사용할 수 없다', async () => {
+    await register();
+    vi.advanceTimersByTime(5 * MINUTE_MS);
+
+    expect(await consumeTwoFactorChallenge('challenge-1')).toBe(false);
+  });
+
+  it(`코드를 ${MAX_TWO_FACTOR_ATTEMPTS}번 틀리면 폐기한다`, async () => {
+    await register();
+
+    for (let attempt = 1; attempt < MAX_TWO_FACTOR_ATTEMPTS; attempt++) {
+      expect((await recordTwoFactorFailure('challenge-1', 'a@b.com')).challengeRevoked).toBe(false);
+    }
+
+    expect((await recordTwoFactorFailure('challenge-1', 'a@b.com')).challengeRevoked).toBe(true);
+    expect(await consumeTwoFactorChallenge('challenge-1')).toBe(false);
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, expect } from 'vitest';
+
+const {
+  parseOpeningHours,
+  validateOpeningHours,
+  getOpenStatus,
+  isOpenAt,
+  isPublicHoliday
+} = require('../../src/utils/openingHours');
+
+// 2026-10-19는 월요일(셋째 주), 2026-10-09는 한글날(금요일), 2026-12-25는 성탄절
+const statusAt = (operations, time) => getOpenStatus(parseOpeningHours(operations).schedule, new Date(time));
+
+describe('getOpenStatus', () => {
+  it('영업시간 정보가 없으면 알 수 없음', () => {
+    expect(statusAt({}, '2026-10-19T12:00:00+09:00').is_open_now).toBeNull();
+    expect(isOpenAt(null, new Date())).toBeNull();
+  });
+
+  it('영업 중이면 종료 시각과 라스트 오더', () => {
+    expect(statusAt({ business_hours: '11:00-22:00', last_order: '21:30' }, '2026-10-19T18:00:00+09:00')).toEqual({
+      is_open_now: true,
+      closes_at: '2026-10-19T22:00:00+09:00',
+      next_open_at: null,
+      last_order_at: '2026-10-19T21:30:00+09:00'
+    });
+  });
+
+  it('한국 시간 기준으로 판단한다', () => {
+    // UTC 13:30 = 한국 22:30
+    expect(isOpenAt(parseOpeningHours({ business_hours: '11:00-22:00' }).schedule, new Date('2026-10-19T13:30:00Z'))).toBe(false);
+  });
+
+  describe('새벽 영업', () => {
+    const operations = { business_hours: '18:00-02:00' };
+
+    it('전날 시작한 영업은 다음 날 새벽까지', () => {
+      expect(statusAt(operations, '2026-10-20T01:30:00+09:00')).toMatchObject({
+        is_open_now: true,
+        closes_at: '2026-10-20T02:00:00+09:00'
+      });
+    });
+
+    it('새벽 영업이 끝나면 그날 저녁에 다시 연다', () => {
+      expect(statusAt(operations, '2026-10-20T03:00:00+09:00')).toMatchObject({
+        is_open_now: false,
+        next_open_at: '2026-10-20T18:00:00+09:00'
+      });
+    });
+
+    it('다음 날이 휴무여도 전날 새벽 영업은 이어진다', () => {
+      const status = statusAt({ ...operations, regular_holidays: ['월요일'] }, '2026-10-19T01:00:00+09:00');
+      expect(status).toMatchObject({ is_open_now: true, closes_at: '2026-10-19T02:00:00+09:00' });
+    });
+
+    it('24시간 영업', () => {
+      expect(statusAt({ business_hours: '24시간' }, '2026-10-19T03:00:00+09:00')).toMatchObject({
+        is_open_now: true,
+        closes_at: null
+      });
+    });
+  });
+
+  describe('브레이크 타임', () => {
+    const operations = { business_hours: '11:00-22:00', break_time: '15:00-17:00' };
+
+    it('브레이크 타임에는 영업하지 않고 끝나는 시각에 다시 연다', () => {
+      expect(statusAt(operations, '2026-10-19T15:30:00+09:00')).toMatchObject({
+        is_open_now: false,
+        next_open_at: '2026-10-19T17:00:00+09:00'
+      });
+    });
+
+    it('브레이크 타임 전에는 브레이크 시작이 종료 시각', () => {
+      expect(statusAt(operations, '2026-10-19T14:00:00+09:00')).toMatchObject({
+        is_open_now: true,
+        closes_at: '2026-10-19T15:00:00+09:00'
+      });
+    });
+  });
+
+  describe('휴무일', () => {
+    it('정기 휴무 요일', () => {
+      expect(statusAt({ business_hours: '11:00-22:00', regular_holidays: ['월요일'] }, '2026-10-19T12:00:00+09:00')).toMatchObject({
+        is_open_now: false,
+        next_open_at: '2026-10-20T11:00:00+09:00'
+      });
+    });
+
+    it('n째 주 휴무', () => {
+      expect(isOpenAt(
+        parseOpeningHours({ business_hours: '11:00-22:00', regular_holidays: ['셋째 주 월요일'] }).schedule,
+        new Date('2026-10-19T12:00:00+09:00')
+      )).toBe(false);
+      expect(isOpenAt(
+        parseOpeningHours({ business_hours: '11:00-22:00', regular_holidays: ['둘째 주 월요일'] }).schedule,
+        new Date('2026-10-19T12:00:00+09:00')
+      )).toBe(true);
+    });
+
+    it('공휴일 휴무', () => {
+      expect(isPublicHoliday('2026-10-09')).toBe(true);
+      expect(statusAt({ business_hours: '11:00-22:00', regular_holidays: ['공휴일'] }, '2026-10-09T12:00:00+09:00')).toMatchObject({
+        is_open_now: false,
+        next_open_at: '2026-10-10T11:00:00+09:00'
+      });
+    });
+
+    it('공휴일 영업시간이 있으면 요일보다 우선', () => {
+      const operations = { business_hours: { '평일': '11:00-22:00', '주말': '휴무', '공휴일': '12:00-20:00' } };
+
+      expect(statusAt(operations, '2026-10-09T11:30:00+09:00')).toMatchObject({
+        is_open_now: false,
+        next_open_at: '2026-10-09T12:00:00+09:00'
+      });
+      expect(statusAt(operations, '2026-10-09T19:00:00+09:00').closes_at).toBe('2026-10-09T20:00:00+09:00');
+    });
+  });
+
+  describe('특별 영업일', () => {
+    const operations = {
+      business_hours: '11:00-22:00',
+      special_days: [
+        { date: '2026-12-24', hours: '11:00-18:00', last_order: '17:30' },
+        { date: '2026-12-25', closed: true }
+      ]
+    };
+
+    it('특별 영업시간과 라스트 오더', () => {
+      expect(statusAt(operations, '2026-12-24T17:00:00+09:00')).toEqual({
+        is_open_now: true,
+        closes_at: '2026-12-24T18:00:00+09:00',
+        next_open_at: null,
+        last_order_at: '2026-12-24T17:30:00+09:00'
+      });
+    });
+
+    it('특별 휴무 다음 영업일', () => {
+      expect(statusAt(operations, '2026-12-25T12:00:00+09:00')).toMatchObject({
+        is_open_now: false,
+        next_open_at: '2026-12-26T11:00:00+09:00'
+      });
+    });
+  });
+});
+
+describe('validateOpeningHours', () => {
+  it('올바른 영업시간', () => {
+    expect(validateOpeningHours({
+      business_hours: { '평일': '11:00-15:00, 17:00-22:00', '토': ['12:00-22:00'], '일': '휴무' },
+      break_time: '15:00-17:00',
+      last_order: '21:30',
+      regular_holidays: '월요일, 마지막 주 화요일',
+      special_days: [{ date: '2026-12-31', hours: '11:00-18:00' }]
+    })).toEqual([]);
+  });
+
+  it('잘못된 시간 범위', () => {
+    const errors = validateOpeningHours({ business_hours: '25:00-22:00' });
+    expect(errors.length).toBeGreaterThan(0);
+    expect(errors.every(error => error.field === 'business_hours')).toBe(true);
+  });
+
+  it('영업시간 밖의 라스트 오더', () => {
+    expect(validateOpeningHours({ business_hours: '11:00-22:00', last_order: '23:00' })).toEqual([
+      expect.objectContaining({ field: 'last_order' })
+    ]);
+  });
+
+  it('날짜가 잘못된 특별 영업일', () => {
+    expect(validateOpeningHours({
+      business_hours: '11:00-22:00',
+      special_days: [{ date: '2026-13-01', closed: true }]
+    })).toEqual([expect.objectContaining({ field: 'special_days[0]' })]);
+  });
+
+  it('형식이 잘못되면 영업 여부를 알 수 없음', () => {
+    expect(parseOpeningHours({ business_hours: '25:00-22:00' }).schedule).toBeNull();
+  });
+});
+
+describe('parseOpeningHours', () => {
+  const operations = {
+    business_hours: '11:00-22:00',
+    break_time: '점심시간',
+    last_order: '23:00',
+    regular_holidays: ['월요일', '가끔'],
+    special_days: [{ date: '2026-13-01', closed: true }, { date: '2026-10-20', closed: true }, { date: '2026-10-22', hours: '9시' }]
+  };
+
+  it('조회할 때는 영업시간 외 항목의 잘못된 값만 빼고 판단한다', () => {
+    const { schedule, errors } = parseOpeningHours(operations);
+
+    expect(schedule).not.toBeNull();
+    expect([...new Set(errors.map(error => error.field))].sort()).toEqual([
+      'break_time', 'last_order', 'regular_holidays', 'special_days[0]', 'special_days[2]'
+    ]);
+
+    // 월요일 정기 휴무, 10/20 특별 휴무는 그대로 적용
+    expect(isOpenAt(schedule, new Date('2026-10-19T12:00:00+09:00'))).toBe(false);
+    expect(isOpenAt(schedule, new Date('2026-10-20T12:00:00+09:00'))).toBe(false);
+
+    // 잘못된 브레이크 타임, 라스트 오더, 특별 영업시간은 없는 것으로 봄
+    expect(getOpenStatus(schedule, new Date('2026-10-21T15:30:00+09:00'))).toEqual({
+      is_open_now: true,
+      closes_at: '2026-10-21T22:00:00+09:00',
+      next_open_at: null,
+      last_order_at: null
+    });
+    expect(isOpenAt(schedule, new Date('2026-10-22T12:00:00+09:00'))).toBe(true);
+  });
+
+  it('저장 전 검증은 같은 값을 모두 오류로 거부한다', () => {
+    expect(validateOpeningHours(operations)).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'break_time' }),
+      expect.objectContaining({ field: 'last_order' }),
+      expect.objectContaining({ field: 'regular_holidays' }),
+      expect.objectContaining({ field: 'special_days[0]' }),
+      expect.objectContaining({ field: 'special_days[2]' })
+    ]));
+  });
+});
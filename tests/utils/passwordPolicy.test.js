@@ -0,0 +1,99 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+const {
+  getPasswordPolicy,
+  checkPassword,
+  isBreachedPassword,
+  toValidationErrors
+} = require('../../src/utils/passwordPolicy');
+
+const codesOf = (password, context) => checkPassword(password, context).map(violation => violation.code);
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('getPasswordPolicy', () => {
+  it('기본 정책', () => {
+    expect(getPasswordPolicy()).toEqual({
+      min_length: 8,
+      max_bytes: 72,
+      min_character_classes: 2,
+      disallow_personal_info: true,
+      breach_check: true
+    });
+  });
+
+  it('환경 변수로 바꿀 수 있다 (잘못된 값은 기본값)', () => {
+    vi.stubEnv('PASSWORD_MIN_LENGTH', '12');
+    vi.stubEnv('PASSWORD_MIN_CHARACTER_CLASSES', '9');
+    vi.stubEnv('PASSWORD_BREACH_CHECK', 'false');
+
+    expect(getPasswordPolicy()).toMatchObject({ min_length: 12, min_character_classes: 4, breach_check: false });
+
+    vi.stubEnv('PASSWORD_MIN_LENGTH', 'abc');
+    expect(getPasswordPolicy().min_length).toBe(8);
+  });
+});
+
+describe('checkPassword', () => {
+  it('정책을 만족하면 빈 배열', () => {
+    expect(checkPassword('Zebra-77x', { email: 'a@b.com', name: 'A' })).toEqual([]);
+  });
+
+  it('짧고 한 종류 문자만 쓰면 두 가지 위반', () => {
+    expect(checkPassword('abc')).toEqual([
+      expect.objectContaining({ code: 'PASSWORD_TOO_SHORT', min_length: 8 }),
+      expect.objectContaining({ code: 'PASSWORD_TOO_SIMPLE', min_character_classes: 2, character_classes: ['lowercase'] })
+    ]);
+  });
+
+  it('길이는 글자 수, 최대 길이는 bcrypt 한계인 72바이트로 센다', () => {
+    expect(codesOf('가나다라마바사아1')).toEqual([]);
+    expect(codesOf(`${'😀'.repeat(19)}a1`)).toEqual(['PASSWORD_TOO_LONG']);
+  });
+
+  it('이메일과 비슷한 비밀번호', () => {
+    expect(codesOf('alice2024!', { email: 'alice2024@example.com' })).toEqual(['PASSWORD_SIMILAR_TO_EMAIL']);
+  });
+
+  it('이름과 비슷한 비밀번호 (공백, 대소문자 무시)', () => {
+    expect(codesOf('kimcheolsu1', { email: 'a@b.com', name: 'Kim Cheolsu' })).toEqual(['PASSWORD_SIMILAR_TO_NAME']);
+  });
+
+  it('짧은 이름은 비교하지 않는다', () => {
+    expect(codesOf('Zebra-77x', { name: 'ze' })).toEqual([]);
+  });
+
+  it('흔하거나 유출된 비밀번호 (대소문자 무시)', () => {
+    expect(isBreachedPassword('password1')).toBe(true);
+    expect(isBreachedPassword('Password')).toBe(true);
+    expect(isBreachedPassword('Zebra-77x')).toBe(false);
+    expect(codesOf('1q2w3e4r')).toEqual(['PASSWORD_BREACHED']);
+  });
+
+  it('PASSWORD_BREACH_CHECK=false면 유출 목록을 확인하지 않는다', () => {
+    vi.stubEnv('PASSWORD_BREACH_CHECK', 'false');
+    expect(codesOf('1q2w3e4r')).toEqual([]);
+  });
+
+  it('문자열이 아니면 빈 비밀번호로 본다', () => {
+    expect(codesOf(undefined)).toEqual(['PASSWORD_TOO_SHORT', 'PASSWORD_TOO_SIMPLE']);
+  });
+});
+
+describe('toValidationErrors', () => {
+  it('express-validator 오류 형태로 바꾼다', () => {
+    expect(toValidationErrors(checkPassword('zqxwvkmjt'), 'newPassword')).toEqual([
+      {
+        type: 'field',
+        location: 'body',
+        path: 'newPassword',
+        msg: '영문 소문자, 대문자, 숫자, 특수문자 중 2종류 이상을 조합해주세요',
+        code: 'PASSWORD_TOO_SIMPLE',
+        min_character_classes: 2,
+        character_classes: ['lowercase']
+      }
+    ]);
+  });
+});
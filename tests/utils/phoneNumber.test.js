@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+
+const { normalizePhoneNumber, isKoreanMobileNumber } = require('../../src/utils/phoneNumber');
+
+describe('normalizePhoneNumber', () => {
+  it('국내 표기 휴대폰 번호', () => {
+    expect(normalizePhoneNumber('010-1234-5678')).toBe('+821012345678');
+    expect(normalizePhoneNumber('01012345678')).toBe('+821012345678');
+    expect(normalizePhoneNumber(' 010 1234 5678 ')).toBe('+821012345678');
+    expect(normalizePhoneNumber('011-123-4567')).toBe('+82111234567');
+  });
+
+  it('국제 표기 한국 번호 (+82, 0082, 0을 붙여 쓴 경우)', () => {
+    expect(normalizePhoneNumber('+82 10-1234-5678')).toBe('+821012345678');
+    expect(normalizePhoneNumber('+82 010-1234-5678')).toBe('+821012345678');
+    expect(normalizePhoneNumber('0082-10-1234-5678')).toBe('+821012345678');
+  });
+
+  it('유선/인터넷 전화 번호', () => {
+    expect(normalizePhoneNumber('02-123-4567')).toBe('+8221234567');
+    expect(normalizePhoneNumber('(031) 123-4567')).toBe('+82311234567');
+    expect(normalizePhoneNumber('070-1234-5678')).toBe('+827012345678');
+  });
+
+  it('다른 국가 번호는 + 로 시작하는 E.164만 받는다', () => {
+    expect(normalizePhoneNumber('+1 (415) 555-2671')).toBe('+14155552671');
+    expect(normalizePhoneNumber('+44 20 7946 0958')).toBe('+442079460958');
+    expect(normalizePhoneNumber('+1 23')).toBeNull();
+  });
+
+  it('형식이 올바르지 않은 번호', () => {
+    expect(normalizePhoneNumber('010-1234-567')).toBeNull();
+    expect(normalizePhoneNumber('1234-5678')).toBeNull();
+    expect(normalizePhoneNumber('010-abcd-5678')).toBeNull();
+    expect(normalizePhoneNumber('')).toBeNull();
+    expect(normalizePhoneNumber(null)).toBeNull();
+    expect(normalizePhoneNumber(1012345678)).toBeNull();
+  });
+});
+
+describe('isKoreanMobileNumber', () => {
+  it('한국 휴대폰 번호만 문자 인증 대상', () => {
+    expect(isKoreanMobileNumber('+821012345678')).toBe(true);
+    expect(isKoreanMobileNumber('+8221234567')).toBe(false);
+    expect(isKoreanMobileNumber('+14155552671')).toBe(false);
+    expect(isKoreanMobileNumber('01012345678')).toBe(false);
+  });
+});
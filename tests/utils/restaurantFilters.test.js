@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+
+const {
+  extractFilterAttributes,
+  parseRestaurantFilters,
+  hasActiveFilters,
+  isListOf,
+  SERVICE_FLAGS
+} = require('../../src/utils/restaurantFilters');
+
+describe('parseRestaurantFilters', () => {
+  it('쉼표 목록을 배열로 나누고 공백과 빈 값은 뺀다', () => {
+    expect(parseRestaurantFilters({
+      price_range: '1, 2,',
+      facilities: 'parking_available',
+      services: 'delivery_available,takeout_available',
+      tag_ids: 'tag-1'
+    })).toMatchObject({
+      price_ranges: ['1', '2'],
+      facilities: ['parking_available'],
+      services: ['delivery_available', 'takeout_available'],
+      tag_ids: ['tag-1']
+    });
+  });
+
+  it('최소 평점/리뷰 수는 숫자로 바꾼다', () => {
+    expect(parseRestaurantFilters({ min_rating: '4.5', min_review_count: '10' }))
+      .toMatchObject({ min_rating: 4.5, min_review_count: 10 });
+  });
+
+  it('필터가 없으면 빈 배열과 null', () => {
+    const filters = parseRestaurantFilters({});
+
+    expect(filters).toMatchObject({
+      price_ranges: [],
+      facilities: [],
+      services: [],
+      tag_ids: [],
+      min_rating: null,
+      min_review_count: null
+    });
+    expect(hasActiveFilters(filters)).toBe(false);
+  });
+
+  it('영업 중 필터는 지금(open_now) 또는 지정한 시각(open_at, UTC ISO로 정규화)', () => {
+    expect(parseRestaurantFilters({ open_now: 'true' })).toMatchObject({ open_now: true, open_at: null });
+    expect(parseRestaurantFilters({ open_at: '2026-10-19T19:30:00+09:00' }))
+      .toMatchObject({ open_now: false, open_at: '2026-10-19T10:30:00.000Z' });
+    expect(hasActiveFilters(parseRestaurantFilters({ open_at: '2026-10-19T19:30:00+09:00' }))).toBe(true);
+  });
+
+  it('값이 하나라도 있으면 활성 필터', () => {
+    expect(hasActiveFilters(parseRestaurantFilters({ services: 'card_payment' }))).toBe(true);
+    expect(hasActiveFilters(parseRestaurantFilters({ min_review_count: '0' }))).toBe(true);
+  });
+});
+
+describe('extractFilterAttributes', () => {
+  it('켜진 시설/서비스 항목과 중복 없는 태그 ID를 검색 문서 값으로 만든다', () => {
+    expect(extractFilterAttributes({
+      price_range: 2,
+      restaurant_facilities: [{ parking_available: true, wifi_available: false, unknown_flag: true }],
+      restaurant_services: { card_payment: true, delivery_available: null },
+      restaurant_tags: [{ tag_id: 'tag-1' }, { tag_id: 'tag-1' }, { tag_id: null }]
+    })).toEqual({
+      price_range: '2',
+      facilities: ['parking_available'],
+      services: ['card_payment'],
+      tag_ids: ['tag-1']
+    });
+  });
+
+  it('시설/서비스 정보가 없어도 만든다', () => {
+    expect(extractFilterAttributes({ price_range: null })).toEqual({
+      price_range: null,
+      facilities: [],
+      services: [],
+      tag_ids: []
+    });
+  });
+});
+
+describe('isListOf', () => {
+  it('쉼표 목록의 모든 값이 허용 목록에 있어야 한다', () => {
+    expect(isListOf(SERVICE_FLAGS)('card_payment,cash_payment')).toBe(true);
+    expect(isListOf(SERVICE_FLAGS)('card_payment,helicopter')).toBe(false);
+  });
+});
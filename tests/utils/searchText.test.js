@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+
+const { parseSearchQuery, toRomanized, buildSearchDocument } = require('../../src/utils/searchText');
+
+const RESTAURANT = {
+  id: 'restaurant-1',
+  category_id: 'category-1',
+  name: ' 김밥  천국 ',
+  description: '24시간 영업',
+  address: '서울 중구 1',
+  road_address: '서울 중구 세종대로 1',
+  categories: {
+    name: '분식',
+    category_translations: [{ language_code: 'en', name: 'Snack' }, { language_code: 'ja', name: '軽食' }]
+  },
+  restaurant_tags: [{ tags: { name: '혼밥' } }, { tags: { name: '혼밥' } }],
+  menus: [{ name: '라면', name_en: 'Ramen' }, { name: '김밥' }],
+  updated_at: '2026-10-01T00:00:00.000Z'
+};
+
+describe('parseSearchQuery', () => {
+  it('초성만 입력하면 공백을 빼고 초성 검색', () => {
+    expect(parseSearchQuery('ㄱ ㅂ')).toEqual({ type: 'chosung', text: 'ㄱㅂ', terms: ['ㄱㅂ'] });
+  });
+
+  it('그 외에는 정규화한 단어별 검색', () => {
+    expect(parseSearchQuery('  김밥   천국 ')).toEqual({ type: 'text', text: '김밥 천국', terms: ['김밥', '천국'] });
+  });
+
+  it('LIKE 특수문자와 구분자는 공백으로 바꾸고, 남는 내용이 없으면 null', () => {
+    expect(parseSearchQuery('김밥%천국')).toMatchObject({ terms: ['김밥', '천국'] });
+    expect(parseSearchQuery('%_|')).toBeNull();
+  });
+
+  it('로마자/영문만 입력하면 기호를 기준으로 나눈 소문자 단어로 latin 검색', () => {
+    expect(parseSearchQuery('Tteok-bokki  Seoul')).toEqual({
+      type: 'latin',
+      text: 'tteok bokki seoul',
+      terms: ['tteok', 'bokki', 'seoul']
+    });
+  });
+
+  it('한글과 영문이 섞이면 text 검색', () => {
+    expect(parseSearchQuery('강남 pasta')).toMatchObject({ type: 'text', terms: ['강남', 'pasta'] });
+  });
+});
+
+describe('toRomanized', () => {
+  it('국어의 로마자 표기법을 따르고 공백과 기호를 뺀다', () => {
+    expect(toRomanized('떡볶이')).toBe('tteokbokki');
+    expect(toRomanized('강남구 역삼동')).toBe('gangnamguyeoksamdong');
+  });
+
+  it('영문은 소문자로만 바꾼다', () => {
+    expect(toRomanized('Pasta House!')).toBe('pastahouse');
+  });
+});
+
+describe('buildSearchDocument', () => {
+  it('필드를 정규화해 구분자로 이어 붙이고 중복 값은 한 번만 넣는다', () => {
+    expect(buildSearchDocument(RESTAURANT)).toMatchObject({
+      restaurant_id: 'restaurant-1',
+      category_id: 'category-1',
+      name: '김밥 천국',
+      keywords: '분식 | 혼밥',
+      menu_text: '라면 | 김밥',
+      address_text: '서울 중구 1 | 서울 중구 세종대로 1',
+      search_text: '김밥 천국 | 분식 | 혼밥 | 라면 | 김밥 | 서울 중구 1 | 서울 중구 세종대로 1 | 24시간 영업',
+      source_updated_at: '2026-10-01T00:00:00.000Z'
+    });
+  });
+
+  it('초성은 필드마다 공백 없이 만든다', () => {
+    expect(buildSearchDocument(RESTAURANT)).toMatchObject({
+      name_chosung: 'ㄱㅂㅊㄱ',
+      chosung_text: 'ㄱㅂㅊㄱ | ㅂㅅ | ㅎㅂ | ㄹㅁ | ㄱㅂ | ㅅㅇㅈㄱ | ㅅㅇㅈㄱㅅㅈㄷㄹ'
+    });
+  });
+
+  it('로마자 표기에는 영문 카테고리 이름과 영문 메뉴 이름을 함께 넣는다', () => {
+    expect(buildSearchDocument(RESTAURANT)).toMatchObject({
+      name_romanized: 'gimbapcheonguk',
+      keywords_romanized: 'bunsik | snack | honbap',
+      menu_romanized: 'ramyeon | gimbap | ramen',
+      address_romanized: 'seouljunggu1 | seouljunggusejongdaero1',
+      romanized_text: 'gimbapcheonguk | bunsik | snack | honbap | ramyeon | gimbap | ramen | seouljunggu1 | seouljunggusejongdaero1'
+    });
+  });
+
+  it('카테고리, 태그, 메뉴, 주소가 없어도 만든다', () => {
+    expect(buildSearchDocument({ id: 'restaurant-2', name: '식당' })).toMatchObject({
+      category_id: null,
+      keywords: '',
+      menu_text: '',
+      search_text: '식당',
+      source_updated_at: null
+    });
+  });
+});
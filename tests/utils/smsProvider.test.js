@@ -0,0 +1,50 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+const { SmsProvider, ConsoleSmsProvider, FileSmsProvider, getSmsProvider, setSmsProvider } = require('../../src/utils/smsProvider');
+
+afterEach(() => {
+  setSmsProvider(null);
+  vi.unstubAllEnvs();
+});
+
+describe('getSmsProvider', () => {
+  it('개발 환경 기본값은 로그 출력', () => {
+    vi.stubEnv('NODE_ENV', 'development');
+    vi.stubEnv('SMS_PROVIDER', '');
+
+    expect(getSmsProvider()).toBeInstanceOf(ConsoleSmsProvider);
+  });
+
+  it('SMS_PROVIDER=file이면 파일에 기록', () => {
+    vi.stubEnv('NODE_ENV', 'test');
+    vi.stubEnv('SMS_PROVIDER', 'file');
+
+    expect(getSmsProvider()).toBeInstanceOf(FileSmsProvider);
+  });
+
+  it('운영 환경에서 실제 발송 업체가 등록되지 않았으면 예외', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+
+    for (const value of ['', 'console', 'file']) {
+      vi.stubEnv('SMS_PROVIDER', value);
+      expect(() => getSmsProvider()).toThrow(/SMS provider is not configured/);
+    }
+  });
+
+  it('운영 환경이라도 setSmsProvider로 등록한 구현은 사용한다', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    const provider = new (class extends SmsProvider {
+      async send() { return { id: 'sms-1' }; }
+    })();
+
+    setSmsProvider(provider);
+    expect(getSmsProvider()).toBe(provider);
+  });
+
+  it('알 수 없는 SMS_PROVIDER는 예외', () => {
+    vi.stubEnv('NODE_ENV', 'development');
+    vi.stubEnv('SMS_PROVIDER', 'carrier-pigeon');
+
+    expect(() => getSmsProvider()).toThrow(/Unknown SMS_PROVIDER/);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifySocialIdentity } = require('../../src/utils/socialAuth');
+
+const APP_ID = '1234';
+const GOOGLE_CLIENT_ID = 'foodiemap.apps.googleusercontent.com';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// 카카오 액세스 토큰별 앱 ID (다른 앱 토큰, 만료 토큰)
+const KAKAO_TOKENS = {
+  'our-token': APP_ID,
+  'other-app-token': '9999'
+};
+
+let kakaoAccount;
+let requests;
+
+// 소셜 제공자 대역 서버
+const server = http.createServer((req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  requests.push(req.url);
+
+  switch (req.url) {
+    case '/v1/user/access_token_info':
+      return KAKAO_TOKENS[token]
+        ? send(200, { id: 42, app_id: Number(KAKAO_TOKENS[token]), expires_in: 3600 })
+        : send(401, { code: -401, msg: 'this access token does not exist' });
+    case '/v2/user/me':
+      return send(200, { id: 42, properties: { nickname: '카카오' }, kakao_account: kakaoAccount });
+    case '/v1/nid/me':
+      return send(200, { resultcode: '00', response: { id: 'naver-1', email: 'n@example.com', name: '네이버' } });
+    case '/oauth2/v3/certs':
+      return send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }] });
+    default:
+      return send(404, {});
+  }
+});
+
+const signGoogleIdToken = (claims = {}) => jwt.sign(
+  { sub: 'google-1', email: 'g@example.com', email_verified: true, name: '구글', ...claims },
+  privateKey,
+  { algorithm: 'RS256', keyid: 'key-1', issuer: 'https://accounts.google.com', audience: GOOGLE_CLIENT_ID, expiresIn: '5m' }
+);
+
+const rejection = (promise) => promise.then(
+  () => { throw new Error('거부되어야 합니다'); },
+  error => ({ code: error.code, status: error.status })
+);
+
+beforeAll(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  vi.stubEnv('KAKAO_API_BASE_URL', baseUrl);
+  vi.stubEnv('NAVER_API_BASE_URL', baseUrl);
+  vi.stubEnv('GOOGLE_JWKS_URL', `${baseUrl}/oauth2/v3/certs`);
+  vi.stubEnv('KAKAO_APP_ID', APP_ID);
+  vi.stubEnv('GOOGLE_CLIENT_ID', GOOGLE_CLIENT_ID);
+
+  kakaoAccount = { email: 'k@example.com', is_email_valid: true, is_email_verified: true };
+  requests = [];
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('kakao', () => {
+  it('우리 앱에서 발급된 토큰이면 프로필을 돌려준다', async () => {
+    expect(await verifySocialIdentity('kakao', { access_token: 'our-token' })).toMatchObject({
+      auth_provider: 'kakao',
+      social_id: '42',
+      email: 'k@example.com',
+      email_verified: true,
+      name: '카카오'
+    });
+  });
+
+  it('다른 앱에서 발급된 토큰은 프로필을 조회하지 않고 거부한다', async () => {
+    expect(await rejection(verifySocialIdentity('kakao', { access_token: 'other-app-token' })))
+      .toEqual({ code: 'SOCIAL_TOKEN_INVALID', status: 401 });
+    expect(requests).not.toContain('/v2/user/me');
+  });
+
+  it('유효하지 않은 토큰은 거부한다', async () => {
+    expect(await rejection(verifySocialIdentity('kakao', { access_token: 'expired-token' })))
+      .toEqual({ code: 'SOCIAL_TOKEN_INVALID', status: 401 });
+  });
+
+  it('KAKAO_APP_ID가 없으면 토큰을 확인할 수 없으므로 거부한다', async () => {
+    vi.stubEnv('KAKAO_APP_ID', '');
+
+    expect(await rejection(verifySocialIdentity('kakao', { access_token: 'our-token' })))
+      .toEqual({ code: 'SOCIAL_PROVIDER_NOT_CONFIGURED', status: 500 });
+    expect(requests).toEqual([]);
+  });
+
+  it('인증 여부가 명시되지 않았거나 인증되지 않은 이메일은 미인증', async () => {
+    kakaoAccount = { email: 'k@example.com' };
+    expect((await verifySocialIdentity('kakao', { access_token: 'our-token' })).email_verified).toBe(false);
+
+    kakaoAccount = { email: 'k@example.com', is_email_valid: true, is_email_verified: false };
+    expect((await verifySocialIdentity('kakao', { access_token: 'our-token' })).email_verified).toBe(false);
+
+    kakaoAccount = { email: 'k@example.com', is_email_valid: false, is_email_verified: true };
+    expect((await verifySocialIdentity('kakao', { access_token: 'our-token' })).email_verified).toBe(false);
+  });
+});
+
+describe('naver', () => {
+  it('액세스 토큰으로 프로필을 조회한다', async () => {
+    expect(await verifySocialIdentity('naver', { access_token: 'naver-token' })).toMatchObject({
+      auth_provider: 'naver',
+      social_id: 'naver-1',
+      email_verified: true
+    });
+  });
+});
+
+describe('google', () => {
+  it('서명과 audience가 맞는 ID 토큰', async () => {
+    expect(await verifySocialIdentity('google', { id_token: signGoogleIdToken() })).toMatchObject({
+      auth_provider: 'google',
+      social_id: 'google-1',
+      email_verified: true
+    });
+  });
+
+  it('다른 클라이언트용 ID 토큰은 거부한다', async () => {
+    vi.stubEnv('GOOGLE_CLIENT_ID', 'another-client.apps.googleusercontent.com');
+
+    expect(await rejection(verifySocialIdentity('google', { id_token: signGoogleIdToken() })))
+      .toEqual({ code: 'SOCIAL_TOKEN_INVALID', status: 401 });
+  });
+
+  it('인증되지 않은 이메일은 미인증', async () => {
+    expect((await verifySocialIdentity('google', { id_token: signGoogleIdToken({ email_verified: false }) })).email_verified)
+      .toBe(false);
+  });
+});
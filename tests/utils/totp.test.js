@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../../src/utils/totp');
+
+// RFC 6238 부록 B 테스트 비밀키 (SHA1, ASCII "12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+// RFC 6238 부록 B SHA1 테스트 벡터 (8자리 값의 끝 6자리)
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('base32', () => {
+  it('RFC 테스트 비밀키', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('인코딩 후 디코딩하면 원래 값 (소문자, 공백, 패딩 허용)', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 255]);
+    const encoded = base32Encode(bytes);
+
+    expect(base32Decode(encoded)).toEqual(bytes);
+    expect(base32Decode(`${encoded.toLowerCase().slice(0, 4)} ${encoded.slice(4)}===`)).toEqual(bytes);
+  });
+
+  it('잘못된 문자는 오류', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+
+  it('비밀키는 160비트', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('generateTotp', () => {
+  it.each(RFC_VECTORS)('RFC 6238 벡터 T=%i → %s', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+});
+
+describe('verifyTotp', () => {
+  const timestamp = 1111111111 * 1000;
+  const currentStep = Math.floor(1111111111 / 30);
+
+  it('일치한 time step을 돌려준다', () => {
+    expect(verifyTotp(RFC_SECRET, '050471', { timestamp })).toBe(currentStep);
+  });
+
+  it('앞뒤 window 주기까지 허용한다', () => {
+    const previous = generateTotp(RFC_SECRET, timestamp - 30 * 1000);
+    const next = generateTotp(RFC_SECRET, timestamp + 30 * 1000);
+
+    expect(verifyTotp(RFC_SECRET, previous, { timestamp })).toBe(currentStep - 1);
+    expect(verifyTotp(RFC_SECRET, next, { timestamp })).toBe(currentStep + 1);
+    expect(verifyTotp(RFC_SECRET, next, { timestamp, window: 0 })).toBeNull();
+  });
+
+  it('window를 벗어난 코드는 거부한다', () => {
+    const old = generateTotp(RFC_SECRET, timestamp - 2 * 30 * 1000);
+    expect(verifyTotp(RFC_SECRET, old, { timestamp })).toBeNull();
+  });
+
+  it('공백은 무시하고 6자리 숫자가 아니면 거부한다', () => {
+    expect(verifyTotp(RFC_SECRET, '050 471', { timestamp })).toBe(currentStep);
+    expect(verifyTotp(RFC_SECRET, '05047', { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, null, { timestamp })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('인증 앱 등록 URI', () => {
+    expect(buildOtpauthUri('SECRET', 'a@b.com')).toBe(
+      'otpauth://totp/FoodieMap%3Aa%40b.com?secret=SECRET&issuer=FoodieMap&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
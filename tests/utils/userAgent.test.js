@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+
+const { describeDevice } = require('../../src/utils/userAgent');
+
+describe('describeDevice', () => {
+  it('브라우저와 운영체제', () => {
+    expect(describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36'))
+      .toBe('Chrome (Windows)');
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Mobile/15E148 Safari/604.1'))
+      .toBe('Safari (iOS)');
+  });
+
+  it('Chrome 기반 브라우저는 앞에서 먼저 구분한다', () => {
+    expect(describeDevice('Mozilla/5.0 (Linux; Android 14; SM-S921N) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/26.0 Chrome/122.0.0.0 Mobile Safari/537.36'))
+      .toBe('Samsung Internet (Android)');
+    expect(describeDevice('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36 Edg/129.0.0.0'))
+      .toBe('Edge (macOS)');
+  });
+
+  it('알 수 없으면 기본 문구', () => {
+    expect(describeDevice('curl/8.5.0')).toBe('알 수 없는 기기');
+    expect(describeDevice(null)).toBe('알 수 없는 기기');
+  });
+});
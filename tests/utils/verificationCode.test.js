@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const supabase = require('../../src/config/supabase');
+const { hashCode, recordWrongAttempt, verifyHashedCode } = require('../../src/utils/verificationCode');
+
+const TABLE = 'phone_verifications';
+const MAX_CODE_ATTEMPTS = 5;
+const FUTURE = () => new Date(Date.now() + 5 * 60 * 1000).toISOString();
+
+let rows;
+let updates;
+// 조건부 갱신 직전에 다른 요청이 끼어드는 상황 재현
+let beforeUpdate;
+
+// 인증 코드 테이블 한 행만 다루는 최소 쿼리 대역 (eq/is 조건으로 갱신 대상 판단)
+const fakeQuery = () => {
+  const state = { op: 'select', values: null, filters: [] };
+  const matches = row => state.filters.every(([column, value]) => (row[column] ?? null) === value);
+
+  const query = {
+    select: () => query,
+    update: (values) => { state.op = 'update'; state.values = values; return query; },
+    eq: (column, value) => { state.filters.push([column, value]); return query; },
+    is: (column, value) => { state.filters.push([column, value]); return query; },
+    maybeSingle: async () => {
+      if (state.op === 'update') {
+        beforeUpdate?.();
+        beforeUpdate = null;
+        updates.push(state.values);
+      }
+
+      const row = rows.find(matches);
+      if (!row) return { data: null, error: null };
+      if (state.op === 'update') Object.assign(row, state.values);
+      return { data: { ...row }, error: null };
+    }
+  };
+
+  return query;
+};
+
+beforeEach(() => {
+  rows = [{ id: 'code-1', code_hash: hashCode('123456'), attempts: 0, is_verified: false, expires_at: FUTURE() }];
+  updates = [];
+  beforeUpdate = null;
+  vi.spyOn(supabase, 'from').mockImplementation(() => fakeQuery());
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('recordWrongAttempt', () => {
+  it('오답 횟수를 올리고 남은 횟수를 돌려준다', async () => {
+    expect(await recordWrongAttempt(TABLE, { ...rows[0] }, MAX_CODE_ATTEMPTS))
+      .toEqual({ status: 'invalid', remainingAttempts: MAX_CODE_ATTEMPTS - 1 });
+    expect(rows[0].attempts).toBe(1);
+  });
+
+  it(`${MAX_CODE_ATTEMPTS}번째 오답이면 코드를 만료시킨다`, async () => {
+    rows[0].attempts = MAX_CODE_ATTEMPTS - 1;
+
+    expect(await recordWrongAttempt(TABLE, { ...rows[0] }, MAX_CODE_ATTEMPTS)).toEqual({ status: 'attempts_exceeded' });
+    expect(updates[0]).toHaveProperty('expires_at');
+  });
+
+  it('다른 요청이 먼저 횟수를 올렸으면 다시 읽은 값에서 이어서 센다', async () => {
+    const seen = { ...rows[0] };
+    beforeUpdate = () => { rows[0].attempts = 1; };
+
+    expect(await recordWrongAttempt(TABLE, seen, MAX_CODE_ATTEMPTS))
+      .toEqual({ status: 'invalid', remainingAttempts: MAX_CODE_ATTEMPTS - 2 });
+    expect(rows[0].attempts).toBe(2);
+  });
+
+  it('다른 요청이 마지막 기회를 써서 만료시켰으면 attempts_exceeded', async () => {
+    rows[0].attempts = MAX_CODE_ATTEMPTS - 1;
+    const seen = { ...rows[0] };
+    beforeUpdate = () => Object.assign(rows[0], { attempts: MAX_CODE_ATTEMPTS, expires_at: new Date().toISOString() });
+
+    expect(await recordWrongAttempt(TABLE, seen, MAX_CODE_ATTEMPTS)).toEqual({ status: 'attempts_exceeded' });
+  });
+
+  it('그 사이 코드가 사용되었으면 오답 한도 초과가 아니라 invalid', async () => {
+    const seen = { ...rows[0] };
+    beforeUpdate = () => { rows[0].is_verified = true; rows[0].attempts = 1; };
+
+    expect(await recordWrongAttempt(TABLE, seen, MAX_CODE_ATTEMPTS)).toEqual({ status: 'invalid' });
+  });
+
+  it('그 사이 새 코드 발급으로 만료되었으면 invalid', async () => {
+    const seen = { ...rows[0] };
+    beforeUpdate = () => { rows[0].expires_at = new Date(Date.now() - 1000).toISOString(); rows[0].attempts = 1; };
+
+    expect(await recordWrongAttempt(TABLE, seen, MAX_CODE_ATTEMPTS)).toEqual({ status: 'invalid' });
+  });
+});
+
+describe('verifyHashedCode', () => {
+  const verify = (code) => verifyHashedCode({ table: TABLE, row: { ...rows[0] }, code, maxAttempts: MAX_CODE_ATTEMPTS });
+
+  it('맞는 코드는 한 번만 사용 처리한다', async () => {
+    expect(await verify('123456')).toMatchObject({ status: 'verified', verification: { id: 'code-1', is_verified: true } });
+    expect(await verify('123456')).toEqual({ status: 'invalid' });
+  });
+
+  it('틀린 코드는 오답 횟수를 올린다', async () => {
+    expect(await verify('000000')).toEqual({ status: 'invalid', remainingAttempts: MAX_CODE_ATTEMPTS - 1 });
+  });
+
+  it('오답 한도를 넘은 코드는 맞는 코드여도 거부한다', async () => {
+    rows[0].attempts = MAX_CODE_ATTEMPTS;
+
+    expect(await verify('123456')).toEqual({ status: 'attempts_exceeded' });
+    expect(updates).toEqual([]);
+  });
+});
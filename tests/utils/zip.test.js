@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+
+const zlib = require('zlib');
+const { crc32, createZip } = require('../../src/utils/zip');
+
+// 중앙 디렉터리를 따라 파일을 풀어 이름/내용/CRC 확인
+const readZip = (buffer) => {
+  const endOffset = buffer.length - 22;
+  expect(buffer.readUInt32LE(endOffset)).toBe(0x06054b50);
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(buffer.readUInt32LE(offset)).toBe(0x02014b50);
+
+    const checksum = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+
+    expect(buffer.readUInt32LE(localOffset)).toBe(0x04034b50);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const content = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+    expect(content.length).toBe(size);
+    expect(crc32(content)).toBe(checksum);
+
+    files.push({ name, content: content.toString('utf8') });
+    offset += 46 + nameLength;
+  }
+
+  return files;
+};
+
+describe('crc32', () => {
+  it('표준 검사 값', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  it('여러 파일을 풀었을 때 원래 내용과 같다', () => {
+    const files = [
+      { name: 'profile.json', content: JSON.stringify({ name: '홍길동' }) },
+      { name: '리뷰/reviews.json', content: Buffer.from('[]') },
+      { name: 'empty.txt', content: '' }
+    ];
+
+    expect(readZip(createZip(files))).toEqual([
+      { name: 'profile.json', content: '{"name":"홍길동"}' },
+      { name: '리뷰/reviews.json', content: '[]' },
+      { name: 'empty.txt', content: '' }
+    ]);
+  });
+
+  it('파일명은 UTF-8 플래그로 표시한다', () => {
+    const zip = createZip([{ name: '내보내기.json', content: '{}' }]);
+    expect(zip.readUInt16LE(6) & 0x0800).toBe(0x0800);
+  });
+
+  it('빈 목록이면 끝 레코드만 담는다', () => {
+    const zip = createZip([]);
+
+    expect(zip.length).toBe(22);
+    expect(readZip(zip)).toEqual([]);
+  });
+});
@@ -3,8 +3,14 @@ import { defineConfig } from 'vitest/config';
 export default defineConfig({
   test: {
     environment: 'node',
+    // 모델을 불러오는 테스트용 (DB에는 접속하지 않음, 모델 메서드는 테스트에서 대체)
+    env: {
+      SUPABASE_URL: 'http://localhost:54321',
+      SUPABASE_SERVICE_KEY: 'test-service-key',
+      JWT_SECRET: 'test-jwt-secret'
+    },
     coverage: {
       reporter: ['text', 'json', 'html']
     }
   }
-});
\ No newline at end of file
+});